@@ -8,8 +8,18 @@ import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import Wizard from '../src/cli/Wizard.js';
 import TreeWizard from '../src/cli/TreeWizard.js';
+import { layouts } from '../src/core/TreeConfigBuilder.js';
+import { REDIRECT_CODES } from '../src/core/RedirectTable.js';
 import { validateConfig } from '../src/cli/validate.js';
 import { testConfig } from '../src/cli/test.js';
+import { importConfig } from '../src/cli/import.js';
+import { convertApache } from '../src/cli/convert.js';
+import { generateFromSpec } from '../src/cli/generate.js';
+import { editProject } from '../src/cli/edit.js';
+import { manageHtpasswd } from '../src/cli/htpasswd.js';
+import { setCanary, switchBlueGreen } from '../src/cli/canary.js';
+import { setMaintenance } from '../src/cli/maintenance.js';
+import { importRedirects } from '../src/cli/redirects.js';
 import BenchmarkAnalyzer from '../src/analyzers/BenchmarkAnalyzer.js';
 import LogAnalyzer from '../src/analyzers/LogAnalyzer.js';
 import UpdateManager from '../src/core/UpdateManager.js';
@@ -39,8 +49,27 @@ program
   .option('--profile <profile>', 'Performance profile (high-traffic, low-resource, cdn-origin, etc.)')
   .option('--no-validation', 'Skip configuration validation')
   .option('--classic', 'Use classic pattern-based wizard instead of tree mode')
+  .option('--templates <directory>', 'Directory with tree-mode template overrides (server.hbs, location.hbs, upstream.hbs, ssl.hbs)')
+  .option('--layout <layout>', `Output layout (${layouts.join(', ')})`, 'single')
+  .option('--from <spec>', 'Start from a YAML/JSON spec (see src/schema/spec.schema.json)')
+  .option('--non-interactive', 'Generate from --from without prompts (exits non-zero on errors)')
+  .option('--report <file>', 'Write the --non-interactive generation report as JSON')
   .action(async (options) => {
     try {
+      if (!layouts.includes(options.layout)) {
+        console.error(chalk.red('Error:'), `Unknown layout '${options.layout}' (expected ${layouts.join(', ')})`);
+        process.exit(1);
+      }
+
+      if (options.nonInteractive) {
+        if (!options.from) {
+          console.error(chalk.red('Error:'), '--non-interactive requires --from <spec>');
+          process.exit(1);
+        }
+        const generated = await generateFromSpec(options.from, options);
+        process.exit(generated ? 0 : 1);
+      }
+
       // Use TreeWizard by default, classic Wizard with --classic flag
       const WizardClass = options.classic ? Wizard : TreeWizard;
       const wizard = new WizardClass(options);
@@ -51,6 +80,28 @@ program
     }
   });
 
+// Edit command (resume a saved tree-mode project)
+program
+  .command('edit [state]')
+  .description('Reopen a saved nginx-wizard.json in the tree menu and regenerate its config')
+  .option('-o, --output <directory>', 'Output directory (defaults to the state file\'s directory)')
+  .option('--templates <directory>', 'Directory with tree-mode template overrides (server.hbs, location.hbs, upstream.hbs, ssl.hbs)')
+  .option('--layout <layout>', `Output layout (${layouts.join(', ')})`, 'single')
+  .action(async (statePath, options) => {
+    try {
+      if (!layouts.includes(options.layout)) {
+        console.error(chalk.red('Error:'), `Unknown layout '${options.layout}' (expected ${layouts.join(', ')})`);
+        process.exit(1);
+      }
+
+      const edited = await editProject(statePath, options);
+      process.exit(edited ? 0 : 1);
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
 // Classic wizard command (explicit)
 program
   .command('classic')
@@ -186,6 +237,150 @@ program
     }
   });
 
+// Import command
+program
+  .command('import <config>')
+  .description('Import an existing nginx configuration into tree-mode state')
+  .option('-o, --output <directory>', 'Output directory for nginx-wizard.json', './')
+  .option('--prefix <directory>', 'Directory relative include paths resolve against (defaults to the config directory)')
+  .option('--report <file>', 'Write the import report as JSON')
+  .action(async (config, options) => {
+    try {
+      const imported = await importConfig(config, options);
+      process.exit(imported ? 0 : 1);
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+// Convert commands (other servers' configs into tree-mode state)
+const convert = program
+  .command('convert')
+  .description('Convert another web server\'s configuration into tree-mode state');
+
+convert
+  .command('apache <file>')
+  .description('Convert Apache VirtualHost blocks or an .htaccess file')
+  .option('-o, --output <directory>', 'Output directory for nginx-wizard.json', './')
+  .option('--report <file>', 'Write the conversion report as JSON')
+  .option('--domain <domain>', 'Server name for files without a VirtualHost (.htaccess)')
+  .option('--root <directory>', 'Document root for files without a VirtualHost (.htaccess)')
+  .option('--php-fpm <address>', 'PHP-FPM address (unix:/path or host:port) for PHP scripts without a SetHandler')
+  .action(async (file, options) => {
+    try {
+      const converted = await convertApache(file, options);
+      process.exit(converted ? 0 : 1);
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+// Htpasswd command
+program
+  .command('htpasswd <file> [user]')
+  .description('Add, update or remove a basic auth user (lists users when no user is given)')
+  .option('-p, --password <password>', 'Password (prompted for when omitted)')
+  .option('-a, --algorithm <algorithm>', 'Hash algorithm (apr1, bcrypt)', 'apr1')
+  .option('--cost <cost>', 'bcrypt cost (4-17)', '10')
+  .option('-D, --delete', 'Remove the user')
+  .action(async (file, user, options) => {
+    try {
+      const done = await manageHtpasswd(file, user, options);
+      process.exit(done ? 0 : 1);
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+// Canary commands (traffic splits of a saved tree-mode project)
+const canary = program
+  .command('canary')
+  .description('Shift traffic between the upstreams of a split location and regenerate');
+
+canary
+  .command('set <location> <percent>')
+  .description('Send percent of a location\'s traffic to its canary upstream')
+  .option('-s, --state <file>', 'State file', './nginx-wizard.json')
+  .option('--server <domain>', 'Server of the location (when several servers have it)')
+  .option('-u, --upstream <name>', 'Canary upstream (needed the first time)')
+  .option('-o, --output <directory>', 'Output directory (defaults to the state file\'s directory)')
+  .option('--layout <layout>', `Output layout (${layouts.join(', ')})`, 'single')
+  .action(async (location, percent, options) => {
+    try {
+      const done = await setCanary(location, percent, options);
+      process.exit(done ? 0 : 1);
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+canary
+  .command('switch <location> [color]')
+  .description('Flip a blue/green location to the other upstream (or to blue or green)')
+  .option('-s, --state <file>', 'State file', './nginx-wizard.json')
+  .option('--server <domain>', 'Server of the location (when several servers have it)')
+  .option('-o, --output <directory>', 'Output directory (defaults to the state file\'s directory)')
+  .option('--layout <layout>', `Output layout (${layouts.join(', ')})`, 'single')
+  .action(async (location, color, options) => {
+    try {
+      const done = await switchBlueGreen(location, color, options);
+      process.exit(done ? 0 : 1);
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+// Redirects commands
+const redirects = program
+  .command('redirects')
+  .description('Manage bulk redirect tables of a saved project');
+
+redirects
+  .command('import <file>')
+  .description('Import from,to[,code] rows from a CSV file and regenerate')
+  .option('-s, --state <file>', 'State file', './nginx-wizard.json')
+  .option('--server <domain>', 'Server to add the redirects to (when there are several)')
+  .option('--code <code>', `Status for rows without one (${REDIRECT_CODES.join(', ')})`, '301')
+  .option('--query <mode>', 'keep or drop the request\'s query string on targets without one')
+  .option('--replace', 'Replace the server\'s redirect table instead of merging into it')
+  .option('-o, --output <directory>', 'Output directory (defaults to the state file\'s directory)')
+  .option('--layout <layout>', `Output layout (${layouts.join(', ')})`, 'single')
+  .action(async (file, options) => {
+    try {
+      const done = await importRedirects(file, options);
+      process.exit(done ? 0 : 1);
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+// Maintenance command
+program
+  .command('maintenance <mode> <server>')
+  .description('Turn the maintenance page of a saved project\'s server on or off and regenerate')
+  .option('-s, --state <file>', 'State file', './nginx-wizard.json')
+  .option('--retry-after <seconds>', 'Retry-After header value (default 300)')
+  .option('--allow <addresses>', 'Comma-separated IP lists, addresses or CIDR ranges that bypass the page')
+  .option('--cookie <name=value>', 'Cookie that bypasses the page')
+  .option('--page <file>', 'HTML file to serve instead of the built-in page')
+  .option('-o, --output <directory>', 'Output directory (defaults to the state file\'s directory)')
+  .option('--layout <layout>', `Output layout (${layouts.join(', ')})`, 'single')
+  .action(async (mode, server, options) => {
+    try {
+      const done = await setMaintenance(mode, server, options);
+      process.exit(done ? 0 : 1);
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
 // Test command
 program
   .command('test <config>')
@@ -210,6 +405,7 @@ program
       const { default: express } = await import('express');
       const { default: open } = await import('open');
       const { default: TreeConfigBuilder } = await import('../src/core/TreeConfigBuilder.js');
+      const { default: SpecLoader } = await import('../src/core/SpecLoader.js');
       
       const app = express();
       const port = parseInt(options.port) || 3000;
@@ -218,7 +414,7 @@ program
       app.use(express.static(join(__dirname, '../web/public')));
       
       // Generate nginx config from state
-      app.post('/api/generate', (req, res) => {
+      app.post('/api/generate', async (req, res) => {
         try {
           const { state } = req.body;
           
@@ -238,7 +434,7 @@ program
             });
           }
 
-          const config = builder.build();
+          const config = await builder.build();
           
           res.json({ 
             config,
@@ -268,6 +464,30 @@ program
         }
       });
 
+      // Load a saved nginx-wizard.json, migrating older schema versions
+      app.post('/api/state/load', (req, res) => {
+        try {
+          const { state } = req.body;
+
+          if (!state) {
+            return res.status(400).json({ error: 'State is required' });
+          }
+
+          const { state: loaded, errors, migration } = new SpecLoader().load(JSON.stringify(state));
+          if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid state file', errors });
+          }
+
+          res.json({
+            state: loaded,
+            from: migration?.from || null,
+            notes: migration?.notes || []
+          });
+        } catch (error) {
+          res.status(500).json({ error: error.message });
+        }
+      });
+
       app.listen(port, () => {
         const url = `http://localhost:${port}`;
         console.log(chalk.cyan(`\nNginx Config Wizard Web UI`));
@@ -9,9 +9,12 @@ import * as prompts from './wizard/prompts.js';
 import * as display from './wizard/display.js';
 import * as menus from './wizard/menus.js';
 import * as state from './wizard/state.js';
+import { diffLines, formatDiff, keepGeneratedAt } from './wizard/diff.js';
+import { writeConfigFiles, formatSpecIssue } from './generate.js';
 
 // Core
 import TreeConfigBuilder from '../core/TreeConfigBuilder.js';
+import SpecLoader from '../core/SpecLoader.js';
 import Validator from '../core/Validator.js';
 import { getPresets, applyPreset } from '../presets/index.js';
 
@@ -33,14 +36,21 @@ class TreeWizard {
     display.showWelcome();
 
     try {
-      await this.configureGlobalSettings();
+      if (this.options.edit || this.options.from) {
+        await this.loadSpec(this.options.edit || this.options.from);
+      } else {
+        await this.configureGlobalSettings();
+      }
       await this.buildTree();
       await this.reviewConfiguration();
       await this.buildConfiguration();
+      if (this.options.edit) {
+        await this.reviewChanges();
+      }
       await this.saveConfiguration();
 
       display.showSuccess('Configuration generated successfully!');
-      display.showNextSteps(this.state, this.options.output);
+      display.showNextSteps(this.state, this.options.output, this.options.layout);
     } catch (error) {
       if (error.isTtyError) {
         display.showError("Prompt couldn't be rendered in the current environment");
@@ -84,6 +94,24 @@ class TreeWizard {
     this.config.setGlobalSettings(this.state.globalSettings);
   }
 
+  /**
+   * Start from a spec or saved nginx-wizard.json instead of the global settings prompts
+   */
+  async loadSpec(file) {
+    const { state: loaded, errors, migration } = await new SpecLoader().loadFile(file);
+    if (errors.length > 0) {
+      throw new Error(`Invalid spec ${file}:\n${errors.map(e => `  ${formatSpecIssue(e, file)}`).join('\n')}`);
+    }
+    if (migration?.applied.length > 0) {
+      console.log(chalk.gray(`\n  Migrated ${file} from schema ${migration.from} to ${migration.to}`));
+      migration.notes.forEach(note => console.log(chalk.yellow(`  ⚠ ${note}`)));
+    }
+
+    this.state = loaded;
+    this.config.setGlobalSettings(this.state.globalSettings);
+    console.log(chalk.green(`\n  ✓ Loaded ${file}\n`));
+  }
+
   /**
    * Main tree building loop
    */
@@ -96,17 +124,29 @@ class TreeWizard {
 
       const action = await prompts.promptSelect(
         'What would you like to do?',
-        menus.getMainMenuChoices(this.state.servers)
+        menus.getMainMenuChoices(this.state.servers, this.state.streams)
       );
 
       if (action === 'add-server') {
         await this.addServer();
       } else if (action === 'add-upstream') {
         await this.addGlobalUpstream();
+      } else if (action === 'add-ip-list') {
+        await this.addIpList();
+      } else if (action === 'add-map') {
+        await this.addMap();
       } else if (action === 'edit-server') {
         await this.editServer();
       } else if (action === 'remove-server') {
         await this.removeServer();
+      } else if (action === 'add-stream') {
+        await this.addStreamListener();
+      } else if (action === 'add-stream-upstream') {
+        await this.addStreamUpstream();
+      } else if (action === 'edit-stream') {
+        await this.editStreamListener();
+      } else if (action === 'remove-stream') {
+        await this.removeStreamListener();
       } else if (action === 'edit-global') {
         await this.configureGlobalSettings();
       } else if (action === 'done') {
@@ -117,6 +157,40 @@ class TreeWizard {
     }
   }
 
+  /**
+   * Add a named IP list access rules can refer to
+   */
+  async addIpList() {
+    display.showSection('IP List');
+
+    const answers = await prompts.promptIpList(this.validator);
+    state.upsertIpList(this.state, answers);
+    console.log(chalk.green(`\n  ✓ IP list ${answers.name} saved (${answers.addresses.length} addresses)\n`));
+  }
+
+  /**
+   * Add a routing map that picks an upstream by header, cookie or another variable
+   */
+  async addMap() {
+    display.showSection('Routing Map');
+
+    const upstreamNames = [...this.state.upstreams, ...this.state.servers.flatMap(s => s.upstreams || [])].map(u => u.name);
+    if (upstreamNames.length === 0) {
+      display.showInfo('Routing maps choose between upstreams - add one first.');
+      return;
+    }
+
+    const answers = await prompts.promptMap(upstreamNames);
+    const entries = [];
+    do {
+      entries.push(await prompts.promptMapEntry(upstreamNames));
+    } while (await prompts.promptConfirm('Add another entry?', false));
+
+    const map = state.upsertMap(this.state, answers, entries);
+    console.log(chalk.green(`\n  ✓ Map ${map.name} saved (${map.source}, ${entries.length} entries)`));
+    console.log(chalk.gray('  Proxy and API locations can now pick it as their target\n'));
+  }
+
   /**
    * Add a new server block
    */
@@ -173,6 +247,18 @@ class TreeWizard {
         await this.editDomain(server);
       } else if (action === 'edit-ssl') {
         await this.editSSL(server);
+      } else if (action === 'edit-auth') {
+        await this.editBasicAuth(server);
+      } else if (action === 'edit-forward-auth') {
+        await this.editForwardAuth(server);
+      } else if (action === 'edit-client-cert') {
+        await this.editClientCert(server);
+      } else if (action === 'edit-access') {
+        await this.editAccess(server);
+      } else if (action === 'edit-split') {
+        await this.editTrafficSplit(server);
+      } else if (action === 'edit-maintenance') {
+        await this.editMaintenance(server);
       } else if (action === 'edit-location') {
         await this.editLocation(server);
       } else if (action === 'remove-location') {
@@ -206,6 +292,12 @@ class TreeWizard {
       locationConfig = await this.configureAPILocation(server);
     } else if (type === 'websocket') {
       locationConfig = await this.configureWebSocketLocation(server);
+    } else if (type === 'grpc') {
+      locationConfig = await this.configureGrpcLocation(server);
+    } else if (type === 'fastcgi') {
+      locationConfig = await this.configureFastcgiLocation(server);
+    } else if (type === 'uwsgi' || type === 'scgi') {
+      locationConfig = await this.configureGatewayLocation(server, type);
     } else if (type === 'redirect') {
       locationConfig = await prompts.promptRedirectLocation();
     } else if (type === 'health') {
@@ -227,7 +319,7 @@ class TreeWizard {
    * Configure proxy location with upstream selection
    */
   async configureProxyLocation(server) {
-    const upstreamChoices = menus.getUpstreamChoices(server.upstreams, this.state.upstreams);
+    const upstreamChoices = menus.getUpstreamChoices(server.upstreams, this.state.upstreams, this.state.maps);
     const answers = await prompts.promptProxyLocation(upstreamChoices);
 
     if (answers.target.type === 'new') {
@@ -238,6 +330,7 @@ class TreeWizard {
     return {
       path: answers.path,
       upstream: answers.target.type === 'upstream' ? answers.target.name : null,
+      ...(answers.target.type === 'map' && { upstreamMap: answers.target.name }),
       target: answers.directUrl || null,
       websocket: answers.websocket,
       timeout: answers.timeout
@@ -248,7 +341,7 @@ class TreeWizard {
    * Configure API location
    */
   async configureAPILocation(server) {
-    const upstreamChoices = menus.getUpstreamChoices(server.upstreams, this.state.upstreams)
+    const upstreamChoices = menus.getUpstreamChoices(server.upstreams, this.state.upstreams, this.state.maps)
       .filter(c => c.value?.type !== 'new'); // No "create new" option for API
 
     const answers = await prompts.promptAPILocation(upstreamChoices);
@@ -256,6 +349,7 @@ class TreeWizard {
     return {
       path: answers.path,
       upstream: answers.target.type === 'upstream' ? answers.target.name : null,
+      ...(answers.target.type === 'map' && { upstreamMap: answers.target.name }),
       target: answers.directUrl || null,
       cors: answers.cors,
       corsOrigin: answers.corsOrigin,
@@ -282,6 +376,74 @@ class TreeWizard {
     };
   }
 
+  /**
+   * Configure gRPC location (offers to turn on HTTP/2, which grpc_pass needs)
+   */
+  async configureGrpcLocation(server, current = {}) {
+    const upstreamChoices = menus.getUpstreamChoices(server.upstreams, this.state.upstreams)
+      .filter(c => c.value?.type !== 'new');
+
+    const answers = await prompts.promptGrpcLocation(upstreamChoices, current);
+
+    if (!server.ssl?.http2) {
+      if (await prompts.promptConfirm('gRPC requires HTTP/2 on this server. Enable it?')) {
+        server.ssl = { ...server.ssl, http2: true };
+      } else {
+        display.showWarning('The configuration will not validate until HTTP/2 is enabled.');
+      }
+    }
+
+    return {
+      path: answers.path,
+      upstream: answers.target.type === 'upstream' ? answers.target.name : null,
+      target: answers.directUrl || null,
+      grpcTls: answers.grpcTls || false,
+      timeout: answers.timeout
+    };
+  }
+
+  /**
+   * Configure FastCGI location
+   */
+  async configureFastcgiLocation(server, current = {}) {
+    const upstreamChoices = menus.getUpstreamChoices(server.upstreams, this.state.upstreams)
+      .filter(c => c.value?.type !== 'new');
+
+    const answers = await prompts.promptFastcgiLocation(upstreamChoices, current);
+
+    return {
+      path: answers.path,
+      root: answers.root,
+      upstream: answers.target.type === 'upstream' ? answers.target.name : null,
+      target: answers.directUrl || null,
+      buffers: answers.buffers,
+      timeout: answers.timeout,
+      ...(answers.cache && {
+        cache: { duration: answers.cacheDuration, bypassCookie: answers.bypassCookie }
+      })
+    };
+  }
+
+  /**
+   * Configure uWSGI or SCGI location (extra params are kept when editing)
+   */
+  async configureGatewayLocation(server, type, current = {}) {
+    const upstreamChoices = menus.getUpstreamChoices(server.upstreams, this.state.upstreams)
+      .filter(c => c.value?.type !== 'new');
+
+    const answers = await prompts.promptGatewayLocation(type, upstreamChoices, current);
+
+    return {
+      path: answers.path,
+      upstream: answers.target.type === 'upstream' ? answers.target.name : null,
+      target: answers.directUrl || null,
+      buffering: answers.buffering,
+      ...(answers.buffering && { buffers: answers.buffers }),
+      timeout: answers.timeout,
+      ...(current.params && { params: current.params })
+    };
+  }
+
   /**
    * Configure cached proxy location
    */
@@ -292,9 +454,17 @@ class TreeWizard {
     return {
       ...baseProxy,
       cache: {
+        strategy: cacheAnswers.cacheStrategy,
         duration: cacheAnswers.cacheDuration,
         zone: cacheAnswers.cacheZone,
-        bypassCookie: cacheAnswers.bypassCookie
+        bypassCookie: cacheAnswers.bypassCookie,
+        ...(cacheAnswers.customizeZone && {
+          path: cacheAnswers.cachePath,
+          levels: cacheAnswers.cacheLevels,
+          keysSize: cacheAnswers.cacheKeysSize,
+          maxSize: cacheAnswers.cacheMaxSize,
+          inactive: cacheAnswers.cacheInactive
+        })
       }
     };
   }
@@ -350,6 +520,91 @@ class TreeWizard {
     console.log(chalk.green(`\n  ✓ Global upstream ${answers.name} added\n`));
   }
 
+  /**
+   * Add a TCP/UDP stream upstream
+   */
+  async addStreamUpstream() {
+    display.showSection('Add Stream Upstream');
+    display.showInfo('Stream upstreams are TCP/UDP backends for stream listeners.');
+
+    const answers = await prompts.promptStreamUpstreamConfig();
+    const upstream = state.createUpstream(answers);
+    state.getStreams(this.state).upstreams.push(upstream);
+
+    console.log(chalk.green(`\n  ✓ Stream upstream ${answers.name} added\n`));
+    return upstream;
+  }
+
+  /**
+   * Add a TCP/UDP stream listener
+   */
+  async addStreamListener() {
+    display.showSection('Add Stream Listener');
+
+    const config = await this.configureStreamListener();
+    state.getStreams(this.state).listeners.push(state.createStreamListener(config));
+
+    console.log(chalk.green(`\n  ✓ Stream listener ${config.name} (${config.protocol}/${config.port}) added\n`));
+  }
+
+  /**
+   * Edit a stream listener
+   */
+  async editStreamListener() {
+    const streams = state.getStreams(this.state);
+    const listenerId = await prompts.promptSelect(
+      'Select stream listener to edit:',
+      menus.getStreamListenerSelectionChoices(streams.listeners)
+    );
+
+    const listener = streams.listeners.find(l => l.id === listenerId);
+    const config = await this.configureStreamListener(listener);
+    state.updateStreamListener(this.state, listenerId, config);
+
+    console.log(chalk.green('\n  ✓ Stream listener updated\n'));
+  }
+
+  /**
+   * Remove a stream listener
+   */
+  async removeStreamListener() {
+    const listenerId = await prompts.promptSelect(
+      'Select stream listener to remove:',
+      menus.getStreamListenerSelectionChoices(state.getStreams(this.state).listeners)
+    );
+
+    state.removeStreamListener(this.state, listenerId);
+    console.log(chalk.green('\n  ✓ Stream listener removed\n'));
+  }
+
+  /**
+   * Ask for a stream listener's settings, creating its upstream when asked to
+   */
+  async configureStreamListener(current = {}) {
+    const streams = state.getStreams(this.state);
+    const answers = await prompts.promptStreamListener(menus.getStreamUpstreamChoices(streams.upstreams), current);
+
+    let upstream = answers.backend.type === 'upstream' ? answers.backend.name : null;
+    if (answers.backend.type === 'new') {
+      upstream = (await this.addStreamUpstream()).name;
+    }
+
+    return {
+      name: answers.name,
+      protocol: answers.protocol,
+      port: answers.port,
+      upstream,
+      target: answers.target || null,
+      acceptProxyProtocol: answers.acceptProxyProtocol,
+      proxyProtocol: answers.proxyProtocol,
+      sniRoutes: answers.sniRoutes,
+      maxConnections: answers.maxConnections,
+      connectTimeout: answers.connectTimeout,
+      timeout: answers.timeout,
+      responses: answers.responses
+    };
+  }
+
   /**
    * Remove a server
    */
@@ -401,6 +656,12 @@ class TreeWizard {
       newConfig = await this.configureAPILocation(server);
     } else if (location.type === 'websocket') {
       newConfig = await this.configureWebSocketLocation(server);
+    } else if (location.type === 'grpc') {
+      newConfig = await this.configureGrpcLocation(server, location);
+    } else if (location.type === 'fastcgi') {
+      newConfig = await this.configureFastcgiLocation(server, location);
+    } else if (location.type === 'uwsgi' || location.type === 'scgi') {
+      newConfig = await this.configureGatewayLocation(server, location.type, location);
     } else if (location.type === 'redirect') {
       newConfig = await prompts.promptRedirectLocation();
     } else if (location.type === 'health') {
@@ -434,6 +695,90 @@ class TreeWizard {
     console.log(chalk.green('\n  ✓ SSL settings updated\n'));
   }
 
+  /**
+   * Edit basic auth for the server or some of its locations
+   */
+  async editBasicAuth(server) {
+    const answers = await prompts.promptBasicAuth(server);
+    state.updateBasicAuth(server, answers);
+
+    if (answers.scope === 'off') {
+      console.log(chalk.green('\n  ✓ Basic auth turned off\n'));
+    } else {
+      console.log(chalk.green('\n  ✓ Basic auth updated'));
+      console.log(chalk.gray(`  Add users with: nginxconf-wizard htpasswd ${answers.userFile} <user>\n`));
+    }
+  }
+
+  /**
+   * Edit forward auth for the server
+   */
+  async editForwardAuth(server) {
+    const answers = await prompts.promptForwardAuth(server);
+    state.updateForwardAuth(server, answers);
+    console.log(chalk.green(`\n  ✓ Forward auth ${answers.enabled ? 'updated' : 'turned off'}\n`));
+  }
+
+  /**
+   * Edit client certificate verification for the server and its locations
+   */
+  async editClientCert(server) {
+    const answers = await prompts.promptClientCert(server);
+    state.updateClientCert(server, answers);
+    console.log(chalk.green(`\n  ✓ Client certificates ${answers.verify === 'off' ? 'turned off' : 'updated'}\n`));
+  }
+
+  /**
+   * Edit the access rules of the server or one of its locations
+   */
+  async editAccess(server) {
+    const answers = await prompts.promptAccess(server, this.state.ipLists, this.state.globalSettings.geoip2);
+    const target = answers.target === 'server' ? server : state.findLocation(server, answers.target);
+    state.updateAccess(target, answers);
+    if (answers.database) {
+      this.state.globalSettings.geoip2 = { database: answers.database };
+    }
+
+    console.log(chalk.green(`\n  ✓ Access rules ${target.access ? 'updated' : 'removed'}\n`));
+    if (target.access?.countries) {
+      console.log(chalk.gray('  Country rules need the GeoIP2 module (libnginx-mod-http-geoip2 or nginx-module-geoip2)\n'));
+    }
+  }
+
+  /**
+   * Edit the canary or blue/green split of a proxy or API location
+   */
+  async editTrafficSplit(server) {
+    const locations = server.locations.filter(l => ['proxy', 'api'].includes(l.type) && l.upstream);
+    const upstreamNames = [...(server.upstreams || []), ...this.state.upstreams].map(u => u.name);
+    if (upstreamNames.length < 2) {
+      display.showInfo('A traffic split needs a second upstream - add one first.');
+      return;
+    }
+
+    const answers = await prompts.promptTrafficSplit(locations, upstreamNames);
+    const location = state.findLocation(server, answers.location);
+    state.updateTrafficSplit(location, answers);
+
+    if (answers.mode === 'off') {
+      console.log(chalk.green(`\n  ✓ Traffic split removed from ${location.path}\n`));
+    } else {
+      console.log(chalk.green(`\n  ✓ Traffic split updated for ${location.path}`));
+      console.log(chalk.gray(`  Shift traffic later with: nginxconf-wizard canary ${answers.mode === 'canary' ? `set ${location.path} <percent>` : `switch ${location.path}`}\n`));
+    }
+  }
+
+  /**
+   * Turn the server's maintenance page on or off
+   */
+  async editMaintenance(server) {
+    const answers = await prompts.promptMaintenance(server, this.state.ipLists);
+    state.updateMaintenance(server, answers);
+
+    console.log(chalk.green(`\n  ✓ Maintenance mode ${answers.enabled ? 'on' : 'off'} for ${server.domain.primary}`));
+    console.log(chalk.gray(`  Toggle it later with: nginxconf-wizard maintenance ${answers.enabled ? 'off' : 'on'} ${server.domain.primary}\n`));
+  }
+
   /**
    * Edit upstream
    */
@@ -487,6 +832,9 @@ class TreeWizard {
     const spinner = ora('Generating nginx configuration...').start();
 
     try {
+      if (this.options.templates) {
+        this.state.templates = path.resolve(this.options.templates);
+      }
       this.config.setState(this.state);
 
       const validation = this.config.validate();
@@ -506,7 +854,8 @@ class TreeWizard {
         spinner.start('Continuing with configuration generation...');
       }
 
-      this.generatedConfig = await this.config.build();
+      this.generatedFiles = await this.config.buildFiles(this.options.layout || 'single');
+      this.generatedConfig = this.generatedFiles['nginx.conf'];
       spinner.succeed('Configuration generated');
     } catch (error) {
       spinner.fail('Failed to generate configuration');
@@ -514,26 +863,77 @@ class TreeWizard {
     }
   }
 
+  /**
+   * Show how the regenerated files differ from the ones on disk and confirm overwriting them
+   */
+  async reviewChanges() {
+    const outputDir = this.options.output || './';
+    const files = this.generatedFiles;
+    let changed = 0;
+
+    display.showSection('Changes');
+
+    for (const [file, content] of Object.entries(files)) {
+      let previous = null;
+      try {
+        previous = await fs.readFile(path.join(outputDir, file), 'utf-8');
+      } catch {
+        // New file
+      }
+
+      if (previous === null) {
+        console.log(chalk.green(`  + ${file} (new file)`));
+        changed++;
+        continue;
+      }
+
+      // An unchanged file keeps its timestamp, so it is written back byte for byte
+      const next = keepGeneratedAt(previous, content);
+      files[file] = next;
+      const lines = formatDiff(diffLines(previous, next), file);
+      if (lines.length === 0) continue;
+
+      changed++;
+      lines.forEach(line => {
+        if (line.startsWith('@@')) console.log(chalk.cyan(line));
+        else if (line.startsWith('+')) console.log(chalk.green(line));
+        else if (line.startsWith('-')) console.log(chalk.red(line));
+        else console.log(chalk.gray(line));
+      });
+      console.log('');
+    }
+    this.generatedConfig = files['nginx.conf'];
+
+    if (changed === 0) {
+      console.log(chalk.gray('  The generated configuration matches the files on disk.\n'));
+    }
+
+    const proceed = await prompts.promptConfirm(`Overwrite the configuration in ${outputDir}?`, true);
+    if (!proceed) {
+      throw new Error('User cancelled');
+    }
+  }
+
   /**
    * Save configuration files
    */
   async saveConfiguration() {
     const outputDir = this.options.output || './';
-    const configPath = path.join(outputDir, 'nginx.conf');
+    const layout = this.options.layout || 'single';
     const statePath = path.join(outputDir, 'nginx-wizard.json');
+    const files = this.generatedFiles || { 'nginx.conf': this.generatedConfig };
 
     const spinner = ora('Saving configuration files...').start();
 
     try {
-      await fs.mkdir(outputDir, { recursive: true });
-      await fs.writeFile(configPath, this.generatedConfig, 'utf-8');
-      await fs.writeFile(statePath, JSON.stringify(this.state, null, 2), 'utf-8');
+      const created = await writeConfigFiles(outputDir, files, this.config.getSymlinks(layout, files));
+      await fs.writeFile(statePath, JSON.stringify(this.config.exportState(), null, 2), 'utf-8');
+      created.push(statePath);
 
       spinner.succeed('Configuration files saved');
 
       console.log(chalk.gray('\n  Files created:'));
-      console.log(chalk.gray(`    ${configPath}`));
-      console.log(chalk.gray(`    ${statePath}`));
+      created.forEach(file => console.log(chalk.gray(`    ${file}`)));
     } catch (error) {
       spinner.fail('Failed to save configuration');
       throw error;
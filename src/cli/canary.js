@@ -0,0 +1,75 @@
+import chalk from 'chalk';
+import { updateProject } from './edit.js';
+
+/**
+ * Send percent of a location's traffic to its canary upstream and regenerate
+ * options.upstream creates the split for locations that have none yet
+ */
+export async function setCanary(locationPath, percent, options = {}) {
+  const value = Number(percent);
+  if (!/^\d+(\.\d{1,2})?$/.test(String(percent)) || value > 100) {
+    console.error(chalk.red(`✗ Percent must be a number between 0 and 100, got '${percent}'`));
+    return false;
+  }
+
+  return updateSplit(locationPath, options, location => {
+    if (!location.split && !options.upstream) {
+      console.error(chalk.red(`✗ ${location.path} has no traffic split yet; pass the canary upstream with --upstream`));
+      return null;
+    }
+
+    location.split = {
+      ...location.split,
+      ...(options.upstream && { upstream: options.upstream }),
+      mode: 'canary',
+      percent: value
+    };
+    return `${value}% of ${location.path} now goes to ${location.split.upstream}`;
+  });
+}
+
+/**
+ * Flip (or set) the active color of a blue/green location and regenerate
+ * Blue is the location's upstream, green the split upstream
+ */
+export async function switchBlueGreen(locationPath, color, options = {}) {
+  if (color && !['blue', 'green'].includes(color)) {
+    console.error(chalk.red(`✗ Color must be blue or green, got '${color}'`));
+    return false;
+  }
+
+  return updateSplit(locationPath, options, location => {
+    if (!location.split?.upstream) {
+      console.error(chalk.red(`✗ ${location.path} has no traffic split; add one with the wizard or 'canary set --upstream'`));
+      return null;
+    }
+
+    const active = color || (location.split.mode === 'blue-green' && location.split.active === 'green' ? 'blue' : 'green');
+    location.split = { ...location.split, mode: 'blue-green', active };
+    return `${location.path} now sends all traffic to ${active} (${active === 'green' ? location.split.upstream : location.upstream})`;
+  });
+}
+
+/**
+ * Find the location (by path, and by server domain when several servers have it) and change its split
+ */
+async function updateSplit(locationPath, options, change) {
+  return updateProject(options, state => {
+    const matches = state.servers
+      .filter(server => !options.server || server.domain.primary === options.server)
+      .flatMap(server => (server.locations || []).filter(l => l.path === locationPath).map(location => ({ server, location })));
+
+    if (matches.length === 0) {
+      console.error(chalk.red(`✗ No location ${locationPath}${options.server ? ` in ${options.server}` : ''}`));
+      return null;
+    }
+    if (matches.length > 1) {
+      console.error(chalk.red(`✗ ${locationPath} exists in ${matches.map(m => m.server.domain.primary).join(', ')}; pick one with --server`));
+      return null;
+    }
+
+    return change(matches[0].location);
+  });
+}
+
+export default { setCanary, switchBlueGreen };
@@ -0,0 +1,93 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import chalk from 'chalk';
+import ApacheConverter from '../core/ApacheConverter.js';
+import TreeConfigBuilder from '../core/TreeConfigBuilder.js';
+
+/**
+ * Convert an Apache VirtualHost config or .htaccess file into tree-mode state
+ */
+export async function convertApache(file, options = {}) {
+  try {
+    console.log(chalk.cyan(`\n🔄 Converting ${file}...\n`));
+
+    let text;
+    try {
+      text = await fs.readFile(file, 'utf-8');
+    } catch {
+      console.error(chalk.red(`✗ File not found: ${file}`));
+      return false;
+    }
+
+    const converter = new ApacheConverter({ domain: options.domain, root: options.root, phpFpm: options.phpFpm });
+    const { state, report } = converter.convert(text, { file });
+
+    const builder = new TreeConfigBuilder();
+    builder.importState(state);
+    const validation = builder.validate();
+
+    // Save state file
+    const outputDir = options.output || './';
+    const statePath = path.join(outputDir, 'nginx-wizard.json');
+    await fs.mkdir(outputDir, { recursive: true });
+    await fs.writeFile(statePath, JSON.stringify(builder.exportState(), null, 2), 'utf-8');
+
+    if (options.report) {
+      await fs.writeFile(options.report, JSON.stringify(report, null, 2), 'utf-8');
+    }
+
+    const locationCount = state.servers.reduce((sum, s) => sum + s.locations.length, 0);
+    const redirectCount = state.servers.reduce((sum, s) => sum + (s.redirects?.rows.length || 0), 0);
+    console.log(chalk.green(`✓ Converted ${state.servers.length} server(s), ${locationCount} location(s), ${redirectCount} redirect(s)`));
+
+    if (report.warnings.length > 0) {
+      console.log(chalk.yellow('\n⚠ Warnings:\n'));
+      report.warnings.forEach(warning => console.log(chalk.yellow(`  ${warning}`)));
+    }
+
+    if (report.skipped.length > 0) {
+      console.log(chalk.gray('\nSkipped (generated by nginxconf-wizard or not needed):\n'));
+      report.skipped.forEach(item => console.log(chalk.gray(`  ${formatLocation(item)}${item.reason}`)));
+    }
+
+    if (report.customLocations.length > 0) {
+      console.log(chalk.yellow('\n⚠ Converted as custom locations (review them):\n'));
+      report.customLocations.forEach(item => {
+        console.log(chalk.yellow(`  ${formatLocation(item)}${item.server} location ${item.path} (${[...new Set(item.directives)].join(', ')})`));
+      });
+    }
+
+    if (report.unmapped.length > 0) {
+      console.log(chalk.yellow('\n⚠ Directives that could not be translated:\n'));
+      report.unmapped.forEach(item => {
+        console.log(chalk.yellow(`  ${formatLocation(item)}[${item.context}] ${item.directive} - ${item.reason}`));
+      });
+    }
+
+    if (!validation.valid) {
+      console.log(chalk.red('\n✗ Converted state does not validate yet:\n'));
+      validation.errors.forEach(error => console.log(chalk.red(`  ${error}`)));
+    }
+
+    console.log(chalk.gray('\n  Files created:'));
+    console.log(chalk.gray(`    ${statePath}`));
+    if (options.report) {
+      console.log(chalk.gray(`    ${options.report}`));
+    }
+    console.log('');
+
+    return true;
+  } catch (error) {
+    console.error(chalk.red(`Error converting config: ${error.message}`));
+    return false;
+  }
+}
+
+/**
+ * Format a file:line prefix for report entries
+ */
+function formatLocation(item) {
+  return item.file ? `${path.relative(process.cwd(), item.file)}:${item.line}: ` : '';
+}
+
+export default { convertApache };
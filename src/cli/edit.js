@@ -0,0 +1,72 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import chalk from 'chalk';
+import TreeWizard from './TreeWizard.js';
+import SpecLoader from '../core/SpecLoader.js';
+import TreeConfigBuilder from '../core/TreeConfigBuilder.js';
+import { generateFromSpec, formatSpecIssue } from './generate.js';
+
+/**
+ * Reopen a saved tree-mode project in the wizard's tree menu
+ * The config is regenerated next to the state file unless options.output says otherwise
+ */
+export async function editProject(statePath = './nginx-wizard.json', options = {}) {
+  try {
+    await fs.access(statePath);
+  } catch {
+    console.error(chalk.red(`✗ State file not found: ${statePath}`));
+    console.error(chalk.gray('  Generate a config first, or pass the path of its nginx-wizard.json'));
+    return false;
+  }
+
+  const wizard = new TreeWizard({
+    ...options,
+    edit: statePath,
+    output: options.output || path.dirname(statePath)
+  });
+  await wizard.run();
+  return true;
+}
+
+/**
+ * Change a saved project without the wizard and regenerate its config
+ * change(state) edits the state and returns a summary, or null to stop without saving.
+ * The state file is put back when the new configuration does not validate.
+ */
+export async function updateProject(options, change) {
+  const statePath = options.state || './nginx-wizard.json';
+
+  let original;
+  try {
+    original = await fs.readFile(statePath, 'utf-8');
+  } catch {
+    console.error(chalk.red(`✗ State file not found: ${statePath}`));
+    return false;
+  }
+
+  const { state, errors } = await new SpecLoader().loadFile(statePath);
+  if (errors.length > 0) {
+    console.error(chalk.red(`✗ ${statePath} is not valid:`));
+    errors.forEach(error => console.error(chalk.red(`  ${formatSpecIssue(error, statePath)}`)));
+    return false;
+  }
+
+  const message = change(state);
+  if (!message) return false;
+
+  const builder = new TreeConfigBuilder().importState(state);
+  await fs.writeFile(statePath, JSON.stringify(builder.exportState(), null, 2), 'utf-8');
+  console.log(chalk.green(`✓ ${message}`));
+
+  const generated = await generateFromSpec(statePath, {
+    ...options,
+    output: options.output || path.dirname(statePath)
+  });
+  if (!generated) {
+    await fs.writeFile(statePath, original, 'utf-8');
+    console.error(chalk.gray(`  ${statePath} was left unchanged`));
+  }
+  return generated;
+}
+
+export default { editProject, updateProject };
@@ -0,0 +1,134 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import chalk from 'chalk';
+import SpecLoader from '../core/SpecLoader.js';
+import TreeConfigBuilder from '../core/TreeConfigBuilder.js';
+import { displayPath } from './validate.js';
+
+/**
+ * Generate configuration files from a spec without any prompts
+ * Prints (and with options.report writes) a report of { valid, errors, warnings, files }
+ */
+export async function generateFromSpec(specPath, options = {}) {
+  const report = { valid: false, spec: specPath, errors: [], warnings: [], files: [] };
+
+  try {
+    console.log(chalk.cyan(`\n⚙️  Generating from ${specPath}...\n`));
+
+    try {
+      await fs.access(specPath);
+    } catch {
+      report.errors.push({ path: '', message: `File not found: ${specPath}` });
+      return await finishReport(report, options);
+    }
+
+    // Load and check the spec against its JSON Schema
+    const { state, errors, migration } = await new SpecLoader().loadFile(specPath);
+    if (errors.length > 0) {
+      report.errors.push(...errors);
+      return await finishReport(report, options);
+    }
+    if (migration?.applied.length > 0) {
+      console.log(chalk.gray(`  Migrated state from schema ${migration.from} to ${migration.to}\n`));
+      report.warnings.push(...migration.notes.map(message => ({ message })));
+    }
+
+    // Template directories in the spec are relative to the spec itself
+    if (options.templates) {
+      state.templates = path.resolve(options.templates);
+    } else if (state.templates) {
+      state.templates = path.resolve(path.dirname(specPath), state.templates);
+    }
+
+    const builder = new TreeConfigBuilder();
+    builder.importState(state);
+
+    const validation = builder.validate();
+    report.warnings.push(...validation.warnings.map(message => ({ message })));
+    if (!validation.valid) {
+      report.errors.push(...validation.errors.map(message => ({ message })));
+      return await finishReport(report, options);
+    }
+
+    const layout = options.layout || 'single';
+    const outputDir = options.output || './';
+    const files = builder.generateFiles(layout);
+
+    report.files = await writeConfigFiles(outputDir, files, builder.getSymlinks(layout, files));
+
+    const statePath = path.join(outputDir, 'nginx-wizard.json');
+    await fs.writeFile(statePath, JSON.stringify(builder.exportState(), null, 2), 'utf-8');
+    report.files.push(statePath);
+
+    report.valid = true;
+  } catch (error) {
+    report.errors.push({ path: '', message: error.message });
+  }
+
+  return await finishReport(report, options);
+}
+
+/**
+ * Write generated files and sites-enabled symlinks below the output directory
+ * @returns {Array} - Created paths (symlinks as "link -> target")
+ */
+export async function writeConfigFiles(outputDir, files, symlinks = {}) {
+  const created = [];
+
+  for (const [file, content] of Object.entries(files)) {
+    const filePath = path.join(outputDir, file);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, content, 'utf-8');
+    created.push(filePath);
+  }
+
+  for (const [link, target] of Object.entries(symlinks)) {
+    const linkPath = path.join(outputDir, link);
+    await fs.mkdir(path.dirname(linkPath), { recursive: true });
+    await fs.rm(linkPath, { force: true });
+    await fs.symlink(target, linkPath);
+    created.push(`${linkPath} -> ${target}`);
+  }
+
+  return created;
+}
+
+/**
+ * Format a spec issue as file:line:column, a property path, or the bare message
+ */
+export function formatSpecIssue(issue, specPath = null) {
+  if (issue.line !== undefined) {
+    return `${specPath ? displayPath(specPath) : 'spec'}:${issue.line}:${issue.column}: ${issue.message}`;
+  }
+  return issue.path ? `${issue.path}: ${issue.message}` : issue.message;
+}
+
+/**
+ * Print the report, write it as JSON when asked, and return whether generation succeeded
+ */
+async function finishReport(report, options) {
+  if (report.warnings.length > 0) {
+    console.log(chalk.yellow('⚠ Warnings:\n'));
+    report.warnings.forEach(warning => console.log(chalk.yellow(`  ${formatSpecIssue(warning)}`)));
+    console.log('');
+  }
+
+  if (report.valid) {
+    console.log(chalk.green('✓ Configuration generated'));
+    console.log(chalk.gray('\n  Files created:'));
+    report.files.forEach(file => console.log(chalk.gray(`    ${file}`)));
+    console.log('');
+  } else {
+    console.error(chalk.red('✗ Generation failed:\n'));
+    report.errors.forEach(error => console.error(chalk.red(`  ${formatSpecIssue(error, report.spec)}`)));
+    console.error('');
+  }
+
+  if (options.report) {
+    await fs.writeFile(options.report, JSON.stringify(report, null, 2), 'utf-8');
+  }
+
+  return report.valid;
+}
+
+export default { generateFromSpec };
@@ -0,0 +1,70 @@
+import inquirer from 'inquirer';
+import chalk from 'chalk';
+import Htpasswd, { algorithms } from '../core/Htpasswd.js';
+
+/**
+ * Add, update, remove or list users in an auth_basic_user_file
+ * Without a user the file's users are listed; without --password the password is prompted for
+ */
+export async function manageHtpasswd(file, user, options = {}) {
+  const algorithm = options.algorithm || 'apr1';
+  if (!algorithms.includes(algorithm)) {
+    console.error(chalk.red(`✗ Unknown algorithm '${algorithm}' (expected ${algorithms.join(', ')})`));
+    return false;
+  }
+
+  const htpasswd = await Htpasswd.load(file);
+
+  if (!user) {
+    const users = htpasswd.users();
+    console.log(users.length > 0 ? users.join('\n') : chalk.gray(`No users in ${file}`));
+    return true;
+  }
+
+  if (options.delete) {
+    if (!htpasswd.removeUser(user)) {
+      console.error(chalk.red(`✗ User ${user} not found in ${file}`));
+      return false;
+    }
+    await htpasswd.save(file);
+    console.log(chalk.green(`✓ Removed ${user} from ${file}`));
+    return true;
+  }
+
+  const password = options.password ?? await promptPassword(user);
+  const added = htpasswd.setUser(user, password, algorithm, {
+    ...(options.cost !== undefined && { cost: parseInt(options.cost) })
+  });
+  await htpasswd.save(file);
+
+  console.log(chalk.green(`✓ ${added ? 'Added' : 'Updated'} ${user} in ${file} (${algorithm})`));
+  if (algorithm === 'bcrypt') {
+    console.log(chalk.gray('  nginx checks bcrypt through the system crypt(); use apr1 on musl-based images such as Alpine'));
+  }
+  return true;
+}
+
+/**
+ * Ask for a password twice
+ */
+async function promptPassword(user) {
+  const { password } = await inquirer.prompt([
+    {
+      type: 'password',
+      name: 'password',
+      message: `Password for ${user}:`,
+      mask: '*',
+      validate: input => input.length > 0 || 'Password cannot be empty'
+    },
+    {
+      type: 'password',
+      name: 'confirm',
+      message: 'Repeat password:',
+      mask: '*',
+      validate: (input, answers) => input === answers.password || 'Passwords do not match'
+    }
+  ]);
+  return password;
+}
+
+export default { manageHtpasswd };
@@ -0,0 +1,100 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import chalk from 'chalk';
+import NginxParser from '../core/NginxParser.js';
+import ConfigImporter from '../core/ConfigImporter.js';
+import TreeConfigBuilder from '../core/TreeConfigBuilder.js';
+
+/**
+ * Import an existing nginx configuration into tree-mode state
+ */
+export async function importConfig(configPath, options = {}) {
+  try {
+    console.log(chalk.cyan(`\n📥 Importing ${configPath}...\n`));
+
+    try {
+      await fs.access(configPath);
+    } catch {
+      console.error(chalk.red(`✗ File not found: ${configPath}`));
+      return false;
+    }
+
+    // Parse config and all included files
+    const parser = new NginxParser({ prefix: options.prefix });
+    const parsed = await parser.parseFile(configPath);
+
+    // Map directives onto tree state
+    const importer = new ConfigImporter();
+    const { state, report } = importer.import(parsed.nodes);
+
+    const builder = new TreeConfigBuilder();
+    builder.importState(state);
+    const validation = builder.validate();
+
+    // Save state file
+    const outputDir = options.output || './';
+    const statePath = path.join(outputDir, 'nginx-wizard.json');
+    await fs.mkdir(outputDir, { recursive: true });
+    await fs.writeFile(statePath, JSON.stringify(builder.exportState(), null, 2), 'utf-8');
+
+    if (options.report) {
+      await fs.writeFile(options.report, JSON.stringify({ ...report, warnings: parsed.warnings }, null, 2), 'utf-8');
+    }
+
+    const locationCount = state.servers.reduce((sum, s) => sum + s.locations.length, 0);
+    console.log(chalk.green(`✓ Imported ${state.servers.length} server(s), ${state.upstreams.length} upstream(s), ${locationCount} location(s)`));
+    if (parsed.includedFiles.length > 0) {
+      console.log(chalk.gray(`  Followed ${parsed.includedFiles.length} included file(s)`));
+    }
+
+    if (parsed.warnings.length > 0) {
+      console.log(chalk.yellow('\n⚠ Parser Warnings:\n'));
+      parsed.warnings.forEach(warning => console.log(chalk.yellow(`  ${warning}`)));
+    }
+
+    if (report.skipped.length > 0) {
+      console.log(chalk.gray('\nSkipped (regenerated automatically):\n'));
+      report.skipped.forEach(item => console.log(chalk.gray(`  ${formatLocation(item)}${item.reason}`)));
+    }
+
+    if (report.customLocations.length > 0) {
+      console.log(chalk.yellow('\n⚠ Imported as custom locations:\n'));
+      report.customLocations.forEach(item => {
+        console.log(chalk.yellow(`  ${formatLocation(item)}${item.server} location ${item.path} (${[...new Set(item.directives)].join(', ')})`));
+      });
+    }
+
+    if (report.unmapped.length > 0) {
+      console.log(chalk.yellow('\n⚠ Directives that could not be mapped:\n'));
+      report.unmapped.forEach(item => {
+        console.log(chalk.yellow(`  ${formatLocation(item)}[${item.context}] ${item.directive}`));
+      });
+    }
+
+    if (!validation.valid) {
+      console.log(chalk.red('\n✗ Imported state does not validate yet:\n'));
+      validation.errors.forEach(error => console.log(chalk.red(`  ${error}`)));
+    }
+
+    console.log(chalk.gray('\n  Files created:'));
+    console.log(chalk.gray(`    ${statePath}`));
+    if (options.report) {
+      console.log(chalk.gray(`    ${options.report}`));
+    }
+    console.log('');
+
+    return true;
+  } catch (error) {
+    console.error(chalk.red(`Error importing config: ${error.message}`));
+    return false;
+  }
+}
+
+/**
+ * Format a file:line prefix for report entries
+ */
+function formatLocation(item) {
+  return item.file ? `${path.relative(process.cwd(), item.file)}:${item.line}: ` : '';
+}
+
+export default { importConfig };
@@ -0,0 +1,43 @@
+import chalk from 'chalk';
+import { updateProject } from './edit.js';
+
+/**
+ * Turn a server's maintenance page on or off and regenerate
+ * Bypass settings given with "on" are kept when maintenance is turned off again
+ */
+export async function setMaintenance(mode, serverName, options = {}) {
+  if (!['on', 'off'].includes(mode)) {
+    console.error(chalk.red(`✗ Expected on or off, got '${mode}'`));
+    return false;
+  }
+
+  let cookie;
+  if (options.cookie) {
+    const [name, ...value] = options.cookie.split('=');
+    if (!name || value.length === 0) {
+      console.error(chalk.red('✗ The bypass cookie must be given as name=value'));
+      return false;
+    }
+    cookie = { name, value: value.join('=') };
+  }
+
+  return updateProject(options, state => {
+    const server = state.servers.find(s => s.domain.primary === serverName || s.name === serverName);
+    if (!server) {
+      console.error(chalk.red(`✗ No server ${serverName} (servers: ${state.servers.map(s => s.domain.primary).join(', ')})`));
+      return null;
+    }
+
+    server.maintenance = {
+      ...server.maintenance,
+      enabled: mode === 'on',
+      ...(options.retryAfter !== undefined && { retryAfter: parseInt(options.retryAfter) }),
+      ...(options.allow && { allow: options.allow.split(',').map(s => s.trim()).filter(Boolean) }),
+      ...(cookie && { cookie }),
+      ...(options.page && { page: options.page })
+    };
+    return `Maintenance mode ${mode} for ${server.domain.primary}`;
+  });
+}
+
+export default { setMaintenance };
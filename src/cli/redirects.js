@@ -0,0 +1,61 @@
+import { promises as fs } from 'fs';
+import chalk from 'chalk';
+import RedirectTable, { REDIRECT_CODES } from '../core/RedirectTable.js';
+import { updateProject } from './edit.js';
+
+/**
+ * Import a from,to[,code] CSV into a server's redirect table and regenerate
+ * Rows replace existing rows with the same source unless --replace drops the old table
+ */
+export async function importRedirects(file, options = {}) {
+  const defaultCode = options.code !== undefined ? Number(options.code) : 301;
+  if (!REDIRECT_CODES.includes(defaultCode)) {
+    console.error(chalk.red(`✗ Status must be one of ${REDIRECT_CODES.join(', ')}, got '${options.code}'`));
+    return false;
+  }
+  if (options.query && !['keep', 'drop'].includes(options.query)) {
+    console.error(chalk.red(`✗ Query handling must be keep or drop, got '${options.query}'`));
+    return false;
+  }
+
+  const { rows, errors } = RedirectTable.parseCsv(await fs.readFile(file, 'utf-8'), { defaultCode });
+  if (errors.length > 0) {
+    errors.forEach(error => console.error(chalk.red(`✗ ${file}:${error.line}: ${error.message}`)));
+    return false;
+  }
+  if (rows.length === 0) {
+    console.error(chalk.red(`✗ No redirects in ${file}`));
+    return false;
+  }
+
+  return updateProject(options, state => {
+    const servers = state.servers.filter(s => !options.server || s.domain.primary === options.server);
+    if (servers.length !== 1) {
+      console.error(chalk.red(servers.length === 0
+        ? `✗ No server ${options.server}`
+        : `✗ Pick the server with --server (${servers.map(s => s.domain.primary).join(', ')})`));
+      return null;
+    }
+
+    const server = servers[0];
+    const table = new RedirectTable(options.replace ? [] : server.redirects?.rows || []);
+    const { added, replaced } = table.merge(rows);
+
+    const hosts = [server.domain.primary, ...(server.domain.aliases || [])].map(host => host.toLowerCase());
+    // Chains are reported as warnings when the config is regenerated
+    const { loops } = table.analyze({ hosts });
+    if (loops.length > 0) {
+      loops.forEach(hops => console.error(chalk.red(`✗ Redirect loop: ${hops.join(' → ')}`)));
+      return null;
+    }
+
+    server.redirects = {
+      ...server.redirects,
+      ...(options.query && { query: options.query }),
+      rows: table.rows
+    };
+    return `Imported ${rows.length} redirects into ${server.domain.primary} (${added} added, ${replaced} replaced, ${table.rows.length} total)`;
+  });
+}
+
+export default { importRedirects };
@@ -1,5 +1,8 @@
 import { promises as fs } from 'fs';
+import path from 'path';
 import chalk from 'chalk';
+import NginxParser, { walk, formatPosition } from '../core/NginxParser.js';
+import DirectiveSchema from '../core/DirectiveSchema.js';
 
 /**
  * Validate nginx configuration file
@@ -16,34 +19,56 @@ export async function validateConfig(configPath) {
       return false;
     }
 
-    // Read config file
-    const configContent = await fs.readFile(configPath, 'utf-8');
+    // Parse config and all included files
+    let parsed;
+    try {
+      parsed = await new NginxParser().parseFile(configPath);
+    } catch (error) {
+      if (error.line === undefined) throw error;
+      console.log(chalk.red('✗ Syntax Errors:\n'));
+      console.log(chalk.red(`  ${formatIssue({ ...error, message: error.reason })}`));
+      return false;
+    }
 
     // Check basic syntax
-    const syntaxErrors = checkSyntax(configContent);
+    const syntaxErrors = checkSyntax(parsed.nodes);
     if (syntaxErrors.length > 0) {
       console.log(chalk.red('✗ Syntax Errors:\n'));
       syntaxErrors.forEach(error => {
-        console.log(chalk.red(`  Line ${error.line}: ${error.message}`));
+        console.log(chalk.red(`  ${formatIssue(error)}`));
+      });
+      return false;
+    }
+
+    // Check directives against the directive schema
+    const schemaResult = new DirectiveSchema().validate(parsed.nodes);
+    if (schemaResult.errors.length > 0) {
+      console.log(chalk.red('✗ Directive Errors:\n'));
+      schemaResult.errors.forEach(error => {
+        console.log(chalk.red(`  ${formatIssue(error)}`));
       });
       return false;
     }
 
     // Check for common issues
-    const warnings = checkCommonIssues(configContent);
+    const warnings = [
+      ...parsed.warnings.map(message => ({ message })),
+      ...schemaResult.warnings,
+      ...checkCommonIssues(parsed.nodes, parsed.file)
+    ];
     if (warnings.length > 0) {
       console.log(chalk.yellow('⚠ Warnings:\n'));
       warnings.forEach(warning => {
-        console.log(chalk.yellow(`  ${warning}`));
+        console.log(chalk.yellow(`  ${formatIssue(warning)}`));
       });
     }
 
     // Check for security best practices
-    const securityIssues = checkSecurityBestPractices(configContent);
+    const securityIssues = checkSecurityBestPractices(parsed.nodes, parsed.file);
     if (securityIssues.length > 0) {
       console.log(chalk.yellow('\n⚠ Security Recommendations:\n'));
       securityIssues.forEach(issue => {
-        console.log(chalk.yellow(`  ${issue}`));
+        console.log(chalk.yellow(`  ${formatIssue(issue)}`));
       });
     }
 
@@ -62,51 +87,111 @@ export async function validateConfig(configPath) {
   }
 }
 
+/**
+ * Format an issue as file:line:column: message
+ */
+export function formatIssue(issue) {
+  const position = describePosition(issue);
+  return position ? `${position}: ${issue.message}` : issue.message;
+}
+
+/**
+ * Format a node or issue position for display
+ */
+function describePosition(position) {
+  return formatPosition({ ...position, file: position.file && displayPath(position.file) });
+}
+
+/**
+ * Show paths inside the working directory relative to it
+ */
+export function displayPath(file) {
+  const relative = path.relative(process.cwd(), file);
+  return relative.startsWith('..') || path.isAbsolute(relative) ? file : relative;
+}
+
+/**
+ * Create an issue pointing at a node
+ */
+function issueAt(node, message) {
+  return { message, file: node.file, line: node.line, column: node.column };
+}
+
+/**
+ * Collect server blocks of the http context
+ */
+function collectServers(nodes) {
+  const servers = [];
+  walk(nodes, (node, parents) => {
+    if (node.name === 'server' && node.block && parents[parents.length - 1]?.name === 'http') {
+      servers.push(node);
+    }
+  });
+  return servers;
+}
+
+/**
+ * Summarize the listen directives of a server block
+ */
+function getListens(server) {
+  return server.block
+    .filter(d => d.name === 'listen')
+    .map(d => {
+      const match = (d.args[0] || '').match(/(?:^|:)(\d+)$/);
+      return {
+        node: d,
+        port: match ? parseInt(match[1]) : 80,
+        ssl: d.args.includes('ssl') || d.args.includes('quic'),
+        defaultServer: d.args.includes('default_server')
+      };
+    });
+}
+
+/**
+ * Check whether a server block (or its root location) only redirects to HTTPS
+ */
+function redirectsToHttps(server) {
+  const isHttpsReturn = d => d.name === 'return' && /^30[1278]$/.test(d.args[0]) && /^https:\/\//.test(d.args[1] || '');
+  const root = server.block.find(d => d.name === 'location' && d.args.join(' ') === '/');
+  return server.block.some(isHttpsReturn) || !!root?.block?.some(isHttpsReturn);
+}
+
 /**
  * Check basic syntax
+ * Unbalanced braces, unterminated strings and directives are rejected by the parser itself
  */
-function checkSyntax(content) {
+export function checkSyntax(nodes) {
   const errors = [];
-  const lines = content.split('\n');
-
-  let braceCount = 0;
-
-  lines.forEach((line, index) => {
-    const trimmed = line.trim();
-
-    // Skip comments
-    if (trimmed.startsWith('#')) return;
-
-    // Check for unmatched braces
-    const openBraces = (line.match(/{/g) || []).length;
-    const closeBraces = (line.match(/}/g) || []).length;
-    braceCount += openBraces - closeBraces;
-
-    // Check for missing semicolons
-    if (
-      trimmed &&
-      !trimmed.endsWith('{') &&
-      !trimmed.endsWith('}') &&
-      !trimmed.endsWith(';') &&
-      !trimmed.startsWith('#')
-    ) {
-      // Check if it's a directive that should have a semicolon
-      if (trimmed.match(/^\w+/)) {
+
+  walk(nodes, node => {
+    // A bare directive name opening a new line inside the arguments means the previous line lost its semicolon
+    const positions = node.argPositions || [];
+    for (let i = 0; i < positions.length - 1; i++) {
+      const previous = i === 0
+        ? { endLine: node.line, endColumn: node.column + node.name.length - 1 }
+        : positions[i - 1];
+      const current = positions[i];
+
+      if (!current.quoted && current.line > previous.endLine &&
+          /^[a-z][a-z0-9_]*$/.test(node.args[i]) && positions[i + 1].line === current.line) {
         errors.push({
-          line: index + 1,
-          message: 'Missing semicolon at end of directive'
+          message: `Missing semicolon at end of "${node.name}" directive`,
+          file: node.file,
+          line: previous.endLine,
+          column: previous.endColumn + 1
         });
+        break;
       }
     }
-  });
 
-  // Check for unmatched braces
-  if (braceCount !== 0) {
-    errors.push({
-      line: lines.length,
-      message: `Unmatched braces (${braceCount > 0 ? 'unclosed' : 'extra closing'})`
-    });
-  }
+    if (node.block && ['location', 'upstream', 'map', 'geo', 'split_clients', 'if'].includes(node.name) && node.args.length === 0) {
+      errors.push(issueAt(node, `"${node.name}" block requires arguments`));
+    }
+
+    if (node.block && ['events', 'http', 'server', 'stream'].includes(node.name) && node.args.length > 0) {
+      errors.push(issueAt(node, `"${node.name}" block does not take arguments`));
+    }
+  });
 
   return errors;
 }
@@ -114,50 +199,70 @@ function checkSyntax(content) {
 /**
  * Check common configuration issues
  */
-function checkCommonIssues(content) {
+export function checkCommonIssues(nodes, file = null) {
   const warnings = [];
-
-  // Check for duplicate server_name
-  const serverNames = content.match(/server_name\s+([^;]+);/g);
-  if (serverNames) {
-    const names = serverNames.map(s =>
-      s
-        .replace(/server_name\s+/, '')
-        .replace(';', '')
-        .trim()
-    );
-    const duplicates = names.filter((name, index) => names.indexOf(name) !== index);
-    if (duplicates.length > 0) {
-      warnings.push(`Duplicate server_name found: ${duplicates.join(', ')}`);
+  const servers = collectServers(nodes);
+
+  // Check for duplicate server_name on the same port
+  const seen = new Map();
+  for (const server of servers) {
+    const ports = [...new Set(getListens(server).map(l => l.port))];
+    if (ports.length === 0) ports.push(80);
+
+    for (const directive of server.block.filter(d => d.name === 'server_name')) {
+      for (const name of directive.args) {
+        for (const port of ports) {
+          const key = `${name}:${port}`;
+          if (seen.has(key)) {
+            warnings.push(issueAt(
+              directive,
+              `Duplicate server_name ${name} on port ${port} (first defined at ${describePosition(seen.get(key))})`
+            ));
+          } else {
+            seen.set(key, directive);
+          }
+        }
+      }
     }
   }
 
   // Check for listen on port 80 without SSL redirect
-  const hasHttp = content.includes('listen 80') || content.includes('listen [::]:80');
-  const hasHttpsRedirect = content.includes('return 301 https://');
-  if (hasHttp && !hasHttpsRedirect && content.includes('listen 443')) {
-    warnings.push('HTTP port 80 is open without redirect to HTTPS');
+  const httpsNames = new Set(
+    servers
+      .filter(s => getListens(s).some(l => l.ssl))
+      .flatMap(s => s.block.filter(d => d.name === 'server_name').flatMap(d => d.args))
+  );
+  for (const server of servers) {
+    const plainHttp = getListens(server).find(l => l.port === 80 && !l.ssl);
+    const names = server.block.filter(d => d.name === 'server_name').flatMap(d => d.args);
+    if (plainHttp && names.some(n => httpsNames.has(n)) && !redirectsToHttps(server)) {
+      warnings.push(issueAt(plainHttp.node, 'HTTP port 80 is open without redirect to HTTPS'));
+    }
   }
 
   // Check for missing worker_processes
-  if (!content.includes('worker_processes')) {
-    warnings.push('worker_processes directive not found (nginx default: 1)');
+  if (!nodes.some(n => n.name === 'worker_processes')) {
+    warnings.push({ message: 'worker_processes directive not found (nginx default: 1)', file });
   }
 
   // Check for missing worker_connections
-  if (!content.includes('worker_connections')) {
-    warnings.push('worker_connections directive not found (nginx default: 512)');
+  const events = nodes.find(n => n.name === 'events');
+  if (!events?.block?.some(n => n.name === 'worker_connections')) {
+    const message = 'worker_connections directive not found (nginx default: 512)';
+    warnings.push(events ? issueAt(events, message) : { message, file });
   }
 
   // Check for large client_max_body_size
-  const bodySize = content.match(/client_max_body_size\s+(\d+)([kKmMgG]?)/);
-  if (bodySize) {
+  walk(nodes, node => {
+    if (node.name !== 'client_max_body_size') return;
+    const bodySize = (node.args[0] || '').match(/^(\d+)([kKmMgG]?)$/);
+    if (!bodySize) return;
     const size = parseInt(bodySize[1]);
-    const unit = bodySize[2]?.toLowerCase() || '';
+    const unit = bodySize[2].toLowerCase();
     if ((unit === 'g' && size > 1) || (unit === 'm' && size > 100)) {
-      warnings.push(`Large client_max_body_size: ${bodySize[0]} (potential DoS risk)`);
+      warnings.push(issueAt(node, `Large client_max_body_size: ${node.args[0]} (potential DoS risk)`));
     }
-  }
+  });
 
   return warnings;
 }
@@ -165,27 +270,35 @@ function checkCommonIssues(content) {
 /**
  * Check security best practices
  */
-function checkSecurityBestPractices(content) {
+export function checkSecurityBestPractices(nodes, file = null) {
   const issues = [];
+  const http = nodes.find(n => n.name === 'http' && n.block);
+  const servers = collectServers(nodes);
+  const inherited = (server, name) =>
+    server.block.find(d => d.name === name) || http?.block.find(d => d.name === name);
 
   // Check for SSL/TLS configuration
-  if (content.includes('ssl_certificate')) {
-    if (!content.includes('ssl_protocols')) {
-      issues.push('Missing ssl_protocols directive (recommend TLSv1.2 TLSv1.3)');
-    } else if (content.includes('TLSv1 ') || content.includes('TLSv1.1')) {
-      issues.push('Using outdated TLS versions (TLSv1.0 or TLSv1.1)');
-    }
+  for (const server of servers) {
+    if (!inherited(server, 'ssl_certificate')) continue;
 
-    if (!content.includes('ssl_ciphers')) {
-      issues.push('Missing ssl_ciphers directive');
+    if (!inherited(server, 'ssl_protocols')) {
+      issues.push(issueAt(server, 'Missing ssl_protocols directive (recommend TLSv1.2 TLSv1.3)'));
     }
-
-    if (!content.includes('ssl_prefer_server_ciphers')) {
-      issues.push('Missing ssl_prefer_server_ciphers directive');
+    if (!inherited(server, 'ssl_ciphers')) {
+      issues.push(issueAt(server, 'Missing ssl_ciphers directive'));
+    }
+    if (!inherited(server, 'ssl_prefer_server_ciphers')) {
+      issues.push(issueAt(server, 'Missing ssl_prefer_server_ciphers directive'));
     }
   }
 
-  // Check for security headers
+  walk(nodes, node => {
+    if (node.name === 'ssl_protocols' && (node.args.includes('TLSv1') || node.args.includes('TLSv1.1'))) {
+      issues.push(issueAt(node, 'Using outdated TLS versions (TLSv1.0 or TLSv1.1)'));
+    }
+  });
+
+  // Check for security headers (add_header is only inherited when a level defines none itself)
   const securityHeaders = [
     'X-Frame-Options',
     'X-Content-Type-Options',
@@ -193,26 +306,48 @@ function checkSecurityBestPractices(content) {
     'Strict-Transport-Security'
   ];
 
-  securityHeaders.forEach(header => {
-    if (!content.includes(header)) {
-      issues.push(`Missing security header: ${header}`);
+  for (const server of servers) {
+    if (redirectsToHttps(server) && !server.block.some(d => d.name === 'location' && d.args.join(' ') !== '/')) {
+      continue;
     }
-  });
+
+    const own = server.block.filter(d => d.name === 'add_header');
+    const headers = (own.length > 0 ? own : http?.block.filter(d => d.name === 'add_header') || [])
+      .map(d => d.args[0]?.toLowerCase());
+    const usesSSL = getListens(server).some(l => l.ssl) || !!inherited(server, 'ssl_certificate');
+
+    const missing = securityHeaders.filter(header =>
+      !headers.includes(header.toLowerCase()) && (header !== 'Strict-Transport-Security' || usesSSL)
+    );
+    if (missing.length > 0) {
+      issues.push(issueAt(server, `Missing security header${missing.length > 1 ? 's' : ''}: ${missing.join(', ')}`));
+    }
+  }
 
   // Check for server_tokens
-  if (!content.includes('server_tokens off')) {
-    issues.push('server_tokens not disabled (nginx version exposed)');
+  const tokensOff = d => d.name === 'server_tokens' && d.args[0] === 'off';
+  const hiddenEverywhere = http?.block.some(tokensOff) ||
+    (servers.length > 0 && servers.every(s => s.block.some(tokensOff)));
+  if (!hiddenEverywhere) {
+    issues.push(http
+      ? issueAt(http, 'server_tokens not disabled (nginx version exposed)')
+      : { message: 'server_tokens not disabled (nginx version exposed)', file });
   }
 
   // Check for autoindex
-  if (content.includes('autoindex on')) {
-    issues.push('Directory listing enabled (autoindex on) - security risk');
-  }
+  walk(nodes, node => {
+    if (node.name === 'autoindex' && node.args[0] === 'on') {
+      issues.push(issueAt(node, 'Directory listing enabled (autoindex on) - security risk'));
+    }
+  });
 
   // Check for default_server without explicit server_name
-  const defaultServers = content.match(/listen[^;]+default_server[^;]*;/g);
-  if (defaultServers && !content.includes('server_name _')) {
-    issues.push('default_server without catch-all server_name _');
+  for (const server of servers) {
+    const defaultListen = getListens(server).find(l => l.defaultServer);
+    const names = server.block.filter(d => d.name === 'server_name').flatMap(d => d.args);
+    if (defaultListen && !names.includes('_')) {
+      issues.push(issueAt(defaultListen.node, 'default_server without catch-all server_name _'));
+    }
   }
 
   return issues;
@@ -0,0 +1,101 @@
+// Above this many LCS cells the changed middle is shown as a whole-block replacement
+const MAX_CELLS = 4_000_000;
+
+const GENERATED_AT = /^# Generated at: .*$/m;
+
+/**
+ * Line diff between two texts (longest common subsequence of the lines between the
+ * common prefix and suffix)
+ * @returns {Array} - Entries of { type: ' ' | '-' | '+', line }
+ */
+export function diffLines(before, after) {
+  const a = before === '' ? [] : before.replace(/\n$/, '').split('\n');
+  const b = after === '' ? [] : after.replace(/\n$/, '').split('\n');
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const diff = a.slice(0, start).map(line => ({ type: ' ', line }));
+  const n = endA - start;
+  const m = endB - start;
+
+  if (n * m > MAX_CELLS) {
+    diff.push(...a.slice(start, endA).map(line => ({ type: '-', line })));
+    diff.push(...b.slice(start, endB).map(line => ({ type: '+', line })));
+  } else {
+    // lengths[i * width + j] = LCS length of the middle lines a[i:] and b[j:]
+    const width = m + 1;
+    const lengths = new Uint32Array((n + 1) * width);
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lengths[i * width + j] = a[start + i] === b[start + j]
+          ? lengths[(i + 1) * width + j + 1] + 1
+          : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < n || j < m) {
+      if (i < n && j < m && a[start + i] === b[start + j]) {
+        diff.push({ type: ' ', line: a[start + i++] });
+        j++;
+      } else if (i < n && (j === m || lengths[(i + 1) * width + j] >= lengths[i * width + j + 1])) {
+        diff.push({ type: '-', line: a[start + i++] });
+      } else {
+        diff.push({ type: '+', line: b[start + j++] });
+      }
+    }
+  }
+
+  diff.push(...a.slice(endA).map(line => ({ type: ' ', line })));
+  return diff;
+}
+
+/**
+ * Keep the file on disk when the regenerated one only differs in its "# Generated at:" header
+ * @returns {string} - previous when nothing else changed, otherwise content
+ */
+export function keepGeneratedAt(previous, content) {
+  if (!GENERATED_AT.test(previous) || !GENERATED_AT.test(content)) return content;
+  return previous.replace(GENERATED_AT, '') === content.replace(GENERATED_AT, '') ? previous : content;
+}
+
+/**
+ * Format a diff as unified-style hunks with a few lines of context
+ * @returns {Array} - Output lines (empty when nothing changed)
+ */
+export function formatDiff(diff, file, context = 3) {
+  const changed = diff.map((entry, index) => (entry.type === ' ' ? -1 : index)).filter(index => index >= 0);
+  if (changed.length === 0) return [];
+
+  // Merge changes whose context overlaps into one hunk
+  const hunks = [];
+  for (const index of changed) {
+    const last = hunks[hunks.length - 1];
+    if (last && index - last.end <= context * 2 + 1) {
+      last.end = index;
+    } else {
+      hunks.push({ start: index, end: index });
+    }
+  }
+
+  const lines = [`--- ${file}`, `+++ ${file}`];
+  for (const hunk of hunks) {
+    const from = Math.max(hunk.start - context, 0);
+    const to = Math.min(hunk.end + context, diff.length - 1);
+    const oldStart = diff.slice(0, from).filter(entry => entry.type !== '+').length + 1;
+    const newStart = diff.slice(0, from).filter(entry => entry.type !== '-').length + 1;
+    const body = diff.slice(from, to + 1);
+
+    lines.push(`@@ -${oldStart},${body.filter(e => e.type !== '+').length} +${newStart},${body.filter(e => e.type !== '-').length} @@`);
+    lines.push(...body.map(entry => `${entry.type}${entry.line}`));
+  }
+  return lines;
+}
@@ -1,4 +1,6 @@
 import chalk from 'chalk';
+import path from 'path';
+import ServerName from '../../core/ServerName.js';
 
 /**
  * Display the configuration tree in a visual format
@@ -9,7 +11,10 @@ export function displayTree(state) {
   console.log(chalk.gray(`│   ├── workers: ${state.globalSettings.workerProcesses}`));
   console.log(chalk.gray(`│   ├── connections: ${state.globalSettings.workerConnections}`));
   console.log(chalk.gray(`│   ├── compression: ${state.globalSettings.compression ? 'yes' : 'no'}`));
-  console.log(chalk.gray(`│   └── security headers: ${state.globalSettings.securityHeaders ? 'yes' : 'no'}`));
+  console.log(chalk.gray(`│   ├── security headers: ${state.globalSettings.securityHeaders ? 'yes' : 'no'}`));
+  const catchAll = state.globalSettings.defaultServer && state.globalSettings.defaultServer.enabled !== false;
+  console.log(chalk.gray(`│   ├── unknown hosts: ${catchAll ? 'default server' : 'first server'}`));
+  console.log(chalk.gray(`│   └── ddos protection: ${state.globalSettings.ddos?.enabled ? state.globalSettings.ddos.profile : 'off'}`));
 
   if (state.upstreams.length > 0) {
     console.log(chalk.gray('├── Global Upstreams'));
@@ -20,6 +25,28 @@ export function displayTree(state) {
     });
   }
 
+  const maps = state.maps || [];
+  if (maps.length > 0) {
+    console.log(chalk.gray('├── Maps'));
+    maps.forEach((map, idx) => {
+      const prefix = idx === maps.length - 1 ? '└──' : '├──';
+      console.log(chalk.blue(`│   ${prefix} $${map.name} (${map.source} → ${map.entries?.length || 0} entries, default ${map.default})`));
+    });
+  }
+
+  const listeners = state.streams?.listeners || [];
+  if (listeners.length > 0) {
+    console.log(chalk.gray('├── Streams'));
+    (state.streams.upstreams || []).forEach(upstream => {
+      console.log(chalk.blue(`│   ├── ${upstream.name} (${upstream.servers.length} servers)`));
+    });
+    listeners.forEach((listener, idx) => {
+      const prefix = idx === listeners.length - 1 ? '└──' : '├──';
+      const backend = listener.sniRoutes?.length > 0 ? 'SNI routing' : listener.upstream || listener.target;
+      console.log(chalk.magenta(`│   ${prefix} ${listener.name || listener.port} (${listener.protocol || 'tcp'}/${listener.port} → ${backend})`));
+    });
+  }
+
   if (state.servers.length === 0) {
     console.log(chalk.yellow('└── (no servers configured)'));
   } else {
@@ -29,8 +56,12 @@ export function displayTree(state) {
       const serverPrefix = isLastServer ? '    └──' : '    ├──';
       const childPrefix = isLastServer ? '        ' : '    │   ';
       
-      const sslBadge = server.ssl?.enabled ? chalk.green(' [SSL]') : '';
-      console.log(chalk.cyan(`${serverPrefix} ${server.domain.primary}${sslBadge}`));
+      const sslBadge = server.ssl?.enabled ? chalk.green(server.ssl.clientCert ? ' [SSL, mTLS]' : ' [SSL]') : '';
+      const authBadge = server.auth?.basic || server.forwardAuth ? chalk.yellow(' [auth]') : '';
+      const accessBadge = server.access ? chalk.magenta(' [ip rules]') : '';
+      const maintenanceBadge = server.maintenance?.enabled ? chalk.red(' [maintenance]') : '';
+      const redirectBadge = server.redirects?.rows?.length ? chalk.gray(` [${server.redirects.rows.length} redirects]`) : '';
+      console.log(chalk.cyan(`${serverPrefix} ${server.domain.primary}${sslBadge}${authBadge}${accessBadge}${maintenanceBadge}${redirectBadge}`));
       
       // Show upstreams
       if (server.upstreams?.length > 0) {
@@ -46,7 +77,9 @@ export function displayTree(state) {
         console.log(chalk.gray(`${childPrefix}└── Locations`));
         server.locations.forEach((loc, lIdx) => {
           const lPrefix = lIdx === server.locations.length - 1 ? '└──' : '├──';
-          console.log(chalk.white(`${childPrefix}    ${lPrefix} ${loc.path} (${loc.type})`));
+          const locAuth = loc.auth?.basic ? chalk.yellow(' [auth]') : loc.public ? chalk.gray(' [public]') : '';
+          const locAccess = loc.access ? chalk.magenta(' [ip rules]') : '';
+          console.log(chalk.white(`${childPrefix}    ${lPrefix} ${loc.path} (${loc.type})${locAuth}${locAccess}`));
         });
       } else {
         console.log(chalk.yellow(`${childPrefix}└── (no locations)`));
@@ -103,9 +136,8 @@ export function showSection(title) {
 /**
  * Show next steps after configuration generation
  */
-export function showNextSteps(state, outputDir) {
+export function showNextSteps(state, outputDir, layout = 'single') {
   const domain = state.servers[0]?.domain?.primary || 'example.com';
-  const path = require('path');
 
   console.log(chalk.cyan('\nNext Steps:\n'));
   console.log(chalk.white('  1. Review the generated configuration:'));
@@ -115,17 +147,31 @@ export function showNextSteps(state, outputDir) {
   console.log(chalk.gray(`     sudo nginx -t -c ${path.resolve(outputDir || '.', 'nginx.conf')}\n`));
 
   console.log(chalk.white('  3. Copy to nginx directory:'));
-  console.log(chalk.gray(`     sudo cp nginx.conf /etc/nginx/sites-available/${domain}.conf`));
-  console.log(chalk.gray(`     sudo ln -s /etc/nginx/sites-available/${domain}.conf /etc/nginx/sites-enabled/\n`));
+  if (layout === 'single') {
+    console.log(chalk.gray(`     sudo cp nginx.conf /etc/nginx/sites-available/${domain}.conf`));
+    console.log(chalk.gray(`     sudo ln -s /etc/nginx/sites-available/${domain}.conf /etc/nginx/sites-enabled/\n`));
+  } else {
+    // The layout mirrors /etc/nginx, so the generated tree is copied as a whole (symlinks included)
+    console.log(chalk.gray(`     cd ${outputDir || './'} && sudo cp -a nginx.conf */ /etc/nginx/\n`));
+  }
 
   const hasSSL = state.servers.some(s => s.ssl?.enabled && s.ssl?.provider === 'letsencrypt');
   if (hasSSL) {
-    const sslDomains = state.servers
-      .filter(s => s.ssl?.enabled)
-      .flatMap(s => [s.domain.primary, ...(s.domain.aliases || [])])
+    const sslServers = state.servers.filter(s => s.ssl?.enabled).map(s => [s.domain.primary, ...(s.domain.aliases || [])]);
+    const sslDomains = sslServers
+      .filter(names => !ServerName.hasPatterns(names))
+      .flat()
       .join(' -d ');
     console.log(chalk.white('  4. Obtain SSL certificate:'));
-    console.log(chalk.gray(`     sudo certbot --nginx -d ${sslDomains}\n`));
+    if (sslDomains) {
+      console.log(chalk.gray(`     sudo certbot --nginx -d ${sslDomains}`));
+    }
+    // Wildcard certificates need the DNS challenge
+    sslServers.filter(names => ServerName.hasPatterns(names)).forEach(names => {
+      const domains = ServerName.certificateNames(names).map(name => `-d '${name}'`).join(' ');
+      console.log(chalk.gray(`     sudo certbot certonly --manual --preferred-challenges dns ${domains}`));
+    });
+    console.log('');
   }
 
   console.log(chalk.white('  5. Reload nginx:'));
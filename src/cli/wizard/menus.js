@@ -3,10 +3,13 @@ import inquirer from 'inquirer';
 /**
  * Build main menu choices based on current state
  */
-export function getMainMenuChoices(servers) {
+export function getMainMenuChoices(servers, streams = {}) {
+  const listeners = streams.listeners || [];
   const choices = [
     { name: 'Add a server block', value: 'add-server' },
-    { name: 'Add a global upstream', value: 'add-upstream' }
+    { name: 'Add a global upstream', value: 'add-upstream' },
+    { name: 'Add or replace an IP list', value: 'add-ip-list' },
+    { name: 'Add or replace a routing map (header, cookie)', value: 'add-map' }
   ];
 
   if (servers.length > 0) {
@@ -16,16 +19,29 @@ export function getMainMenuChoices(servers) {
     );
   }
 
+  choices.push(
+    new inquirer.Separator(),
+    { name: 'Add a TCP/UDP stream listener', value: 'add-stream' },
+    { name: 'Add a stream upstream', value: 'add-stream-upstream' }
+  );
+
+  if (listeners.length > 0) {
+    choices.push(
+      { name: 'Edit a stream listener', value: 'edit-stream' },
+      { name: 'Remove a stream listener', value: 'remove-stream' }
+    );
+  }
+
   choices.push(
     new inquirer.Separator(),
     { name: 'Edit global settings', value: 'edit-global' },
     new inquirer.Separator()
   );
 
-  if (servers.length > 0) {
+  if (servers.length > 0 || listeners.length > 0) {
     choices.push({ name: 'Done - Generate configuration', value: 'done' });
   } else {
-    choices.push({ name: 'Done (add at least one server first)', value: 'noop', disabled: true });
+    choices.push({ name: 'Done (add at least one server or stream listener first)', value: 'noop', disabled: true });
   }
 
   choices.push({ name: 'Cancel', value: 'cancel' });
@@ -41,9 +57,21 @@ export function getServerEditMenuChoices(server) {
     { name: 'Add location', value: 'add-location' },
     { name: 'Add upstream', value: 'add-upstream' },
     { name: 'Edit domain settings', value: 'edit-domain' },
-    { name: 'Edit SSL settings', value: 'edit-ssl' }
+    { name: 'Edit SSL settings', value: 'edit-ssl' },
+    { name: 'Edit basic auth', value: 'edit-auth' },
+    { name: 'Edit forward auth', value: 'edit-forward-auth' }
   ];
 
+  if (server.ssl?.enabled) {
+    choices.push({ name: 'Edit client certificates (mTLS)', value: 'edit-client-cert' });
+  }
+  choices.push({ name: 'Edit access rules (IP lists, countries)', value: 'edit-access' });
+
+  if (server.locations?.some(l => ['proxy', 'api'].includes(l.type) && l.upstream)) {
+    choices.push({ name: 'Edit traffic split (canary, blue/green)', value: 'edit-split' });
+  }
+  choices.push({ name: `Turn maintenance mode ${server.maintenance?.enabled ? 'off' : 'on'}`, value: 'edit-maintenance' });
+
   if (server.locations?.length > 0) {
     choices.push(
       { name: 'Edit location', value: 'edit-location' },
@@ -69,7 +97,7 @@ export function getServerEditMenuChoices(server) {
 /**
  * Build upstream choices for location configuration
  */
-export function getUpstreamChoices(serverUpstreams, globalUpstreams) {
+export function getUpstreamChoices(serverUpstreams, globalUpstreams, maps = []) {
   const choices = [];
   
   if (serverUpstreams?.length > 0) {
@@ -90,6 +118,15 @@ export function getUpstreamChoices(serverUpstreams, globalUpstreams) {
     );
   }
   
+  if (maps?.length > 0) {
+    choices.push(
+      ...maps.map(m => ({
+        name: `Map: $${m.name} (by ${m.source})`,
+        value: { type: 'map', name: m.name }
+      }))
+    );
+  }
+
   choices.push(
     new inquirer.Separator(),
     { name: 'Enter URL directly', value: { type: 'direct' } },
@@ -128,3 +165,28 @@ export function getUpstreamSelectionChoices(upstreams) {
     value: u.id
   }));
 }
+
+/**
+ * Build backend choices for stream listeners
+ */
+export function getStreamUpstreamChoices(streamUpstreams) {
+  return [
+    ...(streamUpstreams || []).map(u => ({
+      name: `Stream upstream: ${u.name}`,
+      value: { type: 'upstream', name: u.name }
+    })),
+    new inquirer.Separator(),
+    { name: 'Enter host:port directly', value: { type: 'direct' } },
+    { name: 'Create new stream upstream first', value: { type: 'new' } }
+  ];
+}
+
+/**
+ * Build stream listener selection choices
+ */
+export function getStreamListenerSelectionChoices(listeners) {
+  return listeners.map(l => ({
+    name: `${l.name || l.port} (${l.protocol || 'tcp'}/${l.port} → ${l.upstream || l.target})`,
+    value: l.id
+  }));
+}
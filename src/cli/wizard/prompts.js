@@ -1,5 +1,6 @@
 import inquirer from 'inquirer';
 import chalk from 'chalk';
+import CacheManager from '../../core/CacheManager.js';
 
 /**
  * Global settings prompts
@@ -44,6 +45,31 @@ export async function promptGlobalSettings() {
       name: 'securityHeaders',
       message: 'Add security headers by default?',
       default: true
+    },
+    {
+      type: 'confirm',
+      name: 'defaultServer',
+      message: 'Reject requests for unknown hosts (catch-all default server)?',
+      default: true
+    },
+    {
+      type: 'list',
+      name: 'ddosProfile',
+      message: 'DDoS protection (connection & request limiting):',
+      choices: [
+        { name: 'Off', value: 'off' },
+        { name: 'Strict - 10 conn/IP, 10 req/s (high security)', value: 'strict' },
+        { name: 'Balanced - 20 conn/IP, 100 req/s (recommended)', value: 'balanced' },
+        { name: 'Permissive - 50 conn/IP, 200 req/s (low restriction)', value: 'permissive' }
+      ],
+      default: 'off'
+    },
+    {
+      type: 'input',
+      name: 'ddosLoginPaths',
+      message: 'Login paths to limit more strictly (comma-separated):',
+      default: '/login',
+      when: a => a.ddosProfile !== 'off'
     }
   ]);
 }
@@ -56,7 +82,7 @@ export async function promptServerConfig(validator) {
     {
       type: 'input',
       name: 'domain',
-      message: 'Domain name:',
+      message: `Domain name ${chalk.dim('(*.example.com or ~regex for wildcards)')}:`,
       default: 'example.com',
       validate: input => {
         validator.clear();
@@ -92,9 +118,8 @@ export async function promptServerConfig(validator) {
     {
       type: 'confirm',
       name: 'http2',
-      message: 'Enable HTTP/2?',
-      when: a => a.ssl,
-      default: true
+      message: a => a.ssl ? 'Enable HTTP/2?' : 'Enable cleartext HTTP/2 (h2c, needed for gRPC)?',
+      default: a => a.ssl
     }
   ]);
 }
@@ -114,6 +139,10 @@ export async function promptLocationType() {
         { name: '↗️  Proxy pass - Forward requests to backend server', value: 'proxy' },
         { name: '⚡ API endpoint - API with optional CORS & rate limiting', value: 'api' },
         { name: '🔌 WebSocket - WebSocket connection support', value: 'websocket' },
+        { name: '📡 gRPC - Forward gRPC calls over HTTP/2', value: 'grpc' },
+        { name: '🐘 FastCGI - PHP-FPM and other FastCGI apps', value: 'fastcgi' },
+        { name: '🐍 uWSGI - Django/Flask behind a uWSGI socket', value: 'uwsgi' },
+        { name: '🔗 SCGI - Apps speaking SCGI', value: 'scgi' },
         { name: '↪️  Redirect - Redirect to another URL', value: 'redirect' },
         { name: '💚 Health check - Health check endpoint', value: 'health' },
         { name: '💾 Cached proxy - Proxy with caching', value: 'cache' },
@@ -333,6 +362,164 @@ export async function promptWebSocketLocation(upstreamChoices) {
   ]);
 }
 
+/**
+ * gRPC location prompts
+ */
+export async function promptGrpcLocation(upstreamChoices, current = {}) {
+  return inquirer.prompt([
+    {
+      type: 'input',
+      name: 'path',
+      message: 'gRPC path (usually /package.Service/):',
+      default: current.path || '/'
+    },
+    {
+      type: 'list',
+      name: 'target',
+      message: 'gRPC backend:',
+      choices: upstreamChoices
+    },
+    {
+      type: 'input',
+      name: 'directUrl',
+      message: 'Backend URL:',
+      when: a => a.target.type === 'direct',
+      default: current.target || 'grpc://localhost:50051',
+      validate: input => /^(grpcs?:\/\/|unix:)/.test(input) || 'Use grpc://, grpcs:// or unix:'
+    },
+    {
+      type: 'confirm',
+      name: 'grpcTls',
+      message: 'Connect to the upstream over TLS (grpcs)?',
+      when: a => a.target.type === 'upstream',
+      default: current.grpcTls || false
+    },
+    {
+      type: 'number',
+      name: 'timeout',
+      message: 'Read/send timeout (seconds, 0 for nginx default; raise for streaming calls):',
+      default: current.timeout ?? 60
+    }
+  ]);
+}
+
+/**
+ * FastCGI location prompts
+ */
+export async function promptFastcgiLocation(upstreamChoices, current = {}) {
+  return inquirer.prompt([
+    {
+      type: 'input',
+      name: 'path',
+      message: 'Location path:',
+      default: current.path || '~ [^/]\\.php(/|$)'
+    },
+    {
+      type: 'input',
+      name: 'root',
+      message: 'Document root:',
+      default: current.root || '/var/www/html'
+    },
+    {
+      type: 'list',
+      name: 'target',
+      message: 'FastCGI backend:',
+      choices: upstreamChoices
+    },
+    {
+      type: 'input',
+      name: 'directUrl',
+      message: 'Socket (unix:/path or host:port):',
+      when: a => a.target.type === 'direct',
+      default: current.target || 'unix:/run/php/php-fpm.sock',
+      validate: input => /^(unix:\S+|[^\s/:]+:\d+)$/.test(input) || 'Use unix:/path/to.sock or host:port'
+    },
+    {
+      type: 'input',
+      name: 'buffers',
+      message: 'fastcgi_buffers (number and size):',
+      default: current.buffers || '16 16k',
+      validate: input => /^\d+ \d+[kKmM]?$/.test(input) || 'Use a number and a size, like 16 16k'
+    },
+    {
+      type: 'number',
+      name: 'timeout',
+      message: 'Read timeout (seconds, 0 for nginx default):',
+      default: current.timeout ?? 60
+    },
+    {
+      type: 'confirm',
+      name: 'cache',
+      message: 'Enable fastcgi_cache?',
+      default: !!current.cache
+    },
+    {
+      type: 'input',
+      name: 'cacheDuration',
+      message: 'Cache duration for 200/301/302 responses:',
+      when: a => a.cache,
+      default: current.cache?.duration || '10m'
+    },
+    {
+      type: 'confirm',
+      name: 'bypassCookie',
+      message: 'Bypass the cache for session/token cookies?',
+      when: a => a.cache,
+      default: current.cache?.bypassCookie ?? true
+    }
+  ]);
+}
+
+/**
+ * uWSGI and SCGI location prompts
+ */
+export async function promptGatewayLocation(type, upstreamChoices, current = {}) {
+  const label = type === 'uwsgi' ? 'uWSGI' : 'SCGI';
+
+  return inquirer.prompt([
+    {
+      type: 'input',
+      name: 'path',
+      message: 'Location path:',
+      default: current.path || '/'
+    },
+    {
+      type: 'list',
+      name: 'target',
+      message: `${label} backend:`,
+      choices: upstreamChoices
+    },
+    {
+      type: 'input',
+      name: 'directUrl',
+      message: 'Socket (unix:/path or host:port):',
+      when: a => a.target.type === 'direct',
+      default: current.target || `unix:/run/${type}/app.sock`,
+      validate: input => /^(unix:\S+|[^\s/:]+:\d+)$/.test(input) || 'Use unix:/path/to.sock or host:port'
+    },
+    {
+      type: 'confirm',
+      name: 'buffering',
+      message: 'Buffer responses? (turn off for streaming responses)',
+      default: current.buffering ?? true
+    },
+    {
+      type: 'input',
+      name: 'buffers',
+      message: `${type}_buffers (number and size):`,
+      when: a => a.buffering,
+      default: current.buffers || '16 16k',
+      validate: input => /^\d+ \d+[kKmM]?$/.test(input) || 'Use a number and a size, like 16 16k'
+    },
+    {
+      type: 'number',
+      name: 'timeout',
+      message: 'Read/send timeout (seconds, 0 for nginx default):',
+      default: current.timeout ?? 60
+    }
+  ]);
+}
+
 /**
  * Redirect location prompts
  */
@@ -395,24 +582,82 @@ export async function promptHealthLocation() {
  * Cached proxy location prompts
  */
 export async function promptCacheSettings() {
+  const cacheManager = new CacheManager();
+  const strategy = a => cacheManager.getStrategy(a.cacheStrategy);
+
   return inquirer.prompt([
+    {
+      type: 'list',
+      name: 'cacheStrategy',
+      message: 'Caching strategy:',
+      choices: [
+        { name: 'API - short-lived responses, bypass for auth and sessions', value: 'api' },
+        { name: 'Static - long-lived assets (1 day)', value: 'static' },
+        { name: 'CDN - edge caching with long retention (7 days)', value: 'cdn' },
+        { name: 'SSR - server-rendered pages, keyed per session', value: 'ssr' },
+        { name: 'Microcache - 1 second burst protection', value: 'microcache' }
+      ],
+      default: 'api'
+    },
     {
       type: 'input',
       name: 'cacheDuration',
-      message: 'Cache duration:',
-      default: '10m'
+      message: 'Cache duration for 200 responses:',
+      default: a => strategy(a).locationConfig.cacheValid['200']
     },
     {
       type: 'input',
       name: 'cacheZone',
       message: 'Cache zone name:',
-      default: 'proxy_cache'
+      default: a => strategy(a).zoneName
     },
     {
       type: 'confirm',
       name: 'bypassCookie',
       message: 'Bypass cache for requests with session cookies?',
-      default: true
+      default: a => a.cacheStrategy === 'api' || a.cacheStrategy === 'ssr'
+    },
+    {
+      type: 'confirm',
+      name: 'customizeZone',
+      message: 'Customize cache zone storage (path, levels, size, inactive)?',
+      default: false
+    },
+    {
+      type: 'input',
+      name: 'cachePath',
+      message: 'Cache directory:',
+      default: a => `/var/cache/nginx/${a.cacheZone}`,
+      when: a => a.customizeZone
+    },
+    {
+      type: 'input',
+      name: 'cacheLevels',
+      message: 'Directory levels:',
+      default: '1:2',
+      when: a => a.customizeZone,
+      validate: v => /^[12](:[12]){0,2}$/.test(v) ? true : 'Use 1-3 levels of 1 or 2 characters, e.g. 1:2'
+    },
+    {
+      type: 'input',
+      name: 'cacheKeysSize',
+      message: 'Keys zone size (shared memory):',
+      default: a => strategy(a).zoneOptions.keysZone.split(':')[1],
+      when: a => a.customizeZone
+    },
+    {
+      type: 'input',
+      name: 'cacheMaxSize',
+      message: 'Maximum cache size on disk:',
+      default: a => strategy(a).zoneOptions.maxSize,
+      when: a => a.customizeZone
+    },
+    {
+      type: 'input',
+      name: 'cacheInactive',
+      message: 'Remove entries not accessed within:',
+      default: a => strategy(a).zoneOptions.inactive,
+      when: a => a.customizeZone
     }
   ]);
 }
@@ -472,6 +717,155 @@ export async function promptUpstreamConfig() {
   ]);
 }
 
+/**
+ * Stream upstream prompts (TCP/UDP backends)
+ */
+export async function promptStreamUpstreamConfig() {
+  return inquirer.prompt([
+    {
+      type: 'input',
+      name: 'name',
+      message: 'Stream upstream name:',
+      default: 'tcp_backend',
+      validate: input => /^[a-zA-Z_][a-zA-Z0-9_]*$/.test(input) ? true : 'Invalid upstream name'
+    },
+    {
+      type: 'input',
+      name: 'servers',
+      message: `Backend servers ${chalk.dim('(comma-separated host:port, e.g., 10.0.0.1:5432,10.0.0.2:5432)')}:`,
+      validate: input => input.split(',').every(s => /^.+:\d+$/.test(s.trim())) ? true : 'Use host:port for every server',
+      filter: input => input.split(',').map(s => {
+        const parts = s.trim().split(':');
+        return { host: parts[0], port: parseInt(parts[1]) };
+      })
+    },
+    {
+      type: 'list',
+      name: 'loadBalancing',
+      message: 'Load balancing method:',
+      choices: [
+        { name: 'Round Robin (default)', value: 'round_robin' },
+        { name: 'Least Connections', value: 'least_conn' },
+        { name: 'Client address hash (sticky)', value: 'hash $remote_addr consistent' },
+        { name: 'Random', value: 'random' }
+      ],
+      default: 'round_robin'
+    },
+    {
+      type: 'number',
+      name: 'maxFails',
+      message: 'Max fails before marking server down:',
+      default: 3
+    },
+    {
+      type: 'number',
+      name: 'failTimeout',
+      message: 'Fail timeout (seconds):',
+      default: 30
+    }
+  ]);
+}
+
+/**
+ * Stream listener prompts
+ */
+export async function promptStreamListener(backendChoices, current = {}) {
+  const isAddress = input => /^(unix:.+|.+:\d+)$/.test(input.trim());
+
+  return inquirer.prompt([
+    {
+      type: 'input',
+      name: 'name',
+      message: 'Listener name (e.g., postgres, redis, dns):',
+      default: current.name,
+      validate: input => /^[a-zA-Z0-9_.-]+$/.test(input) ? true : 'Use letters, digits, dots, dashes and underscores'
+    },
+    {
+      type: 'list',
+      name: 'protocol',
+      message: 'Protocol:',
+      choices: [
+        { name: 'TCP', value: 'tcp' },
+        { name: 'UDP', value: 'udp' }
+      ],
+      default: current.protocol || 'tcp'
+    },
+    {
+      type: 'number',
+      name: 'port',
+      message: 'Listen port:',
+      default: current.port,
+      validate: input => Number.isInteger(input) && input >= 1 && input <= 65535 ? true : 'Port must be between 1 and 65535'
+    },
+    {
+      type: 'list',
+      name: 'backend',
+      message: 'Backend:',
+      choices: backendChoices
+    },
+    {
+      type: 'input',
+      name: 'target',
+      message: 'Backend address (host:port):',
+      default: current.target || undefined,
+      when: a => a.backend.type === 'direct',
+      validate: input => isAddress(input) ? true : 'Use host:port or a unix: socket'
+    },
+    {
+      type: 'confirm',
+      name: 'acceptProxyProtocol',
+      message: 'Expect the PROXY protocol from clients (e.g., behind a load balancer)?',
+      default: current.acceptProxyProtocol || false,
+      when: a => a.protocol === 'tcp'
+    },
+    {
+      type: 'confirm',
+      name: 'proxyProtocol',
+      message: 'Send the PROXY protocol to the backend?',
+      default: current.proxyProtocol || false
+    },
+    {
+      type: 'input',
+      name: 'sniRoutes',
+      message: `SNI routes with ssl_preread ${chalk.dim('(server=upstream pairs, e.g., db.example.com=pg_primary; empty for none)')}:`,
+      default: (current.sniRoutes || []).map(r => `${r.serverName}=${r.upstream}`).join(', '),
+      when: a => a.protocol === 'tcp',
+      validate: input => !input.trim() || input.split(',').every(pair => /^[^=\s]+=[^=\s]+$/.test(pair.trim()))
+        ? true
+        : 'Use server=upstream pairs separated by commas',
+      filter: input => input.split(',').map(pair => pair.trim()).filter(Boolean).map(pair => {
+        const [serverName, upstream] = pair.split('=');
+        return { serverName, upstream };
+      })
+    },
+    {
+      type: 'number',
+      name: 'maxConnections',
+      message: 'Max connections per client address (0 for unlimited):',
+      default: current.maxConnections || 0
+    },
+    {
+      type: 'number',
+      name: 'connectTimeout',
+      message: 'Backend connect timeout (seconds, 0 for the nginx default):',
+      default: current.connectTimeout || 0
+    },
+    {
+      type: 'number',
+      name: 'timeout',
+      message: 'Idle timeout (seconds, 0 for the nginx default):',
+      default: current.timeout || (current.protocol === 'udp' ? 10 : 0)
+    },
+    {
+      type: 'number',
+      name: 'responses',
+      message: 'Responses expected per datagram (e.g., 1 for DNS, 0 for none):',
+      default: current.responses ?? 1,
+      when: a => a.protocol === 'udp'
+    }
+  ]);
+}
+
 /**
  * Domain edit prompts
  */
@@ -532,9 +926,8 @@ export async function promptSSLEdit(currentSSL) {
     {
       type: 'confirm',
       name: 'http2',
-      message: 'Enable HTTP/2?',
-      when: a => a.enabled,
-      default: currentSSL?.http2 ?? true
+      message: a => a.enabled ? 'Enable HTTP/2?' : 'Enable cleartext HTTP/2 (h2c, needed for gRPC)?',
+      default: a => currentSSL?.http2 ?? a.enabled
     },
     {
       type: 'confirm',
@@ -560,6 +953,452 @@ export async function promptSSLEdit(currentSSL) {
   ]);
 }
 
+/**
+ * Basic auth prompts (whole server or selected locations)
+ */
+export async function promptBasicAuth(server) {
+  const serverAuth = server.auth?.basic || null;
+  const protectedIds = (server.locations || []).filter(l => l.auth?.basic).map(l => l.id);
+  const current = serverAuth || server.locations?.find(l => l.auth?.basic)?.auth.basic || {};
+
+  return inquirer.prompt([
+    {
+      type: 'list',
+      name: 'scope',
+      message: 'Protect with basic auth:',
+      choices: [
+        { name: 'Nothing (basic auth off)', value: 'off' },
+        { name: 'The whole server (health checks stay open)', value: 'server' },
+        { name: 'Selected locations', value: 'locations', disabled: !server.locations?.length && 'no locations yet' }
+      ],
+      default: serverAuth ? 'server' : protectedIds.length > 0 ? 'locations' : 'off'
+    },
+    {
+      type: 'checkbox',
+      name: 'locations',
+      message: 'Locations to protect:',
+      when: a => a.scope === 'locations',
+      choices: (server.locations || []).map(l => ({ name: `${l.path} (${l.type})`, value: l.id, checked: protectedIds.includes(l.id) })),
+      validate: input => input.length > 0 || 'Select at least one location'
+    },
+    {
+      type: 'input',
+      name: 'realm',
+      message: 'Realm (shown in the login prompt):',
+      when: a => a.scope !== 'off',
+      default: current.realm || 'Restricted'
+    },
+    {
+      type: 'input',
+      name: 'userFile',
+      message: `User file ${chalk.dim('(create it with: nginxconf-wizard htpasswd <file> <user>)')}:`,
+      when: a => a.scope !== 'off',
+      default: current.userFile || '/etc/nginx/.htpasswd'
+    }
+  ]);
+}
+
+/**
+ * Forward auth prompts (auth service, sign-in redirect and public locations)
+ */
+export async function promptForwardAuth(server) {
+  const current = server.forwardAuth || {};
+
+  return inquirer.prompt([
+    {
+      type: 'confirm',
+      name: 'enabled',
+      message: 'Check every request with an auth service (auth_request)?',
+      default: Boolean(server.forwardAuth) && current.enabled !== false
+    },
+    {
+      type: 'input',
+      name: 'url',
+      message: 'Auth endpoint:',
+      when: a => a.enabled,
+      default: current.url || 'http://127.0.0.1:4180/oauth2/auth',
+      validate: input => /^https?:\/\/\S+$/.test(input) || 'Enter an http:// or https:// URL'
+    },
+    {
+      type: 'input',
+      name: 'signInUrl',
+      message: `Sign-in URL ${chalk.dim('(empty to answer 401)')}:`,
+      when: a => a.enabled,
+      default: current.signInUrl || ''
+    },
+    {
+      type: 'input',
+      name: 'headers',
+      message: 'Headers to pass to backends (comma-separated):',
+      when: a => a.enabled,
+      default: (current.headers || ['X-Auth-Request-User', 'X-Auth-Request-Email']).join(', ')
+    },
+    {
+      type: 'checkbox',
+      name: 'publicLocations',
+      message: 'Public locations (skip forward auth):',
+      when: a => a.enabled && server.locations?.length > 0,
+      choices: (server.locations || []).map(l => ({
+        name: `${l.path} (${l.type})`,
+        value: l.id,
+        checked: l.auth?.forward === false || (l.auth?.forward === undefined && l.type === 'health')
+      }))
+    }
+  ]);
+}
+
+/**
+ * Client certificate (mTLS) prompts for a server and the locations that require one
+ */
+export async function promptClientCert(server) {
+  const current = server.ssl?.clientCert || {};
+  const enabled = Boolean(server.ssl?.clientCert) && current.enabled !== false;
+
+  return inquirer.prompt([
+    {
+      type: 'list',
+      name: 'verify',
+      message: 'Client certificates:',
+      choices: [
+        { name: 'Off', value: 'off' },
+        { name: 'Required for the whole server (ssl_verify_client on)', value: 'on' },
+        { name: 'Optional, required by selected locations', value: 'optional' }
+      ],
+      default: enabled ? (current.verify === 'on' || !current.verify ? 'on' : 'optional') : 'off'
+    },
+    {
+      type: 'input',
+      name: 'ca',
+      message: 'Trusted client CA bundle:',
+      when: a => a.verify !== 'off',
+      default: current.ca || `/etc/nginx/ssl/${server.domain.primary}/client-ca.pem`,
+      validate: input => input.length > 0 || 'A CA file is required'
+    },
+    {
+      type: 'input',
+      name: 'crl',
+      message: `Revocation list ${chalk.dim('(empty for none)')}:`,
+      when: a => a.verify !== 'off',
+      default: current.crl || ''
+    },
+    {
+      type: 'number',
+      name: 'depth',
+      message: 'Verification depth:',
+      when: a => a.verify !== 'off',
+      default: current.depth || 1
+    },
+    {
+      type: 'checkbox',
+      name: 'required',
+      message: 'Locations that require a valid certificate:',
+      when: a => a.verify === 'optional' && server.locations?.length > 0,
+      choices: (server.locations || []).map(l => ({ name: `${l.path} (${l.type})`, value: l.id, checked: Boolean(l.clientCert?.required) }))
+    },
+    {
+      type: 'checkbox',
+      name: 'headers',
+      message: 'Locations that pass the certificate DN and serial to their backend:',
+      when: a => a.verify !== 'off' && server.locations?.length > 0,
+      choices: (server.locations || []).map(l => ({ name: `${l.path} (${l.type})`, value: l.id, checked: Boolean(l.clientCert?.headers) }))
+    }
+  ]);
+}
+
+/**
+ * Named IP list prompts
+ */
+export async function promptIpList(validator) {
+  return inquirer.prompt([
+    {
+      type: 'input',
+      name: 'name',
+      message: `List name ${chalk.dim('(an existing name replaces that list)')}:`,
+      default: 'office',
+      validate: input => /^[A-Za-z0-9_-]+$/.test(input) || 'Use letters, digits, - and _'
+    },
+    {
+      type: 'input',
+      name: 'addresses',
+      message: 'Addresses or CIDR ranges (comma-separated):',
+      filter: input => input.split(',').map(s => s.trim()).filter(Boolean),
+      validate: input => {
+        validator.clear();
+        if (input.length === 0) return 'Enter at least one address';
+        return input.every(address => validator.validateCIDR(address)) || validator.getErrors()[0];
+      }
+    }
+  ]);
+}
+
+/**
+ * Routing map prompts (name, what to match and the default upstream)
+ */
+export async function promptMap(upstreamNames) {
+  return inquirer.prompt([
+    {
+      type: 'input',
+      name: 'name',
+      message: `Map name ${chalk.dim('(becomes $name; an existing name replaces that map)')}:`,
+      default: 'backend_route',
+      validate: input => /^[A-Za-z0-9_]+$/.test(input) || 'Use letters, digits and _'
+    },
+    {
+      type: 'list',
+      name: 'sourceType',
+      message: 'Route by:',
+      choices: [
+        { name: 'Request header', value: 'header' },
+        { name: 'Cookie', value: 'cookie' },
+        { name: 'Another variable or combination ($http_user_agent, "$cookie_beta:$arg_v")', value: 'variable' }
+      ]
+    },
+    {
+      type: 'input',
+      name: 'sourceName',
+      message: a => a.sourceType === 'header' ? 'Header name:' : a.sourceType === 'cookie' ? 'Cookie name:' : 'Source:',
+      default: a => ({ header: 'X-Beta', cookie: 'beta', variable: '$http_user_agent' })[a.sourceType],
+      validate: (input, a) => {
+        if (a.sourceType === 'header') return /^[A-Za-z0-9-]+$/.test(input) || 'Use letters, digits and -';
+        if (a.sourceType === 'cookie') return /^[A-Za-z0-9_]+$/.test(input) || 'Use letters, digits and _';
+        return input.includes('$') || 'The source must contain a variable';
+      }
+    },
+    {
+      type: 'list',
+      name: 'default',
+      message: 'Default upstream (when nothing matches):',
+      choices: upstreamNames
+    }
+  ]);
+}
+
+/**
+ * Prompt for one map entry
+ */
+export async function promptMapEntry(upstreamNames) {
+  return inquirer.prompt([
+    {
+      type: 'input',
+      name: 'key',
+      message: `Match ${chalk.dim('(exact value, or a regex starting with ~ or ~* to ignore case)')}:`,
+      validate: input => input.length > 0 || 'Enter a value to match'
+    },
+    {
+      type: 'list',
+      name: 'value',
+      message: 'Upstream:',
+      choices: upstreamNames
+    }
+  ]);
+}
+
+/**
+ * Access rule prompts for a server or one of its locations
+ */
+export async function promptAccess(server, ipLists = [], geoip2 = null) {
+  const splitList = input => input ? input.split(',').map(s => s.trim()).filter(Boolean) : [];
+  const listChoices = (access, key) => ipLists.map(list => ({
+    name: `${list.name} (${list.addresses.length} addresses)`,
+    value: list.name,
+    checked: Boolean(access?.[key]?.includes(list.name))
+  }));
+  const targetOf = answers => answers.target === 'server' ? server : server.locations.find(l => l.id === answers.target);
+  const extra = (answers, key) => (targetOf(answers).access?.[key] || []).filter(entry => !ipLists.some(list => list.name === entry)).join(', ');
+
+  return inquirer.prompt([
+    {
+      type: 'list',
+      name: 'target',
+      message: 'Apply access rules to:',
+      choices: [
+        { name: 'The whole server', value: 'server' },
+        ...(server.locations || []).map(l => ({ name: `${l.path} (${l.type})`, value: l.id }))
+      ]
+    },
+    {
+      type: 'checkbox',
+      name: 'allowLists',
+      message: 'Allow only these IP lists:',
+      when: () => ipLists.length > 0,
+      choices: answers => listChoices(targetOf(answers).access, 'allow')
+    },
+    {
+      type: 'input',
+      name: 'allow',
+      message: `Also allow ${chalk.dim('(addresses or CIDR, comma-separated)')}:`,
+      default: answers => extra(answers, 'allow'),
+      filter: splitList
+    },
+    {
+      type: 'checkbox',
+      name: 'denyLists',
+      message: 'Deny these IP lists:',
+      when: () => ipLists.length > 0,
+      choices: answers => listChoices(targetOf(answers).access, 'deny')
+    },
+    {
+      type: 'input',
+      name: 'deny',
+      message: `Also deny ${chalk.dim('(addresses or CIDR, comma-separated)')}:`,
+      default: answers => extra(answers, 'deny'),
+      filter: splitList
+    },
+    {
+      type: 'confirm',
+      name: 'satisfyAny',
+      message: 'Let allowed addresses skip basic or forward auth (satisfy any)?',
+      when: a => (a.allowLists?.length || a.allow.length) > 0 && Boolean(server.auth?.basic || server.forwardAuth || targetOf(a).auth?.basic),
+      default: answers => targetOf(answers).access?.satisfy === 'any'
+    },
+    {
+      type: 'list',
+      name: 'countryMode',
+      message: 'Country rules (GeoIP2):',
+      choices: [
+        { name: 'None', value: 'none' },
+        { name: 'Allow only some countries', value: 'allow' },
+        { name: 'Block some countries', value: 'deny' }
+      ],
+      default: answers => {
+        const countries = targetOf(answers).access?.countries;
+        return countries?.allow ? 'allow' : countries?.deny ? 'deny' : 'none';
+      }
+    },
+    {
+      type: 'input',
+      name: 'countries',
+      message: `Country codes ${chalk.dim('(ISO, comma-separated, e.g. DE, FR)')}:`,
+      when: a => a.countryMode !== 'none',
+      default: answers => (targetOf(answers).access?.countries?.[answers.countryMode] || []).join(', '),
+      filter: input => splitList(input).map(code => code.toUpperCase()),
+      validate: input => (input.length > 0 && input.every(code => /^[A-Z]{2}$/.test(code))) || 'Enter two-letter country codes'
+    },
+    {
+      type: 'input',
+      name: 'database',
+      message: 'GeoIP2 country database:',
+      when: a => a.countryMode !== 'none' && !geoip2?.database,
+      default: '/usr/share/GeoIP/GeoLite2-Country.mmdb'
+    }
+  ]);
+}
+
+/**
+ * Traffic split prompts for a proxy or API location with an upstream
+ */
+export async function promptTrafficSplit(locations, upstreamNames) {
+  const splitOf = answers => locations.find(l => l.id === answers.location).split || {};
+
+  return inquirer.prompt([
+    {
+      type: 'list',
+      name: 'location',
+      message: 'Location:',
+      choices: locations.map(l => ({ name: `${l.path} → ${l.upstream}${l.split ? ` (${l.split.mode || 'canary'})` : ''}`, value: l.id }))
+    },
+    {
+      type: 'list',
+      name: 'mode',
+      message: 'Routing:',
+      choices: [
+        { name: 'Canary - a share of clients goes to a second upstream', value: 'canary' },
+        { name: 'Blue/green - all traffic goes to the active upstream', value: 'blue-green' },
+        { name: 'No split', value: 'off' }
+      ],
+      default: answers => splitOf(answers).mode || 'canary'
+    },
+    {
+      type: 'list',
+      name: 'upstream',
+      message: a => a.mode === 'canary' ? 'Canary upstream:' : 'Green upstream (blue is the location\'s upstream):',
+      when: a => a.mode !== 'off',
+      choices: answers => upstreamNames.filter(name => name !== locations.find(l => l.id === answers.location).upstream),
+      default: answers => splitOf(answers).upstream
+    },
+    {
+      type: 'number',
+      name: 'percent',
+      message: 'Percent of clients sent to the canary:',
+      when: a => a.mode === 'canary',
+      default: answers => splitOf(answers).percent ?? 10,
+      validate: input => (input >= 0 && input <= 100) || 'Enter a number between 0 and 100'
+    },
+    {
+      type: 'list',
+      name: 'active',
+      message: 'Active color:',
+      when: a => a.mode === 'blue-green',
+      choices: ['blue', 'green'],
+      default: answers => splitOf(answers).active || 'blue'
+    },
+    {
+      type: 'input',
+      name: 'header',
+      message: `Override header ${chalk.dim('(1 forces the second upstream, 0 the first; empty for none)')}:`,
+      when: a => a.mode !== 'off',
+      default: answers => splitOf(answers).header ?? 'X-Canary',
+      validate: input => /^[A-Za-z0-9-]*$/.test(input) || 'Use letters, digits and -'
+    },
+    {
+      type: 'input',
+      name: 'cookie',
+      message: `Override cookie ${chalk.dim('(same values, empty for none)')}:`,
+      when: a => a.mode !== 'off',
+      default: answers => splitOf(answers).cookie || '',
+      validate: input => /^[A-Za-z0-9_]*$/.test(input) || 'Use letters, digits and _'
+    }
+  ]);
+}
+
+/**
+ * Maintenance mode prompts
+ */
+export async function promptMaintenance(server, ipLists = []) {
+  const maintenance = server.maintenance || {};
+  const listNames = ipLists.map(list => list.name);
+
+  return inquirer.prompt([
+    {
+      type: 'confirm',
+      name: 'enabled',
+      message: 'Serve the maintenance page (503)?',
+      default: !maintenance.enabled
+    },
+    {
+      type: 'number',
+      name: 'retryAfter',
+      message: 'Retry-After (seconds):',
+      when: a => a.enabled,
+      default: maintenance.retryAfter ?? 300,
+      validate: input => (Number.isInteger(input) && input > 0) || 'Enter a positive number of seconds'
+    },
+    {
+      type: 'input',
+      name: 'allow',
+      message: `Addresses that bypass the page ${chalk.dim(`(IP lists${listNames.length > 0 ? ` such as ${listNames.join(', ')}` : ''}, addresses or CIDR, comma-separated)`)}:`,
+      when: a => a.enabled,
+      default: (maintenance.allow || []).join(', '),
+      filter: input => input ? input.split(',').map(s => s.trim()).filter(Boolean) : []
+    },
+    {
+      type: 'input',
+      name: 'cookie',
+      message: `Bypass cookie ${chalk.dim('(name=value, empty for none)')}:`,
+      when: a => a.enabled,
+      default: maintenance.cookie ? `${maintenance.cookie.name}=${maintenance.cookie.value}` : '',
+      validate: input => !input || /^[A-Za-z0-9_]+=[^\s"'\\$;{}]+$/.test(input) || 'Use name=value (letters, digits and _ in the name; no spaces, quotes, \\, $, ; or braces in the value)'
+    },
+    {
+      type: 'input',
+      name: 'page',
+      message: `Custom maintenance page ${chalk.dim('(path to an HTML file, empty for the built-in page)')}:`,
+      when: a => a.enabled,
+      default: maintenance.page || ''
+    }
+  ]);
+}
+
 /**
  * Confirmation prompts
  */
@@ -1,9 +1,6 @@
-/**
- * Generate unique ID for components
- */
-export function generateId() {
-  return `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-}
+import { generateId, createDDoSSettings } from '../../core/state.js';
+
+export { generateId, createDDoSSettings };
 
 /**
  * Create a new server object
@@ -54,6 +51,37 @@ export function createUpstream(config) {
   };
 }
 
+/**
+ * Create a new TCP/UDP stream listener object
+ */
+export function createStreamListener(config) {
+  return {
+    id: generateId(),
+    name: config.name,
+    protocol: config.protocol,
+    port: config.port,
+    upstream: config.upstream || null,
+    target: config.target || null,
+    acceptProxyProtocol: config.acceptProxyProtocol || false,
+    proxyProtocol: config.proxyProtocol || false,
+    sniRoutes: config.sniRoutes || [],
+    maxConnections: config.maxConnections || null,
+    connectTimeout: config.connectTimeout || null,
+    timeout: config.timeout || null,
+    responses: config.responses ?? null
+  };
+}
+
+/**
+ * Get the streams section, creating it on first use
+ */
+export function getStreams(state) {
+  state.streams = state.streams || { upstreams: [], listeners: [] };
+  state.streams.upstreams = state.streams.upstreams || [];
+  state.streams.listeners = state.streams.listeners || [];
+  return state.streams;
+}
+
 /**
  * Create initial state
  */
@@ -73,7 +101,9 @@ export function createGlobalSettings(answers) {
     workerProcesses: answers.customWorkers || answers.workerProcesses,
     workerConnections: answers.workerConnections,
     compression: answers.compression,
-    securityHeaders: answers.securityHeaders
+    securityHeaders: answers.securityHeaders,
+    defaultServer: answers.defaultServer,
+    ddos: createDDoSSettings(answers.ddosProfile, answers.ddosLoginPaths)
   };
 }
 
@@ -87,7 +117,13 @@ export function presetToState(preset) {
     workerProcesses: 'auto',
     workerConnections: 1024,
     compression: preset.features?.compression ?? true,
-    securityHeaders: preset.security?.headers ?? true
+    securityHeaders: preset.security?.headers ?? true,
+    ddos: createDDoSSettings(
+      typeof preset.security?.ddosProtection === 'string'
+        ? preset.security.ddosProtection
+        : preset.security?.ddosProtection ? 'balanced' : 'off',
+      preset.security?.loginPaths?.join(',')
+    )
   };
 
   const server = {
@@ -115,6 +151,32 @@ export function presetToState(preset) {
     });
   }
 
+  // PHP-FPM apps: front controller fallback plus a FastCGI location for .php scripts
+  if (preset.features?.fastcgi && preset.features.upstream) {
+    const { name, servers, keepalive } = preset.features.upstream;
+    const root = preset.features.staticPath || '/var/www/html';
+
+    server.upstreams.push({ id: generateId(), name, servers, keepalive });
+    server.locations.push(
+      {
+        id: generateId(),
+        type: 'spa',
+        path: '/',
+        root,
+        index: preset.features.fastcgi.index,
+        fallback: preset.features.fastcgi.fallback
+      },
+      {
+        id: generateId(),
+        type: 'fastcgi',
+        path: '~ [^/]\\.php(/|$)',
+        root,
+        upstream: name,
+        index: preset.features.fastcgi.index
+      }
+    );
+  }
+
   if (preset.features?.proxy) {
     server.locations.push({
       id: generateId(),
@@ -166,6 +228,14 @@ export function removeServer(state, serverId) {
   state.servers = state.servers.filter(s => s.id !== serverId);
 }
 
+/**
+ * Remove stream listener by ID
+ */
+export function removeStreamListener(state, listenerId) {
+  const streams = getStreams(state);
+  streams.listeners = streams.listeners.filter(l => l.id !== listenerId);
+}
+
 /**
  * Remove location by ID
  */
@@ -202,7 +272,174 @@ export function updateServerSSL(server, sslConfig) {
     http2: sslConfig.http2,
     http3: sslConfig.http3,
     certPath: sslConfig.certPath,
-    keyPath: sslConfig.keyPath
+    keyPath: sslConfig.keyPath,
+    ...(sslConfig.enabled && server.ssl?.clientCert && { clientCert: server.ssl.clientCert })
+  };
+}
+
+/**
+ * Update server and location client certificate settings from the mTLS prompt
+ */
+export function updateClientCert(server, answers) {
+  if (answers.verify === 'off') {
+    delete server.ssl.clientCert;
+    server.locations?.forEach(location => delete location.clientCert);
+    return;
+  }
+
+  server.ssl.clientCert = {
+    ca: answers.ca,
+    verify: answers.verify,
+    ...(answers.depth > 1 && { depth: answers.depth }),
+    ...(answers.crl && { crl: answers.crl })
+  };
+  for (const location of server.locations || []) {
+    const clientCert = {
+      ...((answers.required || []).includes(location.id) && { required: true }),
+      ...((answers.headers || []).includes(location.id) && { headers: true })
+    };
+    if (Object.keys(clientCert).length > 0) {
+      location.clientCert = clientCert;
+    } else {
+      delete location.clientCert;
+    }
+  }
+}
+
+/**
+ * Update server and location basic auth from the auth prompt
+ */
+export function updateBasicAuth(server, answers) {
+  const basic = answers.scope === 'off' ? null : { realm: answers.realm, userFile: answers.userFile };
+
+  server.auth = { ...server.auth, basic: answers.scope === 'server' ? basic : undefined };
+  for (const location of server.locations || []) {
+    const selected = answers.scope === 'locations' && answers.locations.includes(location.id);
+    location.auth = { ...location.auth, basic: selected ? basic : undefined };
+  }
+}
+
+/**
+ * Update server forward auth and location opt-outs from the forward auth prompt
+ */
+export function updateForwardAuth(server, answers) {
+  if (!answers.enabled) {
+    delete server.forwardAuth;
+    return;
+  }
+
+  const headers = answers.headers.split(',').map(h => h.trim()).filter(Boolean);
+  server.forwardAuth = {
+    url: answers.url,
+    ...(answers.signInUrl && { signInUrl: answers.signInUrl }),
+    ...(headers.length > 0 && { headers })
+  };
+  for (const location of server.locations || []) {
+    const open = (answers.publicLocations || []).includes(location.id);
+    // Health checks skip forward auth unless told otherwise
+    const forward = location.type === 'health' ? (open ? undefined : true) : (open ? false : undefined);
+    location.auth = { ...location.auth, forward };
+    if (open) {
+      location.public = true;
+    } else {
+      delete location.public;
+    }
+  }
+}
+
+/**
+ * Add an IP list or replace the one with the same name
+ */
+export function upsertIpList(state, answers) {
+  state.ipLists = state.ipLists || [];
+  const list = { name: answers.name, addresses: answers.addresses };
+  const index = state.ipLists.findIndex(l => l.name === list.name);
+  if (index === -1) {
+    state.ipLists.push(list);
+  } else {
+    state.ipLists[index] = list;
+  }
+  return list;
+}
+
+/**
+ * Add a routing map or replace the one with the same name
+ */
+export function upsertMap(state, answers, entries) {
+  const source = {
+    header: `$http_${answers.sourceName.toLowerCase().replace(/-/g, '_')}`,
+    cookie: `$cookie_${answers.sourceName}`
+  }[answers.sourceType] || answers.sourceName;
+
+  state.maps = state.maps || [];
+  const map = { name: answers.name, source, default: answers.default, entries };
+  const index = state.maps.findIndex(m => m.name === map.name);
+  if (index === -1) {
+    state.maps.push(map);
+  } else {
+    state.maps[index] = map;
+  }
+  return map;
+}
+
+/**
+ * Set the access rules of a server or location from the access prompt
+ */
+export function updateAccess(target, answers) {
+  const allow = [...(answers.allowLists || []), ...answers.allow];
+  const deny = [...(answers.denyLists || []), ...answers.deny];
+  const access = {
+    ...(allow.length > 0 && { allow }),
+    ...(deny.length > 0 && { deny }),
+    ...(answers.satisfyAny && { satisfy: 'any' }),
+    ...(answers.countryMode !== 'none' && { countries: { [answers.countryMode]: answers.countries } })
+  };
+
+  if (Object.keys(access).length > 0) {
+    target.access = access;
+  } else {
+    delete target.access;
+  }
+}
+
+/**
+ * Set or remove a location's traffic split from the traffic split prompt
+ */
+export function updateTrafficSplit(location, answers) {
+  if (answers.mode === 'off') {
+    delete location.split;
+    return;
+  }
+
+  location.split = {
+    ...location.split,
+    upstream: answers.upstream,
+    mode: answers.mode,
+    ...(answers.mode === 'canary' ? { percent: answers.percent } : { active: answers.active }),
+    header: answers.header || undefined,
+    cookie: answers.cookie || undefined
+  };
+}
+
+/**
+ * Turn a server's maintenance mode on or off from the maintenance prompt
+ * Turning it off keeps the bypass settings for next time
+ */
+export function updateMaintenance(server, answers) {
+  if (!answers.enabled) {
+    if (server.maintenance) {
+      server.maintenance.enabled = false;
+    }
+    return;
+  }
+
+  const [name, ...value] = answers.cookie ? answers.cookie.split('=') : [];
+  server.maintenance = {
+    enabled: true,
+    retryAfter: answers.retryAfter,
+    ...(answers.allow.length > 0 && { allow: answers.allow }),
+    ...(name && { cookie: { name, value: value.join('=') } }),
+    ...(answers.page && { page: answers.page })
   };
 }
 
@@ -216,7 +453,13 @@ export function updateLocation(server, locationId, newConfig) {
     server.locations[index] = {
       ...newConfig,
       id: oldLocation.id,
-      type: oldLocation.type
+      type: oldLocation.type,
+      ...(oldLocation.auth && { auth: oldLocation.auth }),
+      ...(oldLocation.public && { public: true }),
+      ...(oldLocation.clientCert && { clientCert: oldLocation.clientCert }),
+      ...(oldLocation.access && { access: oldLocation.access }),
+      ...(oldLocation.split && { split: oldLocation.split }),
+      ...(oldLocation.maintenance === false && { maintenance: false })
     };
   }
 }
@@ -233,3 +476,17 @@ export function updateUpstream(server, upstreamId, newConfig) {
     };
   }
 }
+
+/**
+ * Update stream listener
+ */
+export function updateStreamListener(state, listenerId, newConfig) {
+  const streams = getStreams(state);
+  const index = streams.listeners.findIndex(l => l.id === listenerId);
+  if (index !== -1) {
+    streams.listeners[index] = {
+      ...createStreamListener(newConfig),
+      id: streams.listeners[index].id
+    };
+  }
+}
@@ -0,0 +1,970 @@
+import { generateId } from './state.js';
+import Validator from './Validator.js';
+import RedirectTable, { REDIRECT_CODES } from './RedirectTable.js';
+
+// Apache directives the generated config covers, with the reason they are dropped
+const SKIPPED_DIRECTIVES = {
+  serveradmin: 'nginx has no server admin address',
+  errorlog: 'logs are configured per server automatically',
+  customlog: 'logs are configured per server automatically',
+  transferlog: 'logs are configured per server automatically',
+  loglevel: 'logs are configured per server automatically',
+  sslprotocol: 'SSL settings are generated',
+  sslciphersuite: 'SSL settings are generated',
+  sslhonorcipherorder: 'SSL settings are generated',
+  sslcompression: 'SSL settings are generated',
+  sslsessiontickets: 'SSL settings are generated',
+  sslusestapling: 'SSL settings are generated',
+  sslcertificatechainfile: 'use a certificate file with the full chain',
+  allowoverride: 'nginx does not read .htaccess files',
+  rewriteengine: 'nginx rewrites need no switch',
+  order: 'nginx checks deny and allow rules in the order they are written',
+  proxypassreverse: 'proxy_redirect default already rewrites Location headers',
+  proxypreservehost: 'the Host header is always passed to backends',
+  proxyrequests: 'nginx is never a forward proxy'
+};
+
+// Read while setting up the server; meaningless anywhere else
+const SERVER_DIRECTIVES = ['servername', 'serveralias', 'documentroot', 'directoryindex', 'sslengine', 'sslcertificatefile', 'sslcertificatekeyfile', 'protocols'];
+
+// Containers whose contents apply as if they were not there
+const TRANSPARENT_CONTAINERS = ['ifmodule', 'ifdefine', 'ifversion', 'requireany'];
+
+// Apache server variables with an nginx equivalent
+const SERVER_VARIABLES = {
+  HTTP_HOST: '$http_host',
+  SERVER_NAME: '$server_name',
+  REQUEST_URI: '$request_uri',
+  QUERY_STRING: '$args',
+  REQUEST_SCHEME: '$scheme',
+  REQUEST_METHOD: '$request_method',
+  REMOTE_ADDR: '$remote_addr',
+  HTTP_USER_AGENT: '$http_user_agent',
+  HTTP_REFERER: '$http_referer'
+};
+
+const REWRITE_FLAGS = {
+  r: 'r', redirect: 'r', l: 'l', last: 'l', end: 'l', nc: 'nc', nocase: 'nc',
+  qsa: 'qsa', qsappend: 'qsa', qsd: 'qsd', qsdiscard: 'qsd', ne: 'ne', noescape: 'ne',
+  f: 'f', forbidden: 'f', g: 'g', gone: 'g', p: 'p', proxy: 'p'
+};
+
+const REDIRECT_STATUS = { permanent: 301, temp: 302, seeother: 303, gone: 410 };
+
+/**
+ * ApacheConverter - Translates Apache VirtualHost and .htaccess configuration into tree-mode state
+ * Each VirtualHost becomes a server and each Directory, Location or Files section a location;
+ * redirects go into the server's redirect table. Directives without an nginx equivalent turn
+ * their location into a custom one annotated with the original lines, and are listed in the report.
+ */
+class ApacheConverter {
+  /**
+   * @param {Object} options - domain and root for .htaccess files, which name neither, and
+   *   phpFpm, the PHP-FPM address (unix:/run/php/php-fpm.sock or host:port) when no SetHandler names one
+   */
+  constructor(options = {}) {
+    this.options = options;
+    this.report = this.createReport();
+  }
+
+  /**
+   * Create an empty conversion report
+   */
+  createReport() {
+    return {
+      unmapped: [],
+      customLocations: [],
+      skipped: [],
+      warnings: []
+    };
+  }
+
+  /**
+   * Convert Apache configuration text
+   * @returns {Object} - { state, report }
+   */
+  convert(text, { file } = {}) {
+    this.report = this.createReport();
+    const nodes = this.parse(text, file);
+
+    const state = {
+      servers: [],
+      upstreams: [],
+      globalSettings: {
+        workerProcesses: 'auto',
+        workerConnections: 1024,
+        compression: false,
+        securityHeaders: false
+      }
+    };
+
+    const topLevel = this.flatten(nodes);
+    const vhosts = topLevel.filter(node => is(node, 'virtualhost'));
+
+    if (vhosts.length === 0) {
+      // An .htaccess file: everything applies to the document root of one site
+      state.servers.push(this.convertServer({ args: [], block: nodes, file, line: 1 }, state, { htaccess: true }));
+      return { state, report: this.report };
+    }
+
+    for (const node of topLevel.filter(n => !is(n, 'virtualhost'))) {
+      this.addUnmapped('main', node, 'outside any VirtualHost');
+    }
+
+    const sslNames = new Set(vhosts.filter(v => this.isSSL(v)).flatMap(v => this.getServerNames(v)));
+    for (const vhost of vhosts) {
+      if (!this.isSSL(vhost) && this.getServerNames(vhost).some(name => sslNames.has(name)) && this.onlyRedirectsToHttps(vhost)) {
+        this.report.skipped.push({
+          context: 'main',
+          reason: `HTTP -> HTTPS redirect for ${this.getServerNames(vhost).join(' ')} is generated automatically`,
+          file: vhost.file,
+          line: vhost.line
+        });
+        continue;
+      }
+      state.servers.push(this.convertServer(vhost, state));
+    }
+
+    return { state, report: this.report };
+  }
+
+  /**
+   * Parse Apache configuration into nested { name, args, block, text, file, line } nodes
+   */
+  parse(text, file) {
+    const root = { name: null, block: [] };
+    const stack = [root];
+    const lines = text.split(/\r?\n/);
+
+    for (let i = 0; i < lines.length; i++) {
+      const line = i + 1;
+      let content = lines[i];
+      while (content.endsWith('\\') && i + 1 < lines.length) {
+        content = `${content.slice(0, -1)} ${lines[++i].trim()}`;
+      }
+      content = content.trim();
+      if (!content || content.startsWith('#')) continue;
+
+      const top = stack[stack.length - 1];
+      const close = /^<\/([\w:]+)\s*>$/.exec(content);
+      const open = /^<([\w:]+)(?:\s+(.*?))?\s*>$/.exec(content);
+
+      if (close) {
+        if (stack.length > 1 && top.name.toLowerCase() === close[1].toLowerCase()) {
+          stack.pop();
+        } else {
+          this.report.warnings.push(`${file || 'line'}:${line}: Unexpected ${content}`);
+        }
+      } else if (open) {
+        const node = { name: open[1], args: tokenize(open[2] || ''), block: [], text: content, file, line };
+        top.block.push(node);
+        stack.push(node);
+      } else {
+        const [name, ...args] = tokenize(content);
+        top.block.push({ name, args, text: content, file, line });
+      }
+    }
+
+    for (const node of stack.slice(1)) {
+      this.report.warnings.push(`${file || 'line'}:${node.line}: <${node.name}> is never closed`);
+    }
+    return root.block;
+  }
+
+  /**
+   * Inline the contents of transparent containers such as IfModule
+   */
+  flatten(nodes) {
+    return nodes.flatMap(node => TRANSPARENT_CONTAINERS.includes(node.name.toLowerCase()) && node.block
+      ? this.flatten(node.block)
+      : [node]);
+  }
+
+  /**
+   * Read ServerName and ServerAlias values (without ports)
+   */
+  getServerNames(vhost) {
+    return this.flatten(vhost.block)
+      .filter(node => is(node, 'servername') || is(node, 'serveralias'))
+      .flatMap(node => node.args)
+      .map(name => name.replace(/:\d+$/, '').toLowerCase());
+  }
+
+  /**
+   * Check whether a VirtualHost serves TLS
+   */
+  isSSL(vhost) {
+    const engine = this.flatten(vhost.block).find(node => is(node, 'sslengine'));
+    return engine ? engine.args[0]?.toLowerCase() === 'on' : /:443$/.test(vhost.args[0] || '');
+  }
+
+  /**
+   * Check whether a plain-HTTP VirtualHost does nothing but send clients to HTTPS
+   */
+  onlyRedirectsToHttps(vhost) {
+    const ignored = ['servername', 'serveralias', 'documentroot', 'rewriteengine', ...Object.keys(SKIPPED_DIRECTIVES)];
+    const nodes = this.flatten(vhost.block).filter(node => !ignored.includes(node.name.toLowerCase()));
+
+    return nodes.length > 0 && nodes.some(node => !is(node, 'rewritecond')) && nodes.every(node => {
+      if (is(node, 'rewritecond')) return true;
+      if (is(node, 'rewriterule')) return /^https:\/\//i.test(node.args[1] || '');
+      if (/^redirect(permanent|match)?$/i.test(node.name)) return /^https:\/\//i.test(node.args[node.args.length - 1]);
+      return false;
+    });
+  }
+
+  /**
+   * Convert a VirtualHost (or a whole .htaccess file) into a server
+   */
+  convertServer(vhost, state, { htaccess = false } = {}) {
+    const nodes = this.flatten(vhost.block);
+    const find = name => nodes.find(node => is(node, name));
+    const port = parseInt(/:(\d+)$/.exec(vhost.args[0] || '')?.[1]) || null;
+    const ssl = !htaccess && this.isSSL(vhost);
+    const names = this.getServerNames(vhost);
+    const primary = names[0] || this.options.domain || 'localhost';
+
+    const server = {
+      id: generateId(),
+      name: primary,
+      domain: {
+        primary,
+        aliases: names.slice(1),
+        port: ssl ? 80 : port || 80,
+        httpsPort: ssl ? port || 443 : 443
+      },
+      ssl: {
+        enabled: ssl,
+        http2: ssl && Boolean(find('protocols')?.args.includes('h2')),
+        http3: false
+      },
+      locations: [],
+      upstreams: []
+    };
+
+    const certificate = find('sslcertificatefile');
+    if (ssl && certificate) {
+      if (certificate.args[0].startsWith('/etc/letsencrypt/live/')) {
+        server.ssl.provider = 'letsencrypt';
+      } else {
+        server.ssl.provider = 'custom';
+        server.ssl.certPath = certificate.args[0];
+        server.ssl.keyPath = find('sslcertificatekeyfile')?.args[0];
+      }
+    }
+
+    const documentRoot = find('documentroot')?.args[0] || (htaccess ? this.options.root || '/var/www/html' : null);
+    const site = {
+      server,
+      state,
+      root: documentRoot?.replace(/(.)\/+$/, '$1') || null,
+      index: find('directoryindex')?.args.join(' '),
+      contexts: new Map(),
+      extraLocations: new Map(),
+      redirects: new RedirectTable()
+    };
+
+    const rootContext = this.getContext(site, '/', { label: htaccess ? '.htaccess' : `VirtualHost ${vhost.args.join(' ')}`, node: vhost });
+    rootContext.serverWide = !htaccess;
+    this.collect(vhost.block, rootContext, site, { perDir: htaccess, dirPrefix: '/' });
+    for (const context of site.contexts.values()) {
+      this.convertContext(context, site);
+    }
+    this.hoistSiteAccess(site);
+    this.addPhpLocation(site);
+
+    server.locations = [
+      ...[...site.contexts.values()].map(context => this.buildLocation(context, site)).filter(Boolean),
+      ...site.extraLocations.values()
+    ];
+    if (site.redirects.rows.length > 0) {
+      server.redirects = { rows: site.redirects.rows };
+    }
+
+    return server;
+  }
+
+  /**
+   * Hand PHP scripts to PHP-FPM when rewrites or a front controller end in a .php script and
+   * no SetHandler section already does; without an address the location fails validation
+   */
+  addPhpLocation(site) {
+    if (!site.phpScript || [...site.contexts.values()].some(context => context.php)) return;
+
+    const path = '~ [^/]\\.php(/|$)';
+    const target = site.phpTarget || this.options.phpFpm;
+    site.extraLocations.set(path, {
+      id: generateId(),
+      type: 'fastcgi',
+      path,
+      ...(site.root && { root: site.root }),
+      ...(target && { target })
+    });
+    if (!target) {
+      this.report.warnings.push(`${source(site.phpScript)}: ${site.server.domain.primary} sends requests to PHP scripts; set the PHP-FPM address of location ${path} (convert apache --php-fpm <address>)`);
+    }
+  }
+
+  /**
+   * Move access and auth rules of the document root onto the server: Apache applies them to
+   * the whole directory, while nginx would pick regex locations from Files sections over /
+   */
+  hoistSiteAccess(site) {
+    const docroot = site.contexts.get('/');
+    const access = this.buildAccess(docroot);
+    const auth = this.buildAuth(docroot);
+    if (access) site.server.access = access;
+    if (auth) site.server.auth = auth;
+    docroot.access = { allow: [], deny: [] };
+    docroot.auth = {};
+
+    const regexPaths = [...site.contexts.keys()].filter(path => path.startsWith('~'));
+    for (const context of site.contexts.values()) {
+      if (context === docroot || regexPaths.includes(context.path) || regexPaths.length === 0) continue;
+      if (context.access.allow.length > 0 || context.access.deny.length > 0 || context.auth.required) {
+        this.report.warnings.push(`${source(context.node)}: ${context.label} access rules do not cover the regex locations ${regexPaths.join(', ')}, which nginx matches first`);
+      }
+    }
+  }
+
+  /**
+   * Get (or create) the context that becomes the location at path
+   */
+  getContext(site, path, { label, node }) {
+    if (!site.contexts.has(path)) {
+      site.contexts.set(path, {
+        path,
+        label,
+        node,
+        directives: [],
+        lines: [],
+        todo: [],
+        access: { allow: [], deny: [] },
+        auth: {}
+      });
+    }
+    return site.contexts.get(path);
+  }
+
+  /**
+   * Sort directives into contexts, following Directory, Location and Files sections
+   * The scope says how RewriteRule patterns match: per-directory (.htaccess and Directory)
+   * patterns see the path relative to their directory, the others the full path
+   */
+  collect(nodes, context, site, scope) {
+    for (const node of this.flatten(nodes)) {
+      const name = node.name.toLowerCase();
+      const section = { perDir: false, dirPrefix: '/' };
+      if (!node.block) {
+        context.directives.push({ node, scope });
+      } else if (name === 'requireall') {
+        context.requireAll = true;
+        this.collect(node.block, context, site, scope);
+      } else if (name === 'directory') {
+        const path = this.directoryPath(node.args[0], site.root);
+        if (path === null) {
+          this.addUnmapped(context.label, node, site.root ? 'outside the DocumentRoot' : 'no DocumentRoot to place it under');
+          continue;
+        }
+        const directory = { perDir: true, dirPrefix: path.replace(/\/?$/, '/') };
+        this.collect(node.block, this.getContext(site, path, { label: `<Directory ${node.args[0]}>`, node }), site, directory);
+      } else if (name === 'location') {
+        this.collect(node.block, this.getContext(site, node.args[0], { label: `<Location ${node.args[0]}>`, node }), site, section);
+      } else if (name === 'locationmatch') {
+        this.collect(node.block, this.getContext(site, `~ ${node.args[0]}`, { label: `<LocationMatch ${node.args[0]}>`, node }), site, section);
+      } else if (name === 'files') {
+        const path = `~ /${escapeRegex(node.args[0])}$`;
+        this.collect(node.block, this.getContext(site, path, { label: `<Files ${node.args[0]}>`, node }), site, section);
+      } else if (name === 'filesmatch') {
+        const path = `~ ${node.args[0].replace(/^\^/, '/')}`;
+        this.collect(node.block, this.getContext(site, path, { label: `<FilesMatch ${node.args[0]}>`, node }), site, section);
+      } else {
+        this.addUnmapped(context.label, node, `<${node.name}> sections have no nginx equivalent`);
+      }
+    }
+  }
+
+  /**
+   * Turn a Directory path into a location path under the document root (null outside it)
+   */
+  directoryPath(directory, root) {
+    if (!root) return null;
+    const path = directory.replace(/(.)\/+$/, '$1');
+    if (path === root) return '/';
+    return path.startsWith(`${root}/`) ? path.slice(root.length) : null;
+  }
+
+  /**
+   * Translate the directives of a context in order
+   */
+  convertContext(context, site) {
+    let conditions = [];
+    let currentScope = null;
+
+    for (const { node, scope } of context.directives) {
+      const name = node.name.toLowerCase();
+      if (scope !== currentScope && conditions.length > 0) {
+        this.untranslatable(context, conditions, 'RewriteCond without a RewriteRule');
+        conditions = [];
+      }
+      currentScope = scope;
+
+      if (name === 'rewritecond') {
+        conditions.push(node);
+        continue;
+      }
+      if (name === 'rewriterule') {
+        this.convertRewrite(node, conditions, context, site, scope);
+        conditions = [];
+        continue;
+      }
+
+      if (SERVER_DIRECTIVES.includes(name)) {
+        continue;
+      } else if (SKIPPED_DIRECTIVES[name]) {
+        this.report.skipped.push({ context: context.label, reason: `${node.name}: ${SKIPPED_DIRECTIVES[name]}`, file: node.file, line: node.line });
+      } else if (name === 'rewritebase') {
+        scope.rewriteBase = node.args[0]?.replace(/\/?$/, '/');
+      } else if (/^redirect(match|permanent|temp)?$/.test(name)) {
+        this.convertRedirect(node, context, site);
+      } else if (name === 'errordocument') {
+        this.convertErrorDocument(node, context);
+      } else if (name === 'header') {
+        this.convertHeader(node, context);
+      } else if (name === 'require') {
+        this.convertRequire(node, context);
+      } else if (name === 'allow' || name === 'deny') {
+        this.convertLegacyAccess(node, context);
+      } else if (name === 'satisfy') {
+        context.access.satisfy = node.args[0]?.toLowerCase() === 'any' ? 'any' : undefined;
+      } else if (['authtype', 'authname', 'authuserfile'].includes(name)) {
+        this.convertAuth(node, context);
+      } else if (name === 'options') {
+        if (node.args.some(arg => /^\+?indexes$/i.test(arg))) context.autoindex = true;
+        this.report.skipped.push({ context: context.label, reason: `${node.text}: symlinks are followed and indexes are off by default`, file: node.file, line: node.line });
+      } else if (name === 'proxypass') {
+        this.convertProxyPass(node, context, site);
+      } else if (name === 'sethandler' && fastcgiAddress(node.args[0])) {
+        context.php = fastcgiAddress(node.args[0]);
+        site.phpTarget = context.php;
+      } else {
+        this.untranslatable(context, [node], 'no nginx equivalent');
+      }
+    }
+
+    if (conditions.length > 0) {
+      this.untranslatable(context, conditions, 'RewriteCond without a RewriteRule');
+    }
+  }
+
+  /**
+   * Translate a RewriteRule and its RewriteCond lines
+   * Redirects join the redirect table, [F] and [G] become return locations, internal
+   * rewrites become regex locations with rewrite ... last, and file-exists checks a try_files fallback
+   */
+  convertRewrite(rule, conditions, context, site, scope) {
+    const all = [...conditions, rule];
+    const [pattern = '', substitution = '', flagText = ''] = rule.args;
+    const flags = parseFlags(flagText);
+    if (!flags) {
+      this.untranslatable(context, all, `flags ${flagText} have no nginx equivalent`);
+      return;
+    }
+
+    // HTTP -> HTTPS redirects come with every SSL server
+    const httpsConditions = conditions.every(c =>
+      (/^%\{HTTPS\}$/i.test(c.args[0]) && /^(off|!on|!=on)$/i.test(c.args[1])) ||
+      (/^%\{SERVER_PORT\}$/i.test(c.args[0]) && /^(80|!443|!=443)$/.test(c.args[1])));
+    if (flags.r && httpsConditions && /^https:\/\/%\{(HTTP_HOST|SERVER_NAME)\}/i.test(substitution)) {
+      if (site.server.ssl.enabled) {
+        this.report.skipped.push({ context: context.label, reason: 'HTTP -> HTTPS redirect is generated automatically', file: rule.file, line: rule.line });
+      } else {
+        this.untranslatable(context, all, 'HTTPS redirect on a server without SSL; enable SSL to get it generated');
+      }
+      return;
+    }
+
+    // Front controllers: serve existing files, hand everything else to one script
+    const fileChecks = conditions.length > 0 && conditions.every(c =>
+      /^%\{REQUEST_FILENAME\}$/i.test(c.args[0]) && /^!-[fdl]$/.test(c.args[1]) && !c.args[2]);
+    if (fileChecks && !flags.r && !flags.f && !flags.g && !flags.p && substitution !== '-' && !/\$\d/.test(substitution)) {
+      context.fallback = this.convertSubstitution(substitution, scope);
+      if (/\.php(\?|$)/.test(context.fallback || '')) site.phpScript = rule;
+      return;
+    }
+
+    if (conditions.length > 0) {
+      this.untranslatable(context, all, 'RewriteCond conditions other than HTTPS and file checks');
+      return;
+    }
+    if (substitution === '-' && Object.keys(flags).every(flag => flag === 'l')) {
+      this.report.skipped.push({ context: context.label, reason: `${rule.text}: passes the request through unchanged`, file: rule.file, line: rule.line });
+      return;
+    }
+    if (pattern.startsWith('!')) {
+      this.untranslatable(context, all, 'negated patterns have no nginx equivalent');
+      return;
+    }
+
+    const regex = this.convertPattern(pattern, scope);
+    const modifier = flags.nc ? '~*' : '~';
+    const annotation = `# Converted from Apache: ${rule.text} (${source(rule)})`;
+
+    if (flags.f || flags.g) {
+      this.addExtraLocation(site, `${modifier} ${regex}`, [annotation, `return ${flags.f ? 403 : 410};`], rule);
+      return;
+    }
+    if (flags.p) {
+      this.untranslatable(context, all, 'proxying rewrites need a proxy location');
+      return;
+    }
+
+    const target = substitution === '-' ? null : this.convertSubstitution(substitution, scope);
+    if (target === null) {
+      this.untranslatable(context, all, substitution === '-' ? 'rules without a substitution only set flags' : 'uses server variables or backreferences without an nginx equivalent');
+      return;
+    }
+
+    if (flags.r) {
+      const code = flags.r === true ? 302 : Number(flags.r);
+      if (!REDIRECT_CODES.includes(code)) {
+        this.untranslatable(context, all, `redirect status ${flags.r} is not supported by redirect tables`);
+      } else if (flags.qsa && target.includes('?')) {
+        this.untranslatable(context, all, 'appending the query string to a target with its own query');
+      } else {
+        this.addRedirect(site, context, rule, {
+          from: literalPath(regex, flags.nc) ?? `${modifier}${regex}`,
+          to: target,
+          code,
+          ...(flags.qsd && !target.includes('?') && { query: 'drop' })
+        });
+      }
+      return;
+    }
+
+    if (/\.php(\?|$)/.test(target)) site.phpScript = rule;
+
+    // nginx appends the old query to a replacement with its own unless it ends in ?, Apache only with [QSA]
+    const rewriteTarget = target.includes('?') && !flags.qsa ? `${target}?` : target;
+    this.addExtraLocation(site, `${modifier} ${regex}`, [
+      annotation,
+      `rewrite ${flags.nc ? '(?i)' : ''}${regex} ${rewriteTarget} last;`
+    ], rule);
+  }
+
+  /**
+   * Anchor a per-directory RewriteRule pattern to its directory (server context patterns see the full path)
+   */
+  convertPattern(pattern, scope) {
+    if (!scope.perDir || !pattern.startsWith('^')) return pattern;
+    return `^${scope.dirPrefix}${pattern.slice(1)}`;
+  }
+
+  /**
+   * Replace server variables and resolve relative substitutions (null when something has no equivalent)
+   */
+  convertSubstitution(substitution, scope) {
+    const target = substitution.replace(/%\{(\w+)\}/g, (match, name) => SERVER_VARIABLES[name.toUpperCase()] ?? match);
+    if (/%\{|%\d|\$\{/.test(target)) return null;
+    if (/^([a-z][a-z0-9+.-]*:)?\/\//i.test(target) || target.startsWith('/') || target.startsWith('$')) {
+      return target;
+    }
+    return `${scope.rewriteBase || scope.dirPrefix}${target}`;
+  }
+
+  /**
+   * Translate Redirect, RedirectMatch, RedirectPermanent and RedirectTemp
+   * Redirect matches whole path segments and carries the rest of the path over
+   */
+  convertRedirect(node, context, site) {
+    const name = node.name.toLowerCase();
+    const args = [...node.args];
+    let code = { redirectpermanent: 301, redirecttemp: 302 }[name] || 302;
+    if (/^(redirect|redirectmatch)$/.test(name) && (/^\d{3}$/.test(args[0]) || REDIRECT_STATUS[args[0]?.toLowerCase()])) {
+      const status = args.shift();
+      code = REDIRECT_STATUS[status.toLowerCase()] || Number(status);
+    }
+    const [path, url] = args;
+
+    if (code === 410 && path && !url) {
+      const location = name === 'redirectmatch' ? `~ ${path}` : `^~ ${path}`;
+      this.addExtraLocation(site, location, [`# Converted from Apache: ${node.text} (${source(node)})`, 'return 410;'], node);
+      return;
+    }
+    if (!path || !url) {
+      this.untranslatable(context, [node], 'needs a path and a URL');
+      return;
+    }
+    if (!REDIRECT_CODES.includes(code)) {
+      this.untranslatable(context, [node], `redirect status ${code} is not supported by redirect tables`);
+      return;
+    }
+
+    if (name === 'redirectmatch') {
+      this.addRedirect(site, context, node, { from: `~${path}`, to: url, code });
+    } else if (path.endsWith('/')) {
+      this.addRedirect(site, context, node, { from: `~^${escapeRegex(path)}(.*)$`, to: `${url}$1`, code });
+    } else {
+      this.addRedirect(site, context, node, { from: `~^${escapeRegex(path)}(/.*)?$`, to: `${url}$1`, code });
+    }
+  }
+
+  /**
+   * Translate ErrorDocument pages and URLs (inline messages have no equivalent)
+   */
+  convertErrorDocument(node, context) {
+    const [code, target] = node.args;
+    if (/^\d{3}$/.test(code) && target && (target.startsWith('/') || /^https?:\/\//.test(target))) {
+      context.lines.push({ line: `error_page ${code} ${target};`, node });
+    } else {
+      this.untranslatable(context, [node], 'inline error messages need a named location');
+    }
+  }
+
+  /**
+   * Translate Header set/append/add into add_header with the value Apache sends
+   */
+  convertHeader(node, context) {
+    const args = [...node.args];
+    const always = /^always$/i.test(args[0]);
+    if (/^(always|onsuccess)$/i.test(args[0])) args.shift();
+    const [action = '', name, value, ...rest] = args;
+
+    if (!/^(set|append|add|merge)$/i.test(action) || !name || value === undefined || rest.length > 0 || /%[{a-zA-Z]/.test(value)) {
+      this.untranslatable(context, [node], 'only unconditional Header set, append and add translate to add_header');
+      return;
+    }
+    context.lines.push({ line: `add_header ${name} "${value.replace(/"/g, '\\"')}"${always ? ' always' : ''};`, node });
+  }
+
+  /**
+   * Translate Require all/ip/not ip/valid-user
+   */
+  convertRequire(node, context) {
+    const [kind = '', ...values] = node.args.map(arg => arg.toLowerCase());
+    const negated = kind === 'not';
+    const [type, ...entries] = negated ? values : [kind, ...values];
+
+    if (!negated && type === 'all' && entries[0] === 'granted') {
+      return;
+    }
+    if (!negated && type === 'all' && entries[0] === 'denied') {
+      context.access.deny.push('all');
+    } else if (type === 'ip') {
+      const addresses = entries.map(normalizeAddress);
+      if (addresses.includes(null)) {
+        this.untranslatable(context, [node], 'only IP addresses and CIDR ranges translate to allow and deny');
+        return;
+      }
+      context.access[negated ? 'deny' : 'allow'].push(...addresses);
+    } else if (!negated && type === 'valid-user') {
+      context.auth.required = true;
+    } else {
+      this.untranslatable(context, [node], `Require ${negated ? 'not ' : ''}${type} has no nginx equivalent`);
+    }
+  }
+
+  /**
+   * Translate Apache 2.2 Allow from / Deny from lines
+   */
+  convertLegacyAccess(node, context) {
+    const list = node.name.toLowerCase() === 'allow' ? context.access.allow : context.access.deny;
+    const entries = node.args.slice(/^from$/i.test(node.args[0]) ? 1 : 0);
+
+    if (entries.length === 1 && entries[0].toLowerCase() === 'all') {
+      if (list === context.access.deny) list.push('all');
+      return;
+    }
+    const addresses = entries.map(normalizeAddress);
+    if (addresses.length === 0 || addresses.includes(null)) {
+      this.untranslatable(context, [node], 'only IP addresses and CIDR ranges translate to allow and deny');
+      return;
+    }
+    list.push(...addresses);
+  }
+
+  /**
+   * Collect AuthType Basic, AuthName and AuthUserFile
+   */
+  convertAuth(node, context) {
+    const name = node.name.toLowerCase();
+    if (name === 'authtype' && node.args[0]?.toLowerCase() !== 'basic') {
+      this.untranslatable(context, [node], 'only basic auth translates to auth_basic');
+    } else if (name === 'authname') {
+      context.auth.realm = node.args[0];
+    } else if (name === 'authuserfile') {
+      context.auth.userFile = node.args[0];
+    }
+  }
+
+  /**
+   * Translate ProxyPass into a proxy location (inside a Location section the path is implied)
+   */
+  convertProxyPass(node, context, site) {
+    const [path, target] = node.args.length === 1 ? [context.path, node.args[0]] : node.args;
+    if (!target || target === '!' || !/^https?:\/\//.test(target)) {
+      this.untranslatable(context, [node], 'only ProxyPass to http:// or https:// URLs translates to proxy_pass');
+      return;
+    }
+    const proxyContext = path === context.path
+      ? context
+      : this.getContext(site, path, { label: `ProxyPass ${path}`, node });
+    proxyContext.proxy = target;
+  }
+
+  /**
+   * Add a redirect table row, keeping the first row for a source
+   */
+  addRedirect(site, context, node, row) {
+    if (site.redirects.rows.some(r => r.from === row.from)) {
+      this.report.skipped.push({ context: context.label, reason: `${node.text}: an earlier redirect already handles ${row.from}`, file: node.file, line: node.line });
+      return;
+    }
+    site.redirects.merge([row]);
+  }
+
+  /**
+   * Add a custom location outside the contexts (rewrites, forbidden and gone paths)
+   */
+  addExtraLocation(site, path, lines, node) {
+    const existing = site.extraLocations.get(path);
+    if (existing) {
+      existing.custom += `\n${lines.join('\n')}`;
+      return;
+    }
+
+    site.extraLocations.set(path, { id: generateId(), type: 'custom', path, custom: lines.join('\n') });
+    this.report.customLocations.push({
+      server: site.server.domain.primary,
+      path,
+      directives: [node.name],
+      file: node.file,
+      line: node.line
+    });
+  }
+
+  /**
+   * Build the location of a context: a tree location when everything translated,
+   * otherwise a custom one with the translated directives and the untranslated lines as comments
+   */
+  buildLocation(context, site) {
+    const access = this.buildAccess(context);
+    const auth = this.buildAuth(context);
+    let base;
+    if (context.proxy) {
+      base = { type: 'proxy', upstream: null, target: context.proxy, websocket: false };
+    } else if (context.php) {
+      base = { type: 'fastcgi', ...(site.root && { root: site.root }), target: context.php };
+    } else if (site.root) {
+      base = context.fallback
+        ? { type: 'spa', root: site.root, ...(site.index && { index: site.index }), fallback: context.fallback }
+        : { type: 'static', root: site.root, ...(site.index && { index: site.index }), ...(context.autoindex && { autoindex: true }) };
+    }
+
+    const empty = !base && context.lines.length === 0 && context.todo.length === 0;
+    if (empty && !access && !auth) {
+      return null;
+    }
+
+    const location = {
+      id: generateId(),
+      ...(base || { type: 'custom' }),
+      path: context.path,
+      ...(access && { access }),
+      ...(auth && { auth })
+    };
+    if (base && context.lines.length === 0 && context.todo.length === 0) {
+      return location;
+    }
+
+    const custom = [`# Converted from Apache ${context.label} (${source(context.node)})`, ...this.baseDirectives(base)];
+    if (context.serverWide && site.contexts.size > 1 && context.lines.length > 0) {
+      custom.push('# Apache applied these server-wide; add them to the other locations as needed');
+    }
+    custom.push(...context.lines.map(entry => entry.line));
+    if (context.todo.length > 0) {
+      custom.push('# TODO: not converted from Apache', ...context.todo.map(node => `# ${source(node)}: ${node.text}`));
+    }
+
+    this.report.customLocations.push({
+      server: site.server.domain.primary,
+      path: context.path,
+      directives: [...context.lines.map(entry => entry.node.name), ...context.todo.map(node => node.name)],
+      file: context.node.file,
+      line: context.node.line
+    });
+
+    return {
+      id: generateId(),
+      type: 'custom',
+      path: context.path,
+      ...(access && { access }),
+      ...(auth && { auth }),
+      custom: custom.join('\n')
+    };
+  }
+
+  /**
+   * nginx directives of a tree location, for custom locations that replace one
+   */
+  baseDirectives(base) {
+    if (!base) return [];
+    if (base.type === 'fastcgi') {
+      return [
+        ...(base.root ? [`root ${base.root};`] : []),
+        `fastcgi_pass ${base.target};`,
+        'include fastcgi_params;',
+        'fastcgi_param SCRIPT_FILENAME $document_root$fastcgi_script_name;'
+      ];
+    }
+    if (base.type === 'proxy') {
+      return [
+        `proxy_pass ${base.target};`,
+        'proxy_set_header Host $host;',
+        'proxy_set_header X-Real-IP $remote_addr;',
+        'proxy_set_header X-Forwarded-For $proxy_add_x_forwarded_for;',
+        'proxy_set_header X-Forwarded-Proto $scheme;'
+      ];
+    }
+    return [
+      `root ${base.root};`,
+      ...(base.index ? [`index ${base.index};`] : []),
+      ...(base.autoindex ? ['autoindex on;'] : []),
+      ...(base.fallback ? [`try_files $uri $uri/ ${base.fallback};`] : [])
+    ];
+  }
+
+  /**
+   * Build tree access rules from Require and Allow/Deny lines
+   */
+  buildAccess(context) {
+    const { allow, satisfy } = context.access;
+    // allow lists end in deny all anyway
+    const deny = allow.length > 0 ? context.access.deny.filter(entry => entry !== 'all') : context.access.deny;
+    const any = satisfy === 'any' || (!context.requireAll && allow.length > 0 && context.auth.required);
+
+    if (allow.length === 0 && deny.length === 0) return null;
+    return {
+      ...(allow.length > 0 && { allow }),
+      ...(deny.length > 0 && { deny }),
+      ...(any && { satisfy: 'any' })
+    };
+  }
+
+  /**
+   * Build basic auth settings when a valid user is required
+   */
+  buildAuth(context) {
+    if (!context.auth.required) return null;
+    return {
+      basic: {
+        enabled: true,
+        realm: context.auth.realm || 'Restricted',
+        ...(context.auth.userFile && { userFile: context.auth.userFile })
+      }
+    };
+  }
+
+  /**
+   * Keep untranslated lines for the custom location and the report
+   */
+  untranslatable(context, nodes, reason) {
+    context.todo.push(...nodes);
+    nodes.forEach(node => this.addUnmapped(context.label, node, reason));
+  }
+
+  /**
+   * Record a directive that has no tree-mode equivalent
+   */
+  addUnmapped(context, node, reason) {
+    this.report.unmapped.push({
+      context,
+      directive: node.block ? `${node.text} ... </${node.name}>` : node.text,
+      reason,
+      file: node.file,
+      line: node.line
+    });
+  }
+}
+
+/**
+ * Case-insensitive directive name check
+ */
+function is(node, name) {
+  return node.name.toLowerCase() === name;
+}
+
+/**
+ * Split an Apache argument list, honouring double and single quotes
+ */
+function tokenize(text) {
+  const tokens = [];
+  const pattern = /"((?:[^"\\]|\\.)*)"|'([^']*)'|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    tokens.push(match[1] !== undefined ? match[1].replace(/\\(["\\])/g, '$1') : match[2] ?? match[3]);
+  }
+  return tokens;
+}
+
+/**
+ * Parse [R=301,L,NC] into { r: '301', l: true, nc: true } (null when a flag has no equivalent)
+ */
+function parseFlags(text) {
+  const flags = {};
+  const list = text.replace(/^\[|\]$/g, '').split(',').map(flag => flag.trim()).filter(Boolean);
+  for (const flag of list) {
+    const [name, value] = flag.split('=');
+    const key = REWRITE_FLAGS[name.toLowerCase()];
+    if (!key) return null;
+    flags[key] = value ?? true;
+  }
+  return flags;
+}
+
+/**
+ * Turn an anchored literal pattern (^/old\.html$) into an exact path for the redirect table
+ */
+function literalPath(regex, caseInsensitive) {
+  const match = /^\^((?:[^\\.^$|?*+()[\]{}]|\\[.\-/_~])*)\$$/.exec(regex);
+  if (!match || caseInsensitive) return null;
+  return match[1].replace(/\\(.)/g, '$1');
+}
+
+/**
+ * Expand Apache's partial IPv4 addresses (10.1 -> 10.1.0.0/16) and check the result
+ */
+function normalizeAddress(entry) {
+  const partial = /^\d{1,3}(\.\d{1,3}){0,2}\.?$/.exec(entry);
+  let address = entry;
+  if (partial) {
+    const octets = entry.replace(/\.$/, '').split('.');
+    address = `${[...octets, '0', '0', '0'].slice(0, 4).join('.')}/${octets.length * 8}`;
+  }
+  return new Validator().validateCIDR(address) ? address : null;
+}
+
+/**
+ * Escape a literal path for use in a regex
+ */
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * PHP-FPM address of a SetHandler proxy:unix:/path|fcgi://... or proxy:fcgi://host:port handler (null otherwise)
+ */
+function fastcgiAddress(handler = '') {
+  const socket = /^proxy:(unix:[^|]+)\|fcgi:\/\//i.exec(handler);
+  if (socket) return socket[1];
+  return /^proxy:fcgi:\/\/([^/]+:\d+)\/?$/i.exec(handler)?.[1] || null;
+}
+
+/**
+ * Format file:line for annotations
+ */
+function source(node) {
+  return `${node.file ? node.file.split('/').pop() : 'line'}:${node.line}`;
+}
+
+export default ApacheConverter;
@@ -0,0 +1,699 @@
+import { generateId } from './state.js';
+import { serialize } from './NginxParser.js';
+
+// Directives TreeConfigBuilder always emits in the http block
+const GENERATED_HTTP_DIRECTIVES = [
+  'default_type',
+  'log_format',
+  'access_log',
+  'error_log',
+  'sendfile',
+  'tcp_nopush',
+  'tcp_nodelay',
+  'keepalive_timeout',
+  'types_hash_max_size'
+];
+
+// SSL directives TreeConfigBuilder emits for every SSL server
+const GENERATED_SSL_DIRECTIVES = [
+  'ssl_protocols',
+  'ssl_ciphers',
+  'ssl_prefer_server_ciphers',
+  'ssl_session_timeout',
+  'ssl_session_cache',
+  'ssl_session_tickets',
+  'ssl_stapling',
+  'ssl_stapling_verify',
+  'ssl_trusted_certificate',
+  'resolver',
+  'resolver_timeout'
+];
+
+const SECURITY_HEADERS = [
+  'x-frame-options',
+  'x-content-type-options',
+  'x-xss-protection',
+  'referrer-policy',
+  'strict-transport-security'
+];
+
+// proxy_set_header values TreeConfigBuilder emits for proxy locations
+const PROXY_HEADERS = {
+  'host': '$host',
+  'x-real-ip': '$remote_addr',
+  'x-forwarded-for': '$proxy_add_x_forwarded_for',
+  'x-forwarded-proto': '$scheme'
+};
+
+// ...and for WebSocket locations
+const UPGRADE_HEADERS = {
+  'upgrade': '$http_upgrade',
+  'connection': 'upgrade'
+};
+
+const LOAD_BALANCING_DIRECTIVES = ['least_conn', 'ip_hash', 'random', 'hash', 'least_time'];
+
+/**
+ * ConfigImporter - Maps parsed nginx directives onto tree-mode state
+ * Anything that has no tree equivalent is kept as a custom location or listed in the report
+ */
+class ConfigImporter {
+  constructor() {
+    this.report = this.createReport();
+  }
+
+  /**
+   * Create an empty import report
+   */
+  createReport() {
+    return {
+      unmapped: [],
+      customLocations: [],
+      skipped: []
+    };
+  }
+
+  /**
+   * Import parsed nodes into tree state
+   * @param {Array} nodes - Top-level nodes from NginxParser
+   * @returns {Object} - { state, report }
+   */
+  import(nodes) {
+    this.report = this.createReport();
+    this.rateLimitZones = new Map();
+    this.cacheZones = new Map();
+
+    const state = {
+      servers: [],
+      upstreams: [],
+      globalSettings: {
+        workerProcesses: 'auto',
+        workerConnections: 1024,
+        compression: false,
+        securityHeaders: false
+      }
+    };
+
+    for (const node of nodes) {
+      if (node.name === 'worker_processes') {
+        const value = node.args[0];
+        state.globalSettings.workerProcesses = /^\d+$/.test(value) ? parseInt(value) : value;
+      } else if (node.name === 'events' && node.block) {
+        for (const child of node.block) {
+          if (child.name === 'worker_connections') {
+            state.globalSettings.workerConnections = parseInt(child.args[0]);
+          } else {
+            this.addUnmapped('events', child);
+          }
+        }
+      } else if (node.name === 'http' && node.block) {
+        this.importHttp(node.block, state);
+      } else {
+        this.addUnmapped('main', node);
+      }
+    }
+
+    return { state, report: this.report };
+  }
+
+  /**
+   * Import the http block
+   */
+  importHttp(nodes, state) {
+    const serverNodes = [];
+
+    // Zones first, so locations can resolve the rates they reference
+    for (const node of nodes) {
+      if (node.name === 'limit_req_zone') {
+        const zone = node.args.find(a => a.startsWith('zone='));
+        const rate = node.args.find(a => a.startsWith('rate='));
+        if (zone && rate) {
+          const name = zone.slice('zone='.length).split(':')[0];
+          this.rateLimitZones.set(name, { rate: rate.slice('rate='.length), node, used: false });
+        }
+      } else if (node.name === 'proxy_cache_path') {
+        this.importCacheZone(node);
+      }
+    }
+
+    for (const node of nodes) {
+      if (node.name === 'limit_req_zone' && this.isKnownRateZone(node)) {
+        continue;
+      } else if (node.name === 'upstream' && node.block) {
+        state.upstreams.push(this.importUpstream(node));
+      } else if (node.name === 'server' && node.block) {
+        serverNodes.push(node);
+      } else if (node.name === 'gzip') {
+        state.globalSettings.compression = node.args[0] === 'on';
+      } else if (node.name.startsWith('gzip_')) {
+        continue;
+      } else if (node.name === 'proxy_cache_path') {
+        continue;
+      } else if (node.name === 'include' && /mime\.types$/.test(node.args[0] || '')) {
+        continue;
+      } else if (node.name === 'add_header' && this.isSecurityHeader(node)) {
+        state.globalSettings.securityHeaders = true;
+      } else if (!GENERATED_HTTP_DIRECTIVES.includes(node.name)) {
+        this.addUnmapped('http', node);
+      }
+    }
+
+    const upstreamNames = state.upstreams.map(u => u.name);
+    const companions = this.findRedirectCompanions(serverNodes);
+
+    for (const node of serverNodes) {
+      const catchAll = this.parseCatchAll(node);
+      if (catchAll) {
+        const listen = this.parseListen(node);
+        state.globalSettings.defaultServer = { ...state.globalSettings.defaultServer, ...catchAll };
+        this.report.skipped.push({
+          context: 'http',
+          reason: `Catch-all default server on port ${listen.httpsPort || listen.port} is generated from globalSettings.defaultServer`,
+          file: node.file,
+          line: node.line
+        });
+        continue;
+      }
+      if (companions.has(node)) {
+        this.report.skipped.push({
+          context: 'http',
+          reason: `HTTP -> HTTPS redirect for ${this.getServerNames(node).join(' ')} is generated automatically`,
+          file: node.file,
+          line: node.line
+        });
+        continue;
+      }
+      state.servers.push(this.importServer(node, state, upstreamNames));
+    }
+
+    // Zones no imported location referenced would otherwise vanish silently
+    for (const zone of this.rateLimitZones.values()) {
+      if (!zone.used) {
+        this.addUnmapped('http', zone.node);
+      }
+    }
+  }
+
+  /**
+   * Record proxy_cache_path storage settings so cache locations keep them
+   */
+  importCacheZone(node) {
+    const params = Object.fromEntries(
+      node.args.slice(1).filter(a => a.includes('=')).map(a => [a.slice(0, a.indexOf('=')), a.slice(a.indexOf('=') + 1)])
+    );
+    if (!params.keys_zone) return;
+
+    const [name, keysSize] = params.keys_zone.split(':');
+    this.cacheZones.set(name, {
+      path: node.args[0],
+      ...(params.levels && { levels: params.levels }),
+      ...(keysSize && { keysSize }),
+      ...(params.max_size && { maxSize: params.max_size }),
+      ...(params.inactive && { inactive: params.inactive })
+    });
+  }
+
+  /**
+   * Import an upstream block
+   */
+  importUpstream(node) {
+    const upstream = {
+      id: generateId(),
+      name: node.args[0],
+      servers: [],
+      loadBalancing: 'round_robin'
+    };
+    const context = `upstream ${upstream.name}`;
+
+    for (const child of node.block) {
+      if (child.name === 'server') {
+        upstream.servers.push(this.importUpstreamServer(child, upstream, context));
+      } else if (LOAD_BALANCING_DIRECTIVES.includes(child.name)) {
+        upstream.loadBalancing = [child.name, ...child.args].join(' ');
+      } else if (child.name === 'keepalive') {
+        upstream.keepalive = parseInt(child.args[0]);
+      } else if (child.name !== 'keepalive_timeout') {
+        this.addUnmapped(context, child);
+      }
+    }
+
+    return upstream;
+  }
+
+  /**
+   * Import a server line inside an upstream block
+   */
+  importUpstreamServer(node, upstream, context) {
+    const [address, ...params] = node.args;
+    const server = this.parseAddress(address);
+    const unknown = [];
+
+    for (const param of params) {
+      const [key, value] = param.split('=');
+      if (key === 'weight') {
+        server.weight = parseInt(value);
+      } else if (key === 'backup') {
+        server.backup = true;
+      } else if (key === 'max_fails' && /^\d+$/.test(value || '')) {
+        // The first server sets the upstream default, servers that differ keep their own
+        if (upstream.maxFails === undefined) upstream.maxFails = parseInt(value);
+        if (parseInt(value) !== upstream.maxFails) server.maxFails = parseInt(value);
+      } else if (key === 'fail_timeout' && toSeconds(value) !== null) {
+        if (upstream.failTimeout === undefined) upstream.failTimeout = toSeconds(value);
+        if (toSeconds(value) !== upstream.failTimeout) server.failTimeout = toSeconds(value);
+      } else {
+        unknown.push(param);
+      }
+    }
+
+    if (unknown.length > 0) {
+      this.addUnmapped(context, { ...node, args: [address, ...unknown] });
+    }
+
+    return server;
+  }
+
+  /**
+   * Split host:port, keeping unix sockets and IPv6 brackets intact
+   */
+  parseAddress(address) {
+    if (address.startsWith('unix:')) {
+      return { host: address, port: null };
+    }
+
+    const match = address.match(/^(.*):(\d+)$/);
+    if (match && (!match[1].includes(':') || match[1].endsWith(']'))) {
+      return { host: match[1], port: parseInt(match[2]) };
+    }
+
+    return { host: address, port: 80 };
+  }
+
+  /**
+   * Find plain-HTTP servers that only redirect to an HTTPS server we import
+   */
+  findRedirectCompanions(serverNodes) {
+    const sslNames = new Set();
+    for (const node of serverNodes) {
+      if (this.parseListen(node).ssl) {
+        this.getServerNames(node).forEach(name => sslNames.add(name));
+      }
+    }
+
+    const companions = new Set();
+    for (const node of serverNodes) {
+      const onlyRedirects = node.block.every(child =>
+        ['listen', 'server_name', 'return'].includes(child.name)
+      );
+      const ret = node.block.find(child => child.name === 'return');
+      const redirectsToHttps = ret && /^30[18]$/.test(ret.args[0]) && /^https:\/\//.test(ret.args[1] || '');
+
+      if (onlyRedirects && redirectsToHttps && !this.parseListen(node).ssl &&
+          this.getServerNames(node).some(name => sslNames.has(name))) {
+        companions.add(node);
+      }
+    }
+
+    return companions;
+  }
+
+  /**
+   * Read the settings of a catch-all server (default_server without a real name that only
+   * returns a status or rejects TLS handshakes); null for any other server
+   */
+  parseCatchAll(node) {
+    const names = this.getServerNames(node);
+    const handled = ['listen', 'server_name', 'return', 'ssl_reject_handshake', 'ssl_certificate', 'ssl_certificate_key', 'access_log', 'error_log'];
+    if (!this.parseListen(node).defaultServer || !names.every(name => ['_', '', '""'].includes(name)) ||
+        !node.block.every(child => handled.includes(child.name))) {
+      return null;
+    }
+
+    const find = name => node.block.find(child => child.name === name);
+    const ret = find('return');
+    const reject = find('ssl_reject_handshake')?.args[0] === 'on';
+    if (ret ? ret.args.length !== 1 || !/^\d{3}$/.test(ret.args[0]) : !reject) {
+      return null;
+    }
+
+    const settings = {};
+    if (ret && ret.args[0] !== '444') {
+      settings.response = parseInt(ret.args[0]);
+    }
+    const certificate = find('ssl_certificate');
+    if (certificate && !reject) {
+      settings.https = 'certificate';
+      settings.certPath = certificate.args[0];
+      settings.keyPath = find('ssl_certificate_key')?.args[0];
+    }
+    return settings;
+  }
+
+  /**
+   * Read server_name values
+   */
+  getServerNames(node) {
+    return node.block
+      .filter(child => child.name === 'server_name')
+      .flatMap(child => child.args);
+  }
+
+  /**
+   * Summarize listen directives of a server block
+   */
+  parseListen(node) {
+    const result = { port: null, httpsPort: null, ssl: false, http2: false, http3: false, defaultServer: false };
+
+    for (const child of node.block.filter(c => c.name === 'listen')) {
+      const [address, ...params] = child.args;
+      const portMatch = address.match(/(?:^|:)(\d+)$/);
+      const port = portMatch ? parseInt(portMatch[1]) : 80;
+      const isSSL = params.includes('ssl') || params.includes('quic');
+
+      if (isSSL) {
+        result.ssl = true;
+        result.httpsPort = result.httpsPort ?? port;
+      } else {
+        result.port = result.port ?? port;
+      }
+      if (params.includes('http2')) result.http2 = true;
+      if (params.includes('default_server') || params.includes('default')) result.defaultServer = true;
+      if (params.includes('quic') || params.includes('http3')) result.http3 = true;
+    }
+
+    return result;
+  }
+
+  /**
+   * Import a server block
+   */
+  importServer(node, state, upstreamNames) {
+    const names = this.getServerNames(node);
+    const listen = this.parseListen(node);
+    const primary = names[0] || '_';
+    const context = `server ${primary}`;
+
+    const server = {
+      id: generateId(),
+      name: primary,
+      domain: {
+        primary,
+        aliases: names.slice(1),
+        port: listen.port || 80,
+        httpsPort: listen.httpsPort || 443
+      },
+      ssl: {
+        enabled: listen.ssl,
+        http2: listen.http2,
+        http3: listen.http3
+      },
+      locations: [],
+      upstreams: []
+    };
+    if (listen.defaultServer) {
+      server.defaultServer = true;
+    }
+
+    const find = name => node.block.find(child => child.name === name);
+    const certificate = find('ssl_certificate');
+    const certificateKey = find('ssl_certificate_key');
+
+    if (certificate) {
+      server.ssl.enabled = true;
+      const certPath = certificate.args[0];
+      if (certPath.startsWith('/etc/letsencrypt/live/')) {
+        server.ssl.provider = 'letsencrypt';
+      } else {
+        server.ssl.provider = 'custom';
+        server.ssl.certPath = certPath;
+        server.ssl.keyPath = certificateKey?.args[0];
+      }
+    }
+
+    const locationContext = {
+      root: find('root')?.args[0],
+      index: find('index')?.args.join(' '),
+      upstreamNames
+    };
+
+    for (const child of node.block) {
+      if (child.name === 'location' && child.block) {
+        server.locations.push(this.importLocation(child, locationContext, primary));
+      } else if (['listen', 'server_name', 'ssl_certificate', 'ssl_certificate_key', 'root', 'index'].includes(child.name)) {
+        continue;
+      } else if (child.name === 'http2' && child.args[0] === 'on') {
+        server.ssl.http2 = true;
+      } else if (child.name === 'ssl' && child.args[0] === 'on') {
+        server.ssl.enabled = true;
+      } else if (server.ssl.enabled && GENERATED_SSL_DIRECTIVES.includes(child.name)) {
+        continue;
+      } else if (child.name === 'access_log' || child.name === 'error_log') {
+        continue;
+      } else if (child.name === 'add_header' && this.isSecurityHeader(child)) {
+        state.globalSettings.securityHeaders = true;
+      } else if (child.name === 'add_header' && /^alt-svc$/i.test(child.args[0]) && server.ssl.http3) {
+        continue;
+      } else if (child.name === 'return' && /^30[1278]$/.test(child.args[0]) && child.args[1] &&
+                 !node.block.some(c => c.name === 'location' && c.args.join(' ') === '/')) {
+        server.locations.push({
+          id: generateId(),
+          type: 'redirect',
+          path: '/',
+          code: parseInt(child.args[0]),
+          destination: child.args[1]
+        });
+      } else {
+        this.addUnmapped(context, child);
+      }
+    }
+
+    return server;
+  }
+
+  /**
+   * Import a location block, falling back to a custom location when
+   * any directive has no equivalent in the detected location type
+   */
+  importLocation(node, context, serverName) {
+    const path = node.args.join(' ');
+    const nodes = node.block;
+    const consumed = new Set();
+    const take = (...items) => items.filter(Boolean).forEach(item => consumed.add(item));
+    const find = name => nodes.find(n => n.name === name);
+    const findAll = name => nodes.filter(n => n.name === name);
+
+    let mapped = null;
+    const ret = find('return');
+
+    if (find('proxy_pass')) {
+      mapped = this.mapProxyLocation(nodes, context, take);
+    } else if (ret && /^30[1278]$/.test(ret.args[0]) && ret.args[1]) {
+      take(ret);
+      mapped = { type: 'redirect', code: parseInt(ret.args[0]), destination: ret.args[1] };
+    } else if (ret && ret.args[0] === '200') {
+      const accessLog = find('access_log');
+      take(ret, find('default_type'), ...findAll('add_header').filter(h => /^content-type$/i.test(h.args[0])));
+      if (accessLog?.args[0] === 'off') take(accessLog);
+      mapped = {
+        type: 'health',
+        response: (ret.args[1] || 'OK').replace(/\\n$/, ''),
+        noLog: accessLog?.args[0] === 'off'
+      };
+    } else if (find('root') || (context.root && !find('alias'))) {
+      mapped = this.mapStaticLocation(nodes, context, take);
+    }
+
+    const leftovers = nodes.filter(n => !consumed.has(n));
+    if (mapped && leftovers.length === 0) {
+      return { id: generateId(), path, ...mapped };
+    }
+
+    this.report.customLocations.push({
+      server: serverName,
+      path,
+      directives: (mapped ? leftovers : nodes).map(n => n.name),
+      file: node.file,
+      line: node.line
+    });
+
+    return {
+      id: generateId(),
+      type: 'custom',
+      path,
+      custom: serialize(nodes)
+    };
+  }
+
+  /**
+   * Map root/try_files locations to static or SPA types
+   */
+  mapStaticLocation(nodes, context, take) {
+    const find = name => nodes.find(n => n.name === name);
+    const root = find('root');
+    const index = find('index');
+    const tryFiles = find('try_files');
+    take(root, index);
+
+    const fallback = tryFiles?.args[tryFiles.args.length - 1];
+    if (tryFiles && fallback?.startsWith('/')) {
+      take(tryFiles);
+      return {
+        type: 'spa',
+        root: root?.args[0] || context.root,
+        ...(index && { index: index.args.join(' ') }),
+        fallback
+      };
+    }
+    if (tryFiles && fallback === '=404') {
+      take(tryFiles);
+    }
+
+    const mapped = {
+      type: 'static',
+      root: root?.args[0] || context.root,
+      index: index?.args.join(' ') || context.index
+    };
+
+    const autoindex = find('autoindex');
+    if (autoindex?.args[0] === 'on') {
+      take(autoindex);
+      mapped.autoindex = true;
+    }
+
+    const expires = find('expires');
+    if (expires) {
+      take(expires);
+      mapped.caching = true;
+      mapped.cacheExpires = expires.args[0];
+
+      const cacheControl = nodes.find(n => n.name === 'add_header' && /^cache-control$/i.test(n.args[0]));
+      const accessLog = find('access_log');
+      take(cacheControl);
+      if (accessLog?.args[0] === 'off') take(accessLog);
+    }
+
+    return mapped;
+  }
+
+  /**
+   * Map proxy_pass locations to proxy, api or cache types
+   */
+  mapProxyLocation(nodes, context, take) {
+    const find = name => nodes.find(n => n.name === name);
+    const headers = nodes.filter(n => n.name === 'add_header');
+    const proxyPass = find('proxy_pass');
+    const target = proxyPass.args[0];
+    // Only a bare http://name is an upstream; a URI part (even /) replaces the location prefix
+    const upstreamMatch = target.match(/^https?:\/\/([^/:]+)$/);
+
+    const mapped = upstreamMatch && context.upstreamNames.includes(upstreamMatch[1])
+      ? { upstream: upstreamMatch[1], target: null }
+      : { upstream: null, target };
+
+    take(proxyPass, find('proxy_http_version'));
+
+    const setHeaders = nodes.filter(n => n.name === 'proxy_set_header');
+    take(...setHeaders.filter(h => PROXY_HEADERS[h.args[0]?.toLowerCase()] === h.args[1]));
+    const upgradeHeaders = setHeaders.filter(h => UPGRADE_HEADERS[h.args[0]?.toLowerCase()] === h.args[1]);
+
+    const limitReq = find('limit_req');
+    const zoneArg = limitReq?.args.find(a => a.startsWith('zone='));
+    const zone = zoneArg && this.rateLimitZones.get(zoneArg.slice('zone='.length));
+    const corsHeaders = headers.filter(h => /^access-control-/i.test(h.args[0]));
+    const preflight = nodes.find(n => n.name === 'if' && /\$request_method\s*=\s*OPTIONS/.test(n.args.join(' ')));
+    const proxyCache = find('proxy_cache');
+
+    if (proxyCache) {
+      const cacheValid = nodes.filter(n => n.name === 'proxy_cache_valid');
+      const bypass = [find('proxy_cache_bypass'), find('proxy_no_cache')].filter(Boolean);
+      const duration = cacheValid.length === 1 && (cacheValid[0].args.length === 1 || cacheValid[0].args[0] === '200')
+        ? cacheValid[0].args[cacheValid[0].args.length - 1]
+        : null;
+
+      take(proxyCache, find('proxy_cache_use_stale'), find('proxy_cache_lock'), ...bypass);
+      take(...headers.filter(h => /^x-cache-status$/i.test(h.args[0])));
+      if (duration) take(cacheValid[0]);
+
+      return {
+        type: 'cache',
+        ...mapped,
+        cache: {
+          zone: proxyCache.args[0],
+          duration: duration || '10m',
+          bypassCookie: bypass.length > 0,
+          ...this.cacheZones.get(proxyCache.args[0])
+        }
+      };
+    }
+
+    if (zone || corsHeaders.length > 0) {
+      const result = { type: 'api', ...mapped, cors: corsHeaders.length > 0, rateLimit: !!zone };
+
+      if (corsHeaders.length > 0) {
+        const origin = corsHeaders.find(h => /^access-control-allow-origin$/i.test(h.args[0]));
+        result.corsOrigin = origin?.args[1] || '*';
+        take(...corsHeaders);
+        if (preflight?.block?.length === 1 && preflight.block[0].name === 'return') take(preflight);
+      }
+
+      if (zone) {
+        const burst = limitReq.args.find(a => a.startsWith('burst='));
+        zone.used = true;
+        result.rateLimitValue = zone.rate;
+        result.rateLimitBurst = burst ? parseInt(burst.slice('burst='.length)) : 20;
+        take(limitReq);
+      }
+
+      return result;
+    }
+
+    const result = { type: 'proxy', ...mapped, websocket: upgradeHeaders.length > 0 };
+    take(...upgradeHeaders);
+
+    const readTimeout = find('proxy_read_timeout');
+    if (readTimeout && toSeconds(readTimeout.args[0]) !== null) {
+      result.timeout = toSeconds(readTimeout.args[0]);
+      take(readTimeout, find('proxy_connect_timeout'), find('proxy_send_timeout'));
+    }
+
+    return result;
+  }
+
+  /**
+   * Check whether a limit_req_zone directive was registered as a rate zone
+   */
+  isKnownRateZone(node) {
+    return [...this.rateLimitZones.values()].some(zone => zone.node === node);
+  }
+
+  /**
+   * Check whether an add_header directive sets one of the generated security headers
+   */
+  isSecurityHeader(node) {
+    return SECURITY_HEADERS.includes(node.args[0]?.toLowerCase());
+  }
+
+  /**
+   * Record a directive that has no tree-mode equivalent
+   */
+  addUnmapped(context, node) {
+    this.report.unmapped.push({
+      context,
+      directive: serialize([node]).split('\n')[0].replace(/ \{$/, ' { ... }'),
+      file: node.file,
+      line: node.line
+    });
+  }
+}
+
+/**
+ * Convert an nginx time value (30, 30s, 1m, 1h) to seconds
+ */
+function toSeconds(value) {
+  const match = String(value).match(/^(\d+)(s|m|h)?$/);
+  if (!match) return null;
+  const multiplier = { s: 1, m: 60, h: 3600 }[match[2] || 's'];
+  return parseInt(match[1]) * multiplier;
+}
+
+export default ConfigImporter;
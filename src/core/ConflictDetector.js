@@ -36,6 +36,86 @@ class ConflictDetector {
     };
   }
 
+  /**
+   * Detect conflicts in tree-mode state (servers with locations)
+   */
+  detectTreeConflicts(state) {
+    this.clear();
+
+    this.checkAuthConflicts(state);
+    this.checkDefaultServerConflicts(state);
+
+    return {
+      hasConflicts: this.conflicts.length > 0,
+      conflicts: this.conflicts,
+      warnings: this.warnings
+    };
+  }
+
+  /**
+   * Check for locations marked public that server or location auth still protects
+   */
+  checkAuthConflicts(state) {
+    for (const server of state.servers || []) {
+      const name = server.domain?.primary || server.name;
+      const serverBasic = server.auth?.basic && server.auth.basic.enabled !== false;
+      const serverForward = server.forwardAuth && server.forwardAuth.enabled !== false;
+
+      for (const location of server.locations || []) {
+        if (!location.public) continue;
+
+        const basic = location.auth?.basic;
+        const forward = location.auth?.forward;
+        const protections = [];
+        if (basic ? basic.enabled !== false : basic === undefined && serverBasic && location.type !== 'health') {
+          protections.push({ name: 'basic auth', optOut: 'auth.basic: false' });
+        }
+        if (serverForward && (forward === true || (forward === undefined && location.type !== 'health'))) {
+          protections.push({ name: 'forward auth', optOut: 'auth.forward: false' });
+        }
+
+        protections.forEach(protection => {
+          this.warnings.push({
+            type: 'auth',
+            severity: 'warning',
+            message: `Server ${name}: Location ${location.path} is marked public but is protected by ${protection.name} (set ${protection.optOut})`
+          });
+        });
+      }
+    }
+  }
+
+  /**
+   * Check for ports with more than one default_server (the catch-all server and servers marked defaultServer)
+   */
+  checkDefaultServerConflicts(state) {
+    const setting = state.globalSettings?.defaultServer;
+    const catchAll = setting === true || Boolean(setting && setting.enabled !== false);
+    const defaults = new Map();
+    const mark = (port, name) => {
+      const names = defaults.get(port) || new Set();
+      defaults.set(port, names.add(name));
+    };
+
+    for (const server of state.servers || []) {
+      const ports = [server.domain?.port || 80, ...(server.ssl?.enabled ? [server.domain?.httpsPort || 443] : [])];
+      ports.forEach(port => {
+        if (catchAll) mark(port, 'the catch-all default server');
+        if (server.defaultServer) mark(port, server.domain?.primary || server.name);
+      });
+    }
+
+    for (const [port, names] of defaults) {
+      if (names.size > 1) {
+        this.conflicts.push({
+          type: 'default_server',
+          severity: 'error',
+          message: `Port ${port} has more than one default_server: ${[...names].join(', ')}`
+        });
+      }
+    }
+  }
+
   /**
    * Check for port conflicts
    */
@@ -1,5 +1,6 @@
 /**
  * DDoSProtection - Connection and request limiting for DDoS mitigation
+ * Request zones use a ddos_ prefix so they never clash with per-location *_limit zones
  */
 class DDoSProtection {
   constructor() {
@@ -117,13 +118,13 @@ class DDoSProtection {
     // Request limit zones
     if (this.config.requestLimits) {
       directives.push(
-        `limit_req_zone $binary_remote_addr zone=general_limit:10m rate=${this.config.requestLimits.general};`
+        `limit_req_zone $binary_remote_addr zone=ddos_general:10m rate=${this.config.requestLimits.general};`
       );
       directives.push(
-        `limit_req_zone $binary_remote_addr zone=api_limit:10m rate=${this.config.requestLimits.api};`
+        `limit_req_zone $binary_remote_addr zone=ddos_api:10m rate=${this.config.requestLimits.api};`
       );
       directives.push(
-        `limit_req_zone $binary_remote_addr zone=login_limit:10m rate=${this.config.requestLimits.login};`
+        `limit_req_zone $binary_remote_addr zone=ddos_login:10m rate=${this.config.requestLimits.login};`
       );
     }
 
@@ -177,14 +178,14 @@ class DDoSProtection {
     // General request rate limit
     if (this.config.requestLimits) {
       directives.push(
-        `limit_req zone=general_limit burst=${this.config.requestLimits.burst} nodelay;`
+        `limit_req zone=ddos_general burst=${this.config.requestLimits.burst} nodelay;`
       );
       directives.push(
         'limit_req_status 429;'
       );
     }
 
-    return directives.join('\n    ');
+    return directives.join('\n');
   }
 
   /**
@@ -193,7 +194,7 @@ class DDoSProtection {
   generateAPILocationDirectives() {
     if (!this.config.enabled || !this.config.requestLimits) return '';
 
-    return `limit_req zone=api_limit burst=${this.config.requestLimits.apiBurst} nodelay;`;
+    return `limit_req zone=ddos_api burst=${this.config.requestLimits.apiBurst} nodelay;`;
   }
 
   /**
@@ -202,7 +203,7 @@ class DDoSProtection {
   generateLoginLocationDirectives() {
     if (!this.config.enabled || !this.config.requestLimits) return '';
 
-    return `limit_req zone=login_limit burst=${this.config.requestLimits.loginBurst} nodelay;`;
+    return `limit_req zone=ddos_login burst=${this.config.requestLimits.loginBurst} nodelay;`;
   }
 
   /**
@@ -0,0 +1,131 @@
+import { directives as bundledDirectives, opaqueBlocks } from '../schema/directives.js';
+
+const TYPE_PATTERNS = {
+  flag: /^(on|off)$/,
+  number: /^\d+$/,
+  size: /^\d+[kKmMgG]?$/,
+  time: /^(\d+(ms|s|m|h|d|w|M|y)?)+$/
+};
+
+/**
+ * DirectiveSchema - Checks parsed directives against the bundled directive schema
+ * Catches directives in the wrong context, wrong argument counts and invalid values
+ * before `nginx -t` does
+ */
+class DirectiveSchema {
+  constructor(directives = bundledDirectives) {
+    this.directives = directives;
+  }
+
+  /**
+   * Find the rule for a directive in a context
+   * @param {string} name - Directive name
+   * @param {string} context - Enclosing context (main, http, server, location, if, ...)
+   * @returns {Object|null} - Matching rule, the first variant if none matches, or null if unknown
+   */
+  getRule(name, context) {
+    if (!Object.hasOwn(this.directives, name)) return null;
+
+    const variants = [].concat(this.directives[name]);
+    return variants.find(v => v.contexts.includes('*') || v.contexts.includes(context)) || variants[0];
+  }
+
+  /**
+   * Check whether a directive is known
+   */
+  isKnown(name) {
+    return Object.hasOwn(this.directives, name);
+  }
+
+  /**
+   * Validate directive nodes
+   * @param {Array} nodes - Directive nodes from NginxParser
+   * @param {string} context - Context the nodes appear in
+   * @returns {Object} - { errors, warnings } lists of { message, file, line, column }
+   */
+  validate(nodes, context = 'main') {
+    const errors = [];
+    const warnings = [];
+
+    const visit = (list, current) => {
+      for (const node of list) {
+        const issue = message => ({ message, file: node.file, line: node.line, column: node.column });
+        const rule = this.getRule(node.name, current);
+
+        if (!rule) {
+          warnings.push(issue(`Unknown directive "${node.name}"`));
+          continue;
+        }
+
+        if (!rule.contexts.includes('*') && !rule.contexts.includes(current)) {
+          errors.push(issue(`"${node.name}" directive is not allowed in ${current} context`));
+        } else if (rule.block && !node.block) {
+          errors.push(issue(`"${node.name}" directive has no opening "{"`));
+        } else if (!rule.block && node.block && node.name !== 'include') {
+          errors.push(issue(`"${node.name}" directive does not take a block`));
+        } else {
+          const [min, max] = rule.args;
+          if (node.args.length < min || node.args.length > max) {
+            errors.push(issue(`Invalid number of arguments in "${node.name}" directive (${describeCount(min, max)})`));
+          } else {
+            const invalid = node.args.find(arg => !isValidValue(arg, rule));
+            if (invalid !== undefined) {
+              errors.push(issue(`Invalid value "${invalid}" in "${node.name}" directive (expected ${describeValue(rule)})`));
+            }
+          }
+        }
+
+        if (node.block && !opaqueBlocks.includes(node.name)) {
+          visit(node.block, childContext(node.name, current));
+        }
+      }
+    };
+
+    visit(nodes, context);
+
+    return { errors, warnings };
+  }
+}
+
+/**
+ * Name the context a block opens (servers and upstreams inside stream differ from their http namesakes)
+ */
+function childContext(name, parent) {
+  if ((name === 'server' || name === 'upstream') && parent === 'stream') {
+    return `stream:${name}`;
+  }
+  return name;
+}
+
+/**
+ * Check an argument against the rule's type and allowed values
+ * Arguments containing variables are resolved at runtime and always pass
+ */
+function isValidValue(arg, rule) {
+  if (!rule.type && !rule.values) return true;
+  if (arg.includes('$')) return true;
+  if (rule.values?.includes(arg)) return true;
+  return !!rule.type && TYPE_PATTERNS[rule.type].test(arg);
+}
+
+/**
+ * Describe an expected argument count
+ */
+function describeCount(min, max) {
+  if (min === max) return `expected ${min}`;
+  if (max === Infinity) return `expected at least ${min}`;
+  return `expected ${min} to ${max}`;
+}
+
+/**
+ * Describe the expected value of an argument
+ */
+function describeValue(rule) {
+  const expected = [];
+  if (rule.type === 'flag') expected.push('on', 'off');
+  else if (rule.type) expected.push(`a ${rule.type}`);
+  if (rule.values) expected.push(...rule.values);
+  return expected.join(' | ');
+}
+
+export default DirectiveSchema;
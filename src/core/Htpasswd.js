@@ -0,0 +1,316 @@
+import { promises as fs } from 'fs';
+import crypto from 'crypto';
+
+const ITOA64 = './0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+const BCRYPT64 = './ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+
+export const algorithms = ['apr1', 'bcrypt'];
+
+// Apache's htpasswd caps bcrypt at 17; each step doubles the (blocking) hashing time
+const MAX_BCRYPT_COST = 17;
+
+/**
+ * Htpasswd - Create and maintain nginx auth_basic_user_file files
+ * Hashes are computed in Node: Apache MD5 (apr1), which every nginx build accepts,
+ * and bcrypt, which nginx hands to the system crypt() (glibc/libxcrypt, not musl)
+ */
+class Htpasswd {
+  constructor(content = '') {
+    // Keep comments and unknown lines as they are; entries are "user:hash"
+    this.lines = content.split('\n').filter((line, idx, all) => line !== '' || idx < all.length - 1);
+  }
+
+  /**
+   * Read a file (a missing file is an empty one)
+   */
+  static async load(file) {
+    try {
+      return new Htpasswd(await fs.readFile(file, 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return new Htpasswd();
+      throw error;
+    }
+  }
+
+  /**
+   * Write the file, readable by the owner and group only
+   */
+  async save(file) {
+    await fs.writeFile(file, this.toString(), { encoding: 'utf-8', mode: 0o640 });
+  }
+
+  /**
+   * List user names
+   */
+  users() {
+    return this.lines.map(line => this.parseLine(line)).filter(Boolean).map(entry => entry.user);
+  }
+
+  /**
+   * Get a user's hash (null when missing)
+   */
+  getHash(user) {
+    return this.lines.map(line => this.parseLine(line)).find(entry => entry?.user === user)?.hash || null;
+  }
+
+  /**
+   * Add a user or replace their password
+   * @returns {boolean} - true when the user was added, false when updated
+   */
+  setUser(user, password, algorithm = 'apr1', options = {}) {
+    if (!/^[^:\s#][^:\s]*$/.test(user)) {
+      throw new Error(`Invalid user name '${user}' (no colons or whitespace)`);
+    }
+
+    const line = `${user}:${Htpasswd.hash(password, algorithm, options)}`;
+    const index = this.lines.findIndex(l => this.parseLine(l)?.user === user);
+    if (index === -1) {
+      this.lines.push(line);
+      return true;
+    }
+    this.lines[index] = line;
+    return false;
+  }
+
+  /**
+   * Remove a user
+   * @returns {boolean} - false when the user did not exist
+   */
+  removeUser(user) {
+    const before = this.lines.length;
+    this.lines = this.lines.filter(line => this.parseLine(line)?.user !== user);
+    return this.lines.length < before;
+  }
+
+  /**
+   * Check a user's password
+   */
+  verify(user, password) {
+    const hash = this.getHash(user);
+    return hash ? Htpasswd.verifyHash(password, hash) : false;
+  }
+
+  parseLine(line) {
+    if (!line || line.startsWith('#')) return null;
+    const idx = line.indexOf(':');
+    if (idx <= 0) return null;
+    return { user: line.slice(0, idx), hash: line.slice(idx + 1).split(':')[0] };
+  }
+
+  toString() {
+    return this.lines.length > 0 ? `${this.lines.join('\n')}\n` : '';
+  }
+
+  /**
+   * Hash a password
+   * @param {string} algorithm - apr1 or bcrypt
+   * @param {Object} options - salt (apr1: up to 8 chars, bcrypt: 16 bytes) and cost (bcrypt, 4-17)
+   */
+  static hash(password, algorithm = 'apr1', options = {}) {
+    if (algorithm === 'apr1') {
+      return apr1(password, options.salt || randomSalt(8));
+    }
+    if (algorithm === 'bcrypt') {
+      const cost = options.cost ?? 10;
+      if (!Number.isInteger(cost) || cost < 4 || cost > MAX_BCRYPT_COST) {
+        throw new Error(`bcrypt cost must be an integer between 4 and ${MAX_BCRYPT_COST}`);
+      }
+      return bcrypt(password, options.salt || crypto.randomBytes(16), cost);
+    }
+    throw new Error(`Unknown algorithm '${algorithm}' (expected ${algorithms.join(', ')})`);
+  }
+
+  /**
+   * Check a password against an apr1, bcrypt, {SHA} or {PLAIN} hash
+   */
+  static verifyHash(password, hash) {
+    let expected;
+    if (hash.startsWith('$apr1$')) {
+      expected = apr1(password, hash.split('$')[2]);
+    } else if (/^\$2[aby]\$\d\d\$/.test(hash)) {
+      expected = bcrypt(password, decodeBcrypt64(hash.slice(7, 29), 16), parseInt(hash.slice(4, 6)), hash.slice(0, 4));
+    } else if (hash.startsWith('{SHA}')) {
+      expected = `{SHA}${crypto.createHash('sha1').update(password).digest('base64')}`;
+    } else if (hash.startsWith('{PLAIN}')) {
+      expected = `{PLAIN}${password}`;
+    } else {
+      return false;
+    }
+    return expected.length === hash.length && crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(hash));
+  }
+}
+
+function randomSalt(length) {
+  return Array.from(crypto.randomBytes(length), byte => ITOA64[byte & 0x3f]).join('');
+}
+
+/**
+ * Apache MD5-crypt ($apr1$), as htpasswd -m computes it
+ */
+function apr1(password, salt) {
+  const pw = Buffer.from(password, 'utf-8');
+  const magic = '$apr1$';
+  salt = salt.slice(0, 8);
+
+  const md5 = (...parts) => parts.reduce((h, part) => h.update(part), crypto.createHash('md5')).digest();
+
+  const alternate = md5(pw, salt, pw);
+  const ctx = crypto.createHash('md5').update(pw).update(magic).update(salt);
+  for (let left = pw.length; left > 0; left -= 16) {
+    ctx.update(alternate.subarray(0, Math.min(left, 16)));
+  }
+  for (let i = pw.length; i > 0; i >>= 1) {
+    ctx.update(i & 1 ? Buffer.alloc(1) : pw.subarray(0, 1));
+  }
+
+  let final = ctx.digest();
+  for (let i = 0; i < 1000; i++) {
+    final = md5(
+      i & 1 ? pw : final,
+      i % 3 ? salt : '',
+      i % 7 ? pw : '',
+      i & 1 ? final : pw
+    );
+  }
+
+  const to64 = (value, length) => {
+    let out = '';
+    for (let i = 0; i < length; i++, value >>= 6) out += ITOA64[value & 0x3f];
+    return out;
+  };
+
+  const groups = [[0, 6, 12], [1, 7, 13], [2, 8, 14], [3, 9, 15], [4, 10, 5]];
+  const encoded = groups.map(([a, b, c]) => to64((final[a] << 16) | (final[b] << 8) | final[c], 4)).join('') + to64(final[11], 2);
+  return `${magic}${salt}$${encoded}`;
+}
+
+/**
+ * Blowfish initial state: the P-array and S-boxes are the fractional hex digits of pi,
+ * computed once with Machin's formula instead of being pasted in as a 4 KB table
+ */
+let blowfishInit = null;
+function getBlowfishInit() {
+  if (blowfishInit) return blowfishInit;
+
+  const words = 18 + 4 * 256;
+  const bits = BigInt(words * 32 + 64);
+  const one = 1n << bits;
+  const arctanInv = x => {
+    const x2 = x * x;
+    let term = one / x;
+    let sum = term;
+    for (let k = 1n; term !== 0n; k++) {
+      term /= x2;
+      sum += (k % 2n ? -term : term) / (2n * k + 1n);
+    }
+    return sum;
+  };
+
+  // Fractional part of pi, shifted down to words * 32 bits
+  const pi = 16n * arctanInv(5n) - 4n * arctanInv(239n);
+  const fraction = (pi - 3n * one) >> 64n;
+  const digits = new Uint32Array(words);
+  for (let i = 0; i < words; i++) {
+    digits[i] = Number((fraction >> BigInt((words - 1 - i) * 32)) & 0xffffffffn);
+  }
+
+  blowfishInit = { P: digits.slice(0, 18), S: digits.slice(18) };
+  return blowfishInit;
+}
+
+/**
+ * bcrypt ($2y$, the prefix Apache htpasswd -B writes)
+ */
+function bcrypt(password, salt, cost, prefix = '$2y$') {
+  const init = getBlowfishInit();
+  const P = init.P.slice();
+  const S = init.S.slice();
+
+  const F = x => ((((S[x >>> 24] + S[256 | ((x >>> 16) & 0xff)]) >>> 0) ^ S[512 | ((x >>> 8) & 0xff)]) + S[768 | (x & 0xff)]) >>> 0;
+  const block = new Uint32Array(2);
+  const encipher = () => {
+    let l = block[0] ^ P[0];
+    let r = block[1];
+    for (let i = 1; i <= 16; i += 2) {
+      r ^= F(l) ^ P[i];
+      l ^= F(r >>> 0) ^ P[i + 1];
+    }
+    block[0] = (r ^ P[17]) >>> 0;
+    block[1] = l >>> 0;
+  };
+
+  const stream = bytes => {
+    let pos = 0;
+    return () => {
+      let word = 0;
+      for (let i = 0; i < 4; i++, pos = (pos + 1) % bytes.length) word = (word << 8) | bytes[pos];
+      return word >>> 0;
+    };
+  };
+
+  const expand = (key, data) => {
+    const nextKey = stream(key);
+    for (let i = 0; i < 18; i++) P[i] ^= nextKey();
+
+    const nextData = data ? stream(data) : () => 0;
+    block[0] = 0;
+    block[1] = 0;
+    for (const table of [P, S]) {
+      for (let i = 0; i < table.length; i += 2) {
+        block[0] ^= nextData();
+        block[1] ^= nextData();
+        encipher();
+        table[i] = block[0];
+        table[i + 1] = block[1];
+      }
+    }
+  };
+
+  // Key: the password with its terminating NUL, at most 72 bytes
+  const key = Buffer.concat([Buffer.from(password, 'utf-8'), Buffer.alloc(1)]).subarray(0, 72);
+
+  expand(key, salt);
+  for (let round = 2 ** cost; round > 0; round--) {
+    expand(key, null);
+    expand(salt, null);
+  }
+
+  const text = Buffer.from('OrpheanBeholderScryDoubt');
+  const output = Buffer.alloc(24);
+  for (let i = 0; i < 24; i += 8) {
+    block[0] = text.readUInt32BE(i);
+    block[1] = text.readUInt32BE(i + 4);
+    for (let n = 0; n < 64; n++) encipher();
+    output.writeUInt32BE(block[0], i);
+    output.writeUInt32BE(block[1], i + 4);
+  }
+
+  return `${prefix}${String(cost).padStart(2, '0')}$${encodeBcrypt64(salt, 16)}${encodeBcrypt64(output, 23)}`;
+}
+
+function encodeBcrypt64(bytes, length) {
+  let out = '';
+  for (let i = 0; i < length; i += 3) {
+    const c1 = bytes[i];
+    const c2 = i + 1 < length ? bytes[i + 1] : 0;
+    const c3 = i + 2 < length ? bytes[i + 2] : 0;
+    out += BCRYPT64[c1 >> 2] + BCRYPT64[((c1 & 0x03) << 4) | (c2 >> 4)];
+    if (i + 1 < length) out += BCRYPT64[((c2 & 0x0f) << 2) | (c3 >> 6)];
+    if (i + 2 < length) out += BCRYPT64[c3 & 0x3f];
+  }
+  return out;
+}
+
+function decodeBcrypt64(text, length) {
+  const bytes = [];
+  const values = Array.from(text, ch => BCRYPT64.indexOf(ch));
+  for (let i = 0; i < values.length && bytes.length < length; i += 4) {
+    const [a, b, c = 0, d = 0] = values.slice(i, i + 4);
+    bytes.push(((a << 2) | (b >> 4)) & 0xff);
+    if (bytes.length < length) bytes.push(((b << 4) | (c >> 2)) & 0xff);
+    if (bytes.length < length) bytes.push(((c << 6) | d) & 0xff);
+  }
+  return Buffer.from(bytes);
+}
+
+export default Htpasswd;
@@ -0,0 +1,426 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+
+/**
+ * NginxParser - Tokenizes and parses nginx configuration files
+ * Produces a tree of directive nodes and resolves `include` directives (including globs)
+ */
+class NginxParser {
+  constructor(options = {}) {
+    this.options = options;
+    this.warnings = [];
+    this.includedFiles = [];
+  }
+
+  /**
+   * Split config text into tokens
+   * @param {string} content - Raw config text
+   * @param {string} file - Source file name (for error positions)
+   * @returns {Array} - Tokens with type, value, line, column and endColumn
+   */
+  tokenize(content, file = null) {
+    const tokens = [];
+    let line = 1;
+    let lineStart = 0;
+    let i = 0;
+
+    const newline = (index) => {
+      line++;
+      lineStart = index + 1;
+    };
+
+    while (i < content.length) {
+      const char = content[i];
+      const column = i - lineStart + 1;
+
+      if (char === '\n') {
+        newline(i);
+        i++;
+        continue;
+      }
+
+      if (/\s/.test(char)) {
+        i++;
+        continue;
+      }
+
+      // Comments run to end of line
+      if (char === '#') {
+        const end = content.indexOf('\n', i);
+        const stop = end === -1 ? content.length : end;
+        tokens.push({ type: 'comment', value: content.slice(i + 1, stop).trim(), line, column, endColumn: stop - lineStart });
+        i = stop;
+        continue;
+      }
+
+      if (char === '{' || char === '}' || char === ';') {
+        const type = char === '{' ? 'open' : char === '}' ? 'close' : 'semicolon';
+        tokens.push({ type, value: char, line, column, endColumn: column });
+        i++;
+        continue;
+      }
+
+      // Quoted strings
+      if (char === '"' || char === '\'') {
+        const startLine = line;
+        let value = '';
+        i++;
+        while (i < content.length && content[i] !== char) {
+          if (content[i] === '\\' && i + 1 < content.length) {
+            // Escaped quotes lose their backslash, other escapes (regexes) are kept verbatim
+            value += content[i + 1] === char ? char : content[i] + content[i + 1];
+            if (content[i + 1] === '\n') newline(i + 1);
+            i += 2;
+            continue;
+          }
+          if (content[i] === '\n') newline(i);
+          value += content[i];
+          i++;
+        }
+        if (i >= content.length) {
+          throw this.syntaxError('Unterminated string', { file, line: startLine, column });
+        }
+        i++;
+        tokens.push({ type: 'string', value, line: startLine, column, endLine: line, endColumn: i - lineStart });
+        continue;
+      }
+
+      // Bare words (variables like ${host} keep their braces)
+      let value = '';
+      while (i < content.length && !/[\s;{}]/.test(content[i])) {
+        if (content[i] === '$' && content[i + 1] === '{') {
+          const end = content.indexOf('}', i);
+          if (end !== -1) {
+            value += content.slice(i, end + 1);
+            i = end + 1;
+            continue;
+          }
+        }
+        value += content[i];
+        i++;
+      }
+      tokens.push({ type: 'word', value, line, column, endColumn: i - lineStart });
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Parse config text into directive nodes
+   * Every node records file, line and column; block nodes also record where their closing brace is
+   * @param {string} content - Raw config text
+   * @param {string} file - Source file name (for node positions)
+   * @returns {Array} - Directive nodes
+   */
+  parse(content, file = null) {
+    const tokens = this.tokenize(content, file).filter(t => t.type !== 'comment');
+    let pos = 0;
+
+    const parseBlock = (parent) => {
+      const nodes = [];
+
+      while (pos < tokens.length) {
+        const token = tokens[pos];
+
+        if (token.type === 'close') {
+          if (!parent) {
+            throw this.syntaxError('Unexpected "}"', { file, ...token });
+          }
+          parent.endLine = token.line;
+          parent.endColumn = token.column;
+          pos++;
+          return nodes;
+        }
+
+        if (token.type === 'open' || token.type === 'semicolon') {
+          throw this.syntaxError(`Unexpected "${token.value}"`, { file, ...token });
+        }
+
+        const node = {
+          type: 'directive',
+          name: token.value,
+          args: [],
+          argPositions: [],
+          file,
+          line: token.line,
+          column: token.column
+        };
+        pos++;
+
+        let last = token;
+        while (pos < tokens.length && (tokens[pos].type === 'word' || tokens[pos].type === 'string')) {
+          last = tokens[pos];
+          node.args.push(last.value);
+          node.argPositions.push({
+            line: last.line,
+            column: last.column,
+            endLine: last.endLine || last.line,
+            endColumn: last.endColumn,
+            quoted: last.type === 'string'
+          });
+          pos++;
+        }
+
+        const terminator = tokens[pos];
+        const afterLast = { file, line: last.endLine || last.line, column: last.endColumn + 1 };
+        if (!terminator) {
+          throw this.syntaxError(`Unexpected end of file, expecting ";" or "{" after "${node.name}"`, afterLast);
+        }
+
+        if (terminator.type === 'semicolon') {
+          pos++;
+        } else if (terminator.type === 'open') {
+          pos++;
+          node.block = parseBlock(node);
+        } else {
+          throw this.syntaxError(`Directive "${node.name}" is not terminated by ";"`, afterLast);
+        }
+
+        nodes.push(node);
+      }
+
+      if (parent) {
+        throw this.syntaxError(
+          `Unexpected end of file, expecting "}" to close "${parent.name}" block`,
+          { file, line: parent.line, column: parent.column }
+        );
+      }
+
+      return nodes;
+    };
+
+    return parseBlock(null);
+  }
+
+  /**
+   * Build a syntax error carrying its source position
+   * @param {string} reason - What went wrong
+   * @param {Object} position - { file, line, column }
+   * @returns {Error} - Error with file, line, column and reason properties
+   */
+  syntaxError(reason, position) {
+    const error = new Error(`${formatPosition(position)}: ${reason}`);
+    error.reason = reason;
+    error.file = position.file;
+    error.line = position.line;
+    error.column = position.column;
+    return error;
+  }
+
+  /**
+   * Parse a config file from disk, inlining included files
+   * @param {string} filePath - Path to nginx.conf
+   * @returns {Promise<Object>} - Parsed file with nodes and included files
+   */
+  async parseFile(filePath) {
+    this.warnings = [];
+    this.includedFiles = [];
+
+    const file = path.resolve(filePath);
+    const prefix = this.options.prefix ? path.resolve(this.options.prefix) : path.dirname(file);
+    const nodes = await this.parseFileNodes(file, prefix, new Set());
+
+    return {
+      file,
+      nodes,
+      includedFiles: [...this.includedFiles],
+      warnings: [...this.warnings]
+    };
+  }
+
+  /**
+   * Parse a single file and resolve its includes
+   */
+  async parseFileNodes(file, prefix, seen) {
+    if (seen.has(file)) {
+      throw new Error(`Include cycle detected at ${file}`);
+    }
+
+    const content = await fs.readFile(file, 'utf-8');
+    const nodes = this.parse(content, file);
+
+    return this.resolveIncludes(nodes, prefix, new Set([...seen, file]));
+  }
+
+  /**
+   * Replace include directives with the nodes of the files they match
+   */
+  async resolveIncludes(nodes, prefix, seen) {
+    const resolved = [];
+
+    for (const node of nodes) {
+      if (node.name === 'include' && !node.block && node.args.length === 1) {
+        const pattern = node.args[0];
+        const files = await this.expandInclude(pattern, prefix);
+
+        if (files.length === 0 && !hasGlob(pattern)) {
+          this.warnings.push(`${formatPosition(node)}: included file not found: ${pattern}`);
+          resolved.push(node);
+          continue;
+        }
+
+        for (const includeFile of files) {
+          this.includedFiles.push(includeFile);
+          resolved.push(...await this.parseFileNodes(includeFile, prefix, seen));
+        }
+        continue;
+      }
+
+      if (node.block) {
+        node.block = await this.resolveIncludes(node.block, prefix, seen);
+      }
+      resolved.push(node);
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Expand an include path (relative paths resolve against the config prefix)
+   * @param {string} pattern - Include argument, may contain * ? and [..]
+   * @param {string} prefix - Directory relative includes resolve against
+   * @returns {Promise<Array>} - Sorted list of matching files
+   */
+  async expandInclude(pattern, prefix) {
+    const absolute = path.isAbsolute(pattern) ? pattern : path.join(prefix, pattern);
+
+    if (!hasGlob(absolute)) {
+      try {
+        const stat = await fs.stat(absolute);
+        return stat.isFile() ? [absolute] : [];
+      } catch {
+        return [];
+      }
+    }
+
+    const segments = absolute.split(path.sep).filter(Boolean);
+    let candidates = [path.parse(absolute).root];
+
+    for (const [idx, segment] of segments.entries()) {
+      const isLast = idx === segments.length - 1;
+      const next = [];
+
+      for (const dir of candidates) {
+        if (!hasGlob(segment)) {
+          next.push(path.join(dir, segment));
+          continue;
+        }
+
+        let entries;
+        try {
+          entries = await fs.readdir(dir, { withFileTypes: true });
+        } catch {
+          continue;
+        }
+
+        const matcher = globToRegExp(segment);
+        for (const entry of entries) {
+          if (matcher.test(entry.name) && (isLast || entry.isDirectory())) {
+            next.push(path.join(dir, entry.name));
+          }
+        }
+      }
+
+      candidates = next;
+    }
+
+    const files = [];
+    for (const candidate of candidates.sort()) {
+      try {
+        const stat = await fs.stat(candidate);
+        if (stat.isFile()) files.push(candidate);
+      } catch {
+        // Broken symlink or vanished file - nginx would fail too, skip it here
+      }
+    }
+    return files;
+  }
+}
+
+/**
+ * Check whether a path contains glob characters
+ */
+function hasGlob(value) {
+  return /[*?[]/.test(value);
+}
+
+/**
+ * Convert a glob segment to a RegExp
+ */
+function globToRegExp(segment) {
+  let source = '';
+  for (const char of segment) {
+    if (char === '*') source += '[^/]*';
+    else if (char === '?') source += '[^/]';
+    else if (char === '[' || char === ']') source += char;
+    else source += char.replace(/[.+^${}()|\\]/g, '\\$&');
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Format a source position as file:line:column
+ */
+export function formatPosition(position = {}) {
+  const parts = [position.file, position.line, position.column].filter(p => p !== undefined && p !== null);
+  return parts.join(':');
+}
+
+/**
+ * Visit every directive node depth-first
+ * @param {Array} nodes - Directive nodes
+ * @param {Function} visitor - Called with (node, parents)
+ * @param {Array} parents - Enclosing block nodes, outermost first
+ */
+export function walk(nodes, visitor, parents = []) {
+  for (const node of nodes) {
+    visitor(node, parents);
+    if (node.block) {
+      walk(node.block, visitor, [...parents, node]);
+    }
+  }
+}
+
+/**
+ * Quote a directive argument when nginx would otherwise split or misread it
+ */
+export function quoteArg(arg) {
+  if (arg !== '' && !/[\s;{}#"']/.test(arg)) {
+    return arg;
+  }
+  if (!arg.includes('"')) {
+    return `"${arg}"`;
+  }
+  if (!arg.includes('\'')) {
+    return `'${arg}'`;
+  }
+  return `"${arg.replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Serialize directive nodes back to nginx syntax
+ * @param {Array} nodes - Directive nodes
+ * @param {number} indentLevel - Starting indentation level
+ * @returns {string} - Config text
+ */
+export function serialize(nodes, indentLevel = 0) {
+  const indent = '    '.repeat(indentLevel);
+  const lines = [];
+
+  for (const node of nodes) {
+    const head = [node.name, ...node.args.map(quoteArg)].join(' ');
+    if (node.block) {
+      lines.push(`${indent}${head} {`);
+      if (node.block.length > 0) {
+        lines.push(serialize(node.block, indentLevel + 1));
+      }
+      lines.push(`${indent}}`);
+    } else {
+      lines.push(`${indent}${head};`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+export default NginxParser;
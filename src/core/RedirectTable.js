@@ -0,0 +1,241 @@
+export const REDIRECT_CODES = [301, 302, 308];
+
+const MAX_HOPS = 20;
+
+/**
+ * RedirectTable - Bulk old-URL to new-URL redirects
+ * Rows are { from, to, code }; a from starting with ~ (or ~* to ignore case) is a regex
+ * whose captures ($1, $2) can be used in to. An exact from may include a query string.
+ */
+class RedirectTable {
+  constructor(rows = []) {
+    this.rows = rows.map(row => ({ ...row }));
+  }
+
+  /**
+   * Parse CSV with from,to[,code] columns (an optional header row names them in any order)
+   * The host of absolute from URLs is dropped; rows without a code get defaultCode
+   * @returns {{rows: Array, errors: Array<{line: number, message: string}>}}
+   */
+  static parseCsv(text, { defaultCode = 301 } = {}) {
+    const records = parseCsvRecords(text);
+    const rows = [];
+    const errors = [];
+
+    let columns = { from: 0, to: 1, code: 2 };
+    const header = records[0]?.fields.map(field => field.trim().toLowerCase());
+    if (header && header.includes('from') && header.includes('to')) {
+      columns = { from: header.indexOf('from'), to: header.indexOf('to'), code: header.indexOf('code') };
+      records.shift();
+    }
+
+    for (const { line, fields } of records) {
+      if (fields.every(field => field.trim() === '')) continue;
+
+      const from = normalizeSource(fields[columns.from]?.trim() || '');
+      const to = fields[columns.to]?.trim() || '';
+      const code = fields[columns.code]?.trim() ? Number(fields[columns.code].trim()) : defaultCode;
+
+      if (!from || !to) {
+        errors.push({ line, message: 'A from and a to value are required' });
+      } else if (!from.startsWith('/') && !from.startsWith('~')) {
+        errors.push({ line, message: `'${from}' must be a path, a URL or a ~ regex` });
+      } else if (!REDIRECT_CODES.includes(code)) {
+        errors.push({ line, message: `Status ${fields[columns.code].trim()} is not one of ${REDIRECT_CODES.join(', ')}` });
+      } else {
+        rows.push({ from, to, code });
+      }
+    }
+
+    return { rows, errors };
+  }
+
+  /**
+   * Add rows, replacing rows with the same from
+   * @returns {{added: number, replaced: number}}
+   */
+  merge(rows) {
+    let added = 0;
+    let replaced = 0;
+    for (const row of rows) {
+      const index = this.rows.findIndex(r => r.from === row.from);
+      if (index === -1) {
+        this.rows.push({ ...row });
+        added++;
+      } else {
+        this.rows[index] = { ...row };
+        replaced++;
+      }
+    }
+    return { added, replaced };
+  }
+
+  /**
+   * Find duplicate sources, redirect chains (a -> b -> c) and loops (a -> b -> a)
+   * Targets on other hosts end a chain; absolute URLs on one of hosts are followed
+   * @returns {{duplicates: string[], chains: string[][], loops: string[][]}}
+   */
+  analyze({ hosts = [] } = {}) {
+    const exact = new Map();
+    const duplicates = [];
+    const patterns = [];
+
+    for (const row of this.rows) {
+      if (exact.has(row.from) || patterns.some(p => p.row.from === row.from)) {
+        duplicates.push(row.from);
+        continue;
+      }
+      const regex = /^~(\*?)(.*)$/.exec(row.from);
+      if (!regex) {
+        exact.set(row.from, row);
+        continue;
+      }
+      try {
+        patterns.push({ row, pattern: new RegExp(regex[2], regex[1] ? 'i' : '') });
+      } catch {
+        // Left to nginx; the pattern may use PCRE-only syntax
+      }
+    }
+
+    // The row a target hits and where it sends the client, with regex captures filled in
+    const step = target => {
+      const uri = localUri(target, hosts);
+      if (uri === null) return null;
+
+      const path = uri.split('?')[0];
+      const row = exact.get(uri) || exact.get(path);
+      if (row) return { row, to: row.to };
+
+      for (const { row: candidate, pattern } of patterns) {
+        const match = pattern.exec(path);
+        if (match) return { row: candidate, to: candidate.to.replace(/\$(\d)/g, (_, n) => match[Number(n)] ?? '') };
+      }
+      return null;
+    };
+
+    // Walks start from every exact row and from regex rows, through a path their pattern matches
+    const starts = [...exact.values()].map(row => ({ row, to: row.to }));
+    for (const { row, pattern } of patterns) {
+      const sample = samplePath(row.from.replace(/^~\*?/, ''), pattern);
+      if (sample !== null) {
+        const match = pattern.exec(sample);
+        starts.push({ row, to: row.to.replace(/\$(\d)/g, (_, n) => match[Number(n)] ?? '') });
+      }
+    }
+
+    const chains = [];
+    const loops = [];
+    const cycles = new Set();
+    for (const { row, to } of starts) {
+      const hops = [row.from, to];
+      const visited = [row];
+      let next = step(to);
+      let revisited = null;
+      while (next && hops.length <= MAX_HOPS) {
+        if (visited.includes(next.row)) {
+          revisited = next.row;
+          break;
+        }
+        hops.push(next.to);
+        visited.push(next.row);
+        next = step(next.to);
+      }
+
+      if (revisited || hops.length > MAX_HOPS) {
+        // Report each cycle once, whichever of its sources it was reached from
+        const key = visited.slice(revisited ? visited.indexOf(revisited) : 0).map(r => r.from).sort().join(' ');
+        if (!cycles.has(key)) {
+          cycles.add(key);
+          loops.push(hops);
+        }
+      } else if (hops.length > 2) {
+        chains.push(hops);
+      }
+    }
+
+    return { duplicates, chains, loops };
+  }
+}
+
+/**
+ * A path a regex source matches, built by filling in its common constructs (null when none is found)
+ */
+function samplePath(source, pattern) {
+  const sample = source
+    .replace(/^\^/, '')
+    .replace(/\$$/, '')
+    .replace(/\\d[+*]?|\[0-9\][+*]?/g, '1')
+    .replace(/\\w[+*]?|\.[+*]\??|\[\^[^\]]*\][+*]?|\[[^\]]*\][+*]?/g, 'a')
+    .replace(/\(\?:/g, '(')
+    .replace(/\\(.)/g, '$1')
+    .replace(/[()?]/g, '');
+  return pattern.test(sample) ? sample : null;
+}
+
+/**
+ * Split CSV text into records, honouring quoted fields with commas, quotes ("") and newlines
+ */
+function parseCsvRecords(text) {
+  const records = [];
+  let fields = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let start = 1;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      fields.push(field);
+      records.push({ line: start, fields });
+      fields = [];
+      field = '';
+      start = ++line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || fields.length > 0) {
+    fields.push(field);
+    records.push({ line: start, fields });
+  }
+  return records;
+}
+
+/**
+ * Drop the scheme and host of an absolute from URL
+ */
+function normalizeSource(from) {
+  const url = /^https?:\/\/[^/?#]+(.*)$/i.exec(from);
+  if (!url) return from;
+  return url[1].startsWith('/') ? url[1] : `/${url[1]}`;
+}
+
+/**
+ * Reduce a target to its path and query, or null when it leaves the given hosts
+ */
+function localUri(target, hosts) {
+  const url = /^(?:https?:)?\/\/([^/?#:]+)(?::\d+)?(.*)$/i.exec(target);
+  if (!url) return target;
+  if (!hosts.includes(url[1].toLowerCase())) return null;
+  return url[2] || '/';
+}
+
+export default RedirectTable;
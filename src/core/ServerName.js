@@ -0,0 +1,86 @@
+/**
+ * ServerName - Helpers for exact, wildcard and regex server names
+ * Wildcards follow nginx: *.example.com, .example.com (the domain and its subdomains)
+ * or example.*; regexes start with ~ and may capture (?<tenant>...) for use as $tenant.
+ */
+class ServerName {
+  /**
+   * Classify a server name as exact, wildcard or regex
+   */
+  static kind(name) {
+    if (name.startsWith('~')) return 'regex';
+    return name.startsWith('*.') || name.startsWith('.') || name.endsWith('.*') ? 'wildcard' : 'exact';
+  }
+
+  /**
+   * Check whether any of the names is a wildcard or regex
+   */
+  static hasPatterns(names) {
+    return names.some(name => ServerName.kind(name) !== 'exact');
+  }
+
+  /**
+   * Turn a PCRE server name regex into a JavaScript RegExp source ((?P<n> and (?'n' named groups)
+   */
+  static toJsRegex(name) {
+    return name.replace(/^~\s*/, '').replace(/\(\?P<(\w+)>/g, '(?<$1>').replace(/\(\?'(\w+)'/g, '(?<$1>');
+  }
+
+  /**
+   * The fixed domain at the end of a regex (~^(?<tenant>.+)\.example\.com$ -> example.com)
+   */
+  static regexSuffix(name) {
+    const literal = /((?:\\\.|[A-Za-z0-9-])+)\$?$/.exec(ServerName.toJsRegex(name))?.[1];
+    const domain = literal?.replace(/\\\./g, '.').replace(/^\./, '');
+    return domain && domain.includes('.') ? domain.toLowerCase() : null;
+  }
+
+  /**
+   * Domain a certificate is stored under; wildcard certificates live under their base domain
+   * (certbot's lineage for *.example.com is example.com). null when no name has a fixed domain.
+   */
+  static certificateDomain(names) {
+    for (const name of names) {
+      const kind = ServerName.kind(name);
+      if (kind === 'exact') return name;
+      if (kind === 'regex' && ServerName.regexSuffix(name)) return ServerName.regexSuffix(name);
+      if (kind === 'wildcard' && !name.endsWith('.*')) return name.replace(/^\*?\./, '');
+    }
+    return null;
+  }
+
+  /**
+   * Domains to request a certificate for (a wildcard covers the base domain and its subdomains)
+   */
+  static certificateNames(names) {
+    const domains = names.flatMap(name => {
+      const kind = ServerName.kind(name);
+      if (kind === 'exact') return [name];
+      const base = kind === 'regex' ? ServerName.regexSuffix(name) : !name.endsWith('.*') && name.replace(/^\*?\./, '');
+      return base ? [base, `*.${base}`] : [];
+    });
+    return [...new Set(domains)];
+  }
+
+  /**
+   * File and variable safe label (*.example.com -> wildcard.example.com, regexes -> regex.<domain>)
+   */
+  static label(name) {
+    const kind = ServerName.kind(name);
+    if (kind === 'exact') return name;
+    if (kind === 'wildcard') {
+      return name.endsWith('.*') ? `${name.slice(0, -2)}.wildcard` : `wildcard.${name.replace(/^\*?\./, '')}`;
+    }
+    const suffix = ServerName.regexSuffix(name);
+    return suffix ? `regex.${suffix}` : `regex-${ServerName.toJsRegex(name).replace(/[^A-Za-z0-9]+/g, '-').replace(/^-|-$/g, '')}`;
+  }
+
+  /**
+   * Render a name for server_name, quoting regexes nginx would otherwise misread
+   */
+  static render(name) {
+    return ServerName.kind(name) === 'regex' && /[\s;{}"']/.test(name) ? `"${name.replace(/"/g, '\\"')}"` : name;
+  }
+}
+
+export default ServerName;
@@ -0,0 +1,250 @@
+import { promises as fs, readFileSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import yaml from 'js-yaml';
+import { generateId, createDDoSSettings } from './state.js';
+import StateMigrator from './StateMigrator.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const specSchemaPath = path.join(__dirname, '../schema/spec.schema.json');
+
+/**
+ * SpecLoader - Loads declarative YAML/JSON specs into tree-mode state
+ * Specs follow src/schema/spec.schema.json; nginx-wizard.json files of any schema version are
+ * migrated to the current one first
+ */
+class SpecLoader {
+  constructor(schema = JSON.parse(readFileSync(specSchemaPath, 'utf-8'))) {
+    this.schema = schema;
+    this.migrator = new StateMigrator();
+  }
+
+  /**
+   * Load, check and convert a spec file
+   * @param {string} file - Path of a .yaml, .yml or .json spec
+   * @returns {Object} - { spec, state, errors, migration } (state is null when there are errors,
+   * migration is the StateMigrator result or null)
+   */
+  async loadFile(file) {
+    const content = await fs.readFile(file, 'utf-8');
+    return this.load(content, file);
+  }
+
+  /**
+   * Parse, check and convert spec content
+   */
+  load(content, file = null) {
+    let spec;
+    try {
+      spec = this.parse(content, file);
+    } catch (error) {
+      return { spec: null, state: null, errors: [error.issue || { path: '', message: error.message }], migration: null };
+    }
+
+    // Unrecognized documents skip migration so the schema reports what is missing
+    let migration = null;
+    if (this.migrator.detectVersion(spec)) {
+      try {
+        migration = this.migrator.migrate(spec);
+        spec = migration.state;
+      } catch (error) {
+        return { spec, state: null, errors: [{ path: '', message: error.message }], migration: null };
+      }
+    }
+
+    const errors = this.validate(spec);
+    return { spec, state: errors.length === 0 ? this.toState(spec) : null, errors, migration };
+  }
+
+  /**
+   * Parse YAML or JSON (JSON is valid YAML, so both go through js-yaml)
+   * Syntax errors carry an issue with the 1-based line and column
+   */
+  parse(content, file = null) {
+    try {
+      return yaml.load(content, { filename: file });
+    } catch (error) {
+      const wrapped = new Error(`${file || 'spec'}: ${error.reason || error.message}`);
+      wrapped.issue = {
+        path: '',
+        message: error.reason || error.message,
+        ...(error.mark && { line: error.mark.line + 1, column: error.mark.column + 1 })
+      };
+      throw wrapped;
+    }
+  }
+
+  /**
+   * Check a spec against the JSON Schema
+   * @returns {Array} - Issues as { path, message }, path like servers[0].locations[1].type
+   */
+  validate(spec) {
+    const errors = [];
+    checkSchema(spec, this.schema, '', errors, this.schema);
+
+    // Stream-only specs may leave out servers
+    if (spec && typeof spec === 'object' && !Array.isArray(spec) && spec.servers === undefined && !spec.streams?.listeners?.length) {
+      errors.unshift({ path: '', message: "missing required property 'servers'" });
+    }
+    return errors;
+  }
+
+  /**
+   * Expand spec shorthands and fill in the defaults the wizard would set
+   */
+  toState(spec) {
+    const globalSettings = { ...spec.globalSettings };
+    if (typeof globalSettings.ddos === 'string') {
+      globalSettings.ddos = createDDoSSettings(globalSettings.ddos);
+    }
+
+    return {
+      servers: (spec.servers || []).map(server => this.toServer(server)),
+      upstreams: (spec.upstreams || []).map(upstream => this.toUpstream(upstream)),
+      globalSettings,
+      ...(spec.ipLists && { ipLists: spec.ipLists }),
+      ...(spec.maps && { maps: spec.maps }),
+      ...(spec.streams && { streams: this.toStreams(spec.streams) }),
+      ...(spec.templates && { templates: spec.templates })
+    };
+  }
+
+  /**
+   * Convert a spec server
+   */
+  toServer(server) {
+    const domain = typeof server.domain === 'string' ? { primary: server.domain } : server.domain;
+
+    return {
+      ...server,
+      id: server.id || generateId(),
+      name: server.name || domain.primary,
+      domain: { aliases: [], port: 80, httpsPort: 443, ...domain },
+      ssl: server.ssl || { enabled: false },
+      locations: (server.locations || []).map(location => ({ id: generateId(), ...location })),
+      upstreams: (server.upstreams || []).map(upstream => this.toUpstream(upstream))
+    };
+  }
+
+  /**
+   * Convert spec streams (listeners default to TCP)
+   */
+  toStreams(streams) {
+    return {
+      upstreams: (streams.upstreams || []).map(upstream => this.toUpstream(upstream)),
+      listeners: (streams.listeners || []).map(listener => ({ id: generateId(), protocol: 'tcp', ...listener }))
+    };
+  }
+
+  /**
+   * Convert a spec upstream ("host:port" servers become server objects)
+   */
+  toUpstream(upstream) {
+    return {
+      ...upstream,
+      id: upstream.id || generateId(),
+      servers: upstream.servers.map(server => {
+        if (typeof server !== 'string') return server;
+
+        const match = server.match(/^(.+):(\d+)$/);
+        return match && !server.startsWith('unix:')
+          ? { host: match[1], port: parseInt(match[2]) }
+          : { host: server };
+      })
+    };
+  }
+}
+
+/**
+ * Check a value against the JSON Schema subset the spec schema uses
+ * ($ref, type, enum, pattern, minimum, maximum, properties, required, additionalProperties,
+ * items, minItems, anyOf)
+ */
+function checkSchema(value, schema, at, errors, root) {
+  if (schema.$ref) {
+    const definition = schema.$ref.replace('#/definitions/', '');
+    return checkSchema(value, root.definitions[definition], at, errors, root);
+  }
+
+  const issue = message => errors.push({ path: at, message });
+
+  if (schema.anyOf) {
+    const matches = schema.anyOf.some(option => {
+      const optionErrors = [];
+      checkSchema(value, option, at, optionErrors, root);
+      return optionErrors.length === 0;
+    });
+    if (matches) return;
+
+    // Report the errors of the option with the matching type (e.g. the object form)
+    const typed = schema.anyOf.find(option => option.type && matchesType(value, option.type));
+    if (typed) return checkSchema(value, typed, at, errors, root);
+    return issue(`must be ${schema.anyOf.map(option => describeType(option.type)).join(' or ')}`);
+  }
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    return issue(`must be ${describeType(schema.type)}`);
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return issue(`must be one of ${schema.enum.join(', ')}`);
+  }
+  if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    return issue(`must match ${schema.pattern}`);
+  }
+  if (schema.minimum !== undefined && typeof value === 'number' && value < schema.minimum) {
+    return issue(`must be >= ${schema.minimum}`);
+  }
+  if (schema.maximum !== undefined && typeof value === 'number' && value > schema.maximum) {
+    return issue(`must be <= ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      issue(`must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => checkSchema(item, schema.items, `${at}[${index}]`, errors, root));
+    }
+    return;
+  }
+
+  if (schema.type === 'object') {
+    const properties = schema.properties || {};
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) issue(`missing required property '${name}'`);
+    }
+    for (const [name, child] of Object.entries(value)) {
+      const childPath = at ? `${at}.${name}` : name;
+      if (properties[name]) {
+        checkSchema(child, properties[name], childPath, errors, root);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: childPath, message: 'unknown property' });
+      }
+    }
+  }
+}
+
+/**
+ * Check a value against a JSON Schema type (or list of types)
+ */
+function matchesType(value, type) {
+  if (Array.isArray(type)) return type.some(t => matchesType(value, t));
+  if (type === 'null') return value === null;
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'array') return Array.isArray(value);
+  if (type === 'object') return value !== null && typeof value === 'object' && !Array.isArray(value);
+  return typeof value === type;
+}
+
+/**
+ * Describe a JSON Schema type for error messages
+ */
+function describeType(type) {
+  if (Array.isArray(type)) return type.map(describeType).join(' or ');
+  if (type === 'null') return 'null';
+  return type === 'array' || type === 'object' || type === 'integer' ? `an ${type}` : `a ${type}`;
+}
+
+export default SpecLoader;
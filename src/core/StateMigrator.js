@@ -0,0 +1,245 @@
+import { generateId, createDDoSSettings } from './state.js';
+
+export const CURRENT_VERSION = '2.0.0';
+
+/**
+ * Migration steps, each upgrading a state from one schema version to the next
+ */
+const MIGRATIONS = [
+  {
+    from: '1.0.0',
+    to: '2.0.0',
+    description: 'Convert classic pattern state into tree state',
+    migrate: classicToTree
+  }
+];
+
+/**
+ * StateMigrator - Detects the schema version of nginx-wizard.json state and upgrades it
+ * step by step to the current tree-mode schema
+ */
+class StateMigrator {
+  constructor(migrations = MIGRATIONS, currentVersion = CURRENT_VERSION) {
+    this.migrations = migrations;
+    this.currentVersion = currentVersion;
+  }
+
+  /**
+   * Detect the schema version of a state object
+   * Tree states saved before versioning have servers but no schemaVersion; classic states have a pattern
+   * @returns {string|null} - Version, or null when the format is not recognized
+   */
+  detectVersion(state) {
+    if (!state || typeof state !== 'object' || Array.isArray(state)) return null;
+    if (state.schemaVersion) return state.schemaVersion;
+    if (Array.isArray(state.servers) || state.streams || state.mode === 'tree') return '2.0.0';
+    if (state.pattern || state.config?.pattern) return '1.0.0';
+    return null;
+  }
+
+  /**
+   * Check whether a state needs migrating
+   */
+  needsMigration(state) {
+    return this.detectVersion(state) !== this.currentVersion;
+  }
+
+  /**
+   * Upgrade a state to the current schema
+   * @param {Object} state - Parsed state file
+   * @returns {Object} - { state, from, to, applied, notes } where applied lists the steps that ran
+   * and notes lists settings that could not be carried over
+   */
+  migrate(state) {
+    const from = this.detectVersion(state);
+    if (!from) {
+      throw new Error('Unrecognized state format (expected a tree-mode state with servers or a classic state with a pattern)');
+    }
+    if (compareVersions(from, this.currentVersion) > 0) {
+      throw new Error(`State schema ${from} is newer than the supported ${this.currentVersion}; upgrade nginxconf-wizard`);
+    }
+
+    let current = state;
+    let version = from;
+    const applied = [];
+    const notes = [];
+
+    while (version !== this.currentVersion) {
+      const step = this.migrations.find(m => m.from === version);
+      if (!step) {
+        throw new Error(`No migration from state schema ${version}`);
+      }
+
+      current = step.migrate(current, notes);
+      applied.push(`${step.from} → ${step.to}: ${step.description}`);
+      version = step.to;
+    }
+
+    return {
+      state: { ...current, schemaVersion: this.currentVersion },
+      from,
+      to: this.currentVersion,
+      applied,
+      notes
+    };
+  }
+}
+
+/**
+ * Compare dotted version strings
+ */
+function compareVersions(a, b) {
+  const left = a.split('.').map(Number);
+  const right = b.split('.').map(Number);
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const diff = (left[i] || 0) - (right[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+/**
+ * 1.0.0 → 2.0.0: map a classic pattern (ConfigBuilder.exportState) onto one tree server
+ * Older classic files nest the settings under `config`
+ */
+function classicToTree(state, notes) {
+  const classic = state.config ? { ...state, ...state.config } : state;
+  const { domain = {}, ssl = {}, performance = {}, security = {} } = classic;
+  const features = classic.features || {};
+  const upstreams = [];
+  const locations = [];
+
+  const addUpstream = (name, servers, keepalive) => {
+    upstreams.push(compact({ id: generateId(), name, servers: servers.map(toUpstreamServer), keepalive }));
+    return name;
+  };
+  const addLocation = (type, path, config = {}) => {
+    locations.push(compact({ id: generateId(), type, path, ...config }));
+  };
+  const webRoot = `/var/www/${domain.primary}/html`;
+
+  switch (classic.pattern) {
+  case 'static-only':
+    addLocation(features.spa ? 'spa' : 'static', '/', { root: webRoot, index: 'index.html', caching: true });
+    break;
+
+  case 'spa-with-api':
+    if (features.proxy) {
+      addLocation('api', features.proxy.path || '/api', {
+        target: features.proxy.target,
+        cors: !!features.proxy.cors,
+        corsOrigin: features.proxy.corsOrigin
+      });
+    }
+    addLocation('spa', '/', { root: webRoot, caching: true });
+    break;
+
+  case 'ssr-with-api': {
+    const app = features.upstream?.ssrServers && addUpstream('ssr_app', features.upstream.ssrServers, 32);
+    const ssrTarget = app ? { upstream: app } : { target: 'http://localhost:3000' };
+
+    if (features.apiPath) {
+      addLocation('api', features.apiPath, features.upstream?.apiServers
+        ? { upstream: addUpstream('api_server', features.upstream.apiServers, 32) }
+        : { target: features.apiTarget });
+    }
+    if (features.staticAssetsPath) {
+      addLocation('proxy', features.staticAssetsPath, ssrTarget);
+    }
+    addLocation('proxy', '/', ssrTarget);
+    break;
+  }
+
+  case 'combined-server': {
+    const upstream = features.upstream?.servers &&
+      addUpstream(features.upstream.name || 'backend', features.upstream.servers, features.upstream.keepalive);
+
+    if (features.staticPath) {
+      addLocation('static', features.staticPath, { root: features.staticRoot || webRoot, caching: true });
+    }
+    addLocation('proxy', '/', upstream ? { upstream } : { target: 'http://localhost:3000' });
+    break;
+  }
+
+  case 'hybrid':
+    if (features.upstream?.servers) {
+      addUpstream(features.upstream.name || 'backend', features.upstream.servers, features.upstream.keepalive);
+    }
+    for (const route of features.dynamicRoutes || []) {
+      addLocation('proxy', route.path, { target: route.target });
+    }
+    addLocation('static', '/', { root: features.staticRoot || webRoot, caching: true });
+    break;
+
+  case 'microservices':
+    for (const service of features.services || []) {
+      addLocation('proxy', service.path || `/${service.name}`, {
+        upstream: addUpstream(service.name, service.servers || [], features.upstream?.keepalive)
+      });
+    }
+    addLocation('health', '/health', { noLog: true });
+    break;
+
+  default:
+    notes.push(`Unknown classic pattern '${classic.pattern}': created a server without locations`);
+  }
+
+  // Classic rate limiting applied to the API
+  if (security.rateLimiting) {
+    for (const location of locations.filter(l => l.type === 'api')) {
+      Object.assign(location, { rateLimit: true, rateLimitValue: '10r/s' });
+    }
+  }
+
+  for (const directive of classic.customDirectives || []) {
+    notes.push(`Custom directive not carried over (add it to a custom location): ${directive}`);
+  }
+
+  return {
+    servers: [{
+      id: generateId(),
+      name: domain.primary || 'default-server',
+      domain: {
+        primary: domain.primary,
+        aliases: domain.aliases || [],
+        port: domain.port || 80,
+        httpsPort: domain.httpsPort || 443
+      },
+      ssl: ssl.enabled
+        ? compact({ enabled: true, provider: ssl.provider, http2: !!ssl.http2, http3: !!ssl.http3, certPath: ssl.certPath, keyPath: ssl.keyPath })
+        : { enabled: false },
+      locations,
+      upstreams: []
+    }],
+    upstreams,
+    globalSettings: {
+      workerProcesses: performance.workers || 'auto',
+      workerConnections: performance.connections || 1024,
+      compression: !!features.compression,
+      securityHeaders: security.headers ?? true,
+      ddos: createDDoSSettings(
+        typeof security.ddosProtection === 'string'
+          ? security.ddosProtection
+          : security.ddosProtection ? 'balanced' : 'off'
+      )
+    }
+  };
+}
+
+/**
+ * Drop unset classic fields so the result passes the spec schema
+ */
+function compact(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * Classic upstream servers are { host, port } objects or "host:port" strings
+ */
+function toUpstreamServer(server) {
+  if (typeof server !== 'string') return server;
+  const [host, port] = server.split(':');
+  return port ? { host, port: parseInt(port) } : { host };
+}
+
+export default StateMigrator;
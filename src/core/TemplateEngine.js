@@ -1,5 +1,5 @@
 import Handlebars from 'handlebars';
-import { promises as fs } from 'fs';
+import { promises as fs, existsSync, readFileSync } from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
@@ -10,10 +10,18 @@ const __dirname = dirname(__filename);
 /**
  * TemplateEngine - Handles Handlebars template compilation and rendering
  * Manages template loading, helpers, and partials
+ * Templates found in an overrides directory take precedence over the bundled ones
  */
 class TemplateEngine {
-  constructor(templatesDir) {
+  /**
+   * @param {string} templatesDir - Bundled templates directory
+   * @param {Object} options - { overridesDir, noEscape }
+   */
+  constructor(templatesDir, options = {}) {
     this.templatesDir = templatesDir || path.join(__dirname, '../../templates');
+    this.overridesDir = options.overridesDir || null;
+    this.compileOptions = options.noEscape ? { noEscape: true } : {};
+    this.handlebars = Handlebars.create();
     this.templates = new Map();
     this.registerHelpers();
   }
@@ -23,57 +31,57 @@ class TemplateEngine {
    */
   registerHelpers() {
     // Helper: Check if value exists in array
-    Handlebars.registerHelper('includes', (array, value) => {
+    this.handlebars.registerHelper('includes', (array, value) => {
       return Array.isArray(array) && array.includes(value);
     });
 
     // Helper: Join array with separator
-    Handlebars.registerHelper('join', (array, separator = ' ') => {
+    this.handlebars.registerHelper('join', (array, separator = ' ') => {
       return Array.isArray(array) ? array.join(separator) : '';
     });
 
     // Helper: Conditional equality
-    Handlebars.registerHelper('eq', (a, b) => {
+    this.handlebars.registerHelper('eq', (a, b) => {
       return a === b;
     });
 
     // Helper: Conditional not equal
-    Handlebars.registerHelper('neq', (a, b) => {
+    this.handlebars.registerHelper('neq', (a, b) => {
       return a !== b;
     });
 
     // Helper: Logical OR
-    Handlebars.registerHelper('or', (...args) => {
+    this.handlebars.registerHelper('or', (...args) => {
       // Remove options object (last argument)
       args.pop();
       return args.some(arg => !!arg);
     });
 
     // Helper: Logical AND
-    Handlebars.registerHelper('and', (...args) => {
+    this.handlebars.registerHelper('and', (...args) => {
       // Remove options object (last argument)
       args.pop();
       return args.every(arg => !!arg);
     });
 
     // Helper: Format SSL protocols
-    Handlebars.registerHelper('sslProtocols', (_http2, _http3) => {
+    this.handlebars.registerHelper('sslProtocols', (_http2, _http3) => {
       const protocols = ['TLSv1.2', 'TLSv1.3'];
       return protocols.join(' ');
     });
 
     // Helper: Generate SSL ciphers
-    Handlebars.registerHelper('sslCiphers', () => {
+    this.handlebars.registerHelper('sslCiphers', () => {
       return 'ECDHE-ECDSA-AES128-GCM-SHA256:ECDHE-RSA-AES128-GCM-SHA256:ECDHE-ECDSA-AES256-GCM-SHA384:ECDHE-RSA-AES256-GCM-SHA384:ECDHE-ECDSA-CHACHA20-POLY1305:ECDHE-RSA-CHACHA20-POLY1305:DHE-RSA-AES128-GCM-SHA256:DHE-RSA-AES256-GCM-SHA384';
     });
 
     // Helper: Comment block
-    Handlebars.registerHelper('comment', text => {
+    this.handlebars.registerHelper('comment', text => {
       return `# ${text}`;
     });
 
     // Helper: Indent text
-    Handlebars.registerHelper('indent', (text, spaces = 4) => {
+    this.handlebars.registerHelper('indent', (text, spaces = 4) => {
       const indent = ' '.repeat(spaces);
       return text
         .split('\n')
@@ -96,11 +104,11 @@ class TemplateEngine {
       return this.templates.get(cacheKey);
     }
 
-    const templatePath = path.join(this.templatesDir, category, `${templateName}.hbs`);
+    const templatePath = this.resolveTemplatePath(templateName, category);
 
     try {
       const templateContent = await fs.readFile(templatePath, 'utf-8');
-      const compiled = Handlebars.compile(templateContent);
+      const compiled = this.handlebars.compile(templateContent, this.compileOptions);
 
       // Cache the compiled template
       this.templates.set(cacheKey, compiled);
@@ -114,6 +122,50 @@ class TemplateEngine {
     }
   }
 
+  /**
+   * Load and compile a template synchronously (for callers that cannot await)
+   * @param {string} templateName - Template file name (without extension)
+   * @param {string} category - Template category (patterns, snippets, etc.)
+   * @returns {Function} - Compiled template function
+   */
+  loadTemplateSync(templateName, category = 'patterns') {
+    const cacheKey = `${category}/${templateName}`;
+
+    if (this.templates.has(cacheKey)) {
+      return this.templates.get(cacheKey);
+    }
+
+    const templatePath = this.resolveTemplatePath(templateName, category);
+    if (!existsSync(templatePath)) {
+      throw new Error(`Template not found: ${templatePath}`);
+    }
+
+    const compiled = this.handlebars.compile(readFileSync(templatePath, 'utf-8'), this.compileOptions);
+    this.templates.set(cacheKey, compiled);
+
+    return compiled;
+  }
+
+  /**
+   * Find the file for a template
+   * Overrides may mirror the category layout (<dir>/tree/server.hbs) or be flat (<dir>/server.hbs)
+   * @param {string} templateName - Template file name (without extension)
+   * @param {string} category - Template category
+   * @returns {string} - Path of the override if one exists, otherwise the bundled template
+   */
+  resolveTemplatePath(templateName, category = 'patterns') {
+    if (this.overridesDir) {
+      const candidates = [
+        path.join(this.overridesDir, category, `${templateName}.hbs`),
+        path.join(this.overridesDir, `${templateName}.hbs`)
+      ];
+      const override = candidates.find(candidate => existsSync(candidate));
+      if (override) return override;
+    }
+
+    return path.join(this.templatesDir, category, `${templateName}.hbs`);
+  }
+
   /**
    * Render a template with data
    * @param {string} templateName - Template file name
@@ -126,13 +178,24 @@ class TemplateEngine {
     return template(data);
   }
 
+  /**
+   * Render a template with data synchronously
+   * @param {string} templateName - Template file name
+   * @param {Object} data - Template data
+   * @param {string} category - Template category
+   * @returns {string} - Rendered template
+   */
+  renderSync(templateName, data, category = 'patterns') {
+    return this.loadTemplateSync(templateName, category)(data);
+  }
+
   /**
    * Register a partial template
    * @param {string} name - Partial name
    * @param {string} content - Partial content
    */
   registerPartial(name, content) {
-    Handlebars.registerPartial(name, content);
+    this.handlebars.registerPartial(name, content);
   }
 
   /**
@@ -183,7 +246,7 @@ class TemplateEngine {
    * @param {Function} fn - Helper function
    */
   registerHelper(name, fn) {
-    Handlebars.registerHelper(name, fn);
+    this.handlebars.registerHelper(name, fn);
   }
 }
 
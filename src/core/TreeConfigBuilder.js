@@ -1,4 +1,102 @@
-import Handlebars from 'handlebars';
+import { existsSync } from 'fs';
+import NginxParser from './NginxParser.js';
+import DirectiveSchema from './DirectiveSchema.js';
+import DDoSProtection from './DDoSProtection.js';
+import CacheManager from './CacheManager.js';
+import TemplateEngine from './TemplateEngine.js';
+import ConflictDetector from './ConflictDetector.js';
+import Validator from './Validator.js';
+import ServerName from './ServerName.js';
+import RedirectTable, { REDIRECT_CODES } from './RedirectTable.js';
+
+/**
+ * Output layouts: single writes one nginx.conf, the others split upstreams and servers into
+ * included files the way the distribution packages lay out /etc/nginx
+ */
+const LAYOUTS = {
+  single: null,
+  debian: { user: 'www-data', modules: '/etc/nginx/modules-enabled/*.conf', sitesDir: 'sites-available', enabledDir: 'sites-enabled' },
+  rhel: { user: 'nginx', modules: '/usr/share/nginx/modules/*.conf', sitesDir: 'conf.d' },
+  'conf.d': { sitesDir: 'conf.d' }
+};
+
+export const layouts = Object.keys(LAYOUTS);
+
+/**
+ * gRPC status codes returned in place of the HTTP errors nginx produces for gRPC locations
+ */
+const GRPC_ERRORS = [
+  { name: 'unauthenticated', status: 16, codes: [401] },
+  { name: 'permission_denied', status: 7, codes: [403] },
+  { name: 'unimplemented', status: 12, codes: [404] },
+  { name: 'resource_exhausted', status: 8, codes: [429] },
+  { name: 'internal', status: 13, codes: [500] },
+  { name: 'unavailable', status: 14, codes: [502, 503] },
+  { name: 'deadline_exceeded', status: 4, codes: [504] }
+];
+
+const GRPC_NEXT_UPSTREAM = ['error', 'timeout', 'http_502', 'http_503', 'http_504'];
+
+/**
+ * Location types that pass requests to an application socket
+ */
+const SOCKET_PROTOCOLS = { fastcgi: 'FastCGI', uwsgi: 'uWSGI', scgi: 'SCGI' };
+
+/**
+ * Identity headers an auth_request service (oauth2-proxy, Authelia) answers with
+ */
+const FORWARD_AUTH_HEADERS = ['X-Auth-Request-User', 'X-Auth-Request-Email'];
+
+/**
+ * Client certificate details passed to backends of locations with clientCert.headers
+ */
+const CLIENT_CERT_HEADERS = [
+  { name: 'X-SSL-Client-Verify', value: '$ssl_client_verify' },
+  { name: 'X-SSL-Client-S-DN', value: '$ssl_client_s_dn' },
+  { name: 'X-SSL-Client-I-DN', value: '$ssl_client_i_dn' },
+  { name: 'X-SSL-Client-Serial', value: '$ssl_client_serial' }
+];
+
+/**
+ * Directives that hand request headers to each location type's backend
+ */
+const BACKEND_HEADER_DIRECTIVES = {
+  proxy: 'proxy_set_header',
+  api: 'proxy_set_header',
+  websocket: 'proxy_set_header',
+  cache: 'proxy_set_header',
+  grpc: 'grpc_set_header'
+};
+
+/**
+ * nginx variables a map must not redefine, and the prefixes of nginx's and the
+ * generated variables ($route_*, $split_*, $new_uri_*, $maintenance_* ...)
+ */
+const RESERVED_VARIABLES = [
+  'args', 'binary_remote_addr', 'body_bytes_sent', 'bytes_sent', 'connection', 'connection_requests',
+  'content_length', 'content_type', 'document_root', 'document_uri', 'host', 'hostname', 'https',
+  'is_args', 'limit_rate', 'msec', 'nginx_version', 'pid', 'pipe', 'proxy_add_x_forwarded_for',
+  'proxy_host', 'proxy_port', 'query_string', 'realpath_root', 'remote_addr', 'remote_port',
+  'remote_user', 'request', 'request_body', 'request_body_file', 'request_completion',
+  'request_filename', 'request_id', 'request_length', 'request_method', 'request_time', 'request_uri',
+  'scheme', 'server_addr', 'server_name', 'server_port', 'server_protocol', 'status', 'time_iso8601',
+  'time_local', 'uri', 'fastcgi_script_name', 'fastcgi_path_info', 'path_info', 'maintenance',
+  'geoip2_country_code'
+];
+const RESERVED_VARIABLE_PREFIXES = [
+  'arg_', 'cookie_', 'http_', 'sent_http_', 'sent_trailer_', 'upstream_', 'ssl_', 'proxy_protocol_',
+  'tcpinfo_', 'route_', 'split_', 'new_uri_', 'maintenance_', 'blocked_country_', 'stream_', 'auth_'
+];
+
+/**
+ * SSL providers whose certificate paths are derived from the server name
+ */
+const DERIVED_CERT_PROVIDERS = ['letsencrypt', 'cloudflare', 'self-signed'];
+
+/**
+ * Dummy certificate the catch-all HTTPS server presents when it does not reject the handshake
+ */
+const DEFAULT_SERVER_CERT = { certPath: '/etc/nginx/ssl/default/cert.pem', keyPath: '/etc/nginx/ssl/default/key.pem' };
 
 /**
  * TreeConfigBuilder - Builds nginx configurations from tree-based state
@@ -13,33 +111,7 @@ class TreeConfigBuilder {
     };
     this.errors = [];
     this.warnings = [];
-    this.registerHelpers();
-  }
-
-  /**
-   * Register Handlebars helpers
-   */
-  registerHelpers() {
-    // Conditional equality
-    Handlebars.registerHelper('eq', (a, b) => a === b);
-    Handlebars.registerHelper('neq', (a, b) => a !== b);
-    
-    // Logical operators
-    Handlebars.registerHelper('or', (...args) => {
-      args.pop();
-      return args.some(arg => !!arg);
-    });
-    
-    Handlebars.registerHelper('and', (...args) => {
-      args.pop();
-      return args.every(arg => !!arg);
-    });
-
-    // SSL helpers
-    Handlebars.registerHelper('sslProtocols', () => 'TLSv1.2 TLSv1.3');
-    Handlebars.registerHelper('sslCiphers', () => 
-      'ECDHE-ECDSA-AES128-GCM-SHA256:ECDHE-RSA-AES128-GCM-SHA256:ECDHE-ECDSA-AES256-GCM-SHA384:ECDHE-RSA-AES256-GCM-SHA384:ECDHE-ECDSA-CHACHA20-POLY1305:ECDHE-RSA-CHACHA20-POLY1305:DHE-RSA-AES128-GCM-SHA256:DHE-RSA-AES256-GCM-SHA384'
-    );
+    this.templateEngine = null;
   }
 
   /**
@@ -72,9 +144,9 @@ class TreeConfigBuilder {
     this.errors = [];
     this.warnings = [];
 
-    // Must have at least one server
-    if (this.state.servers.length === 0) {
-      this.errors.push('At least one server block is required');
+    // Must have at least one server (stream-only configs may have none)
+    if (this.state.servers.length === 0 && !this.hasStreams()) {
+      this.errors.push('At least one server block or stream listener is required');
     }
 
     // Validate each server
@@ -82,6 +154,11 @@ class TreeConfigBuilder {
       // Domain required
       if (!server.domain?.primary) {
         this.errors.push(`Server ${server.name}: Primary domain is required`);
+      } else {
+        // Exact, wildcard and regex server names
+        const names = new Validator();
+        [server.domain.primary, ...(server.domain.aliases || [])].forEach(name => names.validateDomain(name));
+        names.getErrors().forEach(error => this.errors.push(`Server ${server.domain.primary}: ${error}`));
       }
 
       // SSL validation
@@ -91,6 +168,12 @@ class TreeConfigBuilder {
         }
       }
 
+      // Certificate paths are derived from a fixed domain
+      if (server.ssl?.enabled && DERIVED_CERT_PROVIDERS.includes(server.ssl.provider) && server.domain?.primary &&
+          !ServerName.certificateDomain([server.domain.primary, ...(server.domain.aliases || [])])) {
+        this.errors.push(`Server ${server.domain.primary}: No certificate path can be derived from these server names; add a name ending in a fixed domain or use provider custom with certPath and keyPath`);
+      }
+
       // HTTP/3 requires HTTP/2
       if (server.ssl?.http3 && !server.ssl?.http2) {
         this.warnings.push(`Server ${server.domain?.primary}: HTTP/3 requires HTTP/2 - enabling HTTP/2`);
@@ -104,6 +187,105 @@ class TreeConfigBuilder {
         this.warnings.push(`Server ${server.domain?.primary}: Duplicate location paths: ${duplicates.join(', ')}`);
       }
 
+      // DDoS login limits go on the location that serves the path
+      for (const path of this.getLoginPaths()) {
+        if (!paths.some(p => p.replace(/^=\s*/, '') === path) && !findHandlingLocation(server.locations || [], path)) {
+          this.warnings.push(`Server ${server.domain?.primary}: No location serves DDoS login path ${path}, so it is not rate limited`);
+        }
+      }
+
+      // Validate cache strategies
+      for (const location of server.locations || []) {
+        if (location.cache?.strategy && !new CacheManager().getStrategy(location.cache.strategy)) {
+          this.errors.push(`Server ${server.domain?.primary}: Location ${location.path} uses unknown cache strategy '${location.cache.strategy}'`);
+        }
+      }
+
+      // Client certificates need TLS and a CA to check them against
+      const clientCert = server.ssl?.clientCert;
+      if (clientCert && clientCert.enabled !== false) {
+        if (!server.ssl.enabled) {
+          this.errors.push(`Server ${server.domain?.primary}: Client certificates require SSL`);
+        } else if (server.ssl.provider === 'cloudflare') {
+          this.errors.push(`Server ${server.domain?.primary}: Cloudflare SSL already verifies origin-pull certificates; remove ssl.clientCert`);
+        }
+        if (!clientCert.ca && clientCert.verify !== 'optional_no_ca') {
+          this.errors.push(`Server ${server.domain?.primary}: Client certificates need a CA file (ssl.clientCert.ca)`);
+        }
+      }
+      for (const location of server.locations || []) {
+        if ((location.clientCert?.required || location.clientCert?.headers) && !this.getClientCert(server)) {
+          this.errors.push(`Server ${server.domain?.primary}: Location ${location.path} uses client certificates but the server has no ssl.clientCert`);
+        }
+      }
+
+      // Forward auth needs a service to ask and its /auth location to itself
+      if (this.getForwardAuth(server)) {
+        if (!/^https?:\/\/\S+$/.test(server.forwardAuth.url || '')) {
+          this.errors.push(`Server ${server.domain?.primary}: Forward auth requires an http:// or https:// url`);
+        }
+        if (paths.some(path => path.replace(/^=\s*/, '') === '/auth')) {
+          this.errors.push(`Server ${server.domain?.primary}: Forward auth uses /auth internally; rename the /auth location`);
+        }
+      }
+
+      // gRPC needs HTTP/2 between client and nginx
+      for (const location of server.locations || []) {
+        if (location.type !== 'grpc') continue;
+
+        if (!server.ssl?.http2) {
+          this.errors.push(`Server ${server.domain?.primary}: gRPC location ${location.path} requires HTTP/2 (enable ssl.http2)`);
+        }
+        if (!location.upstream && !/^(grpcs?:\/\/|unix:)/.test(location.target || '')) {
+          this.errors.push(`Server ${server.domain?.primary}: gRPC location ${location.path} needs an upstream or a grpc://, grpcs:// or unix: target`);
+        }
+      }
+
+      // FastCGI, uWSGI and SCGI targets are sockets, not URLs
+      for (const location of server.locations || []) {
+        const protocol = SOCKET_PROTOCOLS[location.type];
+        if (!protocol) continue;
+
+        if (!location.upstream && !/^(unix:\S+|[^\s/:]+:\d+)$/.test(location.target || '')) {
+          this.errors.push(`Server ${server.domain?.primary}: ${protocol} location ${location.path} needs an upstream, a host:port or a unix: socket target`);
+        }
+        if (location.cache?.strategy) {
+          this.errors.push(`Server ${server.domain?.primary}: ${protocol} location ${location.path} cannot use proxy cache strategies`);
+        }
+      }
+
+      // Extra request headers need a backend to go to
+      for (const location of server.locations || []) {
+        if (!location.headers || Object.keys(location.headers).length === 0) continue;
+
+        if (!BACKEND_HEADER_DIRECTIVES[location.type] && !SOCKET_PROTOCOLS[location.type]) {
+          this.errors.push(`Server ${server.domain?.primary}: Location ${location.path} passes headers but ${location.type} locations have no backend`);
+        }
+        const invalid = Object.keys(location.headers).filter(name => !/^[A-Za-z0-9-]+$/.test(name));
+        if (invalid.length > 0) {
+          this.errors.push(`Server ${server.domain?.primary}: Location ${location.path} has invalid header names: ${invalid.join(', ')}`);
+        }
+      }
+
+      // Traffic splits send part or all of a location's upstream traffic to another upstream
+      for (const location of server.locations || []) {
+        const split = location.split;
+        if (!split) continue;
+
+        const prefix = `Server ${server.domain?.primary}: Location ${location.path}`;
+        if (!['proxy', 'api'].includes(location.type)) {
+          this.errors.push(`${prefix}: Traffic splitting is only available for proxy and api locations`);
+        } else if (!location.upstream) {
+          this.errors.push(`${prefix}: Traffic splitting needs an upstream to split from`);
+        }
+        if (!split.upstream || !this.findUpstream(split.upstream)) {
+          this.errors.push(`${prefix}: Traffic split references undefined upstream '${split.upstream}'`);
+        }
+        if ((split.mode || 'canary') === 'canary' && !(split.percent >= 0 && split.percent <= 100)) {
+          this.errors.push(`${prefix}: Canary percent must be between 0 and 100`);
+        }
+      }
+
       // Validate upstream references
       for (const location of server.locations || []) {
         if (location.upstream) {
@@ -125,6 +307,24 @@ class TreeConfigBuilder {
       }
     }
 
+    this.validateStreams();
+    this.validateAccess();
+    this.validateMaps();
+    this.validateRedirects();
+
+    this.validateDefaultServer();
+
+    const { conflicts, warnings } = new ConflictDetector().detectTreeConflicts(this.state);
+    conflicts.forEach(c => this.errors.push(c.message));
+    warnings.forEach(w => this.warnings.push(w.message));
+
+    // Template overrides must exist
+    if (this.state.templates && !existsSync(this.state.templates)) {
+      this.errors.push(`Templates directory not found: ${this.state.templates}`);
+    }
+
+    this.validateDirectives();
+
     return {
       valid: this.errors.length === 0,
       errors: this.errors,
@@ -132,6 +332,328 @@ class TreeConfigBuilder {
     };
   }
 
+  /**
+   * Validate TCP/UDP stream upstreams and listeners
+   */
+  validateStreams() {
+    const { upstreams = [], listeners = [] } = this.state.streams || {};
+    const upstreamNames = new Set(upstreams.map(u => u.name));
+    const isAddress = target => /^(unix:.+|.+:\d+)$/.test(target);
+    const listens = new Map();
+
+    for (const upstream of upstreams) {
+      if (!upstream.servers || upstream.servers.length === 0) {
+        this.errors.push(`Stream upstream ${upstream.name}: At least one server is required`);
+      }
+      if (upstream.loadBalancing === 'ip_hash') {
+        this.errors.push(`Stream upstream ${upstream.name}: ip_hash is not available for streams (use hash $remote_addr consistent)`);
+      }
+    }
+
+    for (const listener of listeners) {
+      const label = `Stream ${this.getStreamLabel(listener)}`;
+      const udp = listener.protocol === 'udp';
+
+      if (!Number.isInteger(listener.port) || listener.port < 1 || listener.port > 65535) {
+        this.errors.push(`${label}: A port between 1 and 65535 is required`);
+      }
+
+      // Default backend
+      if (listener.upstream) {
+        if (!upstreamNames.has(listener.upstream)) {
+          this.errors.push(`${label}: References undefined stream upstream '${listener.upstream}'`);
+        }
+      } else if (listener.target) {
+        if (!isAddress(listener.target)) {
+          this.errors.push(`${label}: Target '${listener.target}' must be host:port or a unix: socket`);
+        }
+      } else {
+        this.errors.push(`${label}: An upstream or target is required`);
+      }
+
+      // SNI routing and PROXY protocol need TCP
+      if (udp && listener.sniRoutes?.length > 0) {
+        this.errors.push(`${label}: SNI routing (ssl_preread) requires TCP`);
+      }
+      if (udp && listener.acceptProxyProtocol) {
+        this.errors.push(`${label}: Accepting the PROXY protocol requires TCP`);
+      }
+      for (const route of listener.sniRoutes || []) {
+        if (!route.serverName || !route.upstream) {
+          this.errors.push(`${label}: SNI routes need a server name and an upstream`);
+        } else if (!upstreamNames.has(route.upstream) && !isAddress(route.upstream)) {
+          this.errors.push(`${label}: SNI route ${route.serverName} references undefined stream upstream '${route.upstream}'`);
+        }
+      }
+
+      // Each address, port and protocol can only be listened on once
+      const key = `${listener.address || '*'}:${listener.port}/${udp ? 'udp' : 'tcp'}`;
+      if (listens.has(key)) {
+        this.errors.push(`${label}: ${key} is already used by stream ${listens.get(key)}`);
+      }
+      listens.set(key, this.getStreamLabel(listener));
+
+      if (!udp) {
+        const server = this.state.servers.find(s =>
+          [s.domain?.port || 80, ...(s.ssl?.enabled ? [s.domain?.httpsPort || 443] : [])].includes(listener.port)
+        );
+        if (server) {
+          this.errors.push(`${label}: Port ${listener.port} is also used by server ${server.domain?.primary}`);
+        }
+      }
+    }
+  }
+
+  /**
+   * Validate IP lists and the access rules of servers and locations
+   */
+  validateAccess() {
+    const lists = this.state.ipLists || [];
+    const names = new Set();
+    for (const list of lists) {
+      if (names.has(list.name)) {
+        this.errors.push(`IP list ${list.name}: Defined more than once`);
+      }
+      names.add(list.name);
+
+      if (!list.addresses?.length) {
+        this.errors.push(`IP list ${list.name}: At least one address is required`);
+      }
+      for (const address of list.addresses || []) {
+        const validator = new Validator();
+        if (!validator.validateCIDR(address)) {
+          this.errors.push(`IP list ${list.name}: ${validator.errors[0]}`);
+        }
+      }
+    }
+
+    for (const server of this.state.servers) {
+      const targets = [
+        { label: `Server ${server.domain?.primary}`, access: server.access, auth: server.auth },
+        ...(server.locations || []).map(location => ({
+          label: `Server ${server.domain?.primary}: Location ${location.path}`,
+          access: location.access,
+          auth: location.auth
+        }))
+      ];
+
+      for (const entry of server.maintenance?.allow || []) {
+        if (!names.has(entry) && !new Validator().validateCIDR(entry)) {
+          this.errors.push(`Server ${server.domain?.primary}: Maintenance bypass entry '${entry}' is neither an IP list nor an address`);
+        }
+      }
+      const cookie = server.maintenance?.cookie;
+      if (cookie && !(cookie.name && cookie.value)) {
+        this.errors.push(`Server ${server.domain?.primary}: The maintenance bypass cookie needs a name and a value`);
+      } else if (cookie) {
+        // Both end up in if ($cookie_<name> = "<value>")
+        if (!/^[A-Za-z0-9_]+$/.test(cookie.name)) {
+          this.errors.push(`Server ${server.domain?.primary}: The maintenance bypass cookie name may only contain letters, digits and _`);
+        }
+        if (/[\s"'\\$;{}]/.test(cookie.value)) {
+          this.errors.push(`Server ${server.domain?.primary}: The maintenance bypass cookie value may not contain spaces, quotes, backslashes, $, ; or braces`);
+        }
+      }
+
+      for (const { label, access, auth } of targets) {
+        if (!access) continue;
+
+        for (const entry of [...(access.allow || []), ...(access.deny || [])]) {
+          if (entry !== 'all' && !names.has(entry) && !new Validator().validateCIDR(entry)) {
+            this.errors.push(`${label}: Access entry '${entry}' is neither an IP list nor an address`);
+          }
+        }
+        if (access.countries) {
+          if (access.countries.allow && access.countries.deny) {
+            this.errors.push(`${label}: Country rules take allow or deny, not both`);
+          }
+          if (!this.state.globalSettings.geoip2?.database) {
+            this.errors.push(`${label}: Country rules need globalSettings.geoip2.database`);
+          }
+        }
+        if (access.satisfy === 'any' && !auth?.basic && !server.auth?.basic && !this.getForwardAuth(server)) {
+          this.warnings.push(`${label}: satisfy any has no effect without basic or forward auth`);
+        }
+      }
+    }
+  }
+
+  /**
+   * Validate routing maps and the locations that pick their upstream through one
+   */
+  validateMaps() {
+    const names = new Set();
+    for (const map of this.state.maps || []) {
+      const label = `Map ${map.name}`;
+      if (!/^[A-Za-z0-9_]+$/.test(map.name || '')) {
+        this.errors.push(`${label}: Names may only contain letters, digits and _`);
+      }
+      const name = (map.name || '').toLowerCase();
+      if (RESERVED_VARIABLES.includes(name) || RESERVED_VARIABLE_PREFIXES.some(prefix => name.startsWith(prefix))) {
+        this.errors.push(`${label}: $${map.name} is an nginx variable or one the wizard generates; choose another name`);
+      }
+      if (names.has(map.name)) {
+        this.errors.push(`${label}: Defined more than once`);
+      }
+      names.add(map.name);
+
+      if (!map.source?.includes('$')) {
+        this.errors.push(`${label}: The source must contain a variable such as $http_x_beta or $cookie_beta`);
+      }
+      if (!map.default) {
+        this.errors.push(`${label}: A default upstream is required`);
+      }
+
+      const keys = new Set();
+      for (const entry of map.entries || []) {
+        if (keys.has(entry.key)) {
+          this.errors.push(`${label}: Key '${entry.key}' is listed more than once`);
+        }
+        keys.add(entry.key);
+
+        const regex = /^~(\*?)(.*)$/.exec(entry.key);
+        if (regex) {
+          try {
+            new RegExp(regex[2], regex[1] ? 'i' : '');
+          } catch {
+            this.warnings.push(`${label}: '${entry.key}' may not be a valid regular expression`);
+          }
+        }
+      }
+
+      // Every result ends up in proxy_pass http://$name
+      for (const result of [map.default, ...(map.entries || []).map(entry => entry.value)]) {
+        if (result && !this.findUpstream(result)) {
+          this.errors.push(`${label}: Result '${result}' is not a defined upstream`);
+        }
+      }
+    }
+
+    for (const server of this.state.servers) {
+      for (const location of server.locations || []) {
+        if (!location.upstreamMap) continue;
+
+        const prefix = `Server ${server.domain?.primary}: Location ${location.path}`;
+        if (!['proxy', 'api'].includes(location.type)) {
+          this.errors.push(`${prefix}: Routing maps are only available for proxy and api locations`);
+        }
+        if (!names.has(location.upstreamMap)) {
+          this.errors.push(`${prefix}: References undefined map '${location.upstreamMap}'`);
+        }
+        if (location.upstream) {
+          this.errors.push(`${prefix}: Use either an upstream or a routing map, not both`);
+        }
+      }
+    }
+  }
+
+  /**
+   * Validate the catch-all default server settings
+   */
+  validateDefaultServer() {
+    const settings = this.getDefaultServer();
+    if (!settings) return;
+
+    const { response, page, https } = settings;
+    if (!Number.isInteger(response) || !(response === 444 || (response >= 200 && response <= 599))) {
+      this.errors.push(`Default server: Response must be 444 or an HTTP status code, got '${response}'`);
+    }
+    if (page && !page.startsWith('/')) {
+      this.errors.push(`Default server: Page must be an absolute path, got '${page}'`);
+    }
+    if (page && response === 444) {
+      this.errors.push('Default server: 444 closes the connection without a response; pick a status such as 404 to serve the page');
+    } else if (page && Number.isInteger(response) && (response < 300 || response > 599)) {
+      // The page is served through error_page, which takes 300-599 only
+      this.errors.push(`Default server: A page needs a status from 300 to 599, got ${response}`);
+    }
+    if (!['reject', 'certificate'].includes(https)) {
+      this.errors.push(`Default server: https must be reject or certificate, got '${https}'`);
+    }
+  }
+
+  /**
+   * Validate redirect tables: rows, duplicate sources, loops and chains
+   */
+  validateRedirects() {
+    const list = (paths, limit = 5) => {
+      const shown = paths.slice(0, limit).map(hops => hops.join(' → ')).join('; ');
+      return paths.length > limit ? `${shown} and ${paths.length - limit} more` : shown;
+    };
+
+    for (const server of this.state.servers) {
+      const table = server.redirects;
+      if (!table) continue;
+
+      const label = `Server ${server.domain?.primary}`;
+      if (table.query && !['keep', 'drop'].includes(table.query)) {
+        this.errors.push(`${label}: Redirect query handling must be keep or drop`);
+      }
+      for (const row of table.rows || []) {
+        if (!row.from || !row.to) {
+          this.errors.push(`${label}: Redirect rows need a from and a to value`);
+        } else if (!row.from.startsWith('/') && !row.from.startsWith('~')) {
+          this.errors.push(`${label}: Redirect source '${row.from}' must be a path or a ~ regex`);
+        }
+        if (row.code && !REDIRECT_CODES.includes(row.code)) {
+          this.errors.push(`${label}: Redirect ${row.from} uses status ${row.code} (expected ${REDIRECT_CODES.join(', ')})`);
+        }
+        if (row.query && !['keep', 'drop'].includes(row.query)) {
+          this.errors.push(`${label}: Redirect ${row.from} query handling must be keep or drop`);
+        }
+      }
+
+      const hosts = [server.domain?.primary, ...(server.domain?.aliases || [])].filter(Boolean).map(host => host.toLowerCase());
+      const { duplicates, chains, loops } = new RedirectTable(table.rows || []).analyze({ hosts });
+      for (const from of new Set(duplicates)) {
+        this.errors.push(`${label}: Redirect source ${from} is listed more than once`);
+      }
+      if (loops.length > 0) {
+        this.errors.push(`${label}: Redirect loops: ${list(loops)}`);
+      }
+      if (chains.length > 0) {
+        this.warnings.push(`${label}: ${chains.length} redirect chain(s), point each source at its final target: ${list(chains)}`);
+      }
+    }
+  }
+
+  /**
+   * Check custom directives and the generated config against the directive schema
+   */
+  validateDirectives() {
+    const parser = new NginxParser();
+    const schema = new DirectiveSchema();
+
+    for (const server of this.state.servers) {
+      for (const location of server.locations || []) {
+        if (location.type !== 'custom' || !location.custom) continue;
+
+        const prefix = `Server ${server.domain?.primary}: Location ${location.path}`;
+        try {
+          const result = schema.validate(parser.parse(location.custom), 'location');
+          result.errors.forEach(e => this.errors.push(`${prefix}: ${e.message} (line ${e.line})`));
+          result.warnings.forEach(w => this.warnings.push(`${prefix}: ${w.message} (line ${w.line})`));
+        } catch (error) {
+          this.errors.push(`${prefix}: ${error.message}`);
+        }
+      }
+    }
+
+    // Only check the full config once the state itself is sound
+    if (this.errors.length > 0) return;
+
+    let config;
+    try {
+      config = this.generateConfig();
+    } catch (error) {
+      this.errors.push(`Could not render templates: ${error.message}`);
+      return;
+    }
+
+    const result = schema.validate(parser.parse(config));
+    result.errors.forEach(e => this.errors.push(`Generated config line ${e.line}: ${e.message}`));
+  }
+
   /**
    * Build nginx configuration
    */
@@ -145,12 +667,169 @@ class TreeConfigBuilder {
     return config;
   }
 
+  /**
+   * Build the configuration files for a layout
+   * @param {string} layout - single, debian, rhel or conf.d
+   * @returns {Object} - Map of relative path to file content
+   */
+  async buildFiles(layout = 'single') {
+    const validation = this.validate();
+    if (!validation.valid) {
+      throw new Error(`Configuration validation failed:\n${validation.errors.join('\n')}`);
+    }
+
+    return this.generateFiles(layout);
+  }
+
   /**
    * Generate the nginx configuration string
    */
   generateConfig() {
+    const lines = this.generateMainConfig();
+
+    // Global upstreams
+    for (const upstream of this.state.upstreams || []) {
+      lines.push(...this.generateUpstream(upstream));
+    }
+
+    // Catch-all servers for unknown hosts
+    lines.push(...this.generateDefaultServers());
+
+    // Server blocks
+    for (const server of this.state.servers) {
+      // Server-specific upstreams
+      for (const upstream of server.upstreams || []) {
+        lines.push(...this.generateUpstream(upstream));
+      }
+
+      // Generate server block(s)
+      lines.push(...this.generateServerBlock(server, this.state.globalSettings));
+    }
+
+    lines.push('}');
+
+    // TCP/UDP proxying
+    if (this.hasStreams()) {
+      lines.push('', ...this.generateStreamBlock());
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Generate the files of a layout
+   * @param {string} layout - single, debian, rhel or conf.d
+   * @returns {Object} - Map of relative path to file content
+   */
+  generateFiles(layout = 'single') {
+    if (!Object.hasOwn(LAYOUTS, layout)) {
+      throw new Error(`Unknown layout '${layout}' (expected ${layouts.join(', ')})`);
+    }
+    if (!LAYOUTS[layout]) {
+      return { 'nginx.conf': this.generateConfig() };
+    }
+
+    const { user, modules, sitesDir, enabledDir } = LAYOUTS[layout];
+    const { globalSettings, servers } = this.state;
+    const files = {};
+
+    // Main config with the http-level settings, including everything else
+    const main = this.generateMainConfig({ user, modules });
+    main.push('    include conf.d/*.conf;');
+    if (enabledDir) {
+      main.push(`    include ${enabledDir}/*;`);
+    }
+    main.push('}');
+    if (this.hasStreams()) {
+      main.push('', '# TCP/UDP proxying', 'stream {', '    include stream.d/*.conf;', '}');
+    }
+    files['nginx.conf'] = main.join('\n');
+
+    // Shared snippets
+    if (servers.some(s => s.ssl?.enabled)) {
+      files['snippets/ssl-params.conf'] = this.generateFile(this.renderTemplate('ssl-params', {}));
+    }
+    if (globalSettings.securityHeaders) {
+      files['snippets/security-headers.conf'] = this.generateFile(this.renderTemplate('security-headers', {}));
+    }
+
+    // Upstreams
+    const upstreams = [...(this.state.upstreams || []), ...servers.flatMap(s => s.upstreams || [])];
+    if (upstreams.length > 0) {
+      files['conf.d/upstreams.conf'] = this.generateFile(
+        upstreams.flatMap(upstream => indentLines(this.generateUpstream(upstream), -1))
+      );
+    }
+
+    // Catch-all servers for unknown hosts
+    const defaultServers = this.generateDefaultServers();
+    if (defaultServers.length > 0) {
+      files[`${sitesDir}/default.conf`] = this.generateFile(indentLines(defaultServers, -1));
+    }
+
+    // One file per server
+    for (const server of servers) {
+      const base = ServerName.label(server.domain?.primary || server.name).replace(/[^a-zA-Z0-9.-]/g, '_');
+      let filePath = `${sitesDir}/${base}.conf`;
+      for (let n = 2; files[filePath]; n++) {
+        filePath = `${sitesDir}/${base}-${n}.conf`;
+      }
+      files[filePath] = this.generateFile(
+        indentLines(this.generateServerBlock(server, globalSettings, { snippets: true }), -1)
+      );
+    }
+
+    // Stream upstreams and one file per listener, included inside stream {}
+    if (this.hasStreams()) {
+      const { upstreams: streamUpstreams = [], listeners } = this.state.streams;
+      if (streamUpstreams.length > 0) {
+        files['stream.d/upstreams.conf'] = this.generateFile(
+          streamUpstreams.flatMap(upstream => indentLines(this.generateStreamUpstream(upstream), -1))
+        );
+      }
+      for (const listener of listeners) {
+        files[`stream.d/${this.getStreamName(listener)}.conf`] = this.generateFile(
+          indentLines(this.generateStreamServer(listener), -1)
+        );
+      }
+    }
+
+    return files;
+  }
+
+  /**
+   * Get the sites-enabled symlinks of a layout
+   * @returns {Object} - Map of link path to its (relative) target
+   */
+  getSymlinks(layout, files = this.generateFiles(layout)) {
+    const { sitesDir, enabledDir } = LAYOUTS[layout] || {};
+    if (!enabledDir) return {};
+
+    const symlinks = {};
+    for (const filePath of Object.keys(files)) {
+      if (filePath.startsWith(`${sitesDir}/`)) {
+        const name = filePath.slice(sitesDir.length + 1);
+        symlinks[`${enabledDir}/${name}`] = `../${sitesDir}/${name}`;
+      }
+    }
+    return symlinks;
+  }
+
+  /**
+   * Add the generated-by header to an included file
+   */
+  generateFile(lines) {
+    return ['# Generated by nginxconf-wizard (Tree Mode)', '', ...lines].join('\n').replace(/\n*$/, '\n');
+  }
+
+  /**
+   * Generate the main context and the http-level settings (the http block is left open)
+   * @param {Object} options - { user, modules } distribution defaults for multi-file layouts
+   */
+  generateMainConfig({ user, modules } = {}) {
     const lines = [];
-    const { globalSettings, servers, upstreams } = this.state;
+    const { globalSettings } = this.state;
+    const ddos = this.getDDoSProtection();
 
     // Header
     lines.push('# Nginx Configuration');
@@ -158,6 +837,17 @@ class TreeConfigBuilder {
     lines.push(`# Generated at: ${new Date().toISOString()}`);
     lines.push('');
 
+    // Distribution defaults
+    if (user) {
+      lines.push(`user ${user};`);
+    }
+    if (modules) {
+      lines.push(`include ${modules};`);
+    }
+    if (user || modules) {
+      lines.push('');
+    }
+
     // Worker processes
     lines.push(`worker_processes ${globalSettings.workerProcesses || 'auto'};`);
     lines.push('');
@@ -183,7 +873,9 @@ class TreeConfigBuilder {
     lines.push('    sendfile on;');
     lines.push('    tcp_nopush on;');
     lines.push('    tcp_nodelay on;');
-    lines.push('    keepalive_timeout 65;');
+    if (!ddos) {
+      lines.push('    keepalive_timeout 65;');
+    }
     lines.push('    types_hash_max_size 2048;');
     lines.push('');
 
@@ -198,6 +890,13 @@ class TreeConfigBuilder {
       lines.push('');
     }
 
+    // DDoS protection (connection limits, request zones and timeouts)
+    if (ddos) {
+      lines.push(`    # DDoS protection (${globalSettings.ddos.profile || 'balanced'})`);
+      lines.push(...ddos.generateHttpDirectives().split('\n').map(l => `    ${l}`));
+      lines.push('');
+    }
+
     // Collect all rate limit zones needed
     const rateLimitZones = this.collectRateLimitZones();
     if (rateLimitZones.length > 0) {
@@ -209,268 +908,925 @@ class TreeConfigBuilder {
     }
 
     // Collect all cache zones needed
-    const cacheZones = this.collectCacheZones();
+    const cacheManager = new CacheManager();
+    const cacheZones = this.collectCacheZones(cacheManager);
     if (cacheZones.length > 0) {
       lines.push('    # Proxy cache zones');
-      for (const zone of cacheZones) {
-        lines.push(`    proxy_cache_path /var/cache/nginx/${zone.name} levels=1:2 keys_zone=${zone.name}:10m max_size=100m inactive=60m use_temp_path=off;`);
+      lines.push(...cacheManager.generateCacheZones().split('\n').map(l => `    ${l}`));
+      lines.push('');
+    }
+
+    // Addresses that skip maintenance pages
+    for (const server of this.state.servers) {
+      const maintenance = this.getMaintenance(server);
+      if (!maintenance?.allow?.length) continue;
+
+      lines.push(`    # Maintenance bypass: ${server.domain.primary}`);
+      lines.push(`    geo $maintenance_${variableName(ServerName.label(server.domain.primary))} {`);
+      lines.push('        default 1;');
+      lines.push(...this.expandAddresses(maintenance.allow).map(address => `        ${address} 0;`));
+      lines.push('    }');
+      lines.push('');
+    }
+
+    // Upstream routing by header, cookie or other variables
+    for (const map of this.state.maps || []) {
+      lines.push(`    # Map: ${map.name}`);
+      lines.push(...this.generateMap(map).map(l => `    ${l}`));
+      lines.push('');
+    }
+
+    // Bulk redirects
+    for (const map of this.collectRedirectMaps()) {
+      lines.push(`    # Redirects: ${map.label}`);
+      lines.push(...map.lines.map(l => `    ${l}`));
+      lines.push('');
+    }
+
+    // Canary and blue/green routing
+    for (const split of this.collectTrafficSplits()) {
+      lines.push(`    # Traffic split: ${split.label}`);
+      lines.push(...split.lines.map(l => `    ${l}`));
+      lines.push('');
+    }
+
+    // Country lookups for access rules
+    const countryRules = this.collectCountryRules();
+    if (countryRules.length > 0) {
+      lines.push('    # GeoIP2 country lookup');
+      lines.push(`    geoip2 ${globalSettings.geoip2?.database} {`);
+      lines.push('        $geoip2_country_code country iso_code;');
+      lines.push('    }');
+      for (const rule of countryRules) {
+        const allow = rule.mode === 'allow';
+        lines.push('');
+        lines.push(`    map $geoip2_country_code ${rule.variable} {`);
+        lines.push(`        default ${allow ? 1 : 0};`);
+        lines.push(...rule.countries.map(country => `        ${country} ${allow ? 0 : 1};`));
+        lines.push('    }');
       }
       lines.push('');
     }
 
-    // Global upstreams
-    for (const upstream of upstreams || []) {
-      lines.push(...this.generateUpstream(upstream, 1));
+    const fastcgiZones = this.collectFastcgiCacheZones();
+    if (fastcgiZones.length > 0) {
+      lines.push('    # FastCGI cache zones');
+      for (const zone of fastcgiZones) {
+        lines.push(`    fastcgi_cache_path ${zone.path} levels=${zone.levels} keys_zone=${zone.keysZone} max_size=${zone.maxSize} inactive=${zone.inactive} use_temp_path=off;`);
+      }
+      lines.push('');
+    }
+
+    return lines;
+  }
+
+  /**
+   * Create DDoSProtection for the configured profile (null when disabled)
+   */
+  getDDoSProtection() {
+    const ddos = this.state.globalSettings?.ddos;
+    if (!ddos?.enabled) return null;
+
+    const protection = new DDoSProtection();
+    protection.enable(ddos.profile || 'balanced');
+    return protection;
+  }
+
+  /**
+   * DDoS login paths (empty when DDoS protection is off)
+   */
+  getLoginPaths() {
+    return this.getDDoSProtection() ? this.state.globalSettings.ddos.loginPaths || [] : [];
+  }
+
+  /**
+   * Exact locations for login paths no location is written for, copying the location
+   * that would otherwise serve the path (the PHP handler for /wp-login.php)
+   */
+  getLoginLocations(server) {
+    const locations = server.locations || [];
+    return this.getLoginPaths()
+      .filter(path => !locations.some(location => location.path.replace(/^=\s*/, '') === path))
+      .map(path => {
+        const handler = findHandlingLocation(locations, path);
+        return handler && { ...handler, id: `${handler.id}-login`, path: `= ${path}` };
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Collect rate limit zones from all locations
+   */
+  collectRateLimitZones() {
+    const zones = [];
+    for (const server of this.state.servers) {
+      for (const location of server.locations || []) {
+        if (location.rateLimit && location.rateLimitValue) {
+          const zoneName = `${location.type}_${location.path.replace(/[^a-zA-Z0-9]/g, '_')}_limit`;
+          zones.push({ name: zoneName, rate: location.rateLimitValue });
+        }
+      }
+    }
+    return zones;
+  }
+
+  /**
+   * Collect the split_clients and override maps of locations with a traffic split
+   * Canary mode sends percent of clients (hashed on key) to split.upstream; blue-green sends
+   * everything to the active color. The override header or cookie picks an upstream with 1 or 0.
+   */
+  collectTrafficSplits() {
+    const splits = [];
+
+    for (const server of this.state.servers) {
+      for (const location of server.locations || []) {
+        const split = location.split;
+        if (!split || !location.upstream || !['proxy', 'api'].includes(location.type)) continue;
+
+        const name = variableName(ServerName.label(server.domain.primary), location.path);
+        const lines = [];
+        let label;
+        let target;
+
+        if (split.mode === 'blue-green') {
+          target = split.active === 'green' ? split.upstream : location.upstream;
+          label = `${server.domain.primary} ${location.path} (blue-green, ${split.active || 'blue'} active)`;
+        } else {
+          const percent = split.percent || 0;
+          label = `${server.domain.primary} ${location.path} (${percent}% to ${split.upstream})`;
+          if (percent <= 0 || percent >= 100) {
+            // split_clients rejects 0% and leaves nothing for * at 100%
+            target = percent >= 100 ? split.upstream : location.upstream;
+          } else {
+            target = `$split_${name}`;
+            lines.push(
+              `split_clients "${split.key || '$remote_addr'}" $split_${name} {`,
+              `    ${percent}% ${split.upstream};`,
+              `    * ${location.upstream};`,
+              '}'
+            );
+          }
+        }
+
+        const overrides = [
+          split.header && `$http_${split.header.toLowerCase().replace(/-/g, '_')}`,
+          split.cookie && `$cookie_${split.cookie}`
+        ].filter(Boolean);
+
+        if (overrides.length > 0) {
+          const choices = [['1', split.upstream], ['0', location.upstream]];
+          lines.push(`map "${overrides.join(':')}" $route_${name} {`, `    default ${target};`);
+          if (overrides.length === 1) {
+            lines.push(...choices.map(([value, upstream]) => `    ${value} ${upstream};`));
+          } else {
+            // The header wins over the cookie
+            lines.push(...choices.map(([value, upstream]) => `    ~^${value}: ${upstream};`));
+            lines.push(...choices.map(([value, upstream]) => `    ~:${value}$ ${upstream};`));
+          }
+          lines.push('}');
+          target = `$route_${name}`;
+        }
+
+        splits.push({ server, location, label, target, lines });
+      }
+    }
+
+    return splits;
+  }
+
+  /**
+   * Generate a named map block; its variable is $<name>
+   */
+  generateMap(map) {
+    const source = /^\$\w+$/.test(map.source) ? map.source : `"${map.source}"`;
+    return [
+      `map ${source} $${map.name} {`,
+      ...(map.default ? [`    default ${map.default};`] : []),
+      ...(map.entries || []).map(entry => `    ${mapKey(entry.key)} ${entry.value};`),
+      '}'
+    ];
+  }
+
+  /**
+   * Get the proxy_pass target of a proxy or API location (the routing variable for maps and traffic splits)
+   */
+  getProxyTarget(location, server) {
+    if (location.upstreamMap) {
+      return `http://$${location.upstreamMap}`;
+    }
+    if (location.split && location.upstream) {
+      const split = this.collectTrafficSplits().find(s => s.server === server && s.location === location);
+      if (split) return `http://${split.target}`;
+    }
+    return location.upstream ? `http://${location.upstream}` : location.target;
+  }
+
+  /**
+   * Collect the distinct country allow/deny lists of servers and locations
+   * Each one becomes a map from the GeoIP2 country code to a blocked flag
+   */
+  collectCountryRules() {
+    const rules = [];
+    const access = this.state.servers.flatMap(server => [server.access, ...(server.locations || []).map(l => l.access)]);
+
+    for (const countries of access.map(a => a?.countries)) {
+      const rule = normalizeCountries(countries);
+      if (rule && !rules.some(r => r.key === rule.key)) {
+        rules.push({ ...rule, variable: `$blocked_country_${rules.length + 1}` });
+      }
+    }
+    return rules;
+  }
+
+  /**
+   * Collect cache zones from all locations
+   */
+  collectCacheZones(cacheManager = new CacheManager()) {
+    for (const server of this.state.servers) {
+      for (const location of server.locations || []) {
+        if (location.type === 'fastcgi' || (location.type !== 'cache' && !location.cache?.zone)) continue;
+
+        const name = this.getCacheZoneName(location);
+        if (cacheManager.cacheZones.has(name)) continue;
+
+        // The first location naming a zone defines its storage
+        const cache = location.cache || {};
+        const strategy = this.getCacheStrategy(location);
+        const defaults = {
+          path: `/var/cache/nginx/${name}`,
+          keysZone: `${name}:10m`,
+          maxSize: '100m',
+          inactive: '60m',
+          ...strategy?.zoneOptions
+        };
+        if (strategy && name !== strategy.zoneName) {
+          // A renamed zone keeps the strategy limits but gets its own directory
+          defaults.path = `/var/cache/nginx/${name}`;
+        }
+
+        cacheManager.createCacheZone(name, {
+          path: cache.path || defaults.path,
+          levels: cache.levels || defaults.levels || '1:2',
+          keysZone: `${name}:${cache.keysSize || defaults.keysZone.split(':')[1]}`,
+          maxSize: cache.maxSize || defaults.maxSize,
+          inactive: cache.inactive || defaults.inactive
+        });
+      }
+    }
+
+    return Array.from(cacheManager.cacheZones, ([name, zone]) => ({ name, ...zone }));
+  }
+
+  /**
+   * Collect fastcgi_cache zones from FastCGI locations (the first location naming a zone defines it)
+   */
+  collectFastcgiCacheZones() {
+    const zones = new Map();
+    for (const server of this.state.servers) {
+      for (const location of server.locations || []) {
+        if (location.type !== 'fastcgi' || !location.cache) continue;
+
+        const cache = location.cache;
+        const name = cache.zone || 'fastcgi_cache';
+        if (zones.has(name)) continue;
+
+        zones.set(name, {
+          name,
+          path: cache.path || `/var/cache/nginx/${name}`,
+          levels: cache.levels || '1:2',
+          keysZone: `${name}:${cache.keysSize || '10m'}`,
+          maxSize: cache.maxSize || '100m',
+          inactive: cache.inactive || '60m'
+        });
+      }
+    }
+    return Array.from(zones.values());
+  }
+
+  /**
+   * Get the CacheManager strategy a cache location uses (null for the legacy fixed settings)
+   */
+  getCacheStrategy(location) {
+    const strategyName = location.cache?.strategy;
+    if (!strategyName) return null;
+
+    const strategy = new CacheManager().getStrategy(strategyName);
+    if (!strategy) {
+      throw new Error(`Unknown cache strategy: ${strategyName}`);
+    }
+    return strategy;
+  }
+
+  /**
+   * Get the cache zone a location stores responses in
+   */
+  getCacheZoneName(location) {
+    return location.cache?.zone || this.getCacheStrategy(location)?.zoneName || 'proxy_cache';
+  }
+
+  /**
+   * Get the template engine for tree-mode blocks
+   * Templates in state.templates override the bundled templates/tree partials
+   */
+  getTemplateEngine() {
+    const overridesDir = this.state.templates || null;
+    if (!this.templateEngine || this.templateEngine.overridesDir !== overridesDir) {
+      this.templateEngine = new TemplateEngine(null, { overridesDir, noEscape: true });
+    }
+    return this.templateEngine;
+  }
+
+  /**
+   * Render a tree-mode template into config lines
+   */
+  renderTemplate(name, data) {
+    return this.getTemplateEngine()
+      .renderSync(name, data, 'tree')
+      .replace(/\n$/, '')
+      .split('\n');
+  }
+
+  /**
+   * Generate upstream block
+   */
+  generateUpstream(upstream) {
+    return this.renderTemplate('upstream', {
+      ...upstream,
+      loadBalancing: upstream.loadBalancing !== 'round_robin' ? upstream.loadBalancing : null,
+      servers: (upstream.servers || []).map(server => ({
+        ...server,
+        address: server.port ? `${server.host}:${server.port}` : server.host,
+        maxFails: server.maxFails ?? upstream.maxFails,
+        failTimeout: server.failTimeout ?? upstream.failTimeout
+      }))
+    });
+  }
+
+  /**
+   * Generate server block
+   */
+  generateServerBlock(server, globalSettings, { snippets = false } = {}) {
+    const domain = server.domain;
+    const names = [domain.primary, ...(domain.aliases || [])];
+    const ddos = this.getDDoSProtection();
+
+    return this.renderTemplate('server', {
+      ...server,
+      ssl: server.ssl || {},
+      httpPort: domain.port || 80,
+      httpsPort: domain.httpsPort || 443,
+      serverNames: names.map(ServerName.render).join(' '),
+      // $server_name would be the pattern itself
+      redirectHost: ServerName.hasPatterns(names) ? '$host' : '$server_name',
+      logName: ServerName.label(domain.primary),
+      snippets,
+      sslConfig: server.ssl?.enabled ? this.generateSSLConfig(server.ssl, ServerName.certificateDomain(names), { snippets }).join('\n') : '',
+      securityHeaders: globalSettings.securityHeaders
+        ? indentLines(this.renderTemplate('security-headers', {}), 2).join('\n')
+        : null,
+      ddos: ddos ? ddos.generateServerDirectives().split('\n') : null,
+      redirects: this.generateRedirects(server),
+      maintenance: this.generateMaintenance(server),
+      access: this.generateAccess(server.access),
+      basicAuth: this.generateBasicAuth(server.auth?.basic),
+      forwardAuth: this.generateForwardAuth(server),
+      locations: [
+        ...(server.locations || []).map(location => this.generateLocation(location, server).join('\n')),
+        ...this.getLoginLocations(server).map(location => this.generateLocation(location, server).join('\n')),
+        ...this.generateForwardAuthLocations(server).map(lines => lines.join('\n')),
+        ...this.generateMaintenanceLocations(server).map(lines => lines.join('\n')),
+        ...this.generateGrpcErrorLocations(server).map(lines => lines.join('\n'))
+      ]
+    });
+  }
+
+  /**
+   * Generate the named locations gRPC locations send their errors to
+   */
+  generateGrpcErrorLocations(server) {
+    if (!(server.locations || []).some(location => location.type === 'grpc')) {
+      return [];
     }
 
-    // Server blocks
-    for (const server of servers) {
-      // Server-specific upstreams
-      for (const upstream of server.upstreams || []) {
-        lines.push(...this.generateUpstream(upstream, 1));
-      }
+    return GRPC_ERRORS.map(error => this.renderTemplate('location', {
+      path: `@grpc_${error.name}`,
+      type: `gRPC status ${error.status}`,
+      body: [
+        '            default_type application/grpc;',
+        `            add_header grpc-status ${error.status};`,
+        `            add_header grpc-message ${error.name};`,
+        '            add_header content-length 0;',
+        '            return 204;'
+      ].join('\n')
+    }));
+  }
 
-      // Generate server block(s)
-      lines.push(...this.generateServerBlock(server, globalSettings));
+  /**
+   * Check whether the state has TCP/UDP listeners
+   */
+  hasStreams() {
+    return this.state.streams?.listeners?.length > 0;
+  }
+
+  /**
+   * Generate the stream block with its upstreams and listeners
+   */
+  generateStreamBlock() {
+    const { upstreams = [], listeners = [] } = this.state.streams;
+    const lines = ['# TCP/UDP proxying', 'stream {'];
+
+    for (const upstream of upstreams) {
+      lines.push(...this.generateStreamUpstream(upstream));
+    }
+    for (const listener of listeners) {
+      lines.push(...this.generateStreamServer(listener));
     }
 
     lines.push('}');
+    return lines;
+  }
 
-    return lines.join('\n');
+  /**
+   * Generate a stream upstream block (no HTTP keepalive)
+   */
+  generateStreamUpstream(upstream) {
+    return this.generateUpstream({ ...upstream, keepalive: null });
   }
 
   /**
-   * Collect rate limit zones from all locations
+   * Generate a stream server with its connection limit zone and SNI map
    */
-  collectRateLimitZones() {
-    const zones = [];
+  generateStreamServer(listener) {
+    const name = this.getStreamName(listener);
+    const udp = listener.protocol === 'udp';
+    const sniRoutes = udp ? [] : listener.sniRoutes || [];
+    const defaultBackend = listener.upstream || listener.target;
+    const listenParams = `${udp ? ' udp' : ''}${listener.acceptProxyProtocol && !udp ? ' proxy_protocol' : ''}`;
+
+    return this.renderTemplate('stream-server', {
+      ...listener,
+      label: this.getStreamLabel(listener),
+      protocol: udp ? 'udp' : 'tcp',
+      listen: listener.address
+        ? [`${listener.address}:${listener.port}${listenParams}`]
+        : [`${listener.port}${listenParams}`, `[::]:${listener.port}${listenParams}`],
+      zone: `stream_${name}_conn`,
+      sniRoutes: sniRoutes.length > 0 ? sniRoutes : null,
+      hostnames: sniRoutes.some(route => route.serverName.startsWith('*.') || route.serverName.endsWith('.*')),
+      backendVariable: `$stream_${name}_backend`,
+      defaultBackend,
+      proxyPass: sniRoutes.length > 0 ? `$stream_${name}_backend` : defaultBackend,
+      responses: udp && Number.isInteger(listener.responses) ? String(listener.responses) : null
+    });
+  }
+
+  /**
+   * Name a listener for display
+   */
+  getStreamLabel(listener) {
+    return listener.name || `${listener.protocol || 'tcp'}/${listener.port}`;
+  }
+
+  /**
+   * Name a listener for zones, variables and file names
+   */
+  getStreamName(listener) {
+    return (listener.name || `${listener.protocol || 'tcp'}_${listener.port}`).replace(/[^a-zA-Z0-9_]/g, '_');
+  }
+
+  /**
+   * Generate SSL configuration
+   */
+  generateSSLConfig(ssl, domain, { snippets = false } = {}) {
+    return this.renderTemplate('ssl', {
+      ssl,
+      domain,
+      snippets,
+      clientCert: this.generateClientCertConfig(ssl.clientCert),
+      sslParams: indentLines(this.renderTemplate('ssl-params', {}), 2).join('\n')
+    });
+  }
+
+  /**
+   * Replace IP list names with their addresses
+   */
+  expandAddresses(entries) {
+    return (entries || []).flatMap(entry => this.state.ipLists?.find(list => list.name === entry)?.addresses || [entry]);
+  }
+
+  /**
+   * Get the catch-all default server settings (null when there is none)
+   * defaultServer: true answers unknown hosts with 444 and rejects their TLS handshakes
+   */
+  getDefaultServer() {
+    const setting = this.state.globalSettings?.defaultServer;
+    if (!setting || setting.enabled === false) return null;
+
+    const options = setting === true ? {} : setting;
+    return { https: 'reject', ...options, response: options.response ?? (options.page ? 404 : 444) };
+  }
+
+  /**
+   * Collect the HTTP and HTTPS ports servers listen on
+   */
+  getListenPorts() {
+    const http = new Set();
+    const https = new Set();
     for (const server of this.state.servers) {
-      for (const location of server.locations || []) {
-        if (location.rateLimit && location.rateLimitValue) {
-          const zoneName = `${location.type}_${location.path.replace(/[^a-zA-Z0-9]/g, '_')}_limit`;
-          zones.push({ name: zoneName, rate: location.rateLimitValue });
-        }
+      http.add(server.domain?.port || 80);
+      if (server.ssl?.enabled) {
+        https.add(server.domain?.httpsPort || 443);
       }
     }
-    return zones;
+    return { http: [...http], https: [...https] };
   }
 
   /**
-   * Collect cache zones from all locations
+   * Generate the catch-all servers, one per listen port, so requests with an unknown
+   * (or spoofed) Host header never reach the first configured site
    */
-  collectCacheZones() {
-    const zones = new Map();
+  generateDefaultServers() {
+    const settings = this.getDefaultServer();
+    if (!settings) return [];
+
+    const { http, https } = this.getListenPorts();
+    const slash = settings.page?.lastIndexOf('/');
+    const page = settings.page ? { dir: settings.page.slice(0, slash) || '/', file: settings.page.slice(slash) } : null;
+
+    return [
+      ...http.map(port => ({ port, ssl: false })),
+      ...https.map(port => ({ port, ssl: true }))
+    ].flatMap(listener => this.renderTemplate('default-server', {
+      ...listener,
+      response: settings.response,
+      page,
+      rejectHandshake: listener.ssl && settings.https === 'reject',
+      certPath: settings.certPath || DEFAULT_SERVER_CERT.certPath,
+      keyPath: settings.keyPath || DEFAULT_SERVER_CERT.keyPath
+    }));
+  }
+
+  /**
+   * Get a server's maintenance settings (null while maintenance mode is off)
+   */
+  getMaintenance(server) {
+    return server.maintenance?.enabled ? server.maintenance : null;
+  }
+
+  /**
+   * Collect the redirect maps of servers with a redirect table, one per status code
+   * Exact sources with a query string are matched against $request_uri first and fall
+   * back to the $uri map; query 'keep' passes the request's query string on to targets without one
+   */
+  collectRedirectMaps() {
+    const maps = [];
+
     for (const server of this.state.servers) {
-      for (const location of server.locations || []) {
-        if (location.cache?.zone) {
-          zones.set(location.cache.zone, { name: location.cache.zone });
+      const table = server.redirects;
+      if (!table?.rows?.length) continue;
+
+      const codes = [...new Set(table.rows.map(row => row.code || 301))].sort((a, b) => a - b);
+      for (const code of codes) {
+        const rows = table.rows.filter(row => (row.code || 301) === code);
+        const variable = `$new_uri_${variableName(ServerName.label(server.domain.primary), String(code))}`;
+        const queryRows = rows.filter(row => !row.from.startsWith('~') && row.from.includes('?'));
+        const pathRows = rows.filter(row => !queryRows.includes(row));
+        const pathVariable = queryRows.length > 0 ? `${variable}_path` : variable;
+        const query = row => row.query || table.query;
+        const target = row => query(row) !== 'drop' && !queryRows.includes(row) && !row.to.includes('?')
+          ? `${row.to}$is_args$args`
+          : row.to;
+
+        const lines = [];
+        if (queryRows.length > 0) {
+          lines.push(`map $request_uri ${variable} {`, `    default ${pathVariable};`);
+          lines.push(...queryRows.map(row => `    ${mapKey(row.from)} ${mapValue(target(row))};`));
+          lines.push('}');
         }
+        lines.push(`map $uri ${pathVariable} {`);
+        lines.push(...pathRows.map(row => `    ${mapKey(row.from)} ${mapValue(target(row))};`));
+        lines.push('}');
+
+        maps.push({ server, code, variable, label: `${server.domain.primary} (${rows.length} × ${code})`, lines });
       }
     }
-    return Array.from(zones.values());
+
+    return maps;
   }
 
   /**
-   * Generate upstream block
+   * Generate the server-level returns of the redirect table
    */
-  generateUpstream(upstream, indentLevel = 0) {
-    const indent = '    '.repeat(indentLevel);
-    const lines = [];
+  generateRedirects(server) {
+    const maps = this.collectRedirectMaps().filter(map => map.server === server);
+    if (maps.length === 0) return null;
+
+    return maps.flatMap(({ code, variable }) => [
+      `if (${variable}) {`,
+      `    return ${code} ${variable};`,
+      '}'
+    ]);
+  }
 
-    lines.push(`${indent}# Upstream: ${upstream.name}`);
-    lines.push(`${indent}upstream ${upstream.name} {`);
+  /**
+   * Generate the server-wide maintenance switch: $maintenance is 1 unless the client
+   * address is allowlisted (geo block in http) or the request carries the bypass cookie
+   */
+  generateMaintenance(server) {
+    const maintenance = this.getMaintenance(server);
+    if (!maintenance) return null;
+
+    const lines = [maintenance.allow?.length > 0
+      ? `set $maintenance $maintenance_${variableName(ServerName.label(server.domain.primary))};`
+      : 'set $maintenance 1;'];
+    if (maintenance.cookie?.name) {
+      lines.push(
+        `if ($cookie_${maintenance.cookie.name} = "${maintenance.cookie.value}") {`,
+        '    set $maintenance 0;',
+        '}'
+      );
+    }
+    lines.push('error_page 503 @maintenance;');
+    return lines;
+  }
 
-    // Load balancing method
-    if (upstream.loadBalancing && upstream.loadBalancing !== 'round_robin') {
-      lines.push(`${indent}    ${upstream.loadBalancing};`);
+  /**
+   * Generate the named location that answers 503 with Retry-After during maintenance
+   */
+  generateMaintenanceLocations(server) {
+    const maintenance = this.getMaintenance(server);
+    if (!maintenance) return [];
+
+    const body = [`            add_header Retry-After ${maintenance.retryAfter ?? 300} always;`];
+    if (maintenance.page) {
+      const slash = maintenance.page.lastIndexOf('/');
+      body.push(
+        `            root ${maintenance.page.slice(0, slash) || '/'};`,
+        `            rewrite ^ ${maintenance.page.slice(slash)} break;`
+      );
+    } else {
+      body.push(
+        '            default_type text/html;',
+        '            return 503 "<!DOCTYPE html><title>Maintenance</title><h1>Down for maintenance</h1><p>We will be back shortly.</p>";'
+      );
     }
 
-    // Servers
-    for (const server of upstream.servers || []) {
-      let serverLine = `${indent}    server ${server.host}:${server.port}`;
-      if (upstream.maxFails) serverLine += ` max_fails=${upstream.maxFails}`;
-      if (upstream.failTimeout) serverLine += ` fail_timeout=${upstream.failTimeout}s`;
-      if (server.weight) serverLine += ` weight=${server.weight}`;
-      if (server.backup) serverLine += ' backup';
-      serverLine += ';';
-      lines.push(serverLine);
+    return [this.renderTemplate('location', { path: '@maintenance', type: 'maintenance page', body: body.join('\n') })];
+  }
+
+  /**
+   * Generate allow/deny, satisfy and country checks for a server or location
+   * Allow lists end with deny all; IP list names expand to their addresses
+   */
+  generateAccess(access) {
+    if (!access) return null;
+
+    const lines = [
+      ...this.expandAddresses(access.deny).map(address => `deny ${address};`),
+      ...this.expandAddresses(access.allow).map(address => `allow ${address};`)
+    ];
+    if (access.allow?.length > 0 && !access.allow.includes('all')) {
+      lines.push('deny all;');
+    }
+    if (access.satisfy) {
+      lines.push(`satisfy ${access.satisfy};`);
     }
 
-    // Keepalive
-    if (upstream.keepalive) {
-      lines.push('');
-      lines.push(`${indent}    keepalive ${upstream.keepalive};`);
-      lines.push(`${indent}    keepalive_timeout 60s;`);
+    const country = normalizeCountries(access.countries);
+    if (country) {
+      const rule = this.collectCountryRules().find(r => r.key === country.key);
+      lines.push(`if (${rule.variable}) {`, '    return 403;', '}');
     }
 
-    lines.push(`${indent}}`);
-    lines.push('');
+    return lines.length > 0 ? lines : null;
+  }
 
-    return lines;
+  /**
+   * Get a server's client certificate settings (null when mTLS is off)
+   */
+  getClientCert(server) {
+    const clientCert = server.ssl?.enabled ? server.ssl.clientCert : null;
+    return clientCert && clientCert.enabled !== false ? clientCert : null;
   }
 
   /**
-   * Generate server block
+   * Generate ssl_client_certificate/ssl_verify_client directives (null without client certificates)
    */
-  generateServerBlock(server, globalSettings) {
+  generateClientCertConfig(clientCert) {
+    if (!clientCert || clientCert.enabled === false) return null;
+
     const lines = [];
-    const domain = server.domain;
-    const ssl = server.ssl;
-
-    // HTTP to HTTPS redirect (if SSL enabled)
-    if (ssl?.enabled) {
-      lines.push('    # HTTP -> HTTPS Redirect');
-      lines.push('    server {');
-      lines.push(`        listen ${domain.port || 80};`);
-      lines.push(`        listen [::]:${domain.port || 80};`);
-      lines.push(`        server_name ${domain.primary}${domain.aliases?.length ? ' ' + domain.aliases.join(' ') : ''};`);
-      lines.push('        return 301 https://$server_name$request_uri;');
-      lines.push('    }');
-      lines.push('');
+    if (clientCert.ca) {
+      lines.push(`ssl_client_certificate ${clientCert.ca};`);
+    }
+    lines.push(`ssl_verify_client ${clientCert.verify || 'on'};`);
+    if (clientCert.depth) {
+      lines.push(`ssl_verify_depth ${clientCert.depth};`);
     }
+    if (clientCert.crl) {
+      lines.push(`ssl_crl ${clientCert.crl};`);
+    }
+    return lines;
+  }
 
-    // Main server block
-    lines.push(`    # Server: ${domain.primary}`);
-    lines.push('    server {');
+  /**
+   * Generate the client certificate check and headers of a location
+   * Checking $ssl_client_verify only matters when the server verifies with optional
+   */
+  generateLocationClientCert(location, server = {}) {
+    const clientCert = location.clientCert;
+    if (!clientCert || !this.getClientCert(server)) return [];
 
-    // Listen directive
-    if (ssl?.enabled) {
-      let listenDirective = `        listen ${domain.httpsPort || 443} ssl`;
-      if (ssl.http3) listenDirective += ' http3';
-      lines.push(`${listenDirective};`);
-      lines.push(`        listen [::]:${domain.httpsPort || 443} ssl${ssl.http3 ? ' http3' : ''};`);
-      
-      if (ssl.http2) {
-        lines.push('        http2 on;');
-      }
-    } else {
-      lines.push(`        listen ${domain.port || 80};`);
-      lines.push(`        listen [::]:${domain.port || 80};`);
+    const lines = [];
+    if (clientCert.required) {
+      lines.push(
+        '            if ($ssl_client_verify != SUCCESS) {',
+        '                return 403;',
+        '            }'
+      );
     }
+    if (clientCert.headers) {
+      lines.push(...this.generateBackendHeaders(location, CLIENT_CERT_HEADERS));
+    }
+    return lines;
+  }
 
-    // Server name
-    lines.push(`        server_name ${domain.primary}${domain.aliases?.length ? ' ' + domain.aliases.join(' ') : ''};`);
-    lines.push('');
+  /**
+   * Generate auth_basic directives (null when the settings don't turn basic auth on)
+   */
+  generateBasicAuth(basic) {
+    if (!basic || basic.enabled === false) return null;
 
-    // SSL configuration
-    if (ssl?.enabled) {
-      lines.push(...this.generateSSLConfig(ssl, domain.primary));
-    }
+    const realm = (basic.realm || 'Restricted').replace(/(["\\])/g, '\\$1');
+    return [`auth_basic "${realm}";`, `auth_basic_user_file ${basic.userFile || '/etc/nginx/.htpasswd'};`];
+  }
 
-    // Logging
-    lines.push('        # Logging');
-    lines.push(`        access_log /var/log/nginx/${domain.primary}/access.log main;`);
-    lines.push(`        error_log /var/log/nginx/${domain.primary}/error.log warn;`);
-    lines.push('');
+  /**
+   * Get a server's forward auth settings (null when they don't turn it on)
+   */
+  getForwardAuth(server) {
+    const forward = server.forwardAuth;
+    return forward && forward.enabled !== false ? forward : null;
+  }
 
-    // Security headers
-    if (globalSettings.securityHeaders) {
-      lines.push('        # Security Headers');
-      lines.push('        add_header X-Frame-Options "SAMEORIGIN" always;');
-      lines.push('        add_header X-Content-Type-Options "nosniff" always;');
-      lines.push('        add_header X-XSS-Protection "1; mode=block" always;');
-      lines.push('        add_header Referrer-Policy "strict-origin-when-cross-origin" always;');
-      if (ssl?.enabled) {
-        lines.push('        add_header Strict-Transport-Security "max-age=63072000; includeSubDomains" always;');
-      }
-      lines.push('');
-    }
+  /**
+   * Generate the server-wide auth_request directives
+   */
+  generateForwardAuth(server) {
+    const forward = this.getForwardAuth(server);
+    if (!forward) return null;
 
-    // Locations
-    for (const location of server.locations || []) {
-      lines.push(...this.generateLocation(location));
+    const lines = ['auth_request /auth;'];
+    if (forward.signInUrl) {
+      lines.push('error_page 401 = @error401;');
     }
+    return lines;
+  }
 
-    // Default deny hidden files
-    lines.push('        # Deny access to hidden files');
-    lines.push('        location ~ /\\. {');
-    lines.push('            deny all;');
-    lines.push('            access_log off;');
-    lines.push('            log_not_found off;');
-    lines.push('        }');
-
-    lines.push('    }');
-    lines.push('');
+  /**
+   * Generate the internal /auth subrequest location and the sign-in redirect
+   */
+  generateForwardAuthLocations(server) {
+    const forward = this.getForwardAuth(server);
+    if (!forward) return [];
+
+    const locations = [this.renderTemplate('location', {
+      path: '= /auth',
+      type: 'forward auth',
+      body: [
+        '            internal;',
+        '            auth_request off;',
+        `            proxy_pass ${forward.url};`,
+        '            proxy_pass_request_body off;',
+        '            proxy_set_header Content-Length "";',
+        '            proxy_set_header Host $host;',
+        '            proxy_set_header X-Original-URI $request_uri;',
+        '            proxy_set_header X-Original-Method $request_method;',
+        '            proxy_set_header X-Forwarded-Proto $scheme;',
+        '            proxy_set_header X-Forwarded-For $proxy_add_x_forwarded_for;'
+      ].join('\n')
+    })];
+
+    if (forward.signInUrl) {
+      const separator = forward.signInUrl.includes('?') ? '&' : '?';
+      locations.push(this.renderTemplate('location', {
+        path: '@error401',
+        type: 'sign-in redirect',
+        body: [
+          '            auth_request off;',
+          `            return 302 ${forward.signInUrl}${separator}rd=$scheme://$host$request_uri;`
+        ].join('\n')
+      }));
+    }
 
-    return lines;
+    return locations;
   }
 
   /**
-   * Generate SSL configuration
+   * Generate the auth lines a location needs on top of its server's
+   * Health checks are exempt from server-wide auth unless they set auth.basic or auth.forward themselves
    */
-  generateSSLConfig(ssl, domain) {
+  generateLocationAuth(location, server = {}) {
     const lines = [];
+    const basic = location.auth?.basic;
+    const serverAuth = this.generateBasicAuth(server.auth?.basic);
 
-    lines.push('        # SSL Configuration');
-    
-    // Certificate paths based on provider
-    if (ssl.provider === 'letsencrypt') {
-      lines.push(`        ssl_certificate /etc/letsencrypt/live/${domain}/fullchain.pem;`);
-      lines.push(`        ssl_certificate_key /etc/letsencrypt/live/${domain}/privkey.pem;`);
-      lines.push(`        ssl_trusted_certificate /etc/letsencrypt/live/${domain}/chain.pem;`);
-    } else if (ssl.provider === 'cloudflare') {
-      lines.push(`        ssl_certificate /etc/nginx/ssl/${domain}/cloudflare.pem;`);
-      lines.push(`        ssl_certificate_key /etc/nginx/ssl/${domain}/cloudflare.key;`);
-      lines.push('        ssl_client_certificate /etc/nginx/ssl/cloudflare/origin-pull-ca.pem;');
-      lines.push('        ssl_verify_client on;');
-    } else if (ssl.provider === 'custom') {
-      lines.push(`        ssl_certificate ${ssl.certPath};`);
-      lines.push(`        ssl_certificate_key ${ssl.keyPath};`);
-    } else if (ssl.provider === 'self-signed') {
-      lines.push(`        ssl_certificate /etc/nginx/ssl/${domain}/cert.pem;`);
-      lines.push(`        ssl_certificate_key /etc/nginx/ssl/${domain}/key.pem;`);
-    }
-
-    // SSL settings
-    lines.push('');
-    lines.push('        ssl_protocols TLSv1.2 TLSv1.3;');
-    lines.push('        ssl_ciphers ECDHE-ECDSA-AES128-GCM-SHA256:ECDHE-RSA-AES128-GCM-SHA256:ECDHE-ECDSA-AES256-GCM-SHA384:ECDHE-RSA-AES256-GCM-SHA384:ECDHE-ECDSA-CHACHA20-POLY1305:ECDHE-RSA-CHACHA20-POLY1305:DHE-RSA-AES128-GCM-SHA256:DHE-RSA-AES256-GCM-SHA384;');
-    lines.push('        ssl_prefer_server_ciphers off;');
-    lines.push('        ssl_session_timeout 1d;');
-    lines.push('        ssl_session_cache shared:SSL:10m;');
-    lines.push('        ssl_session_tickets off;');
-
-    // OCSP stapling (only for Let's Encrypt)
-    if (ssl.provider === 'letsencrypt') {
-      lines.push('');
-      lines.push('        # OCSP Stapling');
-      lines.push('        ssl_stapling on;');
-      lines.push('        ssl_stapling_verify on;');
-      lines.push('        resolver 8.8.8.8 8.8.4.4 valid=300s;');
-      lines.push('        resolver_timeout 5s;');
+    if (basic === false || (basic && basic.enabled === false) || (basic === undefined && serverAuth && location.type === 'health')) {
+      if (serverAuth) lines.push('            auth_basic off;');
+    } else if (basic) {
+      lines.push(...(this.generateBasicAuth(basic) || []).map(line => `            ${line}`));
     }
 
-    // HTTP/3 header
-    if (ssl.http3) {
-      lines.push('');
-      lines.push('        add_header Alt-Svc \'h3=":443"; ma=86400\';');
+    const forward = this.getForwardAuth(server);
+    if (forward) {
+      const optOut = location.auth?.forward;
+      if (optOut === false || (optOut === undefined && location.type === 'health')) {
+        lines.push('            auth_request off;');
+      } else {
+        lines.push(...this.generateForwardAuthHeaders(location, forward));
+      }
     }
 
-    lines.push('');
-
     return lines;
   }
 
+  /**
+   * Capture the identity headers of the auth response and pass them to the location's backend
+   */
+  generateForwardAuthHeaders(location, forward) {
+    const headers = (forward.headers || FORWARD_AUTH_HEADERS).map(name => ({
+      name,
+      variable: `$auth_${name.toLowerCase().replace(/^x-(auth-request-|forwarded-)?/, '').replace(/-/g, '_')}`,
+      upstream: `$upstream_http_${name.toLowerCase().replace(/-/g, '_')}`
+    }));
+
+    const backend = this.generateBackendHeaders(location, headers.map(h => ({ name: h.name, value: h.variable })));
+    // Files and redirects have no backend to tell; custom locations may use the variables
+    if (backend.length === 0 && location.type !== 'custom') return [];
+
+    return [...headers.map(h => `            auth_request_set ${h.variable} ${h.upstream};`), ...backend];
+  }
+
+  /**
+   * Pass request headers to a location's backend (nothing for locations without one)
+   */
+  generateBackendHeaders(location, headers) {
+    if (BACKEND_HEADER_DIRECTIVES[location.type]) {
+      return headers.map(h => `            ${BACKEND_HEADER_DIRECTIVES[location.type]} ${h.name} ${h.value};`);
+    }
+    if (SOCKET_PROTOCOLS[location.type]) {
+      return headers.map(h => `            ${location.type}_param HTTP_${h.name.toUpperCase().replace(/-/g, '_')} ${h.value};`);
+    }
+    return [];
+  }
+
   /**
    * Generate location block
    */
-  generateLocation(location) {
+  generateLocation(location, server = {}) {
     const lines = [];
     const type = location.type;
 
-    lines.push(`        # Location: ${location.path} (${type})`);
-    lines.push(`        location ${location.path} {`);
+    // Health checks stay up during maintenance
+    const maintenance = this.getMaintenance(server) && location.type !== 'health' && location.maintenance !== false
+      ? ['            if ($maintenance) {', '                return 503;', '            }']
+      : [];
+    const auth = [
+      ...maintenance,
+      ...(this.generateAccess(location.access) || []).map(line => `            ${line}`),
+      ...this.generateLocationClientCert(location, server),
+      ...this.generateLocationAuth(location, server)
+    ];
+    if (auth.length > 0) {
+      lines.push(...auth, '');
+    }
+
+    // Stricter request limits for login and API endpoints
+    const ddos = this.getDDoSProtection();
+    if (ddos && this.getLoginPaths().includes(location.path.replace(/^=\s*/, ''))) {
+      lines.push(`            ${ddos.generateLoginLocationDirectives()}`);
+      lines.push('');
+    } else if (ddos && type === 'api') {
+      lines.push(`            ${ddos.generateAPILocationDirectives()}`);
+      lines.push('');
+    }
 
     if (type === 'static') {
       lines.push(...this.generateStaticLocation(location));
     } else if (type === 'spa') {
       lines.push(...this.generateSPALocation(location));
     } else if (type === 'proxy') {
-      lines.push(...this.generateProxyLocation(location));
+      lines.push(...this.generateProxyLocation(location, server));
     } else if (type === 'api') {
-      lines.push(...this.generateAPILocation(location));
+      lines.push(...this.generateAPILocation(location, server));
     } else if (type === 'websocket') {
       lines.push(...this.generateWebSocketLocation(location));
+    } else if (type === 'grpc') {
+      lines.push(...this.generateGrpcLocation(location));
+    } else if (type === 'fastcgi') {
+      lines.push(...this.generateFastcgiLocation(location));
+    } else if (type === 'uwsgi' || type === 'scgi') {
+      lines.push(...this.generateGatewayLocation(location));
     } else if (type === 'redirect') {
       lines.push(...this.generateRedirectLocation(location));
     } else if (type === 'health') {
@@ -481,10 +1837,13 @@ class TreeConfigBuilder {
       lines.push(...this.generateCustomLocation(location));
     }
 
-    lines.push('        }');
-    lines.push('');
+    // Extra request headers, e.g. X-Tenant $tenant from a regex server name
+    if (location.headers && Object.keys(location.headers).length > 0) {
+      const headers = Object.entries(location.headers).map(([name, value]) => ({ name, value: mapValue(String(value)) }));
+      lines.push('', ...this.generateBackendHeaders(location, headers));
+    }
 
-    return lines;
+    return this.renderTemplate('location', { ...location, body: lines.join('\n') });
   }
 
   /**
@@ -517,6 +1876,9 @@ class TreeConfigBuilder {
     const lines = [];
     
     lines.push(`            root ${location.root};`);
+    if (location.index) {
+      lines.push(`            index ${location.index};`);
+    }
     lines.push(`            try_files $uri $uri/ ${location.fallback || '/index.html'};`);
     
     if (location.caching) {
@@ -535,9 +1897,9 @@ class TreeConfigBuilder {
   /**
    * Generate proxy location directives
    */
-  generateProxyLocation(location) {
+  generateProxyLocation(location, server) {
     const lines = [];
-    const target = location.upstream ? `http://${location.upstream}` : location.target;
+    const target = this.getProxyTarget(location, server);
 
     lines.push(`            proxy_pass ${target};`);
     lines.push('            proxy_http_version 1.1;');
@@ -565,9 +1927,9 @@ class TreeConfigBuilder {
   /**
    * Generate API location directives
    */
-  generateAPILocation(location) {
+  generateAPILocation(location, server) {
     const lines = [];
-    const target = location.upstream ? `http://${location.upstream}` : location.target;
+    const target = this.getProxyTarget(location, server);
 
     // CORS
     if (location.cors) {
@@ -629,6 +1991,135 @@ class TreeConfigBuilder {
     return lines;
   }
 
+  /**
+   * Generate gRPC location directives
+   */
+  generateGrpcLocation(location) {
+    const lines = [];
+    const target = location.upstream
+      ? `${location.grpcTls ? 'grpcs' : 'grpc'}://${location.upstream}`
+      : location.target;
+
+    lines.push(`            grpc_pass ${target};`);
+    lines.push('');
+    lines.push('            grpc_set_header Host $host;');
+    lines.push('            grpc_set_header X-Real-IP $remote_addr;');
+    lines.push('            grpc_set_header X-Forwarded-For $proxy_add_x_forwarded_for;');
+
+    if (location.timeout) {
+      lines.push('');
+      lines.push(`            grpc_read_timeout ${location.timeout}s;`);
+      lines.push(`            grpc_send_timeout ${location.timeout}s;`);
+    }
+
+    lines.push('');
+    lines.push(`            grpc_next_upstream ${(location.nextUpstream || GRPC_NEXT_UPSTREAM).join(' ')};`);
+    if (location.nextUpstreamTries) {
+      lines.push(`            grpc_next_upstream_tries ${location.nextUpstreamTries};`);
+    }
+
+    lines.push('');
+    lines.push('            # Answer nginx errors with gRPC status codes');
+    for (const error of GRPC_ERRORS) {
+      lines.push(`            error_page ${error.codes.join(' ')} = @grpc_${error.name};`);
+    }
+
+    return lines;
+  }
+
+  /**
+   * Generate FastCGI (PHP-FPM) location directives
+   */
+  generateFastcgiLocation(location) {
+    const lines = [];
+    const upstream = location.upstream ? this.findUpstream(location.upstream) : null;
+
+    if (location.root) {
+      lines.push(`            root ${location.root};`);
+    }
+
+    // Only pass scripts that exist, so /uploads/image.jpg/x.php is never executed
+    lines.push('            fastcgi_split_path_info ^(.+\\.php)(/.+)$;');
+    // try_files resets $fastcgi_path_info, so keep a copy for PATH_INFO
+    lines.push('            set $path_info $fastcgi_path_info;');
+    lines.push('            try_files $fastcgi_script_name =404;');
+    lines.push('');
+    lines.push(`            fastcgi_pass ${location.upstream || location.target};`);
+    lines.push(`            fastcgi_index ${location.index || 'index.php'};`);
+    lines.push('            include fastcgi_params;');
+    lines.push('            fastcgi_param SCRIPT_FILENAME $document_root$fastcgi_script_name;');
+    lines.push('            fastcgi_param PATH_INFO $path_info;');
+    if (upstream?.keepalive) {
+      lines.push('            fastcgi_keep_conn on;');
+    }
+
+    lines.push('');
+    lines.push(`            fastcgi_buffers ${location.buffers || '16 16k'};`);
+    lines.push(`            fastcgi_buffer_size ${location.bufferSize || '32k'};`);
+    if (location.timeout) {
+      lines.push(`            fastcgi_read_timeout ${location.timeout}s;`);
+    }
+
+    if (location.cache) {
+      lines.push('');
+      lines.push('            # Caching');
+      lines.push(`            fastcgi_cache ${location.cache.zone || 'fastcgi_cache'};`);
+      lines.push('            fastcgi_cache_key $scheme$request_method$host$request_uri;');
+      lines.push(`            fastcgi_cache_valid 200 301 302 ${location.cache.duration || '10m'};`);
+      lines.push('            fastcgi_cache_use_stale error timeout updating http_500 http_503;');
+      lines.push('            fastcgi_cache_lock on;');
+      lines.push('            add_header X-Cache-Status $upstream_cache_status;');
+
+      if (location.cache.bypassCookie) {
+        lines.push('');
+        lines.push('            # Bypass cache for authenticated users');
+        lines.push('            fastcgi_cache_bypass $cookie_session $cookie_token;');
+        lines.push('            fastcgi_no_cache $cookie_session $cookie_token;');
+      }
+    }
+
+    return lines;
+  }
+
+  /**
+   * Generate uWSGI or SCGI location directives (the location type is the directive prefix)
+   */
+  generateGatewayLocation(location) {
+    const lines = [];
+    const prefix = location.type;
+
+    lines.push(`            ${prefix}_pass ${location.upstream || location.target};`);
+    lines.push(`            include ${prefix}_params;`);
+    lines.push(`            ${prefix}_param HTTP_X_REAL_IP $remote_addr;`);
+    lines.push(`            ${prefix}_param HTTP_X_FORWARDED_FOR $proxy_add_x_forwarded_for;`);
+    lines.push(`            ${prefix}_param HTTP_X_FORWARDED_PROTO $scheme;`);
+    for (const param of location.params || []) {
+      lines.push(`            ${prefix}_param ${param.name} ${/\s/.test(param.value) ? `"${param.value}"` : param.value};`);
+    }
+
+    lines.push('');
+    if (location.buffering === false) {
+      lines.push(`            ${prefix}_buffering off;`);
+    } else {
+      lines.push(`            ${prefix}_buffers ${location.buffers || '16 16k'};`);
+      lines.push(`            ${prefix}_buffer_size ${location.bufferSize || '32k'};`);
+    }
+    if (location.timeout) {
+      lines.push(`            ${prefix}_read_timeout ${location.timeout}s;`);
+      lines.push(`            ${prefix}_send_timeout ${location.timeout}s;`);
+    }
+
+    return lines;
+  }
+
+  /**
+   * Find an upstream by name, globally or in any server
+   */
+  findUpstream(name) {
+    return [...(this.state.upstreams || []), ...this.state.servers.flatMap(server => server.upstreams || [])]
+      .find(upstream => upstream.name === name) || null;
+  }
+
   /**
    * Generate redirect location directives
    */
@@ -659,7 +2150,8 @@ class TreeConfigBuilder {
   generateCachedProxyLocation(location) {
     const lines = [];
     const target = location.upstream ? `http://${location.upstream}` : location.target;
-    const zoneName = location.cache?.zone || 'proxy_cache';
+    const zoneName = this.getCacheZoneName(location);
+    const strategy = this.getCacheStrategy(location);
 
     lines.push(`            proxy_pass ${target};`);
     lines.push('            proxy_http_version 1.1;');
@@ -670,6 +2162,22 @@ class TreeConfigBuilder {
     lines.push('            proxy_set_header X-Forwarded-Proto $scheme;');
     lines.push('');
     lines.push('            # Caching');
+
+    if (strategy) {
+      const cacheManager = new CacheManager();
+      const locationConfig = { ...strategy.locationConfig };
+      if (location.cache.duration) {
+        locationConfig.cacheValid = { ...locationConfig.cacheValid, '200': location.cache.duration };
+      }
+      if (location.cache.bypassCookie) {
+        locationConfig.cacheBypass = [...new Set([...locationConfig.cacheBypass, '$cookie_session', '$cookie_token'])];
+      }
+
+      const config = cacheManager.getCacheConfig(zoneName, locationConfig);
+      lines.push(...cacheManager.generateLocationCache(zoneName, config).split('\n').map(l => `            ${l.trim()}`));
+      return lines;
+    }
+
     lines.push(`            proxy_cache ${zoneName};`);
     lines.push(`            proxy_cache_valid 200 ${location.cache?.duration || '10m'};`);
     lines.push('            proxy_cache_use_stale error timeout updating http_500 http_502 http_503 http_504;');
@@ -718,10 +2226,83 @@ class TreeConfigBuilder {
     this.state = {
       servers: state.servers || [],
       upstreams: state.upstreams || [],
-      globalSettings: state.globalSettings || {}
+      globalSettings: state.globalSettings || {},
+      ...(state.ipLists && { ipLists: state.ipLists }),
+      ...(state.maps && { maps: state.maps }),
+      ...(state.streams && { streams: state.streams }),
+      ...(state.templates && { templates: state.templates })
     };
     return this;
   }
 }
 
+/**
+ * Join names into an nginx variable suffix (app.example.com, /api -> app_example_com_api)
+ */
+function variableName(...parts) {
+  return parts.join('_').replace(/[^A-Za-z0-9]+/g, '_').replace(/^_|_$/g, '');
+}
+
+/**
+ * Quote a map key when nginx would misread it; literal keys named like map parameters need a backslash
+ */
+function mapKey(key) {
+  if (['default', 'hostnames', 'include', 'volatile'].includes(key)) {
+    return `\\${key}`;
+  }
+  return key === '' || /[\s;{}"'#]/.test(key) ? `"${key.replace(/"/g, '\\"')}"` : key;
+}
+
+/**
+ * Quote a map value containing characters nginx would split on
+ */
+function mapValue(value) {
+  return /[\s;{}"'#]/.test(value) ? `"${value.replace(/"/g, '\\"')}"` : value;
+}
+
+/**
+ * Reduce country rules to a mode, sorted codes and a key to tell them apart (null without countries)
+ */
+function normalizeCountries(countries) {
+  const mode = countries?.allow ? 'allow' : 'deny';
+  const codes = [...new Set((countries?.[mode] || []).map(code => code.toUpperCase()))].sort();
+  return codes.length > 0 ? { mode, countries: codes, key: `${mode}:${codes.join(',')}` } : null;
+}
+
+/**
+ * The location nginx picks for a request path: the longest prefix unless it is ^~,
+ * then the first matching regex (null when nothing matches)
+ */
+function findHandlingLocation(locations, path) {
+  let prefix = null;
+  for (const location of locations) {
+    const match = /^(\^~\s*)?([^~=@\s]\S*)$/.exec(location.path);
+    if (match && path.startsWith(match[2]) && match[2].length > (prefix?.length ?? -1)) {
+      prefix = { location, length: match[2].length, final: Boolean(match[1]) };
+    }
+  }
+  if (prefix?.final) return prefix.location;
+
+  const regex = locations.find(location => {
+    const match = /^~(\*?)\s+(.+)$/.exec(location.path);
+    try {
+      return match && new RegExp(match[2], match[1] ? 'i' : '').test(path);
+    } catch {
+      return false;
+    }
+  });
+  return regex || prefix?.location || null;
+}
+
+/**
+ * Shift config lines by whole indentation levels (negative levels outdent)
+ */
+function indentLines(lines, levels) {
+  const outdent = new RegExp(`^ {0,${Math.max(-levels, 0) * 4}}`);
+  return lines.map(line => {
+    if (!line) return line;
+    return levels > 0 ? '    '.repeat(levels) + line : line.replace(outdent, '');
+  });
+}
+
 export default TreeConfigBuilder;
@@ -1,34 +1,42 @@
 /**
  * Configuration Update Manager
  * Manages configuration updates and migrations based on nginx-wizard.json state file
+ * (any schema version is migrated to tree-mode state when loaded)
  */
 
 import { readFileSync, writeFileSync, existsSync } from 'fs';
 import chalk from 'chalk';
 import inquirer from 'inquirer';
+import StateMigrator, { CURRENT_VERSION } from './StateMigrator.js';
+import TreeConfigBuilder from './TreeConfigBuilder.js';
+import { createDDoSSettings } from './state.js';
 
 class UpdateManager {
   constructor(stateFilePath = './nginx-wizard.json') {
     this.stateFilePath = stateFilePath;
     this.state = null;
+    this.migration = null;
     this.updates = [];
   }
 
   /**
-   * Load state file
+   * Load state file, migrating older schema versions to the current tree-mode schema
    */
   loadState() {
     if (!existsSync(this.stateFilePath)) {
       throw new Error(`State file not found: ${this.stateFilePath}\nGenerate a config first to create the state file.`);
     }
 
+    let parsed;
     try {
-      const content = readFileSync(this.stateFilePath, 'utf-8');
-      this.state = JSON.parse(content);
-      return this.state;
+      parsed = JSON.parse(readFileSync(this.stateFilePath, 'utf-8'));
     } catch (error) {
       throw new Error(`Failed to parse state file: ${error.message}`);
     }
+
+    this.migration = new StateMigrator().migrate(parsed);
+    this.state = this.migration.state;
+    return this.state;
   }
 
   /**
@@ -41,9 +49,20 @@ class UpdateManager {
 
     this.updates = [];
 
-    // Check version
-    const currentVersion = this.state.version || '1.0.0';
-    const latestVersion = '1.1.0'; // This would come from a remote source in production
+    // Migrations count as an update: saving writes the current schema
+    if (this.migration.applied.length > 0) {
+      this.updates.push({
+        type: 'feature',
+        severity: 'medium',
+        title: `Migrate state schema ${this.migration.from} to ${this.migration.to}`,
+        description: this.migration.applied.join('; '),
+        changes: {
+          before: `Schema: ${this.migration.from}`,
+          after: `Schema: ${this.migration.to}`
+        },
+        action: () => {}
+      });
+    }
 
     // Add update recommendations based on configuration
     this.addSecurityUpdates();
@@ -52,9 +71,10 @@ class UpdateManager {
 
     return {
       hasUpdates: this.updates.length > 0,
-      currentVersion,
-      latestVersion,
-      updates: this.updates
+      currentVersion: this.migration.from,
+      latestVersion: CURRENT_VERSION,
+      updates: this.updates,
+      notes: this.migration.notes
     };
   }
 
@@ -62,50 +82,10 @@ class UpdateManager {
    * Check for security-related updates
    */
   addSecurityUpdates() {
-    const config = this.state.config || {};
-
-    // Check for old TLS versions
-    if (config.ssl && config.ssl.provider !== 'none') {
-      const protocols = config.ssl.protocols || [];
-      if (protocols.includes('TLSv1') || protocols.includes('TLSv1.1')) {
-        this.updates.push({
-          type: 'security',
-          severity: 'high',
-          title: 'Outdated TLS versions detected',
-          description: 'TLS 1.0 and 1.1 are deprecated and should be disabled',
-          changes: {
-            before: 'ssl_protocols TLSv1 TLSv1.1 TLSv1.2 TLSv1.3;',
-            after: 'ssl_protocols TLSv1.2 TLSv1.3;'
-          },
-          action: () => {
-            // Remove old TLS versions
-            this.state.config.ssl.protocols = this.state.config.ssl.protocols.filter(
-              p => p !== 'TLSv1' && p !== 'TLSv1.1'
-            );
-          }
-        });
-      }
-
-      // Check for weak ciphers
-      if (!config.ssl.cipherSuite || config.ssl.cipherSuite === 'old') {
-        this.updates.push({
-          type: 'security',
-          severity: 'medium',
-          title: 'Weak cipher suite detected',
-          description: 'Using modern cipher suite will improve security',
-          changes: {
-            before: 'Cipher suite: old',
-            after: 'Cipher suite: modern'
-          },
-          action: () => {
-            this.state.config.ssl.cipherSuite = 'modern';
-          }
-        });
-      }
-    }
+    const globalSettings = this.state.globalSettings || {};
 
     // Check for missing security headers
-    if (!config.features || !config.features.securityHeaders) {
+    if (!globalSettings.securityHeaders) {
       this.updates.push({
         type: 'security',
         severity: 'high',
@@ -116,30 +96,30 @@ class UpdateManager {
           after: 'Security headers: enabled (HSTS, X-Frame-Options, CSP, etc.)'
         },
         action: () => {
-          this.state.config.features = this.state.config.features || {};
-          this.state.config.features.securityHeaders = true;
+          this.state.globalSettings = { ...this.state.globalSettings, securityHeaders: true };
         }
       });
     }
 
     // Check for missing rate limiting on API endpoints
-    if (config.pattern === 'spa-with-api' || config.pattern === 'ssr-with-api' || config.pattern === 'microservices') {
-      if (!config.security || !config.security.rateLimiting) {
-        this.updates.push({
-          type: 'security',
-          severity: 'medium',
-          title: 'Rate limiting not enabled for API',
-          description: 'Enable rate limiting to protect against abuse',
-          changes: {
-            before: 'Rate limiting: disabled',
-            after: 'Rate limiting: enabled'
-          },
-          action: () => {
-            this.state.config.security = this.state.config.security || {};
-            this.state.config.security.rateLimiting = true;
-          }
-        });
-      }
+    const unlimited = this.getLocations().filter(l => l.type === 'api' && !l.rateLimit);
+    if (unlimited.length > 0) {
+      this.updates.push({
+        type: 'security',
+        severity: 'medium',
+        title: 'Rate limiting not enabled for API',
+        description: 'Enable rate limiting to protect against abuse',
+        changes: {
+          before: `Rate limiting: disabled on ${unlimited.map(l => l.path).join(', ')}`,
+          after: 'Rate limiting: enabled (10r/s)'
+        },
+        action: () => {
+          unlimited.forEach(location => {
+            location.rateLimit = true;
+            location.rateLimitValue = location.rateLimitValue || '10r/s';
+          });
+        }
+      });
     }
   }
 
@@ -147,10 +127,11 @@ class UpdateManager {
    * Check for performance updates
    */
   addPerformanceUpdates() {
-    const config = this.state.config || {};
+    const globalSettings = this.state.globalSettings || {};
 
     // Suggest HTTP/3 if not enabled
-    if (config.ssl && config.ssl.http2 && !config.ssl.http3) {
+    const withoutHttp3 = this.state.servers.filter(s => s.ssl?.enabled && s.ssl.http2 && !s.ssl.http3);
+    if (withoutHttp3.length > 0) {
       this.updates.push({
         type: 'performance',
         severity: 'low',
@@ -161,13 +142,15 @@ class UpdateManager {
           after: 'HTTP/3: enabled with QUIC'
         },
         action: () => {
-          this.state.config.ssl.http3 = true;
+          withoutHttp3.forEach(server => {
+            server.ssl.http3 = true;
+          });
         }
       });
     }
 
     // Suggest compression if not enabled
-    if (!config.features || !config.features.compression) {
+    if (!globalSettings.compression) {
       this.updates.push({
         type: 'performance',
         severity: 'medium',
@@ -178,14 +161,14 @@ class UpdateManager {
           after: 'Gzip: enabled (level 6)'
         },
         action: () => {
-          this.state.config.features = this.state.config.features || {};
-          this.state.config.features.compression = true;
+          this.state.globalSettings = { ...this.state.globalSettings, compression: true };
         }
       });
     }
 
     // Suggest caching if not enabled
-    if (!config.features || !config.features.browserCaching) {
+    const uncached = this.getLocations().filter(l => (l.type === 'static' || l.type === 'spa') && !l.caching);
+    if (uncached.length > 0) {
       this.updates.push({
         type: 'performance',
         severity: 'medium',
@@ -196,25 +179,9 @@ class UpdateManager {
           after: 'Browser caching: enabled (1 year for static assets)'
         },
         action: () => {
-          this.state.config.features = this.state.config.features || {};
-          this.state.config.features.browserCaching = true;
-        }
-      });
-    }
-
-    // Check for suboptimal performance profile
-    if (config.performanceProfile === 'balanced' && config.pattern === 'static-only') {
-      this.updates.push({
-        type: 'performance',
-        severity: 'low',
-        title: 'Suboptimal performance profile',
-        description: 'Static site profile would be more efficient',
-        changes: {
-          before: 'Profile: balanced',
-          after: 'Profile: static-site'
-        },
-        action: () => {
-          this.state.config.performanceProfile = 'static-site';
+          uncached.forEach(location => {
+            location.caching = true;
+          });
         }
       });
     }
@@ -224,10 +191,10 @@ class UpdateManager {
    * Check for new feature recommendations
    */
   addFeatureUpdates() {
-    const config = this.state.config || {};
+    const globalSettings = this.state.globalSettings || {};
 
     // Suggest DDoS protection for public sites
-    if (!config.security || !config.security.ddosProtection) {
+    if (!globalSettings.ddos?.enabled) {
       this.updates.push({
         type: 'feature',
         severity: 'low',
@@ -238,15 +205,14 @@ class UpdateManager {
           after: 'DDoS protection: balanced profile'
         },
         action: () => {
-          this.state.config.security = this.state.config.security || {};
-          this.state.config.security.ddosProtection = 'balanced';
+          this.state.globalSettings = { ...this.state.globalSettings, ddos: createDDoSSettings('balanced') };
         }
       });
     }
 
-    // Suggest CORS for API patterns
-    if ((config.pattern === 'spa-with-api' || config.pattern === 'ssr-with-api') &&
-        (!config.features || !config.features.cors)) {
+    // Suggest CORS for APIs
+    const withoutCors = this.getLocations().filter(l => l.type === 'api' && !l.cors);
+    if (withoutCors.length > 0) {
       this.updates.push({
         type: 'feature',
         severity: 'low',
@@ -257,13 +223,21 @@ class UpdateManager {
           after: 'CORS: configured with origin restrictions'
         },
         action: () => {
-          this.state.config.features = this.state.config.features || {};
-          this.state.config.features.cors = true;
+          withoutCors.forEach(location => {
+            location.cors = true;
+          });
         }
       });
     }
   }
 
+  /**
+   * All locations of all servers
+   */
+  getLocations() {
+    return this.state.servers.flatMap(server => server.locations || []);
+  }
+
   /**
    * Display available updates
    */
@@ -272,6 +246,8 @@ class UpdateManager {
     console.log(`Current version: ${chalk.cyan(updateInfo.currentVersion)}`);
     console.log(`Latest version: ${chalk.green(updateInfo.latestVersion)}\n`);
 
+    (updateInfo.notes || []).forEach(note => console.log(chalk.yellow(`⚠️  ${note}`)));
+
     if (!updateInfo.hasUpdates) {
       console.log(chalk.green('✅ Your configuration is up to date!'));
       return;
@@ -361,15 +337,16 @@ class UpdateManager {
     this.saveState();
 
     console.log(chalk.yellow('\n⚠️  State file updated. Regenerate your nginx config to apply changes:'));
-    console.log(chalk.gray('  nginxconf-wizard generate --state nginx-wizard.json'));
+    console.log(chalk.gray('  nginxconf-wizard generate --from nginx-wizard.json --non-interactive'));
   }
 
   /**
-   * Save state file
+   * Save state file in the current schema
    */
   saveState() {
-    this.state.updatedAt = new Date().toISOString();
-    writeFileSync(this.stateFilePath, JSON.stringify(this.state, null, 2));
+    const state = new TreeConfigBuilder().setState(this.state).exportState();
+    state.updatedAt = new Date().toISOString();
+    writeFileSync(this.stateFilePath, JSON.stringify(state, null, 2));
     console.log(chalk.gray(`\nState file saved: ${this.stateFilePath}`));
   }
 }
@@ -1,5 +1,6 @@
 import Joi from 'joi';
 import validator from 'validator';
+import ServerName from './ServerName.js';
 
 /**
  * Validator - Validates configuration inputs
@@ -13,6 +14,8 @@ class Validator {
 
   /**
    * Validate domain name
+   * Wildcard (*.example.com, .example.com, example.*) and regex (~^(?<tenant>.+)\.example\.com$)
+   * server names are accepted too
    * @param {string} domain - Domain to validate
    * @returns {boolean} - True if valid
    */
@@ -27,6 +30,26 @@ class Validator {
       return true;
     }
 
+    const kind = ServerName.kind(domain);
+    if (kind === 'regex') {
+      try {
+        new RegExp(ServerName.toJsRegex(domain));
+      } catch (error) {
+        this.errors.push(`Invalid server name regex ${domain}: ${error.message}`);
+        return false;
+      }
+      return true;
+    }
+
+    if (kind === 'wildcard') {
+      const base = domain.endsWith('.*') ? domain.slice(0, -2) : domain.replace(/^\*?\./, '');
+      if (base.includes('*') || !validator.isFQDN(base, { require_tld: !domain.endsWith('.*') })) {
+        this.errors.push(`Invalid wildcard server name: ${domain} (use *.example.com, .example.com or example.*)`);
+        return false;
+      }
+      return true;
+    }
+
     // Validate FQDN
     if (!validator.isFQDN(domain)) {
       this.errors.push(`Invalid domain name: ${domain}`);
@@ -99,6 +122,31 @@ class Validator {
     return true;
   }
 
+  /**
+   * Validate an IP address or CIDR range
+   * @param {string} cidr - Address with an optional /prefix
+   * @returns {boolean} - True if valid
+   */
+  validateCIDR(cidr) {
+    if (!cidr || typeof cidr !== 'string') {
+      this.errors.push('CIDR must be a non-empty string');
+      return false;
+    }
+
+    const [ip, prefix, ...rest] = cidr.split('/');
+    if (!this.validateIP(ip)) {
+      return false;
+    }
+
+    const maxPrefix = validator.isIP(ip, 4) ? 32 : 128;
+    if (prefix !== undefined && (rest.length > 0 || !/^\d{1,3}$/.test(prefix) || parseInt(prefix) > maxPrefix)) {
+      this.errors.push(`Invalid CIDR prefix: ${cidr}`);
+      return false;
+    }
+
+    return true;
+  }
+
   /**
    * Validate URL
    * @param {string} url - URL to validate
@@ -0,0 +1,25 @@
+/**
+ * Helpers for tree state shared by the core modules and the wizard
+ */
+
+/**
+ * Generate unique ID for components
+ */
+export function generateId() {
+  return `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+}
+
+/**
+ * Create DDoS protection settings from a profile choice
+ */
+export function createDDoSSettings(profile, loginPaths = '/login') {
+  if (!profile || profile === 'off') {
+    return { enabled: false };
+  }
+
+  return {
+    enabled: true,
+    profile,
+    loginPaths: loginPaths.split(',').map(p => p.trim()).filter(Boolean)
+  };
+}
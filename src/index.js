@@ -15,9 +15,25 @@ export { default as TreeConfigBuilder } from './core/TreeConfigBuilder.js';
 export { default as Validator } from './core/Validator.js';
 export { default as SmartConfigManager } from './core/SmartConfigManager.js';
 export { default as TemplateEngine } from './core/TemplateEngine.js';
+export { default as NginxParser } from './core/NginxParser.js';
+export { default as ConfigImporter } from './core/ConfigImporter.js';
+export { default as DirectiveSchema } from './core/DirectiveSchema.js';
+export { default as SpecLoader } from './core/SpecLoader.js';
+export { default as StateMigrator } from './core/StateMigrator.js';
+export { default as Htpasswd } from './core/Htpasswd.js';
+export { default as RedirectTable } from './core/RedirectTable.js';
+export { default as ApacheConverter } from './core/ApacheConverter.js';
 export { getPresets, getPreset, applyPreset } from './presets/index.js';
 export { validateConfig } from './cli/validate.js';
 export { testConfig } from './cli/test.js';
+export { importConfig } from './cli/import.js';
+export { convertApache } from './cli/convert.js';
+export { generateFromSpec } from './cli/generate.js';
+export { editProject, updateProject } from './cli/edit.js';
+export { manageHtpasswd } from './cli/htpasswd.js';
+export { setCanary, switchBlueGreen } from './cli/canary.js';
+export { setMaintenance } from './cli/maintenance.js';
+export { importRedirects } from './cli/redirects.js';
 export { default as BenchmarkAnalyzer } from './analyzers/BenchmarkAnalyzer.js';
 export { default as LogAnalyzer } from './analyzers/LogAnalyzer.js';
 export { default as UpdateManager } from './core/UpdateManager.js';
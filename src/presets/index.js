@@ -145,7 +145,8 @@ const presets = {
     security: {
       headers: true,
       rateLimiting: true,
-      ddosProtection: true
+      ddosProtection: true,
+      loginPaths: ['/wp-login.php']
     },
     features: {
       compression: true,
@@ -154,6 +155,10 @@ const presets = {
         servers: [{ host: '127.0.0.1', port: 9000 }],
         keepalive: 32
       },
+      fastcgi: {
+        index: 'index.php',
+        fallback: '/index.php?$args'
+      },
       staticPath: '/var/www/html'
     }
   },
@@ -184,6 +189,10 @@ const presets = {
         servers: [{ host: '127.0.0.1', port: 9000 }],
         keepalive: 32
       },
+      fastcgi: {
+        index: 'index.php',
+        fallback: '/index.php?$query_string'
+      },
       staticPath: '/var/www/html/public'
     }
   },
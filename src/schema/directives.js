@@ -0,0 +1,352 @@
+/**
+ * Directive schema for nginx core and common modules
+ * Each entry lists the contexts a directive may appear in, its argument count
+ * and, where nginx checks it, the type or allowed values of its arguments.
+ * Directives whose rules differ between contexts (e.g. `server`) list one rule per variant.
+ */
+
+// Common context groups
+const ANY = ['*'];
+const MAIN = ['main'];
+const HTTP = ['http'];
+const HS = ['http', 'server'];
+const HSL = ['http', 'server', 'location'];
+const HSLI = ['http', 'server', 'location', 'if'];
+const SL = ['server', 'location'];
+const SLI = ['server', 'location', 'if'];
+const LI = ['location', 'if'];
+const HSLX = ['http', 'server', 'location', 'limit_except'];
+const STREAM = ['stream', 'stream:server'];
+const UPSTREAMS = ['upstream', 'stream:upstream'];
+
+/**
+ * Build a directive rule
+ * @param {Array} contexts - Contexts the directive is allowed in
+ * @param {number} min - Minimum argument count
+ * @param {number} max - Maximum argument count (Infinity for unbounded)
+ * @param {Object} extra - block, type ('flag'|'number'|'size'|'time') and values
+ */
+function rule(contexts, min, max = min, extra = {}) {
+  return { contexts, args: [min, max], block: false, ...extra };
+}
+
+/**
+ * Build a block directive rule
+ */
+function block(contexts, min, max = min, extra = {}) {
+  return rule(contexts, min, max, { ...extra, block: true });
+}
+
+const flag = { type: 'flag' };
+const number = { type: 'number' };
+const size = { type: 'size' };
+const time = { type: 'time' };
+
+export const directives = {
+  // Core (main and events)
+  include: rule(ANY, 1),
+  user: rule(MAIN, 1, 2),
+  worker_processes: rule(MAIN, 1, 1, { type: 'number', values: ['auto'] }),
+  worker_rlimit_nofile: rule(MAIN, 1, 1, number),
+  worker_cpu_affinity: rule(MAIN, 1, Infinity),
+  worker_priority: rule(MAIN, 1),
+  worker_shutdown_timeout: rule(MAIN, 1, 1, time),
+  pid: rule(MAIN, 1),
+  daemon: rule(MAIN, 1, 1, flag),
+  master_process: rule(MAIN, 1, 1, flag),
+  load_module: rule(MAIN, 1),
+  env: rule(MAIN, 1),
+  pcre_jit: rule(MAIN, 1, 1, flag),
+  thread_pool: rule(MAIN, 2, 3),
+  error_log: rule([...MAIN, ...HSL, ...STREAM], 1, 2),
+  events: block(MAIN, 0),
+  http: block(MAIN, 0),
+  stream: block(MAIN, 0),
+  mail: block(MAIN, 0),
+  worker_connections: rule(['events'], 1, 1, number),
+  use: rule(['events'], 1),
+  multi_accept: rule(['events'], 1, 1, flag),
+  accept_mutex: rule(['events'], 1, 1, flag),
+  accept_mutex_delay: rule(['events'], 1, 1, time),
+
+  // HTTP core
+  server: [
+    block(['http', 'stream'], 0),
+    rule(UPSTREAMS, 1, Infinity)
+  ],
+  location: block(['server', 'location'], 1, 2),
+  listen: rule(['server', 'stream:server'], 1, Infinity),
+  server_name: rule(['server'], 1, Infinity),
+  root: rule(HSLI, 1),
+  alias: rule(['location'], 1),
+  index: rule(HSL, 1, Infinity),
+  try_files: rule(SL, 2, Infinity),
+  error_page: rule(HSLI, 2, Infinity),
+  internal: rule(['location'], 0),
+  limit_except: block(['location'], 1, Infinity),
+  default_type: rule(HSL, 1),
+  types: block(HSL, 0),
+  types_hash_max_size: rule(HSL, 1, 1, number),
+  types_hash_bucket_size: rule(HSL, 1, 1, number),
+  server_names_hash_max_size: rule(HTTP, 1, 1, number),
+  server_names_hash_bucket_size: rule(HTTP, 1, 1, number),
+  variables_hash_max_size: rule(HTTP, 1, 1, number),
+  sendfile: rule(HSLI, 1, 1, flag),
+  sendfile_max_chunk: rule(HSL, 1, 1, size),
+  tcp_nopush: rule(HSL, 1, 1, flag),
+  tcp_nodelay: rule([...HSL, ...STREAM], 1, 1, flag),
+  aio: rule(HSL, 1),
+  directio: rule(HSL, 1),
+  output_buffers: rule(HSL, 2),
+  keepalive_timeout: rule([...HSL, ...UPSTREAMS], 1, 2, time),
+  keepalive_requests: rule([...HSL, ...UPSTREAMS], 1, 1, number),
+  client_max_body_size: rule(HSL, 1, 1, size),
+  client_body_buffer_size: rule(HSL, 1, 1, size),
+  client_body_timeout: rule(HSL, 1, 1, time),
+  client_body_temp_path: rule(HSL, 1, 4),
+  client_header_timeout: rule(HS, 1, 1, time),
+  client_header_buffer_size: rule(HS, 1, 1, size),
+  large_client_header_buffers: rule(HS, 2),
+  send_timeout: rule(HSL, 1, 1, time),
+  reset_timedout_connection: rule(HSL, 1, 1, flag),
+  lingering_close: rule(HSL, 1, 1, { values: ['on', 'off', 'always'] }),
+  server_tokens: rule(HSL, 1, 1, { values: ['on', 'off', 'build'] }),
+  underscores_in_headers: rule(HS, 1, 1, flag),
+  ignore_invalid_headers: rule(HS, 1, 1, flag),
+  merge_slashes: rule(HS, 1, 1, flag),
+  absolute_redirect: rule(HSL, 1, 1, flag),
+  port_in_redirect: rule(HSL, 1, 1, flag),
+  server_name_in_redirect: rule(HSL, 1, 1, flag),
+  chunked_transfer_encoding: rule(HSL, 1, 1, flag),
+  recursive_error_pages: rule(HSL, 1, 1, flag),
+  log_not_found: rule(HSL, 1, 1, flag),
+  log_subrequest: rule(HSL, 1, 1, flag),
+  etag: rule(HSL, 1, 1, flag),
+  if_modified_since: rule(HSL, 1, 1, { values: ['off', 'exact', 'before'] }),
+  open_file_cache: rule(HSL, 1, 2),
+  open_file_cache_valid: rule(HSL, 1, 1, time),
+  open_file_cache_min_uses: rule(HSL, 1, 1, number),
+  open_file_cache_errors: rule(HSL, 1, 1, flag),
+  resolver: rule([...HSL, ...STREAM, ...UPSTREAMS], 1, Infinity),
+  resolver_timeout: rule([...HSL, ...STREAM], 1, 1, time),
+  limit_rate: rule(HSLI, 1, 1, size),
+  limit_rate_after: rule(HSLI, 1, 1, size),
+  satisfy: rule(HSL, 1, 1, { values: ['all', 'any'] }),
+  http2: rule(HS, 1, 1, flag),
+  http3: rule(HS, 1, 1, flag),
+  quic_retry: rule(HS, 1, 1, flag),
+  stub_status: rule(SL, 0, 1),
+  autoindex: rule(HSL, 1, 1, flag),
+  autoindex_exact_size: rule(HSL, 1, 1, flag),
+  autoindex_format: rule(HSL, 1, 1, { values: ['html', 'xml', 'json', 'jsonp'] }),
+  autoindex_localtime: rule(HSL, 1, 1, flag),
+
+  // Logging
+  access_log: rule([...HSLI, 'limit_except', ...STREAM], 1, Infinity),
+  log_format: rule(['http', 'stream'], 2, Infinity),
+  open_log_file_cache: rule([...HSL, ...STREAM], 1, 4),
+
+  // Rewrite
+  return: rule([...SLI, 'stream:server'], 1, 2),
+  rewrite: rule(SLI, 2, 3),
+  set: rule([...SLI, 'stream:server'], 2),
+  if: block(SL, 1, Infinity),
+  break: rule(SLI, 0),
+  rewrite_log: rule(HSLI, 1, 1, flag),
+
+  // Headers and expiry
+  add_header: rule(HSLI, 2, 3),
+  add_trailer: rule(HSLI, 2, 3),
+  expires: rule(HSLI, 1, 2),
+  charset: rule(HSLI, 1),
+
+  // Compression
+  gzip: rule(HSLI, 1, 1, flag),
+  gzip_vary: rule(HSL, 1, 1, flag),
+  gzip_proxied: rule(HSL, 1, Infinity),
+  gzip_comp_level: rule(HSL, 1, 1, number),
+  gzip_types: rule(HSL, 1, Infinity),
+  gzip_min_length: rule(HSL, 1, 1, size),
+  gzip_buffers: rule(HSL, 2),
+  gzip_disable: rule(HSL, 1, Infinity),
+  gzip_http_version: rule(HSL, 1, 1, { values: ['1.0', '1.1'] }),
+  gzip_static: rule(HSL, 1, 1, { values: ['on', 'off', 'always'] }),
+
+  // Access control
+  allow: rule([...HSLX, ...STREAM], 1),
+  deny: rule([...HSLX, ...STREAM], 1),
+  auth_basic: rule(HSLX, 1),
+  auth_basic_user_file: rule(HSLX, 1),
+  auth_request: rule(HSL, 1),
+  auth_request_set: rule(HSL, 2),
+  real_ip_header: rule(HSL, 1),
+  set_real_ip_from: rule(HSL, 1),
+  real_ip_recursive: rule(HSL, 1, 1, flag),
+
+  // Rate and connection limiting
+  limit_req_zone: rule(HTTP, 3, 4),
+  limit_req: rule(HSL, 1, 3),
+  limit_req_status: rule(HSL, 1, 1, number),
+  limit_req_log_level: rule(HSL, 1, 1, { values: ['info', 'notice', 'warn', 'error'] }),
+  limit_conn_zone: rule(['http', 'stream'], 2),
+  limit_conn: rule([...HSL, ...STREAM], 2),
+  limit_conn_status: rule(HSL, 1, 1, number),
+  limit_conn_log_level: rule([...HSL, ...STREAM], 1, 1, { values: ['info', 'notice', 'warn', 'error'] }),
+
+  // Variables
+  map: block(['http', 'stream'], 2),
+  map_hash_max_size: rule(['http', 'stream'], 1, 1, number),
+  map_hash_bucket_size: rule(['http', 'stream'], 1, 1, number),
+  geo: block(['http', 'stream'], 1, 2),
+  split_clients: block(['http', 'stream'], 2),
+  geoip2: block(['http', 'stream'], 1),
+
+  // Upstream
+  upstream: block(['http', 'stream'], 1),
+  zone: rule(UPSTREAMS, 1, 2),
+  least_conn: rule(UPSTREAMS, 0),
+  ip_hash: rule(['upstream'], 0),
+  hash: rule(UPSTREAMS, 1, 2),
+  random: rule(UPSTREAMS, 0, 2),
+  keepalive: rule(['upstream'], 1, 1, number),
+  keepalive_time: rule(['upstream'], 1, 1, time),
+
+  // Proxy
+  proxy_pass: rule(['location', 'if', 'limit_except', 'stream:server'], 1),
+  proxy_http_version: rule(HSL, 1, 1, { values: ['1.0', '1.1'] }),
+  proxy_set_header: rule(HSL, 2),
+  proxy_hide_header: rule(HSL, 1),
+  proxy_pass_header: rule(HSL, 1),
+  proxy_ignore_headers: rule(HSL, 1, Infinity),
+  proxy_redirect: rule(HSL, 1, 2),
+  proxy_cookie_domain: rule(HSL, 1, 2),
+  proxy_cookie_path: rule(HSL, 1, 2),
+  proxy_buffering: rule(HSL, 1, 1, flag),
+  proxy_request_buffering: rule(HSL, 1, 1, flag),
+  proxy_buffers: rule(HSL, 2),
+  proxy_buffer_size: rule([...HSL, ...STREAM], 1, 1, size),
+  proxy_busy_buffers_size: rule(HSL, 1, 1, size),
+  proxy_max_temp_file_size: rule(HSL, 1, 1, size),
+  proxy_temp_path: rule(HSL, 1, 4),
+  proxy_connect_timeout: rule([...HSL, ...STREAM], 1, 1, time),
+  proxy_send_timeout: rule(HSL, 1, 1, time),
+  proxy_read_timeout: rule(HSL, 1, 1, time),
+  proxy_timeout: rule(STREAM, 1, 1, time),
+  proxy_next_upstream: [
+    rule(HSL, 1, Infinity),
+    rule(STREAM, 1, 1, flag)
+  ],
+  proxy_next_upstream_tries: rule([...HSL, ...STREAM], 1, 1, number),
+  proxy_next_upstream_timeout: rule([...HSL, ...STREAM], 1, 1, time),
+  proxy_intercept_errors: rule(HSL, 1, 1, flag),
+  proxy_protocol: rule(STREAM, 1, 1, flag),
+  proxy_responses: rule(STREAM, 1, 1, number),
+  proxy_ssl_server_name: rule([...HSL, ...STREAM], 1, 1, flag),
+  proxy_ssl_name: rule([...HSL, ...STREAM], 1),
+  proxy_ssl_verify: rule([...HSL, ...STREAM], 1, 1, flag),
+  proxy_ssl_protocols: rule([...HSL, ...STREAM], 1, Infinity),
+  proxy_ssl_trusted_certificate: rule([...HSL, ...STREAM], 1),
+  proxy_ssl_certificate: rule([...HSL, ...STREAM], 1),
+  proxy_ssl_certificate_key: rule([...HSL, ...STREAM], 1),
+  proxy_cache_path: rule(HTTP, 2, Infinity),
+  proxy_cache: rule(HSL, 1),
+  proxy_cache_key: rule(HSL, 1),
+  proxy_cache_valid: rule(HSL, 1, Infinity),
+  proxy_cache_methods: rule(HSL, 1, Infinity),
+  proxy_cache_min_uses: rule(HSL, 1, 1, number),
+  proxy_cache_use_stale: rule(HSL, 1, Infinity),
+  proxy_cache_lock: rule(HSL, 1, 1, flag),
+  proxy_cache_lock_timeout: rule(HSL, 1, 1, time),
+  proxy_cache_background_update: rule(HSL, 1, 1, flag),
+  proxy_cache_revalidate: rule(HSL, 1, 1, flag),
+  proxy_cache_bypass: rule(HSL, 1, Infinity),
+  proxy_no_cache: rule(HSL, 1, Infinity),
+
+  // FastCGI, uwsgi, SCGI and gRPC
+  fastcgi_pass: rule(LI, 1),
+  fastcgi_param: rule(HSL, 2, 3),
+  fastcgi_index: rule(HSL, 1),
+  fastcgi_split_path_info: rule(['location'], 1),
+  fastcgi_buffers: rule(HSL, 2),
+  fastcgi_buffer_size: rule(HSL, 1, 1, size),
+  fastcgi_connect_timeout: rule(HSL, 1, 1, time),
+  fastcgi_send_timeout: rule(HSL, 1, 1, time),
+  fastcgi_read_timeout: rule(HSL, 1, 1, time),
+  fastcgi_intercept_errors: rule(HSL, 1, 1, flag),
+  fastcgi_keep_conn: rule(HSL, 1, 1, flag),
+  fastcgi_cache_path: rule(HTTP, 2, Infinity),
+  fastcgi_cache: rule(HSL, 1),
+  fastcgi_cache_key: rule(HSL, 1),
+  fastcgi_cache_valid: rule(HSL, 1, Infinity),
+  fastcgi_cache_bypass: rule(HSL, 1, Infinity),
+  fastcgi_no_cache: rule(HSL, 1, Infinity),
+  fastcgi_cache_use_stale: rule(HSL, 1, Infinity),
+  fastcgi_cache_lock: rule(HSL, 1, 1, flag),
+  uwsgi_pass: rule(LI, 1),
+  uwsgi_param: rule(HSL, 2, 3),
+  uwsgi_read_timeout: rule(HSL, 1, 1, time),
+  uwsgi_send_timeout: rule(HSL, 1, 1, time),
+  uwsgi_connect_timeout: rule(HSL, 1, 1, time),
+  uwsgi_buffers: rule(HSL, 2),
+  uwsgi_buffer_size: rule(HSL, 1, 1, size),
+  uwsgi_buffering: rule(HSL, 1, 1, flag),
+  scgi_pass: rule(LI, 1),
+  scgi_param: rule(HSL, 2, 3),
+  scgi_read_timeout: rule(HSL, 1, 1, time),
+  scgi_send_timeout: rule(HSL, 1, 1, time),
+  scgi_connect_timeout: rule(HSL, 1, 1, time),
+  scgi_buffers: rule(HSL, 2),
+  scgi_buffer_size: rule(HSL, 1, 1, size),
+  scgi_buffering: rule(HSL, 1, 1, flag),
+  grpc_pass: rule(LI, 1),
+  grpc_set_header: rule(HSL, 2),
+  grpc_hide_header: rule(HSL, 1),
+  grpc_connect_timeout: rule(HSL, 1, 1, time),
+  grpc_send_timeout: rule(HSL, 1, 1, time),
+  grpc_read_timeout: rule(HSL, 1, 1, time),
+  grpc_next_upstream: rule(HSL, 1, Infinity),
+  grpc_next_upstream_tries: rule(HSL, 1, 1, number),
+  grpc_buffer_size: rule(HSL, 1, 1, size),
+  grpc_intercept_errors: rule(HSL, 1, 1, flag),
+  grpc_ssl_server_name: rule(HSL, 1, 1, flag),
+  grpc_ssl_verify: rule(HSL, 1, 1, flag),
+  grpc_ssl_trusted_certificate: rule(HSL, 1),
+
+  // SSL
+  ssl_certificate: rule([...HS, ...STREAM], 1),
+  ssl_certificate_key: rule([...HS, ...STREAM], 1),
+  ssl_trusted_certificate: rule([...HS, ...STREAM], 1),
+  ssl_client_certificate: rule([...HS, ...STREAM], 1),
+  ssl_verify_client: rule([...HS, ...STREAM], 1, 1, { values: ['on', 'off', 'optional', 'optional_no_ca'] }),
+  ssl_verify_depth: rule([...HS, ...STREAM], 1, 1, number),
+  ssl_crl: rule([...HS, ...STREAM], 1),
+  ssl_protocols: rule([...HS, ...STREAM], 1, Infinity, { values: ['SSLv2', 'SSLv3', 'TLSv1', 'TLSv1.1', 'TLSv1.2', 'TLSv1.3'] }),
+  ssl_ciphers: rule([...HS, ...STREAM], 1),
+  ssl_prefer_server_ciphers: rule([...HS, ...STREAM], 1, 1, flag),
+  ssl_session_cache: rule([...HS, ...STREAM], 1, 2),
+  ssl_session_timeout: rule([...HS, ...STREAM], 1, 1, time),
+  ssl_session_tickets: rule([...HS, ...STREAM], 1, 1, flag),
+  ssl_dhparam: rule([...HS, ...STREAM], 1),
+  ssl_ecdh_curve: rule([...HS, ...STREAM], 1),
+  ssl_buffer_size: rule(HS, 1, 1, size),
+  ssl_stapling: rule(HS, 1, 1, flag),
+  ssl_stapling_verify: rule(HS, 1, 1, flag),
+  ssl_early_data: rule(HS, 1, 1, flag),
+  ssl_reject_handshake: rule(HS, 1, 1, flag),
+  ssl_preread: rule(STREAM, 1, 1, flag),
+  preread_timeout: rule(STREAM, 1, 1, time),
+
+  // Misc modules
+  sub_filter: rule(HSL, 2),
+  sub_filter_once: rule(HSL, 1, 1, flag),
+  sub_filter_types: rule(HSL, 1, Infinity),
+  mirror: rule(HSL, 1),
+  ssi: rule(HSLI, 1, 1, flag)
+};
+
+/**
+ * Blocks whose bodies are key/value lists rather than directives
+ */
+export const opaqueBlocks = ['map', 'geo', 'split_clients', 'types', 'geoip2', 'mail'];
+
+export default directives;
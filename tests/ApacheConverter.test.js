@@ -0,0 +1,193 @@
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import ApacheConverter from '../src/core/ApacheConverter.js';
+import TreeConfigBuilder from '../src/core/TreeConfigBuilder.js';
+
+const CONFIG = `
+<VirtualHost *:80>
+    ServerName example.com
+    RewriteEngine On
+    RewriteCond %{HTTPS} off
+    RewriteRule ^(.*)$ https://%{HTTP_HOST}%{REQUEST_URI} [L,R=301]
+</VirtualHost>
+
+<IfModule mod_ssl.c>
+<VirtualHost *:443>
+    ServerName example.com
+    ServerAlias www.example.com
+    DocumentRoot /var/www/example/
+    SSLEngine on
+    SSLCertificateFile /etc/letsencrypt/live/example.com/fullchain.pem
+    SSLCertificateKeyFile /etc/letsencrypt/live/example.com/privkey.pem
+    ErrorDocument 404 /errors/404.html
+    Header set X-Served-By "apache"
+    Header always set X-Frame-Options DENY
+    Header unset Server
+
+    Redirect permanent /old-blog https://blog.example.com
+    RewriteRule ^/about-us\\.html$ /about [R=301,L]
+    RewriteRule ^/private/ - [F]
+    RewriteRule ^/feed/?$ /index.php?feed=rss [L]
+
+    <Directory /var/www/example>
+        RewriteCond %{REQUEST_FILENAME} !-f
+        RewriteCond %{REQUEST_FILENAME} !-d
+        RewriteRule . /index.php [L]
+    </Directory>
+
+    <Directory /var/www/example/admin>
+        AuthType Basic
+        AuthName "Admin Area"
+        AuthUserFile /etc/apache2/.htpasswd
+        Require ip 10.0.0.0/8 192.168
+        Require valid-user
+    </Directory>
+
+    <Location /api>
+        ProxyPass http://127.0.0.1:3000/api
+        ProxyPassReverse http://127.0.0.1:3000/api
+    </Location>
+
+    <FilesMatch \\.php$>
+        SetHandler "proxy:unix:/run/php/php8.2-fpm.sock|fcgi://localhost"
+    </FilesMatch>
+</VirtualHost>
+</IfModule>
+`;
+
+describe('ApacheConverter', () => {
+  let result;
+  let server;
+
+  beforeEach(() => {
+    result = new ApacheConverter().convert(CONFIG, { file: 'site.conf' });
+    server = result.state.servers[0];
+  });
+
+  it('should convert VirtualHost names and SSL settings', () => {
+    expect(result.state.servers).toHaveLength(1);
+    expect(server.domain).toMatchObject({ primary: 'example.com', aliases: ['www.example.com'], httpsPort: 443 });
+    expect(server.ssl).toMatchObject({ enabled: true, provider: 'letsencrypt' });
+    expect(result.report.skipped[0].reason).toContain('HTTP -> HTTPS redirect for example.com');
+  });
+
+  it('should turn Redirect and redirecting RewriteRules into redirect table rows', () => {
+    expect(server.redirects.rows).toEqual([
+      { from: '~^/old-blog(/.*)?$', to: 'https://blog.example.com$1', code: 301 },
+      { from: '/about-us.html', to: '/about', code: 301 }
+    ]);
+  });
+
+  it('should map Directory, Location and Require sections onto locations', () => {
+    const byPath = Object.fromEntries(server.locations.map(l => [l.path, l]));
+
+    expect(byPath['/admin']).toMatchObject({
+      type: 'static',
+      root: '/var/www/example',
+      access: { allow: ['10.0.0.0/8', '192.168.0.0/16'], satisfy: 'any' },
+      auth: { basic: { enabled: true, realm: 'Admin Area', userFile: '/etc/apache2/.htpasswd' } }
+    });
+    expect(byPath['/api']).toMatchObject({ type: 'proxy', target: 'http://127.0.0.1:3000/api' });
+    expect(byPath['~ \\.php$']).toMatchObject({ type: 'fastcgi', root: '/var/www/example', target: 'unix:/run/php/php8.2-fpm.sock' });
+    expect(byPath['~ ^/private/'].custom).toContain('return 403;');
+    expect(byPath['~ ^/feed/?$'].custom).toContain('rewrite ^/feed/?$ /index.php?feed=rss? last;');
+  });
+
+  it('should annotate untranslatable directives in a custom location and report them', () => {
+    const root = server.locations.find(l => l.path === '/');
+
+    expect(root.type).toBe('custom');
+    expect(root.custom).toContain('try_files $uri $uri/ /index.php;');
+    expect(root.custom).toContain('error_page 404 /errors/404.html;');
+    expect(root.custom).toContain('add_header X-Served-By "apache";');
+    expect(root.custom).toContain('add_header X-Frame-Options "DENY" always;');
+    expect(root.custom).toContain('# site.conf:20: Header unset Server');
+    expect(result.report.unmapped).toEqual([
+      expect.objectContaining({ context: 'VirtualHost *:443', directive: 'Header unset Server', line: 20 })
+    ]);
+  });
+
+  it('should anchor .htaccess rewrites to the document root and apply RewriteBase', () => {
+    const { state } = new ApacheConverter({ domain: 'blog.test', root: '/srv/www' }).convert([
+      'RewriteEngine On',
+      'RewriteBase /blog/',
+      'RewriteRule ^old/(.*)$ new/$1 [R=302,L]',
+      'RewriteRule ^index\\.php$ - [L]'
+    ].join('\n'), { file: '.htaccess' });
+
+    expect(state.servers[0].domain.primary).toBe('blog.test');
+    expect(state.servers[0].redirects.rows).toEqual([{ from: '~^/old/(.*)$', to: '/blog/new/$1', code: 302 }]);
+    expect(state.servers[0].locations).toEqual([expect.objectContaining({ type: 'static', path: '/', root: '/srv/www' })]);
+  });
+
+  it('should drop the query string of [QSD] redirects without a trailing ?', async () => {
+    const { state } = new ApacheConverter({ domain: 'blog.test', root: '/srv/www' }).convert(
+      'RewriteRule ^shop$ https://shop.example.com/ [R=302,QSD,L]',
+      { file: '.htaccess' }
+    );
+
+    expect(state.servers[0].redirects.rows).toEqual([{ from: '/shop', to: 'https://shop.example.com/', code: 302, query: 'drop' }]);
+
+    const config = await new TreeConfigBuilder().importState(state).build();
+    expect(config).toContain('        /shop https://shop.example.com/;\n');
+  });
+
+  it('should pass PHP front controllers of an .htaccess to PHP-FPM', async () => {
+    const htaccess = [
+      'RewriteEngine On',
+      'RewriteBase /',
+      'RewriteRule ^index\\.php$ - [L]',
+      'RewriteCond %{REQUEST_FILENAME} !-f',
+      'RewriteCond %{REQUEST_FILENAME} !-d',
+      'RewriteRule . /index.php [L]'
+    ].join('\n');
+    const { state } = new ApacheConverter({ domain: 'blog.test', root: '/srv/www', phpFpm: 'unix:/run/php/php-fpm.sock' })
+      .convert(htaccess, { file: '.htaccess' });
+
+    expect(state.servers[0].locations).toEqual([
+      expect.objectContaining({ type: 'spa', path: '/', fallback: '/index.php' }),
+      expect.objectContaining({ type: 'fastcgi', path: '~ [^/]\\.php(/|$)', root: '/srv/www', target: 'unix:/run/php/php-fpm.sock' })
+    ]);
+    const config = await new TreeConfigBuilder().importState(state).build();
+    expect(config).toContain('fastcgi_pass unix:/run/php/php-fpm.sock;');
+
+    const unconverted = new ApacheConverter({ domain: 'blog.test', root: '/srv/www' }).convert(htaccess, { file: '.htaccess' });
+    expect(unconverted.report.warnings).toEqual([expect.stringContaining('.htaccess:6: blog.test sends requests to PHP scripts')]);
+    expect(new TreeConfigBuilder().importState(unconverted.state).validate().errors).toEqual([
+      'Server blog.test: FastCGI location ~ [^/]\\.php(/|$) needs an upstream, a host:port or a unix: socket target'
+    ]);
+  });
+
+  it('should apply .htaccess access rules to the whole site, Files sections included', async () => {
+    const { state, report } = new ApacheConverter({ domain: 'blog.test', root: '/srv/www' }).convert([
+      'Require ip 10.0.0.0/8',
+      '<FilesMatch "\\.php$">',
+      '    Header set X-Handler php',
+      '</FilesMatch>',
+      '<Directory /srv/www/admin>',
+      '    Deny from 10.1.0.0/16',
+      '</Directory>'
+    ].join('\n'), { file: '.htaccess' });
+    const server = state.servers[0];
+    const php = server.locations.find(l => l.path === '~ \\.php$');
+
+    expect(server.access).toEqual({ allow: ['10.0.0.0/8'] });
+    expect(php.access).toBeUndefined();
+    expect(php.custom).toContain('add_header X-Handler "php";');
+    expect(server.locations.find(l => l.path === '/')).not.toHaveProperty('access');
+    expect(report.warnings).toEqual([expect.stringContaining('<Directory /srv/www/admin> access rules do not cover the regex locations ~ \\.php$')]);
+
+    const config = await new TreeConfigBuilder().importState(state).build();
+    expect(config).toMatch(/server_name blog\.test;[\s\S]*allow 10\.0\.0\.0\/8;\n\s+deny all;[\s\S]*location ~ \\\.php\$/);
+  });
+
+  it('should produce state TreeConfigBuilder accepts', async () => {
+    const builder = new TreeConfigBuilder().importState(result.state);
+    const config = await builder.build();
+
+    expect(builder.validate().errors).toEqual([]);
+    expect(config).toContain('~^/old-blog(/.*)?$ https://blog.example.com$1$is_args$args;');
+    expect(config).toContain('auth_basic "Admin Area";');
+    expect(result.state.globalSettings.securityHeaders).toBe(false);
+    expect(result.report.skipped).not.toContainEqual(expect.objectContaining({ reason: expect.stringContaining('X-Frame-Options') }));
+  });
+});
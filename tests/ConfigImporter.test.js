@@ -0,0 +1,210 @@
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import NginxParser from '../src/core/NginxParser.js';
+import ConfigImporter from '../src/core/ConfigImporter.js';
+import TreeConfigBuilder from '../src/core/TreeConfigBuilder.js';
+
+const CONFIG = `
+worker_processes 4;
+events { worker_connections 2048; }
+http {
+    gzip on;
+    limit_req_zone $binary_remote_addr zone=api:10m rate=20r/s;
+    client_max_body_size 20m;
+
+    upstream backend {
+        least_conn;
+        server 10.0.0.1:3000 weight=2 max_fails=3 fail_timeout=30s;
+        keepalive 16;
+    }
+
+    server {
+        listen 80;
+        server_name example.com;
+        return 301 https://$host$request_uri;
+    }
+
+    server {
+        listen 443 ssl http2;
+        server_name example.com www.example.com;
+        ssl_certificate /etc/letsencrypt/live/example.com/fullchain.pem;
+        ssl_certificate_key /etc/letsencrypt/live/example.com/privkey.pem;
+        root /var/www/example;
+
+        location / { try_files $uri $uri/ /index.html; }
+        location /api/ {
+            limit_req zone=api burst=10 nodelay;
+            proxy_pass http://backend;
+        }
+        location = /health { access_log off; return 200 "OK\\n"; }
+        location /legacy { alias /srv/legacy; internal; }
+    }
+}
+`;
+
+describe('ConfigImporter', () => {
+  let result;
+
+  beforeEach(() => {
+    const nodes = new NginxParser().parse(CONFIG, 'nginx.conf');
+    result = new ConfigImporter().import(nodes);
+  });
+
+  it('should import global settings', () => {
+    expect(result.state.globalSettings).toMatchObject({
+      workerProcesses: 4,
+      workerConnections: 2048,
+      compression: true
+    });
+  });
+
+  it('should import upstreams', () => {
+    const [upstream] = result.state.upstreams;
+    expect(upstream).toMatchObject({
+      name: 'backend',
+      loadBalancing: 'least_conn',
+      keepalive: 16,
+      maxFails: 3,
+      failTimeout: 30
+    });
+    expect(upstream.servers).toEqual([{ host: '10.0.0.1', port: 3000, weight: 2 }]);
+  });
+
+  it('should skip HTTP redirect servers that tree mode regenerates', () => {
+    expect(result.state.servers).toHaveLength(1);
+    expect(result.report.skipped).toHaveLength(1);
+  });
+
+  it('should import server domain and SSL settings', () => {
+    const [server] = result.state.servers;
+    expect(server.domain.primary).toBe('example.com');
+    expect(server.domain.aliases).toEqual(['www.example.com']);
+    expect(server.ssl).toMatchObject({ enabled: true, provider: 'letsencrypt', http2: true });
+  });
+
+  it('should map locations onto location types', () => {
+    const [server] = result.state.servers;
+    const byPath = Object.fromEntries(server.locations.map(l => [l.path, l]));
+
+    expect(byPath['/']).toMatchObject({ type: 'spa', root: '/var/www/example', fallback: '/index.html' });
+    expect(byPath['/api/']).toMatchObject({
+      type: 'api',
+      upstream: 'backend',
+      rateLimit: true,
+      rateLimitValue: '20r/s',
+      rateLimitBurst: 10
+    });
+    expect(byPath['= /health']).toMatchObject({ type: 'health', response: 'OK', noLog: true });
+  });
+
+  it('should keep unmappable locations as custom locations', () => {
+    const [server] = result.state.servers;
+    const legacy = server.locations.find(l => l.path === '/legacy');
+
+    expect(legacy.type).toBe('custom');
+    expect(legacy.custom).toBe('alias /srv/legacy;\ninternal;');
+    expect(result.report.customLocations[0]).toMatchObject({ path: '/legacy', line: 34 });
+  });
+
+  it('should report directives that could not be mapped', () => {
+    expect(result.report.unmapped).toEqual([
+      expect.objectContaining({ context: 'http', directive: 'client_max_body_size 20m;', line: 7 })
+    ]);
+  });
+
+  it('should keep proxy_cache_path storage settings on cache locations', () => {
+    const nodes = new NginxParser().parse([
+      'http {',
+      '    proxy_cache_path /data/cache levels=2 keys_zone=pages:20m max_size=2g inactive=1d;',
+      '    server {',
+      '        listen 80;',
+      '        server_name example.com;',
+      '        location / { proxy_pass http://127.0.0.1:3000; proxy_cache pages; }',
+      '    }',
+      '}'
+    ].join('\n'));
+    const { state } = new ConfigImporter().import(nodes);
+
+    expect(state.servers[0].locations[0].cache).toMatchObject({
+      zone: 'pages',
+      path: '/data/cache',
+      levels: '2',
+      keysSize: '20m',
+      maxSize: '2g',
+      inactive: '1d'
+    });
+  });
+
+  it('should keep proxy_pass URIs and non-default proxy headers', async () => {
+    const nodes = new NginxParser().parse([
+      'http {',
+      '    upstream backend { server 10.0.0.1:3000; }',
+      '    server {',
+      '        listen 80;',
+      '        server_name example.com;',
+      '        location /app/ { proxy_pass http://backend/; proxy_set_header Host $host; }',
+      '        location /internal/ { proxy_pass http://backend; proxy_set_header Host internal.example.com; }',
+      '    }',
+      '}'
+    ].join('\n'));
+    const { state, report } = new ConfigImporter().import(nodes);
+    const [app, internal] = state.servers[0].locations;
+
+    expect(app).toMatchObject({ type: 'proxy', upstream: null, target: 'http://backend/' });
+    expect(internal.type).toBe('custom');
+    expect(internal.custom).toContain('proxy_set_header Host internal.example.com;');
+    expect(report.customLocations).toEqual([expect.objectContaining({ path: '/internal/', directives: ['proxy_set_header'] })]);
+
+    const config = await new TreeConfigBuilder().importState(state).build();
+    expect(config).toContain('proxy_pass http://backend/;');
+  });
+
+  it('should keep max_fails and fail_timeout of each upstream server', async () => {
+    const nodes = new NginxParser().parse([
+      'http {',
+      '    upstream backend {',
+      '        server 10.0.0.1:3000 max_fails=3 fail_timeout=10s;',
+      '        server 10.0.0.2:3000 max_fails=1 fail_timeout=60s;',
+      '    }',
+      '    server { listen 80; server_name example.com; location / { proxy_pass http://backend; } }',
+      '}'
+    ].join('\n'));
+    const { state } = new ConfigImporter().import(nodes);
+
+    expect(state.upstreams[0]).toMatchObject({ maxFails: 3, failTimeout: 10 });
+    expect(state.upstreams[0].servers).toEqual([
+      { host: '10.0.0.1', port: 3000 },
+      { host: '10.0.0.2', port: 3000, maxFails: 1, failTimeout: 60 }
+    ]);
+
+    const config = await new TreeConfigBuilder().importState(state).build();
+    expect(config).toContain('server 10.0.0.1:3000 max_fails=3 fail_timeout=10s;');
+    expect(config).toContain('server 10.0.0.2:3000 max_fails=1 fail_timeout=60s;');
+  });
+
+  it('should turn catch-all servers into the default server setting', () => {
+    const nodes = new NginxParser().parse([
+      'http {',
+      '    server { listen 80 default_server; server_name _; return 404; }',
+      '    server { listen 443 ssl default_server; server_name _; ssl_reject_handshake on; }',
+      '    server { listen 8080 default_server; server_name app.example.com; location / { root /srv; } }',
+      '}'
+    ].join('\n'));
+    const { state, report } = new ConfigImporter().import(nodes);
+
+    expect(state.globalSettings.defaultServer).toEqual({ response: 404 });
+    expect(state.servers).toHaveLength(1);
+    expect(state.servers[0].defaultServer).toBe(true);
+    expect(report.skipped.map(item => item.reason)).toEqual([
+      'Catch-all default server on port 80 is generated from globalSettings.defaultServer',
+      'Catch-all default server on port 443 is generated from globalSettings.defaultServer'
+    ]);
+  });
+
+  it('should produce state TreeConfigBuilder accepts', async () => {
+    const builder = new TreeConfigBuilder().importState(result.state);
+    const config = await builder.build();
+
+    expect(config).toContain('server 10.0.0.1:3000 max_fails=3 fail_timeout=30s weight=2;');
+    expect(config).toContain('alias /srv/legacy;');
+  });
+});
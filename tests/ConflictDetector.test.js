@@ -0,0 +1,59 @@
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import ConflictDetector from '../src/core/ConflictDetector.js';
+
+describe('ConflictDetector', () => {
+  let detector;
+
+  beforeEach(() => {
+    detector = new ConflictDetector();
+  });
+
+  describe('detectTreeConflicts', () => {
+    const server = (settings, locations) => ({
+      servers: [{ domain: { primary: 'app.example.com' }, ...settings, locations }]
+    });
+
+    it('should warn when a public location is still behind server auth', () => {
+      const result = detector.detectTreeConflicts(server({ auth: { basic: {} }, forwardAuth: { url: 'http://127.0.0.1:4180/oauth2/auth' } }, [
+        { type: 'proxy', path: '/docs', public: true },
+        { type: 'proxy', path: '/webhooks', public: true, auth: { basic: false, forward: false } },
+        { type: 'health', path: '/health', public: true }
+      ]));
+
+      expect(result.hasConflicts).toBe(false);
+      expect(detector.getWarningsByType('auth').map(w => w.message)).toEqual([
+        'Server app.example.com: Location /docs is marked public but is protected by basic auth (set auth.basic: false)',
+        'Server app.example.com: Location /docs is marked public but is protected by forward auth (set auth.forward: false)'
+      ]);
+    });
+
+    it('should warn when a public location protects itself', () => {
+      const result = detector.detectTreeConflicts(server({}, [
+        { type: 'health', path: '/health', public: true, auth: { basic: { realm: 'Ops' } } },
+        { type: 'proxy', path: '/admin', auth: { basic: {} } }
+      ]));
+
+      expect(result.warnings).toHaveLength(1);
+      expect(result.warnings[0].message).toContain('Location /health is marked public but is protected by basic auth');
+    });
+
+    it('should flag ports with more than one default server', () => {
+      const result = detector.detectTreeConflicts({
+        globalSettings: { defaultServer: true },
+        servers: [
+          { domain: { primary: 'app.example.com', port: 80, httpsPort: 443 }, ssl: { enabled: true }, defaultServer: true },
+          { domain: { primary: 'api.example.com', port: 8080 }, locations: [] }
+        ]
+      });
+
+      expect(result.conflicts.map(c => c.message)).toEqual([
+        'Port 80 has more than one default_server: the catch-all default server, app.example.com',
+        'Port 443 has more than one default_server: the catch-all default server, app.example.com'
+      ]);
+      expect(detector.detectTreeConflicts({
+        globalSettings: { defaultServer: { enabled: false } },
+        servers: [{ domain: { primary: 'app.example.com' }, defaultServer: true }]
+      }).hasConflicts).toBe(false);
+    });
+  });
+});
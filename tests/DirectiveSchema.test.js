@@ -0,0 +1,87 @@
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import DirectiveSchema from '../src/core/DirectiveSchema.js';
+import NginxParser from '../src/core/NginxParser.js';
+import TreeConfigBuilder from '../src/core/TreeConfigBuilder.js';
+
+describe('DirectiveSchema', () => {
+  let schema;
+  let parser;
+
+  beforeEach(() => {
+    schema = new DirectiveSchema();
+    parser = new NginxParser();
+  });
+
+  describe('validate', () => {
+    it('should reject directives in the wrong context', () => {
+      const nodes = parser.parse('http {\n    proxy_pass http://a;\n    server {\n        limit_req_zone $binary_remote_addr zone=a:10m rate=1r/s;\n    }\n}\n');
+      const { errors } = schema.validate(nodes);
+
+      expect(errors).toHaveLength(2);
+      expect(errors[0]).toMatchObject({ line: 2, column: 5, message: '"proxy_pass" directive is not allowed in http context' });
+      expect(errors[1]).toMatchObject({ line: 4, message: '"limit_req_zone" directive is not allowed in server context' });
+    });
+
+    it('should check argument counts and value types', () => {
+      const nodes = parser.parse('http {\n    gzip maybe;\n    keepalive_timeout;\n    client_max_body_size 10M;\n    sendfile $var;\n}\n');
+      const { errors } = schema.validate(nodes);
+
+      expect(errors.map(e => e.line)).toEqual([2, 3]);
+      expect(errors[0].message).toContain('Invalid value "maybe"');
+      expect(errors[1].message).toContain('Invalid number of arguments');
+    });
+
+    it('should tell server blocks apart from upstream servers', () => {
+      const nodes = parser.parse('http {\n    upstream app {\n        server 127.0.0.1:3000 weight=2;\n    }\n    server {\n        listen 80;\n    }\n}\nstream {\n    server {\n        listen 5432;\n        proxy_pass db;\n    }\n}\n');
+      expect(schema.validate(nodes).errors).toEqual([]);
+    });
+
+    it('should warn about unknown directives and skip map bodies', () => {
+      const nodes = parser.parse('http {\n    map $uri $target {\n        default 0;\n    }\n    more_set_headers "X: y";\n}\n');
+      const { errors, warnings } = schema.validate(nodes);
+
+      expect(errors).toEqual([]);
+      expect(warnings).toHaveLength(1);
+      expect(warnings[0].message).toBe('Unknown directive "more_set_headers"');
+    });
+  });
+
+  describe('TreeConfigBuilder integration', () => {
+    it('should report custom location directives that nginx would reject', () => {
+      const builder = new TreeConfigBuilder();
+      builder.importState({
+        servers: [{
+          id: 's1',
+          name: 'main',
+          domain: { primary: 'example.com', port: 80 },
+          ssl: { enabled: false },
+          locations: [{ id: 'l1', type: 'custom', path: '/x', custom: 'return 200;\nlimit_req_zone $binary_remote_addr zone=a:10m rate=1r/s;' }]
+        }]
+      });
+      const result = builder.validate();
+
+      expect(result.valid).toBe(false);
+      expect(result.errors[0]).toBe('Server example.com: Location /x: "limit_req_zone" directive is not allowed in location context (line 2)');
+    });
+
+    it('should accept generated configs', () => {
+      const builder = new TreeConfigBuilder();
+      builder.importState({
+        servers: [{
+          id: 's1',
+          name: 'main',
+          domain: { primary: 'example.com', port: 80, httpsPort: 443 },
+          ssl: { enabled: true, provider: 'letsencrypt', http2: true },
+          locations: [
+            { id: 'l1', type: 'static', path: '/', root: '/var/www', caching: true },
+            { id: 'l2', type: 'api', path: '/api', upstream: 'backend', cors: true, rateLimit: true, rateLimitValue: '10r/s' }
+          ]
+        }],
+        upstreams: [{ id: 'u1', name: 'backend', keepalive: 16, servers: [{ host: '127.0.0.1', port: 3000 }] }],
+        globalSettings: { compression: true, securityHeaders: true }
+      });
+
+      expect(builder.validate()).toMatchObject({ valid: true, errors: [] });
+    });
+  });
+});
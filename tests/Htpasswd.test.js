@@ -0,0 +1,77 @@
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { mkdtempSync, rmSync, statSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import Htpasswd from '../src/core/Htpasswd.js';
+
+describe('Htpasswd', () => {
+  describe('hashing', () => {
+    it('should compute apr1 hashes like htpasswd -m and openssl passwd -apr1', () => {
+      expect(Htpasswd.hash('password', 'apr1', { salt: 'abcdefgh' })).toBe('$apr1$abcdefgh$FBwExRW4dCc8aL.OvjpIE1');
+      expect(Htpasswd.hash('pässwörd long enough to exceed sixteen bytes', 'apr1', { salt: 'xyz' }))
+        .toBe('$apr1$xyz$LvZv/c5Dt5DG2Gay6SE6l/');
+    });
+
+    it('should compute bcrypt hashes like crypt()', () => {
+      const salt = Buffer.from('00112233445566778899aabbccddeeff', 'hex');
+
+      expect(Htpasswd.hash('password', 'bcrypt', { salt, cost: 5 }))
+        .toBe('$2y$05$./CgKyPTXlcGkYo5xL1s9uIKrB1cAKO1eI.U4W8tbjt26Ph8c9sQS');
+      expect(Htpasswd.hash('secret', 'bcrypt', { cost: 4 })).toMatch(/^\$2y\$04\$[./A-Za-z0-9]{53}$/);
+    });
+
+    it('should verify apr1, bcrypt, {SHA} and {PLAIN} hashes', () => {
+      expect(Htpasswd.verifyHash('U*U', '$2a$05$CCCCCCCCCCCCCCCCCCCCC.E5YPO9kmyuRGyh0XouQYb4YMJKvyOeW')).toBe(true);
+      expect(Htpasswd.verifyHash('x'.repeat(80), '$2b$04$abcdefghijklmnopqrstuubzadhGtS2zEF.gu0yd0opP6cVzb.e0i')).toBe(true);
+      expect(Htpasswd.verifyHash('', '$2b$04$abcdefghijklmnopqrstuubyCG3zY1GIXMyxfivm.ClDiInHzxjiq')).toBe(true);
+      expect(Htpasswd.verifyHash('password', '$apr1$abcdefgh$FBwExRW4dCc8aL.OvjpIE1')).toBe(true);
+      expect(Htpasswd.verifyHash('wrong', '$apr1$abcdefgh$FBwExRW4dCc8aL.OvjpIE1')).toBe(false);
+      expect(Htpasswd.verifyHash('password', '{SHA}W6ph5Mm5Pz8GgiULbPgzG37mj9g=')).toBe(true);
+      expect(Htpasswd.verifyHash('password', '{PLAIN}password')).toBe(true);
+      expect(Htpasswd.verifyHash('password', 'abJnggxhB/yWI')).toBe(false);
+    });
+
+    it('should reject unknown algorithms and bcrypt costs out of range', () => {
+      expect(() => Htpasswd.hash('x', 'md5')).toThrow("Unknown algorithm 'md5' (expected apr1, bcrypt)");
+      expect(() => Htpasswd.hash('x', 'bcrypt', { cost: 3 })).toThrow('bcrypt cost must be an integer between 4 and 17');
+      expect(() => Htpasswd.hash('x', 'bcrypt', { cost: 31 })).toThrow('bcrypt cost must be an integer between 4 and 17');
+    });
+  });
+
+  describe('files', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = mkdtempSync(path.join(tmpdir(), 'nginx-wizard-'));
+    });
+
+    afterEach(() => {
+      rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should add, update and remove users and keep other lines', () => {
+      const htpasswd = new Htpasswd('# staff\nalice:$apr1$abcdefgh$FBwExRW4dCc8aL.OvjpIE1\nbob:{PLAIN}old\n');
+
+      expect(htpasswd.users()).toEqual(['alice', 'bob']);
+      expect(htpasswd.setUser('carol', 'pw')).toBe(true);
+      expect(htpasswd.setUser('bob', 'new', 'bcrypt', { cost: 4 })).toBe(false);
+      expect(htpasswd.removeUser('alice')).toBe(true);
+      expect(htpasswd.removeUser('alice')).toBe(false);
+
+      expect(htpasswd.verify('bob', 'new')).toBe(true);
+      expect(htpasswd.verify('carol', 'pw')).toBe(true);
+      expect(htpasswd.toString()).toMatch(/^# staff\nbob:\$2y\$04\$\S+\ncarol:\$apr1\$\S+\n$/);
+      expect(() => htpasswd.setUser('a:b', 'x')).toThrow("Invalid user name 'a:b'");
+    });
+
+    it('should create missing files readable by owner and group only', async () => {
+      const file = path.join(dir, '.htpasswd');
+      const htpasswd = await Htpasswd.load(file);
+      htpasswd.setUser('admin', 'secret');
+      await htpasswd.save(file);
+
+      expect(statSync(file).mode & 0o777).toBe(0o640);
+      expect((await Htpasswd.load(file)).verify('admin', 'secret')).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,110 @@
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import NginxParser, { serialize } from '../src/core/NginxParser.js';
+
+describe('NginxParser', () => {
+  let parser;
+
+  beforeEach(() => {
+    parser = new NginxParser();
+  });
+
+  describe('parse', () => {
+    it('should parse directives and nested blocks', () => {
+      const nodes = parser.parse('worker_processes 2;\nhttp {\n  server {\n    listen 80;\n  }\n}\n');
+
+      expect(nodes).toHaveLength(2);
+      expect(nodes[0]).toMatchObject({ name: 'worker_processes', args: ['2'], line: 1 });
+      expect(nodes[1].block[0].name).toBe('server');
+      expect(nodes[1].block[0].block[0]).toMatchObject({ name: 'listen', args: ['80'], line: 4 });
+    });
+
+    it('should keep quoted strings with spaces and semicolons as one argument', () => {
+      const nodes = parser.parse('add_header X-Test "a; b {c}" always;');
+      expect(nodes[0].args).toEqual(['X-Test', 'a; b {c}', 'always']);
+    });
+
+    it('should handle multi-line directives and comments', () => {
+      const nodes = parser.parse('log_format main\n  \'$remote_addr\' # client\n  \'$status\';\n');
+      expect(nodes[0].args).toEqual(['main', '$remote_addr', '$status']);
+    });
+
+    it('should keep ${var} braces inside words', () => {
+      const nodes = parser.parse('return 301 https://${host}$request_uri;');
+      expect(nodes[0].args).toEqual(['301', 'https://${host}$request_uri']);
+    });
+
+    it('should reject unbalanced braces', () => {
+      expect(() => parser.parse('http {\n')).toThrow('expecting "}"');
+      expect(() => parser.parse('}')).toThrow('Unexpected "}"');
+    });
+
+    it('should reject unterminated directives', () => {
+      expect(() => parser.parse('listen 80')).toThrow('Unexpected end of file');
+    });
+    it('should record columns for directives and arguments', () => {
+      const nodes = parser.parse('http {\n    listen  80 "ssl";\n}\n', 'nginx.conf');
+      const listen = nodes[0].block[0];
+
+      expect(listen).toMatchObject({ file: 'nginx.conf', line: 2, column: 5 });
+      expect(listen.argPositions[0]).toMatchObject({ line: 2, column: 13, endColumn: 14, quoted: false });
+      expect(listen.argPositions[1]).toMatchObject({ column: 16, quoted: true });
+      expect(nodes[0]).toMatchObject({ endLine: 3, endColumn: 1 });
+    });
+
+    it('should report file, line and column on syntax errors', () => {
+      try {
+        parser.parse('events {}\n}\n', 'nginx.conf');
+        throw new Error('expected a syntax error');
+      } catch (error) {
+        expect(error.message).toBe('nginx.conf:2:1: Unexpected "}"');
+        expect(error).toMatchObject({ file: 'nginx.conf', line: 2, column: 1, reason: 'Unexpected "}"' });
+      }
+    });
+  });
+
+  describe('parseFile', () => {
+    let dir;
+
+    beforeEach(async () => {
+      dir = await fs.mkdtemp(path.join(os.tmpdir(), 'nginx-parser-'));
+      await fs.mkdir(path.join(dir, 'conf.d'));
+    });
+
+    afterEach(async () => {
+      await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    it('should inline files matched by include globs', async () => {
+      await fs.writeFile(path.join(dir, 'nginx.conf'), 'http {\n  include conf.d/*.conf;\n}\n');
+      await fs.writeFile(path.join(dir, 'conf.d', 'b.conf'), 'server { listen 81; }');
+      await fs.writeFile(path.join(dir, 'conf.d', 'a.conf'), 'server { listen 80; }');
+      await fs.writeFile(path.join(dir, 'conf.d', 'ignored.txt'), 'broken {');
+
+      const result = await parser.parseFile(path.join(dir, 'nginx.conf'));
+      const servers = result.nodes[0].block;
+
+      expect(servers.map(s => s.block[0].args[0])).toEqual(['80', '81']);
+      expect(servers[0].file).toBe(path.join(dir, 'conf.d', 'a.conf'));
+      expect(result.includedFiles).toHaveLength(2);
+    });
+
+    it('should keep includes that cannot be found and warn', async () => {
+      await fs.writeFile(path.join(dir, 'nginx.conf'), 'http {\n  include missing.conf;\n}\n');
+
+      const result = await parser.parseFile(path.join(dir, 'nginx.conf'));
+
+      expect(result.nodes[0].block[0].name).toBe('include');
+      expect(result.warnings[0]).toContain('missing.conf');
+    });
+  });
+
+  describe('serialize', () => {
+    it('should round-trip directives with quoting', () => {
+      const source = 'location / {\n    add_header X-Test "a b";\n    return 200;\n}';
+      expect(serialize(parser.parse(source))).toBe(source);
+    });
+  });
+});
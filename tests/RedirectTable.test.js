@@ -0,0 +1,81 @@
+import { describe, it, expect } from '@jest/globals';
+import RedirectTable from '../src/core/RedirectTable.js';
+
+describe('RedirectTable', () => {
+  describe('parseCsv', () => {
+    it('should read rows with a header, quoted fields and absolute sources', () => {
+      const csv = 'to,from,code\n/about,https://old.example.com/about-us,\n"/posts/$1","~^/blog/(\\d{1,4})$",308\r\n\n/shop,"/product?id=5",302\n';
+      const { rows, errors } = RedirectTable.parseCsv(csv);
+
+      expect(errors).toEqual([]);
+      expect(rows).toEqual([
+        { from: '/about-us', to: '/about', code: 301 },
+        { from: '~^/blog/(\\d{1,4})$', to: '/posts/$1', code: 308 },
+        { from: '/product?id=5', to: '/shop', code: 302 }
+      ]);
+    });
+
+    it('should report bad rows with their line numbers', () => {
+      const { rows, errors } = RedirectTable.parseCsv('/a,/b\n/c,/d,307\nrelative,/e\n,/f', { defaultCode: 302 });
+
+      expect(rows).toEqual([{ from: '/a', to: '/b', code: 302 }]);
+      expect(errors).toEqual([
+        { line: 2, message: 'Status 307 is not one of 301, 302, 308' },
+        { line: 3, message: '\'relative\' must be a path, a URL or a ~ regex' },
+        { line: 4, message: 'A from and a to value are required' }
+      ]);
+    });
+  });
+
+  describe('merge', () => {
+    it('should replace rows with the same source', () => {
+      const table = new RedirectTable([{ from: '/a', to: '/b', code: 301 }]);
+
+      expect(table.merge([{ from: '/a', to: '/c', code: 302 }, { from: '/d', to: '/e', code: 301 }])).toEqual({ added: 1, replaced: 1 });
+      expect(table.rows).toEqual([{ from: '/a', to: '/c', code: 302 }, { from: '/d', to: '/e', code: 301 }]);
+    });
+  });
+
+  describe('analyze', () => {
+    it('should find chains through exact and regex rows', () => {
+      const table = new RedirectTable([
+        { from: '/a', to: '/b' },
+        { from: '/b', to: 'https://app.example.com/c' },
+        { from: '/old-post', to: '/blog/12' },
+        { from: '~^/blog/(\\d+)$', to: '/posts/$1' },
+        { from: '/partner', to: 'https://partner.example.org/b' }
+      ]);
+
+      expect(table.analyze({ hosts: ['app.example.com'] })).toEqual({
+        duplicates: [],
+        chains: [['/a', '/b', 'https://app.example.com/c'], ['/old-post', '/blog/12', '/posts/12']],
+        loops: []
+      });
+    });
+
+    it('should report each loop once and duplicate sources', () => {
+      const table = new RedirectTable([
+        { from: '/x', to: '/y' },
+        { from: '/y', to: '/x?ref=1' },
+        { from: '/self', to: '/self' },
+        { from: '/self', to: '/other' }
+      ]);
+      const { duplicates, loops } = table.analyze();
+
+      expect(duplicates).toEqual(['/self']);
+      expect(loops).toEqual([['/x', '/y', '/x?ref=1'], ['/self', '/self']]);
+    });
+
+    it('should start walks from regex rows', () => {
+      const table = new RedirectTable([
+        { from: '~^/loop/(.*)$', to: '/loop/$1/' },
+        { from: '~^/shop/(\\d+)$', to: '/store/$1' },
+        { from: '/store/1', to: '/store' }
+      ]);
+      const { chains, loops } = table.analyze();
+
+      expect(loops).toEqual([['~^/loop/(.*)$', '/loop/a/']]);
+      expect(chains).toEqual([['~^/shop/(\\d+)$', '/store/1', '/store']]);
+    });
+  });
+});
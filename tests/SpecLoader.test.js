@@ -0,0 +1,107 @@
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import SpecLoader from '../src/core/SpecLoader.js';
+import TreeConfigBuilder from '../src/core/TreeConfigBuilder.js';
+
+const SPEC = `
+globalSettings:
+  securityHeaders: true
+  ddos: strict
+upstreams:
+  - name: app
+    servers: ["127.0.0.1:3000", "unix:/run/app.sock", { host: 10.0.0.2, port: 3000, backup: true }]
+servers:
+  - domain: example.com
+    ssl: { enabled: true, provider: letsencrypt, http2: true }
+    locations:
+      - { type: proxy, path: /, upstream: app }
+      - { type: health, path: /health }
+`;
+
+describe('SpecLoader', () => {
+  let loader;
+
+  beforeEach(() => {
+    loader = new SpecLoader();
+  });
+
+  it('should expand shorthands into tree state', () => {
+    const { state, errors } = loader.load(SPEC, 'spec.yaml');
+
+    expect(errors).toEqual([]);
+    expect(state.servers[0]).toMatchObject({
+      name: 'example.com',
+      domain: { primary: 'example.com', aliases: [], port: 80, httpsPort: 443 },
+      upstreams: []
+    });
+    expect(state.servers[0].locations.every(l => l.id)).toBe(true);
+    expect(state.upstreams[0].servers).toEqual([
+      { host: '127.0.0.1', port: 3000 },
+      { host: 'unix:/run/app.sock' },
+      { host: '10.0.0.2', port: 3000, backup: true }
+    ]);
+    expect(state.globalSettings.ddos).toEqual({ enabled: true, profile: 'strict', loginPaths: ['/login'] });
+  });
+
+  it('should produce state TreeConfigBuilder builds', async () => {
+    const builder = new TreeConfigBuilder();
+    builder.importState(loader.load(SPEC).state);
+    const config = await builder.build();
+
+    expect(config).toContain('server unix:/run/app.sock;');
+    expect(config).toContain('proxy_pass http://app;');
+  });
+
+  it('should accept JSON specs and exported state', () => {
+    const builder = new TreeConfigBuilder();
+    builder.importState(loader.load(SPEC).state);
+
+    expect(loader.load(JSON.stringify(builder.exportState())).errors).toEqual([]);
+  });
+
+  it('should report schema violations with property paths', () => {
+    const { state, errors } = loader.load(`
+servers:
+  - domain: { primary: example.com, aliases: www.example.com }
+    locations:
+      - { type: php, path: /x }
+      - { type: proxy, upstream: app, timout: 5 }
+`);
+
+    expect(state).toBeNull();
+    expect(errors).toEqual([
+      { path: 'servers[0].domain.aliases', message: 'must be an array' },
+      { path: 'servers[0].locations[0].type', message: 'must be one of static, spa, proxy, api, websocket, grpc, fastcgi, uwsgi, scgi, redirect, health, cache, custom' },
+      { path: 'servers[0].locations[1]', message: "missing required property 'path'" },
+      { path: 'servers[0].locations[1].timout', message: 'unknown property' }
+    ]);
+  });
+
+  it('should report a missing servers list', () => {
+    expect(loader.load('upstreams: []').errors).toEqual([
+      { path: '', message: "missing required property 'servers'" }
+    ]);
+  });
+
+  it('should accept stream-only specs', () => {
+    const { state, errors } = loader.load(`
+streams:
+  upstreams:
+    - { name: pg, servers: ["10.0.0.1:5432"] }
+  listeners:
+    - { port: 5432, upstream: pg }
+    - { protocol: udp, port: 53, target: "10.0.0.53:53", sniRoutes: [] }
+`);
+
+    expect(errors).toEqual([]);
+    expect(state.servers).toEqual([]);
+    expect(state.streams.upstreams[0].servers).toEqual([{ host: '10.0.0.1', port: 5432 }]);
+    expect(state.streams.listeners.map(l => [l.protocol, l.port])).toEqual([['tcp', 5432], ['udp', 53]]);
+  });
+
+  it('should report YAML syntax errors with line and column', () => {
+    const { errors } = loader.load('servers:\n  - domain: example.com\n   bad: [\n', 'spec.yaml');
+
+    expect(errors).toHaveLength(1);
+    expect(errors[0]).toMatchObject({ path: '', line: expect.any(Number), column: expect.any(Number) });
+  });
+});
@@ -0,0 +1,125 @@
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import { mkdtempSync, writeFileSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import StateMigrator, { CURRENT_VERSION } from '../src/core/StateMigrator.js';
+import ConfigBuilder from '../src/core/ConfigBuilder.js';
+import TreeConfigBuilder from '../src/core/TreeConfigBuilder.js';
+import SpecLoader from '../src/core/SpecLoader.js';
+import UpdateManager from '../src/core/UpdateManager.js';
+
+function classicState(pattern, features = {}, extra = {}) {
+  const builder = new ConfigBuilder();
+  builder.setPattern(pattern);
+  builder.setDomain({ primary: 'example.com', aliases: ['www.example.com'] });
+  builder.setSSL({ enabled: true, provider: 'letsencrypt', http2: true });
+  builder.setFeatures({ compression: true, ...features });
+  return { ...builder.exportState(), ...extra };
+}
+
+describe('StateMigrator', () => {
+  let migrator;
+
+  beforeEach(() => {
+    migrator = new StateMigrator();
+  });
+
+  it('should detect state versions', () => {
+    expect(migrator.detectVersion(classicState('static-only'))).toBe('1.0.0');
+    expect(migrator.detectVersion({ config: { pattern: 'hybrid' } })).toBe('1.0.0');
+    expect(migrator.detectVersion({ servers: [] })).toBe('2.0.0');
+    expect(migrator.detectVersion(new TreeConfigBuilder().exportState())).toBe(CURRENT_VERSION);
+    expect(migrator.detectVersion({ foo: 1 })).toBeNull();
+  });
+
+  it('should pass current tree state through unchanged', () => {
+    const state = { servers: [{ domain: { primary: 'example.com' }, locations: [] }], upstreams: [] };
+    const result = migrator.migrate(state);
+
+    expect(result.applied).toEqual([]);
+    expect(result.from).toBe('2.0.0');
+    expect(result.state).toEqual({ ...state, schemaVersion: '2.0.0' });
+  });
+
+  it('should convert a classic spa-with-api state into a buildable tree state', async () => {
+    const classic = classicState('spa-with-api', {
+      proxy: { path: '/api', target: 'http://localhost:4000', cors: true, corsOrigin: 'https://example.com' }
+    }, { security: { headers: true, rateLimiting: true, ddosProtection: 'strict' } });
+
+    const { state, from, applied } = migrator.migrate(classic);
+
+    expect(from).toBe('1.0.0');
+    expect(applied).toHaveLength(1);
+    expect(state.servers[0].domain).toEqual({ primary: 'example.com', aliases: ['www.example.com'], port: 80, httpsPort: 443 });
+    expect(state.servers[0].locations.map(l => [l.type, l.path])).toEqual([['api', '/api'], ['spa', '/']]);
+    expect(state.servers[0].locations[0]).toMatchObject({ cors: true, rateLimit: true, rateLimitValue: '10r/s' });
+    expect(state.globalSettings).toMatchObject({ compression: true, securityHeaders: true, ddos: { enabled: true, profile: 'strict' } });
+
+    const config = await new TreeConfigBuilder().importState(state).build();
+    expect(config).toContain('proxy_pass http://localhost:4000');
+    expect(config).toContain('try_files $uri $uri/ /index.html');
+  });
+
+  it('should turn microservices into upstreams and proxy locations', () => {
+    const classic = classicState('microservices', {
+      services: [
+        { name: 'users', path: '/users', servers: [{ host: '10.0.0.1', port: 3001 }] },
+        { name: 'orders', path: '/orders', servers: ['10.0.0.2:3002'] }
+      ],
+      upstream: { keepalive: 16 }
+    });
+
+    const { state } = migrator.migrate(classic);
+
+    expect(state.upstreams.map(u => [u.name, u.keepalive])).toEqual([['users', 16], ['orders', 16]]);
+    expect(state.upstreams[1].servers).toEqual([{ host: '10.0.0.2', port: 3002 }]);
+    expect(state.servers[0].locations.map(l => l.upstream || l.type)).toEqual(['users', 'orders', 'health']);
+    expect(new TreeConfigBuilder().importState(state).validate().valid).toBe(true);
+  });
+
+  it('should report settings that cannot be carried over', () => {
+    const { notes } = migrator.migrate(classicState('static-only', {}, { customDirectives: ['client_max_body_size 10m;'] }));
+
+    expect(notes).toEqual(['Custom directive not carried over (add it to a custom location): client_max_body_size 10m;']);
+  });
+
+  it('should reject unknown formats and newer schemas', () => {
+    expect(() => migrator.migrate({ foo: 1 })).toThrow('Unrecognized state format');
+    expect(() => migrator.migrate({ schemaVersion: '3.0.0', servers: [] })).toThrow('newer than the supported 2.0.0');
+  });
+
+  it('should load classic state files as specs', () => {
+    const { state, errors, migration } = new SpecLoader().load(JSON.stringify(classicState('static-only', { spa: true })));
+
+    expect(errors).toEqual([]);
+    expect(migration.from).toBe('1.0.0');
+    expect(state.servers[0].locations[0]).toMatchObject({ type: 'spa', root: '/var/www/example.com/html' });
+  });
+
+  it('should save migrated state from the update manager in the current schema', () => {
+    const dir = mkdtempSync(path.join(tmpdir(), 'nginx-wizard-'));
+    const file = path.join(dir, 'nginx-wizard.json');
+    writeFileSync(file, JSON.stringify(classicState('spa-with-api', { proxy: { path: '/api', target: 'http://localhost:4000' } })));
+
+    try {
+      const manager = new UpdateManager(file);
+      const updateInfo = manager.checkForUpdates();
+
+      expect(updateInfo.currentVersion).toBe('1.0.0');
+      expect(updateInfo.updates.map(u => u.title)).toEqual(expect.arrayContaining([
+        'Migrate state schema 1.0.0 to 2.0.0',
+        'Rate limiting not enabled for API'
+      ]));
+
+      updateInfo.updates.find(u => u.title === 'Rate limiting not enabled for API').action();
+      manager.saveState();
+
+      const saved = JSON.parse(readFileSync(file, 'utf-8'));
+      expect(saved).toMatchObject({ schemaVersion: '2.0.0', mode: 'tree' });
+      expect(saved.servers[0].locations[0]).toMatchObject({ type: 'api', rateLimit: true });
+      expect(new SpecLoader().load(JSON.stringify(saved)).errors).toEqual([]);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,1047 @@
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import TreeConfigBuilder from '../src/core/TreeConfigBuilder.js';
+
+/**
+ * Minimal tree state with one server and an API upstream
+ */
+function createState(overrides = {}) {
+  return {
+    servers: [{
+      id: 's1',
+      name: 'main',
+      domain: { primary: 'example.com', aliases: [], port: 80 },
+      ssl: { enabled: false },
+      locations: [
+        { id: 'l1', type: 'api', path: '/api', upstream: 'backend', rateLimit: true, rateLimitValue: '10r/s' },
+        { id: 'l2', type: 'proxy', path: '/login', upstream: 'backend' }
+      ]
+    }],
+    upstreams: [{ id: 'u1', name: 'backend', servers: [{ host: '127.0.0.1', port: 3000 }] }],
+    globalSettings: {},
+    ...overrides
+  };
+}
+
+describe('TreeConfigBuilder', () => {
+  let builder;
+
+  beforeEach(() => {
+    builder = new TreeConfigBuilder();
+  });
+
+  describe('DDoS protection', () => {
+    it('should not emit DDoS directives when disabled', async () => {
+      builder.importState(createState());
+      const config = await builder.build();
+
+      expect(config).not.toContain('limit_conn_zone');
+      expect(config).toContain('keepalive_timeout 65;');
+    });
+
+    it('should emit http, server and login location directives for the profile', async () => {
+      builder.importState(createState({
+        globalSettings: { ddos: { enabled: true, profile: 'strict', loginPaths: ['/login'] } }
+      }));
+      const config = await builder.build();
+
+      expect(config).toContain('limit_conn_zone $binary_remote_addr zone=conn_limit_strict:10m;');
+      expect(config).toContain('limit_req_zone $binary_remote_addr zone=ddos_login:10m rate=3r/m;');
+      expect(config).toContain('limit_conn conn_limit_strict 10;');
+      expect(config).toContain('limit_req zone=ddos_general burst=20 nodelay;');
+      expect(config).toMatch(/location \/login \{\n\s+limit_req zone=ddos_login burst=5 nodelay;/);
+      expect(config).not.toMatch(/location \/api \{\n\s+limit_req zone=ddos_login/);
+      expect(config.match(/keepalive_timeout/g)).toHaveLength(1);
+    });
+
+    it('should add exact login locations that keep the handler serving the path', async () => {
+      builder.importState(createState({
+        globalSettings: { ddos: { enabled: true, profile: 'balanced', loginPaths: ['/wp-login.php'] } },
+        servers: [{
+          id: 's1',
+          domain: { primary: 'example.com' },
+          ssl: { enabled: false },
+          locations: [
+            { id: 'l1', type: 'spa', path: '/', root: '/var/www/html', fallback: '/index.php?$args' },
+            { id: 'l2', type: 'fastcgi', path: '~ [^/]\\.php(/|$)', root: '/var/www/html', target: 'unix:/run/php/php-fpm.sock' }
+          ]
+        }]
+      }));
+      const config = await builder.build();
+
+      expect(config).toMatch(/location = \/wp-login\.php \{\n\s+limit_req zone=ddos_login burst=10 nodelay;\n\n\s+root \/var\/www\/html;\n\s+fastcgi_split_path_info/);
+      expect(config).toContain('fastcgi_pass unix:/run/php/php-fpm.sock;');
+    });
+
+    it('should apply the API zone to api locations', async () => {
+      builder.importState(createState({
+        globalSettings: { ddos: { enabled: true, profile: 'strict', loginPaths: [] } }
+      }));
+      const config = await builder.build();
+
+      expect(config).toMatch(/location \/api \{\n\s+limit_req zone=ddos_api burst=10 nodelay;/);
+    });
+
+    it('should keep DDoS zone names apart from per-location rate limit zones', async () => {
+      builder.importState(createState({
+        globalSettings: { ddos: { enabled: true, profile: 'balanced', loginPaths: [] } }
+      }));
+      const config = await builder.build();
+      const zones = [...config.matchAll(/limit_req_zone \S+ zone=([^:]+):/g)].map(m => m[1]);
+
+      expect(zones).toContain('api__api_limit');
+      expect(new Set(zones).size).toBe(zones.length);
+    });
+  });
+
+  describe('cache locations', () => {
+    /**
+     * State with a single cached proxy location
+     */
+    function cacheState(cache) {
+      return createState({
+        servers: [{
+          id: 's1',
+          name: 'main',
+          domain: { primary: 'example.com', port: 80 },
+          ssl: { enabled: false },
+          locations: [{ id: 'l1', type: 'cache', path: '/', upstream: 'backend', cache }]
+        }]
+      });
+    }
+
+    it('should emit the zone and directives of the chosen strategy', async () => {
+      builder.importState(cacheState({ strategy: 'api', bypassCookie: true }));
+      const config = await builder.build();
+
+      expect(config).toContain('proxy_cache_path /var/cache/nginx/api levels=1:2 keys_zone=api_cache:50m max_size=500m inactive=10m use_temp_path=off;');
+      expect(config).toContain('proxy_cache api_cache;');
+      expect(config).toContain('proxy_cache_valid 404 1m;');
+      expect(config).toContain('proxy_cache_background_update on;');
+      expect(config).toContain('proxy_cache_bypass $http_pragma $http_authorization $arg_nocache $cookie_session $cookie_token;');
+    });
+
+    it('should apply per-zone path, levels, size and inactive settings', async () => {
+      builder.importState(cacheState({
+        strategy: 'static',
+        zone: 'assets',
+        duration: '2d',
+        path: '/data/assets',
+        levels: '2',
+        keysSize: '20m',
+        maxSize: '5g',
+        inactive: '14d'
+      }));
+      const config = await builder.build();
+
+      expect(config).toContain('proxy_cache_path /data/assets levels=2 keys_zone=assets:20m max_size=5g inactive=14d use_temp_path=off;');
+      expect(config).toContain('proxy_cache_valid 200 2d;');
+    });
+
+    it('should keep the fixed settings for locations without a strategy', async () => {
+      builder.importState(cacheState({ zone: 'legacy', duration: '5m' }));
+      const config = await builder.build();
+
+      expect(config).toContain('proxy_cache_path /var/cache/nginx/legacy levels=1:2 keys_zone=legacy:10m max_size=100m inactive=60m use_temp_path=off;');
+      expect(config).toContain('proxy_cache_valid 200 5m;');
+    });
+
+    it('should reject unknown strategies', () => {
+      builder.importState(cacheState({ strategy: 'edge' }));
+      expect(builder.validate().errors).toContain("Server example.com: Location / uses unknown cache strategy 'edge'");
+    });
+  });
+
+  describe('template overrides', () => {
+    let dir;
+
+    beforeEach(async () => {
+      dir = await fs.mkdtemp(path.join(os.tmpdir(), 'tree-templates-'));
+    });
+
+    afterEach(async () => {
+      await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    it('should render blocks from the bundled templates by default', async () => {
+      builder.importState(createState());
+      const config = await builder.build();
+
+      expect(config).toContain('    upstream backend {\n        server 127.0.0.1:3000;\n    }');
+      expect(config).toContain('        # Location: /api (api)\n        location /api {');
+      expect(config).toContain('        access_log /var/log/nginx/example.com/access.log main;');
+    });
+
+    it('should prefer templates from the overrides directory', async () => {
+      await fs.writeFile(
+        path.join(dir, 'location.hbs'),
+        '        location {{path}} {\n            add_header X-Location "{{type}}";\n{{{body}}}\n        }\n'
+      );
+      builder.importState(createState({ templates: dir }));
+      const config = await builder.build();
+
+      expect(config).toContain('        location /api {\n            add_header X-Location "api";');
+      expect(config).not.toContain('# Location: /api');
+      // Templates that are not overridden fall back to the bundled ones
+      expect(config).toContain('    upstream backend {');
+    });
+
+    it('should accept overrides laid out like the bundled tree directory', async () => {
+      await fs.mkdir(path.join(dir, 'tree'));
+      await fs.writeFile(
+        path.join(dir, 'upstream.hbs'),
+        '    upstream {{name}} {\n        server 10.0.0.1:1;\n    }\n'
+      );
+      await fs.writeFile(
+        path.join(dir, 'tree', 'upstream.hbs'),
+        '    upstream {{name}} {\n{{#each servers}}\n        server {{address}} slow_start=30s;\n{{/each}}\n    }\n'
+      );
+      builder.importState(createState({ templates: dir }));
+
+      expect(await builder.build()).toContain('        server 127.0.0.1:3000 slow_start=30s;');
+    });
+
+    it('should report a missing templates directory', () => {
+      builder.importState(createState({ templates: path.join(dir, 'missing') }));
+      expect(builder.validate().errors).toContain(`Templates directory not found: ${path.join(dir, 'missing')}`);
+    });
+
+    it('should keep the templates directory in exported state', () => {
+      builder.importState(createState({ templates: dir }));
+      expect(builder.exportState().templates).toBe(dir);
+    });
+  });
+
+  describe('layouts', () => {
+    const sslState = () => createState({
+      globalSettings: { securityHeaders: true },
+      servers: [
+        { ...createState().servers[0], ssl: { enabled: true, provider: 'letsencrypt' } },
+        { id: 's2', name: 'docs', domain: { primary: 'docs.example.com' }, ssl: { enabled: false }, locations: [] }
+      ]
+    });
+
+    it('should keep everything in nginx.conf for the single layout', () => {
+      builder.importState(createState());
+      const files = builder.generateFiles('single');
+
+      expect(Object.keys(files)).toEqual(['nginx.conf']);
+      expect(files['nginx.conf']).toContain('upstream backend {');
+      expect(builder.getSymlinks('single', files)).toEqual({});
+    });
+
+    it('should split the debian layout into snippets, conf.d and sites-available', async () => {
+      builder.importState(sslState());
+      const files = await builder.buildFiles('debian');
+
+      expect(Object.keys(files).sort()).toEqual([
+        'conf.d/upstreams.conf',
+        'nginx.conf',
+        'sites-available/docs.example.com.conf',
+        'sites-available/example.com.conf',
+        'snippets/security-headers.conf',
+        'snippets/ssl-params.conf'
+      ]);
+      expect(files['nginx.conf']).toContain('user www-data;');
+      expect(files['nginx.conf']).toContain('    include conf.d/*.conf;\n    include sites-enabled/*;\n}');
+      expect(files['nginx.conf']).not.toContain('server {');
+      expect(files['conf.d/upstreams.conf']).toContain('\nupstream backend {\n    server 127.0.0.1:3000;\n}');
+      expect(files['sites-available/example.com.conf']).toContain('\nserver {\n    listen 443 ssl;');
+      expect(files['sites-available/example.com.conf']).toContain('    include snippets/ssl-params.conf;');
+      expect(files['sites-available/example.com.conf']).toContain('    include snippets/security-headers.conf;');
+      expect(files['sites-available/example.com.conf']).not.toContain('ssl_protocols');
+      expect(files['snippets/ssl-params.conf']).toContain('\nssl_protocols TLSv1.2 TLSv1.3;');
+    });
+
+    it('should link every site into sites-enabled', () => {
+      builder.importState(sslState());
+
+      expect(builder.getSymlinks('debian')).toEqual({
+        'sites-enabled/example.com.conf': '../sites-available/example.com.conf',
+        'sites-enabled/docs.example.com.conf': '../sites-available/docs.example.com.conf'
+      });
+    });
+
+    it('should put servers into conf.d for the rhel and conf.d layouts', () => {
+      builder.importState(sslState());
+      const rhel = builder.generateFiles('rhel');
+      const confd = builder.generateFiles('conf.d');
+
+      expect(rhel).toHaveProperty(['conf.d/example.com.conf']);
+      expect(rhel['nginx.conf']).toContain('user nginx;');
+      expect(rhel['nginx.conf']).not.toContain('sites-enabled');
+      expect(confd).toHaveProperty(['conf.d/docs.example.com.conf']);
+      expect(confd['nginx.conf']).not.toMatch(/^user /m);
+      expect(builder.getSymlinks('rhel', rhel)).toEqual({});
+    });
+
+    it('should not let servers with the same domain overwrite each other', () => {
+      const state = createState();
+      state.servers.push({ ...state.servers[0], id: 's2', domain: { primary: 'example.com', port: 8080 } });
+      builder.importState(state);
+
+      expect(Object.keys(builder.generateFiles('conf.d'))).toEqual(
+        expect.arrayContaining(['conf.d/example.com.conf', 'conf.d/example.com-2.conf'])
+      );
+    });
+
+    it('should reject unknown layouts', () => {
+      builder.importState(createState());
+      expect(() => builder.generateFiles('gentoo')).toThrow("Unknown layout 'gentoo' (expected single, debian, rhel, conf.d)");
+    });
+  });
+
+  describe('gRPC locations', () => {
+    const grpcState = (location, ssl = { enabled: true, provider: 'letsencrypt', http2: true }) => createState({
+      servers: [{
+        id: 's1',
+        domain: { primary: 'api.example.com' },
+        ssl,
+        locations: [{ id: 'g1', type: 'grpc', path: '/helloworld.Greeter/', ...location }]
+      }],
+      upstreams: [{ id: 'u1', name: 'greeter', servers: [{ host: '10.0.0.5', port: 50051 }] }]
+    });
+
+    it('should emit grpc_pass with headers, timeouts and retry conditions', async () => {
+      builder.importState(grpcState({ upstream: 'greeter', grpcTls: true, timeout: 300, nextUpstreamTries: 2 }));
+      const config = await builder.build();
+
+      expect(config).not.toContain('proxy_pass');
+      expect(config).toContain('            grpc_pass grpcs://greeter;\n\n            grpc_set_header Host $host;');
+      expect(config).toContain('            grpc_read_timeout 300s;\n            grpc_send_timeout 300s;');
+      expect(config).toContain('            grpc_next_upstream error timeout http_502 http_503 http_504;\n            grpc_next_upstream_tries 2;');
+    });
+
+    it('should map nginx errors to gRPC status codes through named locations', async () => {
+      builder.importState(grpcState({ target: 'grpc://127.0.0.1:50051', nextUpstream: ['error'] }));
+      const config = await builder.build();
+
+      expect(config).toContain('            grpc_pass grpc://127.0.0.1:50051;');
+      expect(config).toContain('            grpc_next_upstream error;');
+      expect(config).toContain('            error_page 502 503 = @grpc_unavailable;');
+      expect(config).toContain('            error_page 504 = @grpc_deadline_exceeded;');
+      expect(config).toContain(
+        '        location @grpc_unavailable {\n' +
+        '            default_type application/grpc;\n' +
+        '            add_header grpc-status 14;\n' +
+        '            add_header grpc-message unavailable;\n' +
+        '            add_header content-length 0;\n' +
+        '            return 204;\n' +
+        '        }'
+      );
+      expect(config.match(/location @grpc_/g)).toHaveLength(7);
+    });
+
+    it('should enable cleartext HTTP/2 on servers without SSL', async () => {
+      builder.importState(grpcState({ upstream: 'greeter' }, { enabled: false, http2: true }));
+      const config = await builder.build();
+
+      expect(config).toContain('        listen 80;\n        listen [::]:80;\n        http2 on;');
+    });
+
+    it('should require HTTP/2 and a gRPC target', () => {
+      builder.importState(grpcState({ target: 'http://127.0.0.1:50051' }, { enabled: true, provider: 'letsencrypt', http2: false }));
+      const { errors } = builder.validate();
+
+      expect(errors).toEqual([
+        'Server api.example.com: gRPC location /helloworld.Greeter/ requires HTTP/2 (enable ssl.http2)',
+        'Server api.example.com: gRPC location /helloworld.Greeter/ needs an upstream or a grpc://, grpcs:// or unix: target'
+      ]);
+    });
+  });
+
+  describe('FastCGI locations', () => {
+    const fastcgiState = location => createState({
+      servers: [{
+        id: 's1',
+        domain: { primary: 'example.com' },
+        ssl: { enabled: false },
+        locations: [{ id: 'f1', type: 'fastcgi', path: '~ [^/]\\.php(/|$)', root: '/var/www/html', ...location }]
+      }],
+      upstreams: [{ id: 'u1', name: 'php', servers: [{ host: '127.0.0.1', port: 9000 }], keepalive: 16 }]
+    });
+
+    it('should pass existing scripts to a unix socket', async () => {
+      builder.importState(fastcgiState({ target: 'unix:/run/php/php8.2-fpm.sock', timeout: 120 }));
+      const config = await builder.build();
+
+      expect(config).toContain(
+        '        location ~ [^/]\\.php(/|$) {\n' +
+        '            root /var/www/html;\n' +
+        '            fastcgi_split_path_info ^(.+\\.php)(/.+)$;\n' +
+        '            set $path_info $fastcgi_path_info;\n' +
+        '            try_files $fastcgi_script_name =404;\n\n' +
+        '            fastcgi_pass unix:/run/php/php8.2-fpm.sock;\n' +
+        '            fastcgi_index index.php;\n' +
+        '            include fastcgi_params;\n' +
+        '            fastcgi_param SCRIPT_FILENAME $document_root$fastcgi_script_name;\n' +
+        '            fastcgi_param PATH_INFO $path_info;\n\n' +
+        '            fastcgi_buffers 16 16k;\n' +
+        '            fastcgi_buffer_size 32k;\n' +
+        '            fastcgi_read_timeout 120s;\n' +
+        '        }'
+      );
+      expect(config).not.toContain('fastcgi_keep_conn');
+    });
+
+    it('should capture PATH_INFO before try_files resets it', async () => {
+      builder.importState(fastcgiState({ target: '127.0.0.1:9000' }));
+      const lines = (await builder.build()).split('\n').map(line => line.trim());
+      const split = lines.indexOf('fastcgi_split_path_info ^(.+\\.php)(/.+)$;');
+
+      expect(lines[split + 1]).toBe('set $path_info $fastcgi_path_info;');
+      expect(lines[split + 2]).toBe('try_files $fastcgi_script_name =404;');
+      expect(lines.indexOf('fastcgi_param PATH_INFO $path_info;')).toBeGreaterThan(split + 2);
+      expect(lines).not.toContain('fastcgi_param PATH_INFO $fastcgi_path_info;');
+    });
+
+    it('should keep connections to upstreams with keepalive and emit fastcgi_cache', async () => {
+      builder.importState(fastcgiState({ upstream: 'php', buffers: '8 32k', cache: { zone: 'php_pages', duration: '5m', bypassCookie: true } }));
+      const config = await builder.build();
+
+      expect(config).toContain('    # FastCGI cache zones\n    fastcgi_cache_path /var/cache/nginx/php_pages levels=1:2 keys_zone=php_pages:10m max_size=100m inactive=60m use_temp_path=off;');
+      expect(config).not.toContain('proxy_cache_path');
+      expect(config).toContain('            fastcgi_pass php;');
+      expect(config).toContain('            fastcgi_keep_conn on;');
+      expect(config).toContain('            fastcgi_buffers 8 32k;');
+      expect(config).toContain('            fastcgi_cache php_pages;');
+      expect(config).toContain('            fastcgi_cache_valid 200 301 302 5m;');
+      expect(config).toContain('            fastcgi_cache_bypass $cookie_session $cookie_token;');
+    });
+
+    it('should reject URL targets and proxy cache strategies', () => {
+      builder.importState(fastcgiState({ target: 'http://127.0.0.1:9000', cache: { strategy: 'api' } }));
+
+      expect(builder.validate().errors).toEqual([
+        'Server example.com: FastCGI location ~ [^/]\\.php(/|$) needs an upstream, a host:port or a unix: socket target',
+        'Server example.com: FastCGI location ~ [^/]\\.php(/|$) cannot use proxy cache strategies'
+      ]);
+    });
+  });
+
+  describe('uWSGI and SCGI locations', () => {
+    const gatewayState = location => createState({
+      servers: [{ id: 's1', domain: { primary: 'example.com' }, ssl: { enabled: false }, locations: [{ id: 'w1', path: '/', ...location }] }]
+    });
+
+    it('should pass requests to a uWSGI socket with forwarding params', async () => {
+      builder.importState(gatewayState({
+        type: 'uwsgi',
+        target: 'unix:/run/uwsgi/django.sock',
+        timeout: 90,
+        params: [{ name: 'UWSGI_SCHEME', value: '$scheme' }, { name: 'SCRIPT_NAME', value: '/app one' }]
+      }));
+      const config = await builder.build();
+
+      expect(config).toContain(
+        '            uwsgi_pass unix:/run/uwsgi/django.sock;\n' +
+        '            include uwsgi_params;\n' +
+        '            uwsgi_param HTTP_X_REAL_IP $remote_addr;\n' +
+        '            uwsgi_param HTTP_X_FORWARDED_FOR $proxy_add_x_forwarded_for;\n' +
+        '            uwsgi_param HTTP_X_FORWARDED_PROTO $scheme;\n' +
+        '            uwsgi_param UWSGI_SCHEME $scheme;\n' +
+        '            uwsgi_param SCRIPT_NAME "/app one";\n\n' +
+        '            uwsgi_buffers 16 16k;\n' +
+        '            uwsgi_buffer_size 32k;\n' +
+        '            uwsgi_read_timeout 90s;\n' +
+        '            uwsgi_send_timeout 90s;'
+      );
+    });
+
+    it('should use scgi directives and allow turning buffering off', async () => {
+      builder.importState(gatewayState({ type: 'scgi', upstream: 'backend', buffering: false }));
+      const config = await builder.build();
+
+      expect(config).toContain('            scgi_pass backend;\n            include scgi_params;');
+      expect(config).toContain('            scgi_buffering off;');
+      expect(config).not.toContain('scgi_buffers');
+    });
+
+    it('should reject URL targets', () => {
+      builder.importState(gatewayState({ type: 'uwsgi', target: 'http://127.0.0.1:8000' }));
+
+      expect(builder.validate().errors).toEqual([
+        'Server example.com: uWSGI location / needs an upstream, a host:port or a unix: socket target'
+      ]);
+    });
+
+    it('should name the protocol when rejecting proxy cache strategies', () => {
+      builder.importState(gatewayState({ type: 'uwsgi', target: '127.0.0.1:3031', cache: { strategy: 'static' } }));
+
+      expect(builder.validate().errors).toEqual([
+        'Server example.com: uWSGI location / cannot use proxy cache strategies'
+      ]);
+    });
+  });
+
+  describe('basic auth', () => {
+    const authState = (auth, locations) => createState({
+      servers: [{
+        id: 's1',
+        domain: { primary: 'staging.example.com' },
+        ssl: { enabled: false },
+        auth,
+        locations: locations || [
+          { id: 'l1', type: 'proxy', path: '/', upstream: 'backend' },
+          { id: 'l2', type: 'health', path: '/health' }
+        ]
+      }]
+    });
+
+    it('should protect the whole server and leave health checks open', async () => {
+      builder.importState(authState({ basic: { realm: 'Staging "only"', userFile: '/etc/nginx/staging.htpasswd' } }));
+      const config = await builder.build();
+
+      expect(config).toContain('        # Basic authentication\n        auth_basic "Staging \\"only\\"";\n        auth_basic_user_file /etc/nginx/staging.htpasswd;\n');
+      expect(config).toContain('        location /health {\n            auth_basic off;\n');
+      expect(config).not.toContain('        location / {\n            auth_basic');
+    });
+
+    it('should protect single locations and honour opt-outs', async () => {
+      builder.importState(authState(undefined, [
+        { id: 'l1', type: 'proxy', path: '/admin', upstream: 'backend', auth: { basic: {} } },
+        { id: 'l2', type: 'health', path: '/health', auth: { basic: { realm: 'Ops' } } },
+        { id: 'l3', type: 'proxy', path: '/', upstream: 'backend', auth: { basic: false } }
+      ]));
+      const config = await builder.build();
+
+      expect(config).not.toContain('# Basic authentication');
+      expect(config).toContain('        location /admin {\n            auth_basic "Restricted";\n            auth_basic_user_file /etc/nginx/.htpasswd;\n\n            proxy_pass');
+      expect(config).toContain('        location /health {\n            auth_basic "Ops";');
+      expect(config).not.toContain('auth_basic off;');
+    });
+
+    it('should let locations opt out of server-wide auth', async () => {
+      builder.importState(authState({ basic: {} }, [
+        { id: 'l1', type: 'proxy', path: '/public', upstream: 'backend', auth: { basic: false } }
+      ]));
+
+      expect(await builder.build()).toContain('        location /public {\n            auth_basic off;\n');
+    });
+  });
+
+  describe('forward auth', () => {
+    const forwardState = (forwardAuth, locations) => createState({
+      servers: [{
+        id: 's1',
+        domain: { primary: 'app.example.com' },
+        ssl: { enabled: false },
+        forwardAuth,
+        locations: locations || [
+          { id: 'l1', type: 'proxy', path: '/', upstream: 'backend' },
+          { id: 'l2', type: 'proxy', path: '/webhooks', upstream: 'backend', auth: { forward: false }, public: true },
+          { id: 'l3', type: 'health', path: '/health' }
+        ]
+      }]
+    });
+
+    it('should ask the auth service and redirect 401s to the sign-in page', async () => {
+      builder.importState(forwardState({ url: 'http://127.0.0.1:4180/oauth2/auth', signInUrl: 'https://auth.example.com/oauth2/start' }));
+      const config = await builder.build();
+
+      expect(config).toContain('        # Forward authentication\n        auth_request /auth;\n        error_page 401 = @error401;\n');
+      expect(config).toContain('        location = /auth {\n            internal;\n            auth_request off;\n            proxy_pass http://127.0.0.1:4180/oauth2/auth;\n            proxy_pass_request_body off;\n            proxy_set_header Content-Length "";');
+      expect(config).toContain('        location @error401 {\n            auth_request off;\n            return 302 https://auth.example.com/oauth2/start?rd=$scheme://$host$request_uri;\n        }');
+      expect(config).toContain('        location / {\n            auth_request_set $auth_user $upstream_http_x_auth_request_user;\n            auth_request_set $auth_email $upstream_http_x_auth_request_email;\n            proxy_set_header X-Auth-Request-User $auth_user;\n            proxy_set_header X-Auth-Request-Email $auth_email;\n\n            proxy_pass');
+      expect(config).toContain('        location /webhooks {\n            auth_request off;\n\n            proxy_pass');
+      expect(config).toContain('        location /health {\n            auth_request off;\n');
+    });
+
+    it('should pass custom headers and answer 401 without a sign-in URL', async () => {
+      builder.importState(forwardState({ url: 'http://authelia:9091/api/verify', headers: ['Remote-User', 'Remote-Groups'] }, [
+        { id: 'l1', type: 'uwsgi', path: '/', target: '127.0.0.1:3031' },
+        { id: 'l2', type: 'static', path: '/assets', root: '/var/www' }
+      ]));
+      const config = await builder.build();
+
+      expect(config).not.toContain('@error401');
+      expect(config).toContain('            auth_request_set $auth_remote_user $upstream_http_remote_user;\n            auth_request_set $auth_remote_groups $upstream_http_remote_groups;\n            uwsgi_param HTTP_REMOTE_USER $auth_remote_user;\n            uwsgi_param HTTP_REMOTE_GROUPS $auth_remote_groups;');
+      expect(config).toContain('        location /assets {\n            root /var/www;');
+    });
+
+    it('should reject a missing url and a clashing /auth location', () => {
+      builder.importState(forwardState({ signInUrl: '/login' }, [{ id: 'l1', type: 'proxy', path: '/auth', upstream: 'backend' }]));
+      const result = builder.validate();
+
+      expect(result.errors).toContain('Server app.example.com: Forward auth requires an http:// or https:// url');
+      expect(result.errors).toContain('Server app.example.com: Forward auth uses /auth internally; rename the /auth location');
+    });
+
+    it('should warn about public locations that stay protected', () => {
+      builder.importState(forwardState({ url: 'http://127.0.0.1:4180/oauth2/auth' }, [
+        { id: 'l1', type: 'proxy', path: '/docs', upstream: 'backend', public: true }
+      ]));
+
+      expect(builder.validate().warnings).toContain('Server app.example.com: Location /docs is marked public but is protected by forward auth (set auth.forward: false)');
+    });
+  });
+
+  describe('client certificates', () => {
+    const mtlsState = (clientCert, locations, ssl = {}) => createState({
+      servers: [{
+        id: 's1',
+        domain: { primary: 'api.example.com' },
+        ssl: { enabled: true, provider: 'custom', certPath: '/etc/nginx/ssl/api.pem', keyPath: '/etc/nginx/ssl/api.key', clientCert, ...ssl },
+        locations: locations || [
+          { id: 'l1', type: 'proxy', path: '/admin', upstream: 'backend', clientCert: { required: true, headers: true } },
+          { id: 'l2', type: 'uwsgi', path: '/app', target: '127.0.0.1:3031', clientCert: { headers: true } }
+        ]
+      }]
+    });
+
+    it('should verify client certificates and check them per location', async () => {
+      builder.importState(mtlsState({ ca: '/etc/nginx/ssl/client-ca.pem', verify: 'optional', depth: 2, crl: '/etc/nginx/ssl/client-ca.crl' }));
+      const config = await builder.build();
+
+      expect(config).toContain('        # Client certificates (mTLS)\n        ssl_client_certificate /etc/nginx/ssl/client-ca.pem;\n        ssl_verify_client optional;\n        ssl_verify_depth 2;\n        ssl_crl /etc/nginx/ssl/client-ca.crl;\n');
+      expect(config).toContain('        location /admin {\n            if ($ssl_client_verify != SUCCESS) {\n                return 403;\n            }\n            proxy_set_header X-SSL-Client-Verify $ssl_client_verify;\n            proxy_set_header X-SSL-Client-S-DN $ssl_client_s_dn;');
+      expect(config).toContain('            proxy_set_header X-SSL-Client-Serial $ssl_client_serial;\n\n            proxy_pass');
+      expect(config).toContain('        location /app {\n            uwsgi_param HTTP_X_SSL_CLIENT_VERIFY $ssl_client_verify;');
+    });
+
+    it('should default to ssl_verify_client on', async () => {
+      builder.importState(mtlsState({ ca: '/etc/nginx/ssl/client-ca.pem' }, []));
+      const config = await builder.build();
+
+      expect(config).toContain('        ssl_client_certificate /etc/nginx/ssl/client-ca.pem;\n        ssl_verify_client on;\n\n');
+      expect(config).not.toContain('ssl_verify_depth');
+    });
+
+    it('should reject client certificates without a CA or next to Cloudflare', () => {
+      builder.importState(mtlsState({ verify: 'optional' }, undefined, { provider: 'cloudflare' }));
+      const errors = builder.validate().errors;
+
+      expect(errors).toContain('Server api.example.com: Cloudflare SSL already verifies origin-pull certificates; remove ssl.clientCert');
+      expect(errors).toContain('Server api.example.com: Client certificates need a CA file (ssl.clientCert.ca)');
+
+      builder.importState(mtlsState(undefined));
+      expect(builder.validate().errors).toContain('Server api.example.com: Location /admin uses client certificates but the server has no ssl.clientCert');
+    });
+  });
+
+  describe('access rules', () => {
+    const accessState = (serverAccess, locations, extra = {}) => createState({
+      ipLists: [{ name: 'office', addresses: ['203.0.113.0/24', '2001:db8::/48'] }],
+      servers: [{
+        id: 's1',
+        domain: { primary: 'app.example.com' },
+        ssl: { enabled: false },
+        access: serverAccess,
+        locations
+      }],
+      ...extra
+    });
+
+    it('should expand IP lists into allow rules ending with deny all', async () => {
+      builder.importState(accessState({ deny: ['198.51.100.7'] }, [
+        { id: 'l1', type: 'proxy', path: '/admin', upstream: 'backend', access: { allow: ['office', '10.0.0.0/8'], satisfy: 'any' }, auth: { basic: {} } }
+      ]));
+      const config = await builder.build();
+
+      expect(config).toContain('        # Access control\n        deny 198.51.100.7;\n\n');
+      expect(config).toContain('        location /admin {\n            allow 203.0.113.0/24;\n            allow 2001:db8::/48;\n            allow 10.0.0.0/8;\n            deny all;\n            satisfy any;\n            auth_basic "Restricted";');
+    });
+
+    it('should block countries through GeoIP2 maps', async () => {
+      builder.importState(accessState({ countries: { deny: ['ru', 'CN'] } }, [
+        { id: 'l1', type: 'static', path: '/shop', root: '/srv/shop', access: { countries: { allow: ['FR', 'DE'] } } },
+        { id: 'l2', type: 'static', path: '/eu', root: '/srv/eu', access: { countries: { allow: ['DE', 'FR'] } } }
+      ], { globalSettings: { geoip2: { database: '/usr/share/GeoIP/GeoLite2-Country.mmdb' } } }));
+      const config = await builder.build();
+
+      expect(config).toContain('    geoip2 /usr/share/GeoIP/GeoLite2-Country.mmdb {\n        $geoip2_country_code country iso_code;\n    }\n\n    map $geoip2_country_code $blocked_country_1 {\n        default 0;\n        CN 1;\n        RU 1;\n    }\n\n    map $geoip2_country_code $blocked_country_2 {\n        default 1;\n        DE 0;\n        FR 0;\n    }\n');
+      expect(config).not.toContain('$blocked_country_3');
+      expect(config).toContain('        # Access control\n        if ($blocked_country_1) {\n            return 403;\n        }\n');
+      expect(config).toContain('        location /eu {\n            if ($blocked_country_2) {\n                return 403;\n            }\n');
+    });
+
+    it('should reject bad addresses, unknown lists and countries without a database', () => {
+      builder.importState(accessState({ allow: ['partners'], countries: { deny: ['RU'] } }, [], {
+        ipLists: [{ name: 'office', addresses: ['203.0.113.0/33'] }]
+      }));
+      const result = builder.validate();
+
+      expect(result.errors).toContain('IP list office: Invalid CIDR prefix: 203.0.113.0/33');
+      expect(result.errors).toContain('Server app.example.com: Access entry \'partners\' is neither an IP list nor an address');
+      expect(result.errors).toContain('Server app.example.com: Country rules need globalSettings.geoip2.database');
+    });
+  });
+
+  describe('traffic splits', () => {
+    const splitState = split => createState({
+      servers: [{
+        id: 's1',
+        domain: { primary: 'app.example.com' },
+        ssl: { enabled: false },
+        locations: [{ id: 'l1', type: 'api', path: '/api', upstream: 'backend', split }]
+      }],
+      upstreams: [
+        { id: 'u1', name: 'backend', servers: [{ host: '127.0.0.1', port: 3000 }] },
+        { id: 'u2', name: 'backend_v2', servers: [{ host: '127.0.0.1', port: 3001 }] }
+      ]
+    });
+
+    it('should send a share of clients to the canary with header and cookie overrides', async () => {
+      builder.importState(splitState({ upstream: 'backend_v2', percent: 10, header: 'X-Canary', cookie: 'canary' }));
+      const config = await builder.build();
+
+      expect(config).toContain('    # Traffic split: app.example.com /api (10% to backend_v2)\n    split_clients "$remote_addr" $split_app_example_com_api {\n        10% backend_v2;\n        * backend;\n    }\n');
+      expect(config).toContain('    map "$http_x_canary:$cookie_canary" $route_app_example_com_api {\n        default $split_app_example_com_api;\n        ~^1: backend_v2;\n        ~^0: backend;\n        ~:1$ backend_v2;\n        ~:0$ backend;\n    }\n');
+      expect(config).toContain('            proxy_pass http://$route_app_example_com_api;');
+    });
+
+    it('should route everything to the active blue/green upstream', async () => {
+      builder.importState(splitState({ mode: 'blue-green', upstream: 'backend_v2', active: 'green' }));
+      const config = await builder.build();
+
+      expect(config).not.toContain('split_clients');
+      expect(config).toContain('            proxy_pass http://backend_v2;');
+    });
+
+    it('should skip split_clients at 0% and use the hash key for stickiness', async () => {
+      builder.importState(splitState({ upstream: 'backend_v2', percent: 0, header: 'X-Canary' }));
+      let config = await builder.build();
+
+      expect(config).not.toContain('split_clients');
+      expect(config).toContain('    map "$http_x_canary" $route_app_example_com_api {\n        default backend;\n        1 backend_v2;\n        0 backend;\n    }\n');
+
+      builder.importState(splitState({ upstream: 'backend_v2', percent: 2.5, key: '$cookie_session' }));
+      config = await builder.build();
+      expect(config).toContain('    split_clients "$cookie_session" $split_app_example_com_api {\n        2.5% backend_v2;');
+      expect(config).toContain('            proxy_pass http://$split_app_example_com_api;');
+    });
+
+    it('should reject unknown split upstreams', () => {
+      builder.importState(splitState({ upstream: 'missing', percent: 10 }));
+
+      expect(builder.validate().errors).toContain('Server app.example.com: Location /api: Traffic split references undefined upstream \'missing\'');
+    });
+  });
+
+  describe('maintenance mode', () => {
+    const maintenanceState = maintenance => createState({
+      servers: [{
+        id: 's1',
+        domain: { primary: 'app.example.com' },
+        ssl: { enabled: false },
+        maintenance,
+        locations: [
+          { id: 'l1', type: 'proxy', path: '/', target: 'http://127.0.0.1:3000' },
+          { id: 'l2', type: 'health', path: '/health' }
+        ]
+      }],
+      ipLists: [{ name: 'office', addresses: ['10.0.0.0/8'] }]
+    });
+
+    it('should answer 503 everywhere but health checks and let allowlisted clients through', async () => {
+      builder.importState(maintenanceState({ enabled: true, allow: ['office', '203.0.113.7'], cookie: { name: 'bypass', value: 's3cret' } }));
+      const config = await builder.build();
+
+      expect(config).toContain('    geo $maintenance_app_example_com {\n        default 1;\n        10.0.0.0/8 0;\n        203.0.113.7 0;\n    }\n');
+      expect(config).toContain('        set $maintenance $maintenance_app_example_com;\n        if ($cookie_bypass = "s3cret") {\n            set $maintenance 0;\n        }\n        error_page 503 @maintenance;\n');
+      expect(config).toContain('        location / {\n            if ($maintenance) {\n                return 503;\n            }\n');
+      expect(config).toContain('        location /health {\n            return 200');
+      expect(config).toContain('        location @maintenance {\n            add_header Retry-After 300 always;\n            default_type text/html;\n            return 503 ');
+    });
+
+    it('should serve a custom page and leave the server alone when off', async () => {
+      builder.importState(maintenanceState({ enabled: true, retryAfter: 3600, page: '/var/www/maintenance/index.html' }));
+      let config = await builder.build();
+
+      expect(config).not.toContain('geo $maintenance');
+      expect(config).toContain('        set $maintenance 1;\n        error_page 503 @maintenance;\n');
+      expect(config).toContain('            add_header Retry-After 3600 always;\n            root /var/www/maintenance;\n            rewrite ^ /index.html break;\n');
+
+      builder.importState(maintenanceState({ enabled: false, allow: ['office'] }));
+      config = await builder.build();
+      expect(config).not.toContain('maintenance');
+    });
+
+    it('should reject unknown bypass entries and incomplete cookies', () => {
+      builder.importState(maintenanceState({ enabled: true, allow: ['missing-list'], cookie: { name: 'bypass' } }));
+      const result = builder.validate();
+
+      expect(result.valid).toBe(false);
+      expect(result.errors.some(e => e.includes('missing-list'))).toBe(true);
+      expect(result.errors.some(e => e.includes('needs a name and a value'))).toBe(true);
+    });
+
+    it('should reject cookie names and values nginx would misread', () => {
+      builder.importState(maintenanceState({ enabled: true, cookie: { name: 'my-bypass', value: 'a"b' } }));
+
+      expect(builder.validate().errors).toEqual([
+        'Server app.example.com: The maintenance bypass cookie name may only contain letters, digits and _',
+        'Server app.example.com: The maintenance bypass cookie value may not contain spaces, quotes, backslashes, $, ; or braces'
+      ]);
+    });
+  });
+
+  describe('routing maps', () => {
+    const mapState = (map, location = { id: 'l1', type: 'api', path: '/api', upstreamMap: 'backend_route' }) => createState({
+      servers: [{ id: 's1', domain: { primary: 'app.example.com' }, ssl: { enabled: false }, locations: [location] }],
+      upstreams: [
+        { id: 'u1', name: 'backend', servers: [{ host: '127.0.0.1', port: 3000 }] },
+        { id: 'u2', name: 'backend_beta', servers: [{ host: '127.0.0.1', port: 3001 }] }
+      ],
+      maps: [{
+        name: 'backend_route',
+        source: '$http_x_beta',
+        default: 'backend',
+        entries: [{ key: '1', value: 'backend_beta' }, { key: '~*^(yes|true)$', value: 'backend_beta' }],
+        ...map
+      }]
+    });
+
+    it('should render map blocks and proxy through the map variable', async () => {
+      builder.importState(mapState({}));
+      const config = await builder.build();
+
+      expect(config).toContain('    # Map: backend_route\n    map $http_x_beta $backend_route {\n        default backend;\n        1 backend_beta;\n        ~*^(yes|true)$ backend_beta;\n    }\n');
+      expect(config).toContain('            proxy_pass http://$backend_route;');
+    });
+
+    it('should quote combined sources and keys nginx would misread', async () => {
+      builder.importState(mapState({
+        source: '$cookie_beta:$http_user_agent',
+        entries: [{ key: '~^1:.*\\d{2}', value: 'backend_beta' }, { key: 'default', value: 'backend_beta' }]
+      }));
+      const config = await builder.build();
+
+      expect(config).toContain('    map "$cookie_beta:$http_user_agent" $backend_route {\n        default backend;\n        "~^1:.*\\d{2}" backend_beta;\n        \\default backend_beta;\n    }\n');
+    });
+
+    it('should reject results that are not upstreams and unknown maps', () => {
+      builder.importState(mapState({ default: 'http://127.0.0.1:3000', entries: [{ key: '1', value: 'missing' }] },
+        { id: 'l1', type: 'static', path: '/', upstreamMap: 'other' }));
+      const result = builder.validate();
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toContain("Map backend_route: Result 'http://127.0.0.1:3000' is not a defined upstream");
+      expect(result.errors).toContain("Map backend_route: Result 'missing' is not a defined upstream");
+      expect(result.errors).toContain('Server app.example.com: Location /: Routing maps are only available for proxy and api locations');
+      expect(result.errors).toContain("Server app.example.com: Location /: References undefined map 'other'");
+    });
+    it('should reject map names that shadow nginx or generated variables', () => {
+      for (const name of ['host', 'uri', 'maintenance', 'new_uri_app', 'route_api']) {
+        builder.importState(mapState({ name }, { id: 'l1', type: 'api', path: '/api', upstreamMap: name }));
+
+        expect(builder.validate().errors).toEqual([
+          `Map ${name}: $${name} is an nginx variable or one the wizard generates; choose another name`
+        ]);
+      }
+    });
+  });
+
+  describe('redirect tables', () => {
+    const redirectState = redirects => createState({
+      servers: [{
+        id: 's1',
+        domain: { primary: 'app.example.com' },
+        ssl: { enabled: false },
+        redirects,
+        locations: [{ id: 'l1', type: 'proxy', path: '/', target: 'http://127.0.0.1:3000' }]
+      }]
+    });
+
+    it('should render one map and return per status code', async () => {
+      builder.importState(redirectState({
+        rows: [
+          { from: '/about-us', to: '/about' },
+          { from: '~^/blog/(\\d+)$', to: '/posts/$1', code: 308 },
+          { from: '/contact', to: '/contact-us?src=old', code: 301 }
+        ]
+      }));
+      const config = await builder.build();
+
+      expect(config).toContain('    map $uri $new_uri_app_example_com_301 {\n        /about-us /about$is_args$args;\n        /contact /contact-us?src=old;\n    }\n');
+      expect(config).toContain('    map $uri $new_uri_app_example_com_308 {\n        ~^/blog/(\\d+)$ /posts/$1$is_args$args;\n    }\n');
+      expect(config).toContain('        # Redirects\n        if ($new_uri_app_example_com_301) {\n            return 301 $new_uri_app_example_com_301;\n        }\n        if ($new_uri_app_example_com_308) {');
+    });
+
+    it('should match query-string sources first and drop queries on request', async () => {
+      builder.importState(redirectState({
+        query: 'drop',
+        rows: [{ from: '/product?id=5', to: '/shop/widget' }, { from: '/product', to: '/shop' }]
+      }));
+      const config = await builder.build();
+
+      expect(config).toContain('    map $request_uri $new_uri_app_example_com_301 {\n        default $new_uri_app_example_com_301_path;\n        /product?id=5 /shop/widget;\n    }\n    map $uri $new_uri_app_example_com_301_path {\n        /product /shop;\n    }\n');
+    });
+
+    it('should reject loops and warn about chains', () => {
+      builder.importState(redirectState({
+        rows: [{ from: '/a', to: '/b' }, { from: '/b', to: '/c' }, { from: '/x', to: '/y' }, { from: '/y', to: '/x' }]
+      }));
+      const result = builder.validate();
+
+      expect(result.errors).toContain('Server app.example.com: Redirect loops: /x → /y → /x');
+      expect(result.warnings).toContain('Server app.example.com: 1 redirect chain(s), point each source at its final target: /a → /b → /c');
+    });
+  });
+
+  describe('wildcard and regex server names', () => {
+    const tenantState = (domain, ssl = { enabled: true, provider: 'letsencrypt' }) => createState({
+      servers: [{
+        id: 's1',
+        domain,
+        ssl,
+        locations: [
+          { id: 'l1', type: 'static', path: '/', root: '/srv/tenants/$tenant' },
+          { id: 'l2', type: 'proxy', path: '/api', target: 'http://127.0.0.1:3000', headers: { 'X-Tenant': '$tenant' } }
+        ]
+      }]
+    });
+
+    it('should render regex names with captures and redirect to the requested host', async () => {
+      builder.importState(tenantState({ primary: '~^(?<tenant>[a-z0-9-]+)\\.example\\.com$', aliases: ['*.example.org'] }));
+      const config = await builder.build();
+
+      expect(builder.validate().errors).toEqual([]);
+      expect(config).toContain('server_name ~^(?<tenant>[a-z0-9-]+)\\.example\\.com$ *.example.org;');
+      expect(config).toContain('return 301 https://$host$request_uri;');
+      expect(config).toContain('root /srv/tenants/$tenant;');
+      expect(config).toContain('proxy_set_header X-Tenant $tenant;');
+      expect(config).toContain('access_log /var/log/nginx/regex.example.com/access.log main;');
+    });
+
+    it('should derive wildcard certificate paths from the base domain', async () => {
+      builder.importState(tenantState({ primary: '*.example.com' }));
+      const config = await builder.build();
+      const files = await builder.buildFiles('debian');
+
+      expect(config).toContain('ssl_certificate /etc/letsencrypt/live/example.com/fullchain.pem;');
+      expect(Object.keys(files)).toContain('sites-available/wildcard.example.com.conf');
+    });
+
+    it('should reject names no certificate path can be derived from', () => {
+      builder.importState(tenantState({ primary: 'example.*' }));
+      expect(builder.validate().errors).toEqual([
+        expect.stringContaining('No certificate path can be derived')
+      ]);
+
+      builder.importState(tenantState({ primary: 'www.*.example.com' }, { enabled: false }));
+      expect(builder.validate().errors).toEqual(['Server www.*.example.com: Invalid domain name: www.*.example.com']);
+    });
+  });
+
+  describe('default server', () => {
+    const defaultState = (defaultServer, servers = [{ id: 's1', domain: { primary: 'app.example.com' }, ssl: { enabled: true, provider: 'letsencrypt' }, locations: [] }]) => createState({
+      globalSettings: { defaultServer },
+      servers
+    });
+
+    it('should answer unknown hosts with 444 and reject TLS handshakes on every port', async () => {
+      builder.importState(defaultState(true));
+      const config = await builder.build();
+
+      expect(config).toContain('        listen 80 default_server;\n        listen [::]:80 default_server;\n        server_name _;\n\n        return 444;\n    }');
+      expect(config).toContain('        listen 443 ssl default_server;\n        listen [::]:443 ssl default_server;\n        server_name _;\n\n        # Refuse the TLS handshake instead of presenting another site\'s certificate\n        ssl_reject_handshake on;');
+      expect(config.indexOf('default_server')).toBeLessThan(config.indexOf('# Server: app.example.com'));
+    });
+
+    it('should serve a custom page with a dummy certificate', async () => {
+      builder.importState(defaultState({ page: '/var/www/errors/unknown.html', https: 'certificate' }));
+      const files = await builder.buildFiles('debian');
+      const file = files['sites-available/default.conf'];
+
+      expect(file).toContain('    ssl_certificate /etc/nginx/ssl/default/cert.pem;');
+      expect(file).toContain('    error_page 404 /unknown.html;\n\n    location = /unknown.html {\n        root /var/www/errors;\n        internal;\n    }');
+      expect(builder.getSymlinks('debian', files)).toHaveProperty(['sites-enabled/default.conf'], '../sites-available/default.conf');
+    });
+
+    it('should reject a second default server on a port', () => {
+      builder.importState(defaultState({ page: '/var/www/errors/unknown.html', response: 444 }, [
+        { id: 's1', domain: { primary: 'app.example.com' }, ssl: { enabled: false }, defaultServer: true, locations: [] }
+      ]));
+
+      expect(builder.validate().errors).toEqual([
+        'Default server: 444 closes the connection without a response; pick a status such as 404 to serve the page',
+        'Port 80 has more than one default_server: the catch-all default server, app.example.com'
+      ]);
+    });
+
+    it('should require an error_page status when serving a page', () => {
+      builder.importState(defaultState({ page: '/var/www/errors/unknown.html', response: 200 }));
+
+      expect(builder.validate().errors).toEqual(['Default server: A page needs a status from 300 to 599, got 200']);
+    });
+  });
+
+  describe('streams', () => {
+    const streams = (listeners, upstreams = [{ id: 'su1', name: 'pg', servers: [{ host: '10.0.0.1', port: 5432 }], loadBalancing: 'least_conn' }]) => ({
+      upstreams,
+      listeners
+    });
+
+    it('should render a stream block after the http block', async () => {
+      builder.importState(createState({
+        streams: streams([
+          { id: 't1', name: 'postgres', protocol: 'tcp', port: 5432, upstream: 'pg', maxConnections: 50, connectTimeout: 5, proxyProtocol: true },
+          { id: 't2', protocol: 'udp', port: 53, target: '10.0.0.53:53', responses: 1, timeout: 10 }
+        ])
+      }));
+      const config = await builder.build();
+
+      expect(config).toMatch(/\n}\n\n# TCP\/UDP proxying\nstream {\n/);
+      expect(config).toContain('    upstream pg {\n        least_conn;\n        server 10.0.0.1:5432;');
+      expect(config).toContain('    limit_conn_zone $binary_remote_addr zone=stream_postgres_conn:10m;');
+      expect(config).toContain('        listen 5432;\n        listen [::]:5432;\n        proxy_pass pg;\n        proxy_protocol on;\n        proxy_connect_timeout 5s;');
+      expect(config).toContain('        limit_conn stream_postgres_conn 50;');
+      expect(config).toContain('        listen 53 udp;\n        listen [::]:53 udp;\n        proxy_pass 10.0.0.53:53;\n        proxy_timeout 10s;\n        proxy_responses 1;');
+    });
+
+    it('should route TLS by SNI through ssl_preread and a map', async () => {
+      builder.importState(createState({
+        streams: streams([{
+          id: 't1', name: 'tls', protocol: 'tcp', port: 8443, target: '10.0.1.9:443', acceptProxyProtocol: true,
+          sniRoutes: [{ serverName: 'db.example.com', upstream: 'pg' }, { serverName: '*.b.example.com', upstream: '10.0.1.2:443' }]
+        }])
+      }));
+      const config = await builder.build();
+
+      expect(config).toContain('map $ssl_preread_server_name $stream_tls_backend {\n        hostnames;\n        db.example.com pg;\n        *.b.example.com 10.0.1.2:443;\n        default 10.0.1.9:443;\n    }');
+      expect(config).toContain('        listen 8443 proxy_protocol;\n        listen [::]:8443 proxy_protocol;\n        ssl_preread on;\n        proxy_pass $stream_tls_backend;');
+    });
+
+    it('should allow stream-only configurations', async () => {
+      builder.importState({ servers: [], upstreams: [], streams: streams([{ id: 't1', port: 5432, upstream: 'pg' }]) });
+
+      expect(builder.validate().valid).toBe(true);
+      expect(await builder.build()).toContain('proxy_pass pg;');
+    });
+
+    it('should reject invalid stream listeners', () => {
+      builder.importState(createState({
+        streams: streams([
+          { id: 't1', name: 'a', protocol: 'tcp', port: 5432, upstream: 'missing' },
+          { id: 't2', name: 'b', protocol: 'udp', port: 53, target: '10.0.0.53:53', sniRoutes: [{ serverName: 'x.example.com', upstream: 'pg' }] },
+          { id: 't3', name: 'c', protocol: 'tcp', port: 5432, target: 'localhost' },
+          { id: 't4', name: 'd', protocol: 'tcp', port: 80, upstream: 'pg' }
+        ])
+      }));
+      const { valid, errors } = builder.validate();
+
+      expect(valid).toBe(false);
+      expect(errors).toEqual(expect.arrayContaining([
+        "Stream a: References undefined stream upstream 'missing'",
+        'Stream b: SNI routing (ssl_preread) requires TCP',
+        "Stream c: Target 'localhost' must be host:port or a unix: socket",
+        expect.stringMatching(/^Stream c: .*is already used by stream a$/),
+        'Stream d: Port 80 is also used by server example.com'
+      ]));
+    });
+
+    it('should write stream.d files for the debian layout', () => {
+      builder.importState(createState({
+        streams: streams([{ id: 't1', name: 'postgres', port: 5432, upstream: 'pg' }])
+      }));
+      const files = builder.generateFiles('debian');
+
+      expect(files['nginx.conf']).toContain('stream {\n    include stream.d/*.conf;\n}');
+      expect(files['stream.d/upstreams.conf']).toContain('\nupstream pg {');
+      expect(files['stream.d/postgres.conf']).toContain('\nserver {\n    listen 5432;');
+    });
+  });
+});
@@ -25,6 +25,21 @@ describe('Validator', () => {
       expect(validator.validateDomain('')).toBe(false);
       expect(validator.validateDomain(null)).toBe(false);
     });
+
+    it('should accept wildcard and regex server names', () => {
+      expect(validator.validateDomain('*.example.com')).toBe(true);
+      expect(validator.validateDomain('.example.com')).toBe(true);
+      expect(validator.validateDomain('example.*')).toBe(true);
+      expect(validator.validateDomain('~^(?<tenant>.+)\\.example\\.com$')).toBe(true);
+      expect(validator.validateDomain('~^(?P<tenant>.+)\\.example\\.com$')).toBe(true);
+    });
+
+    it('should reject malformed wildcard and regex server names', () => {
+      expect(validator.validateDomain('*.*.example.com')).toBe(false);
+      expect(validator.validateDomain('*.invalid..domain')).toBe(false);
+      expect(validator.validateDomain('~^(?<tenant>.+\\.example\\.com$')).toBe(false);
+      expect(validator.getErrors()[2]).toContain('Invalid server name regex');
+    });
   });
 
   describe('validatePort', () => {
@@ -80,6 +95,22 @@ describe('Validator', () => {
     });
   });
 
+  describe('validateCIDR', () => {
+    it('should accept addresses and ranges', () => {
+      expect(validator.validateCIDR('203.0.113.7')).toBe(true);
+      expect(validator.validateCIDR('203.0.113.0/24')).toBe(true);
+      expect(validator.validateCIDR('2001:db8::/32')).toBe(true);
+    });
+
+    it('should reject bad addresses and prefixes', () => {
+      expect(validator.validateCIDR('203.0.113.0/33')).toBe(false);
+      expect(validator.validateCIDR('2001:db8::/129')).toBe(false);
+      expect(validator.validateCIDR('10.0.0.0/8/8')).toBe(false);
+      expect(validator.validateCIDR('office/24')).toBe(false);
+      expect(validator.errors).toContain('Invalid CIDR prefix: 203.0.113.0/33');
+    });
+  });
+
   describe('validateURL', () => {
     it('should accept valid URLs', () => {
       expect(validator.validateURL('http://example.com')).toBe(true);
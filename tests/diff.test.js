@@ -0,0 +1,85 @@
+import { describe, it, expect } from '@jest/globals';
+import { diffLines, formatDiff, keepGeneratedAt } from '../src/cli/wizard/diff.js';
+import TreeConfigBuilder from '../src/core/TreeConfigBuilder.js';
+
+const STATE = {
+  servers: [{
+    id: 's1',
+    domain: { primary: 'example.com' },
+    ssl: { enabled: false },
+    locations: [{ id: 'l1', type: 'proxy', path: '/', target: 'http://127.0.0.1:3000' }]
+  }],
+  upstreams: [],
+  globalSettings: {}
+};
+
+describe('diff', () => {
+  describe('diffLines', () => {
+    it('should mark removed and added lines around unchanged ones', () => {
+      const diff = diffLines('a\nb\nc\n', 'a\nx\nc\nd\n');
+
+      expect(diff.map(entry => `${entry.type}${entry.line}`)).toEqual([' a', '-b', '+x', ' c', '+d']);
+    });
+
+    it('should treat an empty text as no lines', () => {
+      expect(diffLines('', 'a\n')).toEqual([{ type: '+', line: 'a' }]);
+      expect(diffLines('a\n', 'a\n')).toEqual([{ type: ' ', line: 'a' }]);
+    });
+
+    it('should replace a very large changed middle as one block', () => {
+      const before = Array.from({ length: 3000 }, (_, i) => `old ${i}`);
+      const after = Array.from({ length: 3000 }, (_, i) => `new ${i}`);
+      const diff = diffLines(['head', ...before, 'tail'].join('\n'), ['head', ...after, 'tail'].join('\n'));
+
+      expect(diff).toHaveLength(6002);
+      expect(diff[0]).toEqual({ type: ' ', line: 'head' });
+      expect(diff[1]).toEqual({ type: '-', line: 'old 0' });
+      expect(diff[3001]).toEqual({ type: '+', line: 'new 0' });
+      expect(diff[6001]).toEqual({ type: ' ', line: 'tail' });
+    });
+  });
+
+  describe('keepGeneratedAt', () => {
+    it('should report no diff when the same state is regenerated later', async () => {
+      const previous = (await new TreeConfigBuilder().importState(STATE).build())
+        .replace(/# Generated at: .*/, '# Generated at: 2020-01-01T00:00:00.000Z');
+      const regenerated = await new TreeConfigBuilder().importState(STATE).build();
+
+      expect(regenerated).not.toBe(previous);
+      expect(keepGeneratedAt(previous, regenerated)).toBe(previous);
+      expect(formatDiff(diffLines(previous, keepGeneratedAt(previous, regenerated)), 'nginx.conf')).toEqual([]);
+    });
+
+    it('should take the new file when anything besides the timestamp changed', () => {
+      const previous = '# Generated at: 2020-01-01T00:00:00.000Z\nworker_processes 1;\n';
+      const content = '# Generated at: 2026-01-01T00:00:00.000Z\nworker_processes auto;\n';
+
+      expect(keepGeneratedAt(previous, content)).toBe(content);
+    });
+  });
+
+  describe('formatDiff', () => {
+    it('should return nothing for identical files', () => {
+      expect(formatDiff(diffLines('a\nb\n', 'a\nb\n'), 'nginx.conf')).toEqual([]);
+    });
+
+    it('should print hunks with context and line ranges', () => {
+      const before = Array.from({ length: 20 }, (_, i) => `line ${i + 1}`).join('\n');
+      const after = before.replace('line 2\n', 'line two\n').replace('line 18\n', '');
+
+      expect(formatDiff(diffLines(before, after), 'nginx.conf', 1)).toEqual([
+        '--- nginx.conf',
+        '+++ nginx.conf',
+        '@@ -1,3 +1,3 @@',
+        ' line 1',
+        '-line 2',
+        '+line two',
+        ' line 3',
+        '@@ -17,3 +17,2 @@',
+        ' line 17',
+        '-line 18',
+        ' line 19'
+      ]);
+    });
+  });
+});
@@ -1,4 +1,6 @@
 import { getPreset, getPresets, applyPreset } from '../src/presets/index.js';
+import { presetToState } from '../src/cli/wizard/state.js';
+import TreeConfigBuilder from '../src/core/TreeConfigBuilder.js';
 
 describe('Presets', () => {
   describe('getPresets', () => {
@@ -174,4 +176,20 @@ describe('Presets', () => {
       });
     });
   });
+
+  describe('presetToState', () => {
+    test('should map PHP presets onto a front controller and a FastCGI location', async () => {
+      const state = presetToState(applyPreset('laravel'));
+      const [server] = state.servers;
+
+      expect(server.upstreams[0]).toMatchObject({ name: 'laravel', keepalive: 32 });
+      expect(server.locations.map(l => [l.type, l.path])).toEqual([['spa', '/'], ['fastcgi', '~ [^/]\\.php(/|$)']]);
+      expect(server.locations[0]).toMatchObject({ root: '/var/www/html/public', index: 'index.php', fallback: '/index.php?$query_string' });
+
+      const config = await new TreeConfigBuilder().importState(state).build();
+      expect(config).toContain('try_files $uri $uri/ /index.php?$query_string;');
+      expect(config).toContain('fastcgi_pass laravel;');
+      expect(config).not.toContain('proxy_pass');
+    });
+  });
 });
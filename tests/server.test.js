@@ -0,0 +1,77 @@
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import app from '../web/server.js';
+
+const SERVER = {
+  id: 's1',
+  domain: { primary: 'example.com' },
+  ssl: { enabled: false },
+  locations: [{ id: 'l1', type: 'proxy', path: '/', target: 'http://127.0.0.1:3000' }]
+};
+
+describe('web server', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  const post = async (path, body) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    return { status: response.status, data: await response.json() };
+  };
+
+  describe('POST /api/generate', () => {
+    it('should return the generated config with stream settings', async () => {
+      const { status, data } = await post('/api/generate', {
+        state: {
+          globalSettings: {},
+          servers: [SERVER],
+          upstreams: [],
+          streams: {
+            upstreams: [],
+            listeners: [{ id: 't1', name: 'postgres', protocol: 'tcp', port: 5432, target: '10.0.0.1:5432' }]
+          }
+        }
+      });
+
+      expect(status).toBe(200);
+      expect(typeof data.config).toBe('string');
+      expect(data.config).toContain('stream {');
+      expect(data.config).toContain('proxy_pass 10.0.0.1:5432;');
+    });
+
+    it('should apply the DDoS protection settings from the web UI', async () => {
+      const { status, data } = await post('/api/generate', {
+        state: {
+          globalSettings: { ddos: { enabled: true, profile: 'balanced', loginPaths: ['/login'] } },
+          servers: [{ ...SERVER, locations: [...SERVER.locations, { id: 'l2', type: 'proxy', path: '/login', target: 'http://127.0.0.1:3000' }] }],
+          upstreams: []
+        }
+      });
+
+      expect(status).toBe(200);
+      expect(data.config).toContain('limit_conn_zone $binary_remote_addr zone=conn_limit_balanced:10m;');
+      expect(data.config).toContain('limit_req_zone $binary_remote_addr zone=ddos_general:10m rate=100r/s;');
+      expect(data.config).toContain('limit_req zone=ddos_general burst=50 nodelay;');
+      expect(data.config).toMatch(/location \/login \{\n\s+limit_req zone=ddos_login burst=10 nodelay;/);
+    });
+
+    it('should reject a request without state', async () => {
+      const { status, data } = await post('/api/generate', {});
+
+      expect(status).toBe(400);
+      expect(data.error).toBe('State is required');
+    });
+  });
+});
@@ -0,0 +1,103 @@
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import NginxParser from '../src/core/NginxParser.js';
+import { checkSyntax, checkCommonIssues, checkSecurityBestPractices, formatIssue } from '../src/cli/validate.js';
+
+describe('validate', () => {
+  let parser;
+
+  beforeEach(() => {
+    parser = new NginxParser();
+  });
+
+  describe('checkSyntax', () => {
+    it('should point at the end of a directive missing its semicolon', () => {
+      const nodes = parser.parse('server {\n    root /var/www\n    index index.html;\n}\n', 'site.conf');
+      const errors = checkSyntax(nodes);
+
+      expect(errors).toHaveLength(1);
+      expect(formatIssue(errors[0])).toBe('site.conf:2:18: Missing semicolon at end of "root" directive');
+    });
+
+    it('should accept multi-line arguments', () => {
+      const nodes = parser.parse('log_format main\n    \'$remote_addr\'\n    \'$status\';\n');
+      expect(checkSyntax(nodes)).toEqual([]);
+    });
+
+    it('should require arguments on location blocks', () => {
+      const nodes = parser.parse('server {\n    location {\n    }\n}\n');
+      expect(checkSyntax(nodes)[0]).toMatchObject({ line: 2, column: 5, message: '"location" block requires arguments' });
+    });
+  });
+
+  describe('checkCommonIssues', () => {
+    it('should flag duplicate server_name on the same port only', () => {
+      const nodes = parser.parse([
+        'http {',
+        '    server { listen 80; server_name a.com; return 301 https://$host$request_uri; }',
+        '    server { listen 443 ssl; server_name a.com; }',
+        '    server { listen 443 ssl; server_name a.com; }',
+        '}'
+      ].join('\n'), 'nginx.conf');
+      const duplicates = checkCommonIssues(nodes).filter(w => w.message.startsWith('Duplicate'));
+
+      expect(duplicates).toHaveLength(1);
+      expect(duplicates[0]).toMatchObject({ line: 4, column: 30 });
+      expect(duplicates[0].message).toContain('first defined at nginx.conf:3:30');
+    });
+
+    it('should flag HTTP servers that do not redirect to HTTPS', () => {
+      const nodes = parser.parse([
+        'http {',
+        '    server { listen 80; server_name a.com; }',
+        '    server { listen 443 ssl; server_name a.com; }',
+        '}'
+      ].join('\n'));
+      const warning = checkCommonIssues(nodes).find(w => w.message.includes('without redirect'));
+
+      expect(warning).toMatchObject({ line: 2, column: 14 });
+    });
+  });
+
+  describe('checkSecurityBestPractices', () => {
+    it('should inherit ssl settings and headers from http', () => {
+      const nodes = parser.parse([
+        'http {',
+        '    server_tokens off;',
+        '    ssl_protocols TLSv1.2 TLSv1.3;',
+        '    ssl_ciphers HIGH;',
+        '    ssl_prefer_server_ciphers off;',
+        '    add_header X-Frame-Options DENY;',
+        '    add_header X-Content-Type-Options nosniff;',
+        '    add_header X-XSS-Protection "1; mode=block";',
+        '    add_header Strict-Transport-Security "max-age=31536000";',
+        '    server { listen 443 ssl; server_name a.com; ssl_certificate /a.pem; }',
+        '}'
+      ].join('\n'));
+
+      expect(checkSecurityBestPractices(nodes)).toEqual([]);
+    });
+
+    it('should report headers dropped by a server-level add_header', () => {
+      const nodes = parser.parse([
+        'http {',
+        '    server_tokens off;',
+        '    add_header X-Frame-Options DENY;',
+        '    add_header X-Content-Type-Options nosniff;',
+        '    add_header X-XSS-Protection "1; mode=block";',
+        '    server {',
+        '        listen 80;',
+        '        add_header X-Custom yes;',
+        '        autoindex on;',
+        '    }',
+        '}'
+      ].join('\n'));
+      const issues = checkSecurityBestPractices(nodes);
+
+      expect(issues[0]).toMatchObject({
+        line: 6,
+        message: 'Missing security headers: X-Frame-Options, X-Content-Type-Options, X-XSS-Protection'
+      });
+      expect(issues[1]).toMatchObject({ line: 9, column: 9 });
+    });
+  });
+});
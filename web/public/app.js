@@ -7,14 +7,24 @@ const state = {
     sendfile: true,
     tcpNopush: true,
     securityHeaders: true,
-    hideVersion: false
+    hideVersion: false,
+    ddos: {
+      enabled: false,
+      profile: 'balanced',
+      loginPaths: ['/login']
+    }
   },
   servers: [],
-  upstreams: []
+  upstreams: [],
+  streams: {
+    upstreams: [],
+    listeners: []
+  }
 };
 
 // Current editing context
 let editingServerId = null;
+let editingStreamId = null;
 let editingLocationIdx = null;
 let tempLocations = [];
 let tempUpstreamServers = [];
@@ -32,6 +42,7 @@ document.addEventListener('DOMContentLoaded', () => {
   initServerModal();
   initLocationModal();
   initUpstreamModal();
+  initStreamModals();
   initPreviewActions();
   updatePreview();
 });
@@ -65,6 +76,22 @@ function initGlobalSettings() {
       updatePreview();
     });
   });
+
+  // DDoS protection
+  const ddosProfile = document.getElementById('ddosProfile');
+  const ddosLoginPaths = document.getElementById('ddosLoginPaths');
+  const updateDDoS = () => {
+    const enabled = ddosProfile.value !== 'off';
+    state.globalSettings.ddos = {
+      enabled,
+      profile: enabled ? ddosProfile.value : 'balanced',
+      loginPaths: ddosLoginPaths.value.split(',').map(p => p.trim()).filter(Boolean)
+    };
+    document.getElementById('ddosLoginGroup').style.display = enabled ? 'block' : 'none';
+    updatePreview();
+  };
+  ddosProfile.addEventListener('change', updateDDoS);
+  ddosLoginPaths.addEventListener('change', updateDDoS);
 }
 
 // Modal helpers
@@ -137,6 +164,11 @@ function saveServer() {
     showToast('Please add at least one location', 'error');
     return;
   }
+
+  if (tempLocations.some(l => l.type === 'grpc') && !document.getElementById('http2').checked) {
+    showToast('gRPC locations require HTTP/2', 'error');
+    return;
+  }
   
   const server = {
     id: editingServerId || generateId(),
@@ -156,6 +188,11 @@ function saveServer() {
     locations: tempLocations,
     upstreams: []
   };
+
+  const existing = state.servers.find(s => s.id === editingServerId);
+  if (existing?.maintenance) {
+    server.maintenance = existing.maintenance;
+  }
   
   if (editingServerId) {
     const idx = state.servers.findIndex(s => s.id === editingServerId);
@@ -190,6 +227,16 @@ function editServer(id) {
   document.getElementById('serverModal').classList.add('active');
 }
 
+function toggleMaintenance(id) {
+  const server = state.servers.find(s => s.id === id);
+  if (!server) return;
+
+  server.maintenance = { ...server.maintenance, enabled: !server.maintenance?.enabled };
+  renderServersList();
+  updatePreview();
+  showToast(`Maintenance mode ${server.maintenance.enabled ? 'on' : 'off'} for ${server.domain.primary}`, 'success');
+}
+
 function deleteServer(id) {
   if (confirm('Are you sure you want to delete this server?')) {
     state.servers = state.servers.filter(s => s.id !== id);
@@ -210,10 +257,11 @@ function renderServersList() {
   container.innerHTML = state.servers.map(server => `
     <div class="list-item">
       <div class="list-item-info">
-        <div class="list-item-title">${server.domain.primary}${server.ssl?.enabled ? ' [SSL]' : ''}</div>
+        <div class="list-item-title">${server.domain.primary}${server.ssl?.enabled ? ' [SSL]' : ''}${server.maintenance?.enabled ? ' [Maintenance]' : ''}</div>
         <div class="list-item-subtitle">${server.locations.length} location(s)</div>
       </div>
       <div class="list-item-actions">
+        <button class="btn btn-secondary btn-sm" onclick="toggleMaintenance('${server.id}')">Maintenance ${server.maintenance?.enabled ? 'off' : 'on'}</button>
         <button class="btn btn-secondary btn-sm" onclick="editServer('${server.id}')">Edit</button>
         <button class="btn btn-danger btn-sm" onclick="deleteServer('${server.id}')">Delete</button>
       </div>
@@ -230,6 +278,10 @@ function initLocationModal() {
     proxy: 'Forward requests to a backend server (Node.js, Python, etc.).',
     api: 'API endpoint with optional CORS and rate limiting.',
     websocket: 'WebSocket connection with upgrade headers.',
+    grpc: 'Forward gRPC calls over HTTP/2, answering errors with gRPC status codes.',
+    fastcgi: 'Run PHP scripts through PHP-FPM or another FastCGI server.',
+    uwsgi: 'Pass requests to a Python app (Django, Flask) over a uWSGI socket.',
+    scgi: 'Pass requests to an application server over SCGI.',
     redirect: 'Redirect requests to another URL.',
     health: 'Health check endpoint for load balancers.'
   };
@@ -256,6 +308,16 @@ function initLocationModal() {
       document.getElementById('proxyOptions').style.display = 'block';
       document.getElementById('proxyWebsocket').checked = true;
       document.getElementById('locationPath').value = '/ws';
+    } else if (type === 'grpc') {
+      document.getElementById('grpcOptions').style.display = 'block';
+      document.getElementById('locationPath').value = '/';
+    } else if (type === 'fastcgi') {
+      document.getElementById('fastcgiOptions').style.display = 'block';
+      document.getElementById('locationPath').value = '~ [^/]\\.php(/|$)';
+    } else if (type === 'uwsgi' || type === 'scgi') {
+      document.getElementById('gatewayOptions').style.display = 'block';
+      document.getElementById('gatewayTarget').placeholder = `unix:/run/${type}/app.sock`;
+      document.getElementById('locationPath').value = '/';
     } else if (type === 'redirect') {
       document.getElementById('redirectOptions').style.display = 'block';
       document.getElementById('locationPath').value = '/old-path';
@@ -286,6 +348,14 @@ function resetLocationModal() {
   document.getElementById('proxyWebsocket').checked = false;
   document.getElementById('proxyTimeout').value = 60;
   document.getElementById('apiTarget').value = '';
+  document.getElementById('grpcTarget').value = '';
+  document.getElementById('grpcTimeout').value = 60;
+  document.getElementById('fastcgiTarget').value = '';
+  document.getElementById('fastcgiRoot').value = '';
+  document.getElementById('fastcgiCache').checked = false;
+  document.getElementById('gatewayTarget').value = '';
+  document.getElementById('gatewayBuffering').checked = true;
+  document.getElementById('gatewayTimeout').value = 60;
   document.getElementById('apiCors').checked = false;
   document.getElementById('apiRateLimit').checked = false;
 }
@@ -334,6 +404,31 @@ function saveLocation() {
       showToast('Please enter an API backend URL', 'error');
       return;
     }
+  } else if (type === 'grpc') {
+    location.target = document.getElementById('grpcTarget').value.trim();
+    location.timeout = parseInt(document.getElementById('grpcTimeout').value) || 0;
+    if (!/^(grpcs?:\/\/|unix:)/.test(location.target)) {
+      showToast('Please enter a grpc://, grpcs:// or unix: backend', 'error');
+      return;
+    }
+  } else if (type === 'fastcgi') {
+    location.target = document.getElementById('fastcgiTarget').value.trim();
+    location.root = document.getElementById('fastcgiRoot').value.trim() || '/var/www/html';
+    if (document.getElementById('fastcgiCache').checked) {
+      location.cache = { duration: '10m', bypassCookie: true };
+    }
+    if (!/^(unix:\S+|[^\s/:]+:\d+)$/.test(location.target)) {
+      showToast('Please enter a unix: socket or host:port', 'error');
+      return;
+    }
+  } else if (type === 'uwsgi' || type === 'scgi') {
+    location.target = document.getElementById('gatewayTarget').value.trim();
+    location.buffering = document.getElementById('gatewayBuffering').checked;
+    location.timeout = parseInt(document.getElementById('gatewayTimeout').value) || 0;
+    if (!/^(unix:\S+|[^\s/:]+:\d+)$/.test(location.target)) {
+      showToast('Please enter a unix: socket or host:port', 'error');
+      return;
+    }
   } else if (type === 'redirect') {
     location.redirectTarget = document.getElementById('redirectTarget').value.trim();
     location.redirectCode = parseInt(document.getElementById('redirectCode').value);
@@ -381,6 +476,17 @@ function editLocation(idx) {
     document.getElementById('apiRateLimit').checked = location.rateLimit || false;
     document.getElementById('rateLimit').value = location.rateLimitValue || 10;
     document.getElementById('rateBurst').value = location.rateLimitBurst || 20;
+  } else if (location.type === 'grpc') {
+    document.getElementById('grpcTarget').value = location.target || '';
+    document.getElementById('grpcTimeout').value = location.timeout ?? 60;
+  } else if (location.type === 'fastcgi') {
+    document.getElementById('fastcgiTarget').value = location.target || '';
+    document.getElementById('fastcgiRoot').value = location.root || '';
+    document.getElementById('fastcgiCache').checked = !!location.cache;
+  } else if (location.type === 'uwsgi' || location.type === 'scgi') {
+    document.getElementById('gatewayTarget').value = location.target || '';
+    document.getElementById('gatewayBuffering').checked = location.buffering !== false;
+    document.getElementById('gatewayTimeout').value = location.timeout ?? 60;
   } else if (location.type === 'redirect') {
     document.getElementById('redirectTarget').value = location.redirectTarget || '';
     document.getElementById('redirectCode').value = location.redirectCode || 301;
@@ -537,6 +643,205 @@ function renderUpstreamsList() {
   `).join('');
 }
 
+// Stream Modals
+function initStreamModals() {
+  document.getElementById('addStreamBtn').addEventListener('click', () => {
+    editingStreamId = null;
+    resetStreamModal();
+    document.getElementById('streamModalTitle').textContent = 'Add Stream Listener';
+    document.getElementById('streamModal').classList.add('active');
+  });
+
+  document.getElementById('addStreamUpstreamBtn').addEventListener('click', () => {
+    document.getElementById('streamUpstreamName').value = '';
+    document.getElementById('streamUpstreamMethod').value = 'round_robin';
+    document.getElementById('streamUpstreamServers').value = '';
+    document.getElementById('streamUpstreamModal').classList.add('active');
+  });
+
+  document.getElementById('streamProtocol').addEventListener('change', updateStreamProtocolFields);
+  document.getElementById('streamBackend').addEventListener('change', (e) => {
+    document.getElementById('streamTarget').style.display = e.target.value === '' ? 'block' : 'none';
+  });
+
+  document.getElementById('saveStreamBtn').addEventListener('click', saveStream);
+  document.getElementById('saveStreamUpstreamBtn').addEventListener('click', saveStreamUpstream);
+}
+
+function updateStreamProtocolFields() {
+  const udp = document.getElementById('streamProtocol').value === 'udp';
+  document.querySelectorAll('#streamModal .tcp-only').forEach(el => { el.style.display = udp ? 'none' : 'block'; });
+  document.querySelectorAll('#streamModal .udp-only').forEach(el => { el.style.display = udp ? 'block' : 'none'; });
+}
+
+function renderStreamBackendOptions(selected = '') {
+  const select = document.getElementById('streamBackend');
+  select.innerHTML = state.streams.upstreams.map(u => `<option value="${u.name}">Stream upstream: ${u.name}</option>`).join('') +
+    '<option value="">Enter address (host:port)</option>';
+  select.value = selected;
+  document.getElementById('streamTarget').style.display = select.value === '' ? 'block' : 'none';
+}
+
+function resetStreamModal(listener = {}) {
+  document.getElementById('streamName').value = listener.name || '';
+  document.getElementById('streamProtocol').value = listener.protocol || 'tcp';
+  document.getElementById('streamPort').value = listener.port || '';
+  renderStreamBackendOptions(listener.upstream || (listener.target ? '' : state.streams.upstreams[0]?.name || ''));
+  document.getElementById('streamTarget').value = listener.target || '';
+  document.getElementById('streamAcceptProxyProtocol').checked = listener.acceptProxyProtocol || false;
+  document.getElementById('streamProxyProtocol').checked = listener.proxyProtocol || false;
+  document.getElementById('streamSniRoutes').value = (listener.sniRoutes || []).map(r => `${r.serverName} ${r.upstream}`).join('\n');
+  document.getElementById('streamMaxConnections').value = listener.maxConnections || 0;
+  document.getElementById('streamConnectTimeout').value = listener.connectTimeout || 0;
+  document.getElementById('streamTimeout').value = listener.timeout || 0;
+  document.getElementById('streamResponses').value = listener.responses ?? 1;
+  updateStreamProtocolFields();
+}
+
+function saveStream() {
+  const protocol = document.getElementById('streamProtocol').value;
+  const port = parseInt(document.getElementById('streamPort').value);
+  const upstream = document.getElementById('streamBackend').value || null;
+  const target = upstream ? null : document.getElementById('streamTarget').value.trim();
+
+  if (!port || port < 1 || port > 65535) {
+    showToast('Please enter a port between 1 and 65535', 'error');
+    return;
+  }
+  if (!upstream && !/^(unix:.+|.+:\d+)$/.test(target)) {
+    showToast('Please enter the backend as host:port', 'error');
+    return;
+  }
+
+  const sniRoutes = protocol === 'tcp'
+    ? document.getElementById('streamSniRoutes').value.split('\n').map(l => l.trim()).filter(Boolean).map(line => {
+      const [serverName, backend] = line.split(/\s+/);
+      return { serverName, upstream: backend };
+    })
+    : [];
+  if (sniRoutes.some(r => !r.upstream)) {
+    showToast('Each SNI route needs a server name and a backend', 'error');
+    return;
+  }
+
+  const listener = {
+    id: editingStreamId || generateId(),
+    name: document.getElementById('streamName').value.trim() || `${protocol}_${port}`,
+    protocol,
+    port,
+    upstream,
+    target,
+    acceptProxyProtocol: protocol === 'tcp' && document.getElementById('streamAcceptProxyProtocol').checked,
+    proxyProtocol: document.getElementById('streamProxyProtocol').checked,
+    sniRoutes,
+    maxConnections: parseInt(document.getElementById('streamMaxConnections').value) || null,
+    connectTimeout: parseInt(document.getElementById('streamConnectTimeout').value) || null,
+    timeout: parseInt(document.getElementById('streamTimeout').value) || null,
+    responses: protocol === 'udp' ? parseInt(document.getElementById('streamResponses').value) : null
+  };
+
+  if (editingStreamId) {
+    const idx = state.streams.listeners.findIndex(l => l.id === editingStreamId);
+    if (idx !== -1) state.streams.listeners[idx] = listener;
+  } else {
+    state.streams.listeners.push(listener);
+  }
+
+  document.getElementById('streamModal').classList.remove('active');
+  renderStreamsList();
+  updatePreview();
+  showToast('Stream listener saved', 'success');
+}
+
+function editStream(id) {
+  const listener = state.streams.listeners.find(l => l.id === id);
+  if (!listener) return;
+
+  editingStreamId = id;
+  resetStreamModal(listener);
+  document.getElementById('streamModalTitle').textContent = 'Edit Stream Listener';
+  document.getElementById('streamModal').classList.add('active');
+}
+
+function deleteStream(id) {
+  if (confirm('Delete this stream listener?')) {
+    state.streams.listeners = state.streams.listeners.filter(l => l.id !== id);
+    renderStreamsList();
+    updatePreview();
+  }
+}
+
+function saveStreamUpstream() {
+  const name = document.getElementById('streamUpstreamName').value.trim();
+  const servers = document.getElementById('streamUpstreamServers').value.split(',').map(s => s.trim()).filter(Boolean);
+
+  if (!/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(name)) {
+    showToast('Please enter a valid upstream name', 'error');
+    return;
+  }
+  if (servers.length === 0 || servers.some(srv => !/^.+:\d+$/.test(srv))) {
+    showToast('Please enter servers as host:port', 'error');
+    return;
+  }
+
+  state.streams.upstreams.push({
+    id: generateId(),
+    name,
+    loadBalancing: document.getElementById('streamUpstreamMethod').value,
+    servers: servers.map(srv => {
+      const idx = srv.lastIndexOf(':');
+      return { host: srv.slice(0, idx), port: parseInt(srv.slice(idx + 1)) };
+    })
+  });
+
+  document.getElementById('streamUpstreamModal').classList.remove('active');
+  renderStreamsList();
+  updatePreview();
+  showToast('Stream upstream saved', 'success');
+}
+
+function deleteStreamUpstream(id) {
+  if (confirm('Delete this stream upstream?')) {
+    state.streams.upstreams = state.streams.upstreams.filter(u => u.id !== id);
+    renderStreamsList();
+    updatePreview();
+  }
+}
+
+function renderStreamsList() {
+  const listeners = document.getElementById('streamsList');
+  const upstreams = document.getElementById('streamUpstreamsList');
+
+  listeners.innerHTML = state.streams.listeners.length === 0
+    ? '<div class="empty-state">No stream listeners configured.</div>'
+    : state.streams.listeners.map(listener => `
+    <div class="list-item">
+      <div class="list-item-info">
+        <div class="list-item-title">${listener.name} (${listener.protocol}/${listener.port})</div>
+        <div class="list-item-subtitle">→ ${listener.upstream || listener.target}${listener.sniRoutes.length ? `, ${listener.sniRoutes.length} SNI route(s)` : ''}</div>
+      </div>
+      <div class="list-item-actions">
+        <button class="btn btn-secondary btn-sm" onclick="editStream('${listener.id}')">Edit</button>
+        <button class="btn btn-danger btn-sm" onclick="deleteStream('${listener.id}')">Delete</button>
+      </div>
+    </div>
+  `).join('');
+
+  upstreams.innerHTML = state.streams.upstreams.length === 0
+    ? '<div class="empty-state">No stream upstreams configured.</div>'
+    : state.streams.upstreams.map(upstream => `
+    <div class="list-item">
+      <div class="list-item-info">
+        <div class="list-item-title">${upstream.name}</div>
+        <div class="list-item-subtitle">${upstream.servers.length} server(s), ${upstream.loadBalancing}</div>
+      </div>
+      <div class="list-item-actions">
+        <button class="btn btn-danger btn-sm" onclick="deleteStreamUpstream('${upstream.id}')">Delete</button>
+      </div>
+    </div>
+  `).join('');
+}
+
 // Preview
 function initPreviewActions() {
   document.getElementById('copyBtn').addEventListener('click', () => {
@@ -557,13 +862,105 @@ function initPreviewActions() {
     URL.revokeObjectURL(url);
     showToast('Downloaded nginx.conf', 'success');
   });
+
+  const stateFile = document.getElementById('stateFile');
+  document.getElementById('loadStateBtn').addEventListener('click', () => stateFile.click());
+  stateFile.addEventListener('change', async () => {
+    const file = stateFile.files[0];
+    stateFile.value = '';
+    if (!file) return;
+
+    try {
+      await loadState(JSON.parse(await file.text()));
+    } catch (error) {
+      showToast(`Could not load ${file.name}: ${error.message}`, 'error');
+    }
+  });
+}
+
+// Load a saved nginx-wizard.json (the server migrates older schema versions)
+async function loadState(saved) {
+  const response = await fetch('/api/state/load', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ state: saved })
+  });
+  const data = await response.json();
+
+  if (!response.ok) {
+    const details = (data.errors || []).map(e => (e.path ? `${e.path}: ${e.message}` : e.message));
+    throw new Error([data.error, ...details].join('; '));
+  }
+
+  // Map tree state onto the fields this UI edits
+  const loaded = data.state;
+  state.globalSettings = { ...state.globalSettings, ...loaded.globalSettings };
+  state.upstreams = loaded.upstreams.map(upstream => ({
+    ...upstream,
+    method: upstream.loadBalancing || 'round_robin',
+    servers: upstream.servers.map(srv => ({
+      address: srv.port ? `${srv.host}:${srv.port}` : srv.host,
+      weight: srv.weight || 1
+    }))
+  }));
+  state.servers = loaded.servers.map(server => ({
+    ...server,
+    port: server.domain.port || 80,
+    ssl: { redirect: true, ...server.ssl },
+    locations: server.locations.map(loc => (loc.type === 'redirect'
+      ? { ...loc, redirectTarget: loc.destination, redirectCode: loc.code || 301 }
+      : loc))
+  }));
+
+  state.streams = {
+    upstreams: loaded.streams?.upstreams || [],
+    listeners: (loaded.streams?.listeners || []).map(listener => ({
+      ...listener,
+      name: listener.name || `${listener.protocol}_${listener.port}`,
+      sniRoutes: listener.sniRoutes || []
+    }))
+  };
+
+  syncGlobalSettings();
+  renderServersList();
+  renderUpstreamsList();
+  renderStreamsList();
+  updatePreview();
+
+  const migrated = data.from && data.from !== loaded.schemaVersion ? ` (migrated from schema ${data.from})` : '';
+  if (data.notes.length > 0) {
+    showToast(`State loaded${migrated}. Not carried over: ${data.notes.join('; ')}`, 'error');
+  } else {
+    showToast(`State loaded${migrated}`, 'success');
+  }
+}
+
+// Reflect state.globalSettings in the Global Settings form
+function syncGlobalSettings() {
+  const fields = ['workerProcesses', 'workerConnections', 'compression', 'sendfile', 'tcpNopush', 'securityHeaders', 'hideVersion'];
+
+  fields.forEach(field => {
+    const el = document.getElementById(field);
+    if (!el || state.globalSettings[field] === undefined) return;
+
+    if (el.type === 'checkbox') {
+      el.checked = !!state.globalSettings[field];
+    } else {
+      el.value = state.globalSettings[field];
+    }
+  });
+
+  const ddos = state.globalSettings.ddos || {};
+  document.getElementById('ddosProfile').value = ddos.enabled ? ddos.profile : 'off';
+  document.getElementById('ddosLoginPaths').value = (ddos.loginPaths || []).join(', ');
+  document.getElementById('ddosLoginGroup').style.display = ddos.enabled ? 'block' : 'none';
 }
 
 async function updatePreview() {
   const preview = document.getElementById('configPreview');
   const messages = document.getElementById('validationMessages');
   
-  if (state.servers.length === 0) {
+  if (state.servers.length === 0 && state.streams.listeners.length === 0) {
     preview.innerHTML = '<code># Your nginx configuration will appear here\n# Add at least one server to generate config</code>';
     messages.innerHTML = '';
     return;
@@ -609,8 +1006,18 @@ function highlightConfig(config) {
     .replace(/\b(\d+)\b/g, '<span class="config-number">$1</span>');
 }
 
+// Rate and connection limits per DDoS profile (mirrors src/core/DDoSProtection.js)
+const DDOS_PROFILES = {
+  strict: { perIP: 10, general: '10r/s', burst: 20, api: '5r/s', apiBurst: 10, login: '3r/m', loginBurst: 5 },
+  balanced: { perIP: 20, general: '100r/s', burst: 50, api: '20r/s', apiBurst: 20, login: '5r/m', loginBurst: 10 },
+  permissive: { perIP: 50, general: '200r/s', burst: 100, api: '50r/s', apiBurst: 50, login: '10r/m', loginBurst: 20 }
+};
+
 // Fallback client-side generation
 function generateConfigLocally() {
+  const ddosSettings = state.globalSettings.ddos;
+  const ddosProfile = ddosSettings?.enabled ? (DDOS_PROFILES[ddosSettings.profile] ? ddosSettings.profile : 'balanced') : null;
+  const ddos = ddosProfile ? DDOS_PROFILES[ddosProfile] : null;
   let config = `# Generated by Nginx Configuration Wizard
 # ${new Date().toISOString()}
 
@@ -639,6 +1046,23 @@ http {
 `;
   }
 
+  if (ddos) {
+    config += `
+    # DDoS protection (${ddosProfile})
+    limit_conn_zone $binary_remote_addr zone=conn_limit_${ddosProfile}:10m;
+    limit_req_zone $binary_remote_addr zone=ddos_general:10m rate=${ddos.general};
+    limit_req_zone $binary_remote_addr zone=ddos_api:10m rate=${ddos.api};
+    limit_req_zone $binary_remote_addr zone=ddos_login:10m rate=${ddos.login};
+`;
+  }
+
+  if (state.servers.some(server => server.locations.some(loc => loc.type === 'fastcgi' && loc.cache))) {
+    config += `
+    # FastCGI cache zones
+    fastcgi_cache_path /var/cache/nginx/fastcgi_cache levels=1:2 keys_zone=fastcgi_cache:10m max_size=100m inactive=60m use_temp_path=off;
+`;
+  }
+
   // Upstreams
   state.upstreams.forEach(upstream => {
     config += `
@@ -700,10 +1124,43 @@ http {
 `;
     }
 
+    if (ddos) {
+      config += `
+        # DDoS protection
+        limit_conn conn_limit_${ddosProfile} ${ddos.perIP};
+        limit_conn_status 429;
+        limit_req zone=ddos_general burst=${ddos.burst} nodelay;
+        limit_req_status 429;
+`;
+    }
+
+    const maintenance = server.maintenance?.enabled;
+    if (maintenance) {
+      config += `
+        # Maintenance mode
+        set $maintenance 1;
+        error_page 503 @maintenance;
+`;
+    }
+
     server.locations.forEach(loc => {
       config += `
         location ${loc.path} {
 `;
+      if (ddos && (ddosSettings.loginPaths || []).includes(loc.path)) {
+        config += `            limit_req zone=ddos_login burst=${ddos.loginBurst} nodelay;
+`;
+      } else if (ddos && loc.type === 'api') {
+        config += `            limit_req zone=ddos_api burst=${ddos.apiBurst} nodelay;
+`;
+      }
+      if (maintenance && loc.type !== 'health') {
+        config += `            if ($maintenance) {
+                return 503;
+            }
+
+`;
+      }
       if (loc.type === 'static') {
         config += `            root ${loc.root};
             index ${loc.index || 'index.html'};
@@ -730,6 +1187,60 @@ http {
           config += `            add_header Access-Control-Allow-Origin "${loc.corsOrigin || '*'}";
             add_header Access-Control-Allow-Methods "GET, POST, PUT, DELETE, OPTIONS";
             add_header Access-Control-Allow-Headers "Authorization, Content-Type";
+`;
+        }
+      } else if (loc.type === 'grpc') {
+        config += `            grpc_pass ${loc.target};
+            grpc_set_header Host $host;
+            grpc_set_header X-Real-IP $remote_addr;
+            grpc_set_header X-Forwarded-For $proxy_add_x_forwarded_for;
+`;
+        if (loc.timeout) {
+          config += `            grpc_read_timeout ${loc.timeout}s;
+            grpc_send_timeout ${loc.timeout}s;
+`;
+        }
+        config += '            grpc_next_upstream error timeout http_502 http_503 http_504;\n';
+        GRPC_ERRORS.forEach(error => {
+          config += `            error_page ${error.codes.join(' ')} = @grpc_${error.name};\n`;
+        });
+      } else if (loc.type === 'fastcgi') {
+        config += `            root ${loc.root};
+            fastcgi_split_path_info ^(.+\\.php)(/.+)$;
+            set $path_info $fastcgi_path_info;
+            try_files $fastcgi_script_name =404;
+            fastcgi_pass ${loc.target};
+            fastcgi_index index.php;
+            include fastcgi_params;
+            fastcgi_param SCRIPT_FILENAME $document_root$fastcgi_script_name;
+            fastcgi_param PATH_INFO $path_info;
+            fastcgi_buffers 16 16k;
+            fastcgi_buffer_size 32k;
+`;
+        if (loc.cache) {
+          config += `            fastcgi_cache fastcgi_cache;
+            fastcgi_cache_key $scheme$request_method$host$request_uri;
+            fastcgi_cache_valid 200 301 302 ${loc.cache.duration};
+            fastcgi_cache_use_stale error timeout updating http_500 http_503;
+            fastcgi_cache_lock on;
+            fastcgi_cache_bypass $cookie_session $cookie_token;
+            fastcgi_no_cache $cookie_session $cookie_token;
+            add_header X-Cache-Status $upstream_cache_status;
+`;
+        }
+      } else if (loc.type === 'uwsgi' || loc.type === 'scgi') {
+        config += `            ${loc.type}_pass ${loc.target};
+            include ${loc.type}_params;
+            ${loc.type}_param HTTP_X_REAL_IP $remote_addr;
+            ${loc.type}_param HTTP_X_FORWARDED_FOR $proxy_add_x_forwarded_for;
+            ${loc.type}_param HTTP_X_FORWARDED_PROTO $scheme;
+`;
+        config += loc.buffering === false
+          ? `            ${loc.type}_buffering off;\n`
+          : `            ${loc.type}_buffers 16 16k;\n            ${loc.type}_buffer_size 32k;\n`;
+        if (loc.timeout) {
+          config += `            ${loc.type}_read_timeout ${loc.timeout}s;
+            ${loc.type}_send_timeout ${loc.timeout}s;
 `;
         }
       } else if (loc.type === 'redirect') {
@@ -743,13 +1254,100 @@ http {
       config += '        }\n';
     });
 
+    if (server.locations.some(loc => loc.type === 'grpc')) {
+      GRPC_ERRORS.forEach(error => {
+        config += `
+        location @grpc_${error.name} {
+            default_type application/grpc;
+            add_header grpc-status ${error.status};
+            add_header grpc-message ${error.name};
+            add_header content-length 0;
+            return 204;
+        }
+`;
+      });
+    }
+
+    if (maintenance) {
+      config += `
+        location @maintenance {
+            add_header Retry-After ${server.maintenance.retryAfter || 300} always;
+            default_type text/html;
+            return 503 "<!DOCTYPE html><title>Maintenance</title><h1>Down for maintenance</h1><p>We will be back shortly.</p>";
+        }
+`;
+    }
+
     config += '    }\n';
   });
 
   config += '}\n';
+
+  if (state.streams.listeners.length > 0) {
+    config += generateStreamsLocally();
+  }
   return config;
 }
 
+// gRPC status codes sent for nginx errors, as in TreeConfigBuilder
+const GRPC_ERRORS = [
+  { name: 'unauthenticated', status: 16, codes: [401] },
+  { name: 'permission_denied', status: 7, codes: [403] },
+  { name: 'unimplemented', status: 12, codes: [404] },
+  { name: 'resource_exhausted', status: 8, codes: [429] },
+  { name: 'internal', status: 13, codes: [500] },
+  { name: 'unavailable', status: 14, codes: [502, 503] },
+  { name: 'deadline_exceeded', status: 4, codes: [504] }
+];
+
+function generateStreamsLocally() {
+  let config = '\n# TCP/UDP proxying\nstream {\n';
+
+  state.streams.upstreams.forEach(upstream => {
+    config += `    upstream ${upstream.name} {\n`;
+    if (upstream.loadBalancing && upstream.loadBalancing !== 'round_robin') {
+      config += `        ${upstream.loadBalancing};\n`;
+    }
+    upstream.servers.forEach(srv => {
+      config += `        server ${srv.host}:${srv.port};\n`;
+    });
+    config += '    }\n\n';
+  });
+
+  state.streams.listeners.forEach(listener => {
+    const name = listener.name.replace(/[^a-zA-Z0-9_]/g, '_');
+    const udp = listener.protocol === 'udp';
+    const params = `${udp ? ' udp' : ''}${listener.acceptProxyProtocol ? ' proxy_protocol' : ''}`;
+    const routes = udp ? [] : listener.sniRoutes;
+    const backend = listener.upstream || listener.target;
+
+    if (listener.maxConnections) {
+      config += `    limit_conn_zone $binary_remote_addr zone=stream_${name}_conn:10m;\n\n`;
+    }
+    if (routes.length > 0) {
+      config += `    # SNI routing: ${listener.name}\n    map $ssl_preread_server_name $stream_${name}_backend {\n`;
+      if (routes.some(r => r.serverName.startsWith('*.') || r.serverName.endsWith('.*'))) {
+        config += '        hostnames;\n';
+      }
+      routes.forEach(r => { config += `        ${r.serverName} ${r.upstream};\n`; });
+      config += `        default ${backend};\n    }\n\n`;
+    }
+
+    config += `    # Stream: ${listener.name} (${listener.protocol})\n    server {\n`;
+    config += `        listen ${listener.port}${params};\n        listen [::]:${listener.port}${params};\n`;
+    if (routes.length > 0) config += '        ssl_preread on;\n';
+    config += `        proxy_pass ${routes.length > 0 ? `$stream_${name}_backend` : backend};\n`;
+    if (listener.proxyProtocol) config += '        proxy_protocol on;\n';
+    if (listener.connectTimeout) config += `        proxy_connect_timeout ${listener.connectTimeout}s;\n`;
+    if (listener.timeout) config += `        proxy_timeout ${listener.timeout}s;\n`;
+    if (udp && Number.isInteger(listener.responses)) config += `        proxy_responses ${listener.responses};\n`;
+    if (listener.maxConnections) config += `        limit_conn stream_${name}_conn ${listener.maxConnections};\n`;
+    config += '    }\n\n';
+  });
+
+  return config.replace(/\n\n$/, '\n') + '}\n';
+}
+
 // Toast notifications
 function showToast(message, type = 'success') {
   const toast = document.createElement('div');
@@ -765,8 +1363,12 @@ function showToast(message, type = 'success') {
 // Expose functions for onclick handlers
 window.editServer = editServer;
 window.deleteServer = deleteServer;
+window.toggleMaintenance = toggleMaintenance;
 window.editLocation = editLocation;
 window.deleteLocation = deleteLocation;
 window.deleteUpstream = deleteUpstream;
+window.editStream = editStream;
+window.deleteStream = deleteStream;
+window.deleteStreamUpstream = deleteStreamUpstream;
 window.tempUpstreamServers = tempUpstreamServers;
 window.renderUpstreamServersList = renderUpstreamServersList;
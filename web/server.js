@@ -2,6 +2,7 @@ import express from 'express';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import TreeConfigBuilder from '../src/core/TreeConfigBuilder.js';
+import SpecLoader from '../src/core/SpecLoader.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -13,7 +14,7 @@ app.use(express.json());
 app.use(express.static(join(__dirname, 'public')));
 
 // Generate nginx config from state
-app.post('/api/generate', (req, res) => {
+app.post('/api/generate', async (req, res) => {
   try {
     const { state } = req.body;
     
@@ -33,7 +34,7 @@ app.post('/api/generate', (req, res) => {
       });
     }
 
-    const config = builder.build();
+    const config = await builder.build();
     
     res.json({ 
       config,
@@ -63,8 +64,35 @@ app.post('/api/validate', (req, res) => {
   }
 });
 
-app.listen(PORT, () => {
-  console.log(`Nginx Config Wizard UI running at http://localhost:${PORT}`);
+// Load a saved nginx-wizard.json, migrating older schema versions
+app.post('/api/state/load', (req, res) => {
+  try {
+    const { state } = req.body;
+
+    if (!state) {
+      return res.status(400).json({ error: 'State is required' });
+    }
+
+    const { state: loaded, errors, migration } = new SpecLoader().load(JSON.stringify(state));
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid state file', errors });
+    }
+
+    res.json({
+      state: loaded,
+      from: migration?.from || null,
+      notes: migration?.notes || []
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
 });
 
+// Only listen when run directly, so tests can import the app
+if (process.argv[1] === __filename) {
+  app.listen(PORT, () => {
+    console.log(`Nginx Config Wizard UI running at http://localhost:${PORT}`);
+  });
+}
+
 export default app;